@@ -2,10 +2,18 @@ import { BinanceClient } from './binanceClient.js';
 import { TrailingProfitMaximizer } from './trailingProfitMaximizer.js';
 import { Logger } from './logger.js';
 import { DEFAULT_CONFIG } from './config.js';
+import { splitSymbol } from './paperExchange.js';
+import { klineToCandle, getHistoryLength } from './strategies.js';
+import { atrSeries } from './indicators.js';
+import { calculatePerformanceMetrics } from './performanceMetrics.js';
+import { Optimizer, OBJECTIVES, summarizeResults } from './optimizer.js';
+import { setPath, deepMerge } from './configLoader.js';
+import { IntrabarPath, candlePath, candlePathTimes, klinesToPricePath } from './intrabar.js';
+import { KlineStore, intervalToMilliseconds, readKlineFile, readAggTradeFile, mergeKlines, findGaps } from './klineStore.js';
 
 export class Backtester {
   constructor(config) {
-    this.config = { ...DEFAULT_CONFIG, ...config }; // Merge mit Standardkonfig
+    this.config = deepMerge(DEFAULT_CONFIG, config); // Rekursiver Merge mit Standardkonfig
     this.logger = new Logger(this.config.logLevel || 'info');
     this.backtestParams = this.config.backtestParams;
 
@@ -26,104 +34,173 @@ export class Backtester {
     // Hier wird später die Instanz des Bots für die Simulation erstellt
     this.simulatedBot = null;
     this.historicalData = [];
+    // Klines pro Symbol (Multi-Symbol-Backtest); historicalData enthält die des ersten Symbols
+    this.seriesBySymbol = {};
+    // Klines vor startDate (backtestParams.warmupStartDate): nur Historie für die Strategie, ohne Handel
+    this.warmupBySymbol = {};
     this.results = {
         trades: [],
         finalBalance: 0,
+        // Portfolio-Kapital (Guthaben + offene Positionen zum Schlusskurs) nach jedem Zeitschritt
+        equityCurve: [],
+        // Stop-Verlauf aller Positionen (initialer Stop und jede Änderung) für Berichte
+        stopHistory: [],
+        // Auslösendes Risikolimit (null = Kill-Switch nicht ausgelöst)
+        riskLimitHit: null,
         // Weitere Metriken...
     };
 
+    // Lokaler Kline-Speicher (null = Cache deaktiviert)
+    this.klineStore = this.backtestParams.useCache !== false
+        ? new KlineStore(this.backtestParams.dataDir || 'data/klines', this.logger)
+        : null;
+
     this.logger.info("Backtester initialized.");
     this.maxKlinesPerRequest = 1000; // Binance API limit
   }
 
   // Hilfsfunktion zur Berechnung der Millisekunden pro Intervall
   getIntervalMilliseconds(interval) {
-      const unit = interval.slice(-1);
-      const value = parseInt(interval.slice(0, -1));
-      switch (unit) {
-          case 'm': return value * 60 * 1000;
-          case 'h': return value * 60 * 60 * 1000;
-          case 'd': return value * 24 * 60 * 60 * 1000;
-          case 'w': return value * 7 * 24 * 60 * 60 * 1000;
-          // 'M' (Monat) ist ungenau, vermeiden oder speziell behandeln
-          default: throw new Error(`Unsupported interval unit: ${unit}`);
-      }
+      return intervalToMilliseconds(interval);
+  }
+
+  // Symbole des Backtests: backtestParams.symbols oder, wenn leer, backtestParams.symbol
+  getSymbols() {
+    const symbols = this.backtestParams.symbols;
+    return Array.isArray(symbols) && symbols.length > 0 ? symbols : [this.backtestParams.symbol];
+  }
+
+  // Kline-Datei eines Symbols (dataFiles pro Symbol, dataFile für das Haupt-Symbol), sonst null
+  getDataFile(symbol) {
+    const dataFiles = this.backtestParams.dataFiles || {};
+    if (dataFiles[symbol]) return dataFiles[symbol];
+    return symbol === this.getSymbols()[0] ? this.backtestParams.dataFile : null;
+  }
+
+  // Lädt Klines für [startTime, endTime] seitenweise von der Binance-API
+  async fetchKlinesFromApi(startTime, endTime, interval = this.backtestParams.interval, symbol = this.backtestParams.symbol) {
+    const intervalMs = this.getIntervalMilliseconds(interval);
+    let klines = [];
+    let currentStartTime = startTime;
+
+    while (currentStartTime <= endTime) {
+        // Berechne das Enddatum für diesen Chunk (max 1000 Kerzen)
+        let currentEndTime = currentStartTime + (this.maxKlinesPerRequest -1) * intervalMs;
+        // Stelle sicher, dass wir nicht über das gewünschte Enddatum hinausgehen
+        currentEndTime = Math.min(currentEndTime, endTime);
+
+        this.logger.debug(`Fetching klines from ${new Date(currentStartTime).toISOString()} to ${new Date(currentEndTime).toISOString()}...`);
+
+        // Lade Klines für den aktuellen Chunk (startTime und endTime sind bei der API inklusiv)
+        // getHistoricalKlines liefert bereits das Rohformat [openTime, open, high, low, close, ...]
+        const formattedChunk = await this.dataClient.getHistoricalKlines(
+            symbol,
+            interval,
+            this.maxKlinesPerRequest,
+            {
+                startTime: currentStartTime,
+                endTime: currentEndTime
+            }
+        );
+
+        if (formattedChunk && formattedChunk.length > 0) {
+            klines = klines.concat(formattedChunk);
+            this.logger.debug(`Loaded ${formattedChunk.length} klines in this chunk. Total loaded: ${klines.length}`);
+            // Setze die Startzeit für den nächsten Chunk auf die Zeit der *letzten* Kerze + 1 Intervall
+            currentStartTime = formattedChunk[formattedChunk.length - 1][0] + intervalMs; // [0] ist openTime
+        } else {
+            // Leerer Chunk (z.B. vor dem Listing oder während einer Wartung) - mit dem nächsten Chunk weitermachen
+            this.logger.debug("Empty chunk returned, continuing with next chunk.");
+            currentStartTime = currentEndTime + 1;
+        }
+
+        // Kurze Pause, um API-Limits nicht zu überschreiten
+        await new Promise(resolve => setTimeout(resolve, 300)); // 300ms Pause
+    }
+
+    return klines;
   }
 
   async loadHistoricalData() {
-    this.logger.info(`Loading historical data for ${this.backtestParams.symbol} (${this.backtestParams.interval}) from ${this.backtestParams.startDate} to ${this.backtestParams.endDate}...`);
-    this.historicalData = []; // Reset data
+    const startTime = new Date(this.backtestParams.startDate).getTime();
+    const warmupStartTime = this.backtestParams.warmupStartDate ? new Date(this.backtestParams.warmupStartDate).getTime() : startTime;
+    for (const symbol of this.getSymbols()) {
+        const klines = await this.loadKlines(
+            this.backtestParams.interval,
+            Math.min(warmupStartTime, startTime),
+            new Date(this.backtestParams.endDate).getTime(),
+            symbol
+        );
+        this.warmupBySymbol[symbol] = klines.filter(kline => kline[0] < startTime);
+        this.seriesBySymbol[symbol] = klines.filter(kline => kline[0] >= startTime);
+    }
+    this.historicalData = this.seriesBySymbol[this.getSymbols()[0]];
+  }
+
+  // Lädt Klines eines Intervalls für [finalStartTime, finalEndTime] aus Datei, Cache oder API
+  async loadKlines(interval, finalStartTime, finalEndTime, symbol = this.backtestParams.symbol) {
+    this.logger.info(`Loading historical data for ${symbol} (${interval}) from ${new Date(finalStartTime).toISOString()} to ${new Date(finalEndTime).toISOString()}...`);
+    let klines = [];
 
     try {
-        let currentStartTime = new Date(this.backtestParams.startDate).getTime();
-        const finalEndTime = new Date(this.backtestParams.endDate).getTime();
-        const intervalMs = this.getIntervalMilliseconds(this.backtestParams.interval);
-
-        while (currentStartTime < finalEndTime) {
-            // Berechne das Enddatum für diesen Chunk (max 1000 Kerzen)
-            let currentEndTime = currentStartTime + (this.maxKlinesPerRequest -1) * intervalMs;
-            // Stelle sicher, dass wir nicht über das gewünschte Enddatum hinausgehen
-            currentEndTime = Math.min(currentEndTime, finalEndTime);
-
-            this.logger.debug(`Fetching klines from ${new Date(currentStartTime).toISOString()} to ${new Date(currentEndTime).toISOString()}...`);
-
-            // Lade Klines für den aktuellen Chunk
-            // node-binance-api's candles Funktion unterstützt startTime und endTime
-            const klinesChunk = await this.dataClient.binance.candles(
-                this.backtestParams.symbol,
-                this.backtestParams.interval,
-                {
-                    startTime: currentStartTime,
-                    endTime: currentEndTime, // endTime ist inklusiv bei der API? Doku prüfen. Annahme: exklusiv.
-                    limit: this.maxKlinesPerRequest
-                }
+        const intervalMs = this.getIntervalMilliseconds(interval);
+        const dataFile = this.getDataFile(symbol);
+
+        if (dataFile) {
+            // Daten direkt aus einer CSV/JSON-Datei (kein Netzwerk, kein Cache)
+            this.logger.info(`Reading klines from data file ${dataFile}`);
+            klines = await readKlineFile(dataFile);
+        } else if (this.klineStore) {
+            // Zuerst den lokalen Speicher lesen und nur fehlende Bereiche nachladen
+            const missingRanges = await this.klineStore.getMissingRanges(
+                symbol, interval, finalStartTime, finalEndTime
             );
 
-             // Formatieren der Daten, wie es getHistoricalKlines tun würde
-             const formattedChunk = klinesChunk.map(k => [
-                 k.openTime, k.open, k.high, k.low, k.close, k.volume,
-                 k.closeTime, k.quoteVolume, k.trades, k.buyVolume,
-                 k.buyQuoteVolume, k.ignored
-             ]);
-
-
-            if (formattedChunk && formattedChunk.length > 0) {
-                this.historicalData = this.historicalData.concat(formattedChunk);
-                this.logger.debug(`Loaded ${formattedChunk.length} klines in this chunk. Total loaded: ${this.historicalData.length}`);
-                // Setze die Startzeit für den nächsten Chunk auf die Zeit der *letzten* Kerze + 1 Intervall
-                currentStartTime = formattedChunk[formattedChunk.length - 1][0] + intervalMs; // [0] ist openTime
-            } else {
-                this.logger.debug("No more data returned in this chunk or empty chunk.");
-                break; // Keine Daten mehr im Zeitraum oder Lücke
+            if (missingRanges.length > 0 && this.backtestParams.offline) {
+                const ranges = missingRanges.map(([from, to]) => `${new Date(from).toISOString()} - ${new Date(to).toISOString()}`).join(', ');
+                throw new Error(`Offline mode: kline cache is missing ${ranges}. Import data with --import-data or run once with network access.`);
             }
 
-            // Kurze Pause, um API-Limits nicht zu überschreiten
-            await new Promise(resolve => setTimeout(resolve, 300)); // 300ms Pause
-        }
+            for (const [rangeStart, rangeEnd] of missingRanges) {
+                this.logger.info(`Kline cache miss for ${new Date(rangeStart).toISOString()} - ${new Date(rangeEnd).toISOString()}, downloading...`);
+                const downloaded = await this.fetchKlinesFromApi(rangeStart, rangeEnd, interval, symbol);
 
-        // Filtere Daten, um sicherzustellen, dass sie im exakten Zeitbereich liegen (falls API ungenau ist)
-        const finalStartTime = new Date(this.backtestParams.startDate).getTime();
-        this.historicalData = this.historicalData.filter(kline => kline[0] >= finalStartTime && kline[6] <= finalEndTime); // [0]=openTime, [6]=closeTime
-
-        // Entferne Duplikate basierend auf der Open Time
-        const uniqueData = [];
-        const seenTimestamps = new Set();
-        for (const kline of this.historicalData) {
-            if (!seenTimestamps.has(kline[0])) {
-                uniqueData.push(kline);
-                seenTimestamps.add(kline[0]);
+                // Nur abgeschlossene Zeiträume als abgedeckt markieren, damit laufende Kerzen später nachgeladen werden
+                const coveredEnd = Math.min(rangeEnd, Date.now() - intervalMs);
+                const closedKlines = downloaded.filter(kline => kline[6] < Date.now());
+                if (coveredEnd >= rangeStart) {
+                    await this.klineStore.save(symbol, interval, rangeStart, coveredEnd, closedKlines);
+                }
+                klines = klines.concat(closedKlines);
             }
+
+            const cachedKlines = await this.klineStore.load(
+                symbol, interval, finalStartTime, finalEndTime
+            );
+            klines = mergeKlines(cachedKlines, klines);
+        } else {
+            klines = await this.fetchKlinesFromApi(finalStartTime, finalEndTime, interval, symbol);
         }
-        this.historicalData = uniqueData;
-        // Sortiere zur Sicherheit nach Zeit
-        this.historicalData.sort((a, b) => a[0] - b[0]);
 
+        // Filtere Daten, um sicherzustellen, dass sie im exakten Zeitbereich liegen (falls API ungenau ist)
+        klines = klines.filter(kline => kline[0] >= finalStartTime && kline[6] <= finalEndTime); // [0]=openTime, [6]=closeTime
+
+        // Entferne Duplikate basierend auf der Open Time und sortiere nach Zeit
+        klines = mergeKlines(klines);
 
-        if (this.historicalData.length === 0) {
-            throw new Error("No historical data loaded after filtering/chunking. Check parameters or Binance API availability.");
+
+        if (klines.length === 0) {
+            throw new Error(`No historical data loaded for ${symbol} after filtering/chunking. Check parameters or Binance API availability.`);
         }
 
-        this.logger.info(`Finished loading data. Total unique klines loaded: ${this.historicalData.length}`);
+        // Lücken in den Daten melden (z.B. Wartungsarbeiten bei Binance)
+        const gaps = findGaps(klines, intervalMs);
+        for (const gap of gaps) {
+            this.logger.warn(`Data gap for ${symbol}: ${gap.missing} kline(s) missing from ${new Date(gap.from).toISOString()} to ${new Date(gap.to).toISOString()}`);
+        }
+
+        this.logger.info(`Finished loading data. Total unique klines loaded: ${klines.length}`);
+        return klines;
 
     } catch (error) {
         this.logger.error("Error loading historical data:", error);
@@ -131,6 +208,156 @@ export class Backtester {
     }
   }
 
+  // Eröffnet eine Position zum Open-Preis der aktuellen Kerze (Ausführung eines Strategie-Signals)
+  // Größe und Zulässigkeit bestimmen die Portfolio-Regeln des Bots (Kapitalaufteilung, Exposure, Guthaben)
+  async executeEntry(entry, openPrice, klineIndex) {
+    this.logger.info(`[Backtest] Opening ${entry.side} position for ${entry.symbol} at kline ${klineIndex + 1} @ ${openPrice}`);
+
+    try {
+        await this.simulatedBot.openPosition(entry.symbol, entry.side, openPrice);
+    } catch (error) {
+        // Fehler wurde bereits vom Bot gemeldet (z.B. unzureichendes Guthaben)
+        this.logger.warn(`[Backtest] Could not open position for ${entry.symbol}: ${error.message || error}`);
+    }
+  }
+
+  // Lädt die Kerzen für ATR-basierte Stops (atrInterval) inklusive Aufwärmphase vor dem Startdatum
+  // Ergebnis: [{ closeTime, atr }] in zeitlicher Reihenfolge, atr = null während der Aufwärmphase
+  async loadAtrTimeline(symbol = this.backtestParams.symbol) {
+    const { atrPeriod, atrInterval = '1h', atrSmoothing = 'simple' } = this.config.trailingStop;
+    const dataFile = this.getDataFile(symbol);
+    let klines;
+
+    if (dataFile) {
+        // Aus einer Datei stehen nur die Kerzen des Backtest-Intervalls zur Verfügung
+        if (atrInterval !== this.backtestParams.interval) {
+            this.logger.warn(`ATR interval ${atrInterval} is not available from ${dataFile}. Using backtest interval ${this.backtestParams.interval} for ATR.`);
+        }
+        klines = this.seriesBySymbol[symbol];
+    } else {
+        const warmupCandles = atrSmoothing === 'wilder' ? atrPeriod * 10 + 1 : atrPeriod + 1;
+        const startTime = new Date(this.backtestParams.startDate).getTime() - warmupCandles * this.getIntervalMilliseconds(atrInterval);
+        klines = await this.loadKlines(atrInterval, startTime, new Date(this.backtestParams.endDate).getTime(), symbol);
+    }
+
+    const series = atrSeries(klines.map(klineToCandle), atrPeriod, atrSmoothing);
+    return klines.map((kline, index) => ({ closeTime: kline[6], atr: series[index] }));
+  }
+
+  // Feinere Daten für die Intrabar-Simulation (backtestParams.intrabar) als IntrabarPath
+  // Ohne verfügbare Daten null: der Kursverlauf der Kerzen folgt dann der Heuristik intrabar.fallback
+  async loadIntrabarPath(symbol = this.backtestParams.symbol) {
+    const intrabar = this.backtestParams.intrabar || {};
+    const source = intrabar.source || 'klines';
+    const interval = intrabar.interval || '1m';
+    const dataFile = (intrabar.dataFiles || {})[symbol];
+
+    try {
+        if (source === 'aggTrades') {
+            if (!dataFile) {
+                this.logger.warn(`Intrabar source aggTrades requires backtestParams.intrabar.dataFiles.${symbol}. Using ${intrabar.fallback || 'open-low-high-close'} for ${symbol}.`);
+                return null;
+            }
+            this.logger.info(`Reading aggTrades for ${symbol} from ${dataFile}`);
+            return new IntrabarPath(await readAggTradeFile(dataFile));
+        }
+
+        let klines;
+        if (dataFile) {
+            this.logger.info(`Reading ${interval} intrabar klines for ${symbol} from ${dataFile}`);
+            klines = await readKlineFile(dataFile);
+        } else if (this.getDataFile(symbol)) {
+            // loadKlines würde die Datei des Backtest-Intervalls lesen
+            this.logger.warn(`No ${interval} intrabar data file for ${symbol} (backtestParams.intrabar.dataFiles). Using ${intrabar.fallback || 'open-low-high-close'} for ${symbol}.`);
+            return null;
+        } else {
+            klines = await this.loadKlines(
+                interval,
+                new Date(this.backtestParams.startDate).getTime(),
+                new Date(this.backtestParams.endDate).getTime(),
+                symbol
+            );
+        }
+        return new IntrabarPath(klinesToPricePath(klines, intrabar.fallback));
+    } catch (error) {
+        this.logger.warn(`Could not load intrabar data for ${symbol}: ${error.message}. Using ${intrabar.fallback || 'open-low-high-close'} for ${symbol}.`);
+        return null;
+    }
+  }
+
+  // Ein Preis des Kursverlaufs innerhalb einer Kerze (Intrabar-Simulation): Stops der Paper-Exchange auslösen,
+  // Take-Profits zum Zielpreis ausführen, Extremwerte und Trailing-Stops sofort nachführen
+  async processIntrabarPrice(paperExchange, bar, price, time) {
+    const { symbol } = bar;
+    const filledOrders = paperExchange.feedPrice(symbol, price, time, true);
+    if (filledOrders.length > 0) {
+        // Von der Paper-Exchange ausgeführte Stops übernehmen (schließt Positionen zum tatsächlichen Ausführungspreis)
+        await this.simulatedBot.reconcilePositions();
+    }
+
+    const positions = this.simulatedBot.getActivePositions().filter(p => p.symbol === symbol);
+    if (positions.length === 0) return;
+
+    for (const position of positions) {
+        position.currentPrice = price;
+        position.updateProfit();
+
+        const takeProfits = position.getTriggeredTakeProfits(price);
+        for (const level of takeProfits) {
+            if (position.status !== 'ACTIVE') break;
+            const targetPrice = position.getTakeProfitPrice(level);
+            this.logger.info(`[Backtest] Take-profit +${level.profitPercent}% reached for ${position.symbol} at kline ${bar.index + 1}, ${new Date(time).toISOString()} (target ${targetPrice}).`);
+            paperExchange.feedPrice(symbol, targetPrice, time);
+            await this.simulatedBot.executeTakeProfit(position, level, targetPrice);
+        }
+        if (takeProfits.length > 0) {
+            paperExchange.feedPrice(symbol, price, time);
+        }
+        if (position.status !== 'ACTIVE') continue;
+
+        position.updatePriceExtremes(price);
+    }
+    await this.simulatedBot.updateTrailingStops();
+  }
+
+  // Portfolio-Kapital aus den Guthaben der Paper-Exchange: Quote-Guthaben plus Basis-Guthaben
+  // (negativ bei Leerverkäufen) zum zuletzt eingespeisten Preis des jeweiligen Symbols
+  getPortfolioEquity(paperExchange, symbols) {
+    const { quoteAsset } = splitSymbol(symbols[0]);
+    const quote = paperExchange.getBalance(quoteAsset);
+    let equity = quote.free + quote.locked;
+
+    for (const symbol of symbols) {
+        const price = paperExchange.getPrice(symbol);
+        if (price === undefined) continue;
+        const base = paperExchange.getBalance(splitSymbol(symbol).baseAsset);
+        equity += (base.free + base.locked) * price;
+    }
+    return equity;
+  }
+
+  recordStop(position) {
+    this.results.stopHistory.push({
+        time: this.simulatedBot.now().getTime(),
+        symbol: position.symbol,
+        positionOpenDate: position.openDate.toISOString(),
+        stopPrice: position.currentTrailingStop
+    });
+  }
+
+  // Wert des Buy-and-Hold-Portfolios; Symbole ohne bisherigen Kurs zählen mit ihrem Startanteil
+  getBenchmarkEquity(paperExchange, benchmarkUnits) {
+    const symbols = Object.keys(benchmarkUnits);
+    let equity = 0;
+    for (const symbol of symbols) {
+        const price = paperExchange.getPrice(symbol);
+        equity += price === undefined
+            ? this.results.initialBalance / symbols.length
+            : benchmarkUnits[symbol] * price;
+    }
+    return equity;
+  }
+
   async run() {
     this.logger.info("Starting backtest run...");
     await this.loadHistoricalData();
@@ -140,154 +367,512 @@ export class Backtester {
         return null;
     }
 
+    const symbols = this.getSymbols();
+
     // Initialisiere den Bot für die Simulation im 'paper' Modus
     // Wir übergeben eine spezielle Konfiguration für den Backtest
     const backtestBotConfig = {
         ...this.config,
         tradingMode: 'paper', // Wichtig: Nutzt die Simulationslogik im BinanceClient
         logLevel: this.config.logLevel, // Behalte den Log-Level bei
+        symbol: symbols[0], // Watchlist des Bots = Symbole des Backtests
+        symbols: symbols,
         // Deaktiviere ggf. interne Intervalle des Bots, da wir die Zeit steuern
         refreshInterval: Infinity, // Verhindert den internen Loop
         volatilityUpdateInterval: Infinity, // Verhindert automatische ATR-Updates
+        skipConnectionTest: true, // Der simulierte Bot benötigt keine Verbindung (Offline-Backtests)
+        paperTrading: { ...this.config.paperTrading, externalPriceFeed: true }, // Preise nur aus den historischen Daten
+        persistence: { ...this.config.persistence, enabled: false }, // Simulierte Positionen nicht speichern
+        exchangeFilters: { ...this.config.exchangeFilters, offline: this.backtestParams.offline }, // Offline nur aus dem exchangeInfo-Cache
     };
     this.simulatedBot = new TrailingProfitMaximizer(backtestBotConfig);
     // Verbinde UI-Logs des simulierten Bots mit dem Backtester-Logger
     this.simulatedBot.on('log', (logData) => {
         this.logger[logData.level || 'info'](`[SimulatedBot] ${logData.message}`);
     });
-     this.simulatedBot.on('positionOpened', (pos) => this.logger.info(`[Backtest] Simulated Position Opened: ${pos.symbol}`));
-     this.simulatedBot.on('positionClosed', (trade) => {
-         this.logger.info(`[Backtest] Simulated Position Closed: ${trade.symbol}, Profit: ${trade.profit.toFixed(2)}`);
-         this.results.trades.push(trade); // Trade zum Ergebnis hinzufügen
-     });
-     this.simulatedBot.on('stopUpdated', (pos) => this.logger.info(`[Backtest] Simulated Stop Updated: ${pos.symbol} to ${pos.currentTrailingStop}`));
+    this.simulatedBot.on('positionOpened', (pos) => {
+        this.logger.info(`[Backtest] Simulated Position Opened: ${pos.symbol}`);
+        this.recordStop(pos);
+    });
+    this.simulatedBot.on('positionClosed', (trade) => {
+        this.logger.info(`[Backtest] Simulated Position Closed: ${trade.symbol}, Profit: ${trade.profit.toFixed(2)}`);
+        this.results.trades.push(trade); // Trade zum Ergebnis hinzufügen
+        this.results.currentBalance += trade.profit; // realisiertes Kapital nach jedem Trade
+    });
+    // Teilverkäufe (z.B. Take-Profit-Stufen) sind eigene Trades
+    this.simulatedBot.on('partialExit', (trade) => {
+        this.logger.info(`[Backtest] Simulated Partial Exit: ${trade.symbol} ${trade.quantity} @ ${trade.exitPrice}, Profit: ${trade.profit.toFixed(2)}`);
+        this.results.trades.push(trade);
+        this.results.currentBalance += trade.profit;
+    });
+    this.simulatedBot.on('stopUpdated', (pos) => {
+        this.logger.info(`[Backtest] Simulated Stop Updated: ${pos.symbol} to ${pos.currentTrailingStop}`);
+        this.recordStop(pos);
+    });
+    this.simulatedBot.on('riskLimitHit', (breach) => {
+        this.logger.warn(`[Backtest] Risk limit hit: ${breach.reason}`);
+        this.results.riskLimitHit = breach;
+    });
+    this.simulatedBot.on('entryRejected', (entry) => this.logger.info(`[Backtest] Entry for ${entry.symbol} rejected: ${entry.reason}`));
+    // Ohne Listener würde ein 'error'-Event den Backtest abbrechen (z.B. abgelehnte Stop-Orders)
+    this.simulatedBot.on('error', (error) => this.logger.warn(`[Backtest] Simulated bot error: ${error.message || error}`));
+
+    // Paper-Exchange des simulierten Bots, die mit den historischen Preisen gefüttert wird
+    const paperExchange = this.simulatedBot.binanceClient.paperExchange;
+
+    // Tick-/Lot-Größe und Mindestvolumen vorab laden, damit simulierte Orders wie im Live-Handel gerundet und geprüft werden
+    for (const symbol of symbols) {
+        const filters = await this.simulatedBot.binanceClient.getSymbolFilters(symbol);
+        if (filters) {
+            this.logger.info(`Exchange filters for ${symbol}: tick size ${filters.tickSize}, step size ${filters.stepSize}, min notional ${filters.minNotional}`);
+        }
+    }
 
 
-    // Initialisiere simuliertes Konto (Beispiel)
-    this.results.initialBalance = 10000; // Startkapital USDT
+    // Simuliertes Konto: Startkapital ist das Quote-Guthaben der Paper-Exchange (paperTrading.initialBalances)
+    const quoteAsset = this.simulatedBot.quoteAsset;
+    this.results.initialBalance = paperExchange.getBalance(quoteAsset).free;
     this.results.currentBalance = this.results.initialBalance;
-    this.logger.info(`Starting simulation with initial balance: ${this.results.initialBalance} USDT`);
+    this.logger.info(`Starting simulation with initial balance: ${this.results.initialBalance} ${quoteAsset}`);
+
+    // Gemeinsame Zeitachse aller Symbole; Symbole ohne Kerze zu einem Zeitpunkt (z.B. später gelistet) werden übersprungen
+    const klineIndexBySymbol = {};
+    for (const symbol of symbols) {
+        klineIndexBySymbol[symbol] = new Map(this.seriesBySymbol[symbol].map((kline, index) => [kline[0], index]));
+    }
+    // Buy-and-Hold-Benchmark: Startkapital gleichmäßig auf alle Symbole verteilt, zum ersten Open gekauft (ohne Kosten)
+    const benchmarkUnits = {};
+    for (const symbol of symbols) {
+        benchmarkUnits[symbol] = this.results.initialBalance / symbols.length / parseFloat(this.seriesBySymbol[symbol][0][1]);
+    }
 
+    const timeline = [...new Set(symbols.flatMap(symbol => this.seriesBySymbol[symbol].map(kline => kline[0])))].sort((a, b) => a - b);
 
-    this.logger.info(`Starting simulation loop over ${this.historicalData.length} klines...`);
+    this.logger.info(`Starting simulation loop over ${timeline.length} time steps for ${symbols.join(', ')}...`);
+
+    // Einstiegsstrategie des simulierten Bots (aus config.strategy)
+    const strategy = this.simulatedBot.strategy;
+    if (strategy) {
+        this.logger.info(`Using entry strategy: ${strategy.name || this.config.strategy.name}`);
+    } else {
+        this.logger.warn("No entry strategy configured (config.strategy.name). The backtest will not open any positions.");
+    }
+    // Kerzen-Historie und ausstehende Einstiege pro Symbol
+    const candleHistories = {};
+    const historyLength = strategy ? getHistoryLength(strategy) : 0;
+    const pendingEntries = {};
+    for (const symbol of symbols) {
+        // Aufwärmphase aus den Klines vor startDate (z.B. In-Sample-Fenster der Walk-Forward-Analyse)
+        const warmup = (this.warmupBySymbol[symbol] || []).map(klineToCandle);
+        candleHistories[symbol] = warmup.slice(Math.max(0, warmup.length - historyLength));
+    }
+
+    // ATR-basierte Stops, Volatilitäts-Sizing und volatilitätsabhängige Slippage: der Bot sieht zu jedem Zeitpunkt nur die ATR bereits abgeschlossener Kerzen
+    const slippage = (this.config.costModel && this.config.costModel.slippage) || {};
+    const needsAtr = this.simulatedBot.needsAtr() || slippage.model === 'volatility';
+    const atrTimelines = {};
+    const atrIndexes = {};
+    for (const symbol of symbols) {
+        atrTimelines[symbol] = needsAtr ? await this.loadAtrTimeline(symbol) : null;
+        atrIndexes[symbol] = -1;
+    }
+    const applyAtrUntil = (symbol, time) => {
+        const atrTimeline = atrTimelines[symbol];
+        if (!atrTimeline) return;
+        while (atrIndexes[symbol] + 1 < atrTimeline.length && atrTimeline[atrIndexes[symbol] + 1].closeTime <= time) {
+            atrIndexes[symbol]++;
+        }
+        this.simulatedBot.setAtr(symbol, atrIndexes[symbol] >= 0 ? atrTimeline[atrIndexes[symbol]].atr : null);
+    };
+
+    // Intrabar-Simulation: Kursverlauf innerhalb der Kerzen aus feineren Daten, sonst nach der Heuristik intrabar.fallback
+    const intrabar = this.backtestParams.intrabar || {};
+    const intrabarFallback = intrabar.fallback || 'open-low-high-close';
+    const intrabarPaths = {};
+    let heuristicCandles = 0;
+    if (intrabar.enabled) {
+        for (const symbol of symbols) {
+            intrabarPaths[symbol] = await this.loadIntrabarPath(symbol);
+        }
+    }
 
     // --- Simulations-Loop ---
-    // for (const kline of this.historicalData) {
-    //   const timestamp = kline[0];
-    //   const open = parseFloat(kline[1]);
-    //   const high = parseFloat(kline[2]);
-    //   const low = parseFloat(kline[3]);
-    //   const close = parseFloat(kline[4]);
-    //   const volume = parseFloat(kline[5]);
-    //
-    //   // 1. Update simulierten Bot mit neuen Preisdaten (z.B. close)
-    //   //    simulatedBot.processKline({ timestamp, open, high, low, close, volume });
-    //
-    //   // 2. Prüfe, ob Orders ausgelöst wurden (Stop-Loss, Take-Profit)
-    //   //    - Basierend auf high/low der aktuellen Kerze
-    //
-    //   // 3. Führe Bot-Logik aus (z.B. updateTrailingStops basierend auf close)
-    //
-    //   // 4. Simuliere Order-Ausführung für neue Signale
-    //   //    - Basierend auf Preisen der *nächsten* Kerze (z.B. open)
-    //
-    //   // 5. Aktualisiere simuliertes Konto und Positionen
-    //
-    //   // 6. Logge Trades
-    // }
-    for (let i = 0; i < this.historicalData.length; i++) {
-      const kline = this.historicalData[i];
-      const timestamp = kline[0];
-      const open = parseFloat(kline[1]);
-      const high = parseFloat(kline[2]);
-      const low = parseFloat(kline[3]);
-      const close = parseFloat(kline[4]);
-      // const volume = parseFloat(kline[5]); // Volumen wird aktuell nicht verwendet
-
-      this.logger.debug(`Processing kline ${i + 1}/${this.historicalData.length}: Time: ${new Date(timestamp).toISOString()}, O: ${open}, H: ${high}, L: ${low}, C: ${close}`);
+    // Pro Zeitschritt für alle Symbole mit einer Kerze:
+    //   1. Open einspeisen und ausstehende Einstiege ausführen
+    //   2. Kursverlauf innerhalb der Kerze einspeisen (löst Stops in der Paper-Exchange aus)
+    //   3. Ausgeführte Stops übernehmen, Take-Profits und Trailing-Stops aktualisieren
+    //      (mit intrabar.enabled nach jedem Preis des Kursverlaufs, sonst einmal pro Kerze)
+    //   4. Strategie auf der abgeschlossenen Kerze auswerten (Einstieg zum nächsten Open)
+    //   5. Portfolio-Kapital zum Schlusskurs festhalten
+    for (let step = 0; step < timeline.length; step++) {
+      const timestamp = timeline[step];
+      const bars = [];
+      for (const symbol of symbols) {
+          const index = klineIndexBySymbol[symbol].get(timestamp);
+          if (index === undefined) continue;
+          const kline = this.seriesBySymbol[symbol][index];
+          bars.push({
+              symbol,
+              kline,
+              index,
+              open: parseFloat(kline[1]),
+              high: parseFloat(kline[2]),
+              low: parseFloat(kline[3]),
+              close: parseFloat(kline[4])
+              // const volume = parseFloat(kline[5]); // Volumen wird aktuell nicht verwendet
+          });
+      }
+
+      this.logger.debug(`Processing step ${step + 1}/${timeline.length}: Time: ${new Date(timestamp).toISOString()}, ${bars.map(bar => `${bar.symbol} O: ${bar.open}, H: ${bar.high}, L: ${bar.low}, C: ${bar.close}`).join('; ')}`);
 
       // --- Simulation der Preisbewegung innerhalb der Kerze ---
-      // Vereinfachte Annahme: Wir prüfen Stops gegen High/Low und aktualisieren basierend auf Close.
-
-      const activePositions = this.simulatedBot.getActivePositions();
-
-      for (const position of activePositions) {
-          // 1. Update aktuellen Preis (für Profitberechnung etc.) auf den Schlusskurs der Kerze
-          position.currentPrice = close;
-          position.updateProfit(); // Internen Profit aktualisieren
-
-          // 2. Prüfe Stop-Loss Auslösung durch das Kerzen-Tief
-          // Wichtig: Nur prüfen, wenn ein Stop gesetzt wurde!
-          if (position.currentTrailingStop > 0 && low <= position.currentTrailingStop) {
-              this.logger.info(`[Backtest] Stop triggered for ${position.symbol} at kline ${i+1}. Low (${low}) <= Stop (${position.currentTrailingStop}). Closing position.`);
-              // Schließe die Position zum Stop-Preis (simulierte Ausführung)
-              // Der closePosition Call nutzt den BinanceClient im Paper-Modus, der eine simulierte Order zurückgibt
-              await this.simulatedBot.closePosition(position, position.currentTrailingStop, 'StopLoss (Backtest)');
-              // Da die Position geschlossen wurde, überspringe weitere Verarbeitung für diese Position in dieser Kerze
-              continue; // Nächste Position prüfen
-          }
+      // Ohne Intrabar-Simulation: Open -> Low -> High -> Close (bzw. intrabar.fallback). Stops werden von der Paper-Exchange ausgeführt:
+      // Innerhalb der Kerze zum Stop-Preis (plus Spread/Slippage), bei einer Kurslücke zum Open,
+      // und gar nicht, wenn der Kurs durch das Limit springt (die Order ruht dann als Limit-Order).
 
-          // 3. Update höchsten Preis (basierend auf Kerzen-Hoch) und Trailing Stop (basierend auf Schlusskurs)
-          // Wir müssen den höchsten Preis *vor* der Stop-Aktualisierung setzen
-          if (high > position.highestPrice) {
-              position.highestPrice = high;
-              this.logger.debug(`[Backtest] New highest price for ${position.symbol}: ${high}`);
-          }
+      // Das Open ist eine Kurslücke zum vorherigen Schlusskurs
+      for (const bar of bars) {
+          paperExchange.feedPrice(bar.symbol, bar.open, timestamp);
+      }
 
-          // Führe die Logik zur Stop-Aktualisierung aus (nutzt intern position.currentPrice = close)
-          // Diese Methode versucht auch, die Order im (Paper) BinanceClient zu aktualisieren
-          if (position.status === 'ACTIVE') { // Nur wenn noch aktiv
-             await this.simulatedBot.updateTrailingStops(); // Läuft über *alle* Positionen, aber wir sind im Loop pro Position... -> Besser: Nur für diese Position? Nein, die Methode ist für alle gedacht.
+      // Signale der vorherigen Kerze zum Open dieser Kerze ausführen (in der Reihenfolge der Watchlist)
+      for (const bar of bars) {
+          applyAtrUntil(bar.symbol, timestamp - 1);
+          if (pendingEntries[bar.symbol]) {
+              await this.executeEntry(pendingEntries[bar.symbol], bar.open, bar.index);
+              delete pendingEntries[bar.symbol];
           }
       }
-       // Führe updateTrailingStops *nach* der Preisaktualisierung aller Positionen aus
-       await this.simulatedBot.updateTrailingStops();
 
+      if (intrabar.enabled) {
+          // Kursverläufe aller Symbole zeitlich verschränkt abarbeiten
+          const events = [];
+          for (const bar of bars) {
+              const intrabarPath = intrabarPaths[bar.symbol];
+              let points = intrabarPath ? intrabarPath.between(bar.kline[0], bar.kline[6]) : [];
+              if (points.length === 0) {
+                  // Keine feineren Daten für diese Kerze
+                  heuristicCandles++;
+                  const pathTimes = candlePathTimes(bar.kline[0], bar.kline[6]);
+                  points = candlePath(bar.open, bar.high, bar.low, bar.close, intrabarFallback)
+                      .map((price, index) => ({ time: pathTimes[index], price }));
+              }
+              events.push(...points.map(point => ({ ...point, bar })));
+          }
+          events.sort((a, b) => a.time - b.time);
 
-      // --- Simulation neuer Einstiege (vereinfacht) ---
-      // Hier könnte Logik stehen, die entscheidet, ob eine neue Position eröffnet wird.
-      // Beispiel: Kaufe, wenn Preis X erreicht.
-      // const shouldOpenPosition = someStrategyLogic(close);
-      // if (shouldOpenPosition) {
-      //    const nextKlineOpen = (i + 1 < this.historicalData.length) ? parseFloat(this.historicalData[i+1][1]) : close;
-      //    this.logger.info(`[Backtest] Strategy triggered BUY for ${this.backtestParams.symbol} at kline ${i+1}. Simulating buy at next open: ${nextKlineOpen}`);
-      //    // Menge basierend auf Startkapital und Risiko berechnen
-      //    const positionSize = calculatePositionSize(this.results.currentBalance, nextKlineOpen, riskPerTrade);
-      //    await this.simulatedBot.createNewPosition(this.backtestParams.symbol, positionSize);
-      // }
+          for (const event of events) {
+              await this.processIntrabarPrice(paperExchange, event.bar, event.price, event.time);
+          }
+          // Der Kursverlauf endet in jedem Fall beim Schlusskurs der Kerze (aggTrades enden nicht genau dort)
+          for (const bar of bars) {
+              if (paperExchange.getPrice(bar.symbol) !== bar.close) {
+                  await this.processIntrabarPrice(paperExchange, bar, bar.close, bar.kline[6]);
+              }
+              applyAtrUntil(bar.symbol, bar.kline[6]);
+          }
+      } else {
+          for (const bar of bars) {
+              for (const price of candlePath(bar.open, bar.high, bar.low, bar.close, intrabarFallback).slice(1)) {
+                  paperExchange.feedPrice(bar.symbol, price, timestamp, true);
+              }
+              applyAtrUntil(bar.symbol, bar.kline[6]);
+          }
 
+          // Von der Paper-Exchange ausgeführte Stops übernehmen (schließt Positionen zum tatsächlichen Ausführungspreis)
+          await this.simulatedBot.reconcilePositions();
+
+          for (const bar of bars) {
+              const { symbol, high, low, close } = bar;
+              for (const position of this.simulatedBot.getActivePositions().filter(p => p.symbol === symbol)) {
+                  // 1. Update aktuellen Preis (für Profitberechnung etc.) auf den Schlusskurs der Kerze
+                  position.currentPrice = close;
+                  position.updateProfit(); // Internen Profit aktualisieren
+
+                  // 2. Take-Profit-Stufen, die vom Kerzen-Hoch (Long) bzw. -Tief (Short) erreicht wurden, zum Zielpreis ausführen
+                  const takeProfits = position.getTriggeredTakeProfits(low, high);
+                  for (const level of takeProfits) {
+                      if (position.status !== 'ACTIVE') break;
+                      const targetPrice = position.getTakeProfitPrice(level);
+                      this.logger.info(`[Backtest] Take-profit +${level.profitPercent}% reached for ${position.symbol} at kline ${bar.index + 1} (target ${targetPrice}).`);
+                      paperExchange.feedPrice(symbol, targetPrice, timestamp);
+                      await this.simulatedBot.executeTakeProfit(position, level, targetPrice);
+                  }
+                  if (takeProfits.length > 0) {
+                      // Die Kerze endet trotzdem beim Schlusskurs
+                      paperExchange.feedPrice(symbol, close, timestamp);
+                  }
+                  if (position.status !== 'ACTIVE') continue;
+
+                  // 3. Update höchsten/tiefsten Preis (basierend auf Kerzen-Hoch/-Tief)
+                  // Wir müssen die Extremwerte *vor* der Stop-Aktualisierung setzen
+                  position.updatePriceExtremes(high, low);
+              }
+          }
+      }
+      // Führe updateTrailingStops *nach* der Preisaktualisierung aller Positionen aus
+      // (nutzt intern position.currentPrice = close und aktualisiert die Orders im (Paper) BinanceClient)
+      await this.simulatedBot.updateTrailingStops();
+      // Circuit Breaker mit dem Kapital zum Kerzenschluss prüfen (kann alle Positionen schließen)
+      await this.simulatedBot.checkRiskLimits();
+
+
+      // --- Simulation neuer Einstiege ---
+      // Die Strategie sieht nur abgeschlossene Kerzen; ein Signal wird zum Open der *nächsten* Kerze ausgeführt
+      if (strategy) {
+          for (const bar of bars) {
+              const { symbol, kline } = bar;
+              const candleHistory = candleHistories[symbol];
+              // Gleitendes Fenster wie im Live-Bot (getHistoryLength)
+              const candle = klineToCandle(kline);
+              candleHistory.push(candle);
+              if (candleHistory.length > historyLength) candleHistory.shift();
+
+              if (candleHistory.length < historyLength) continue;
+
+              const hasPosition = this.simulatedBot.getActivePositions().some(p => p.symbol === symbol);
+              const signal = strategy.onKline(candle, {
+                  symbol,
+                  history: candleHistory,
+                  hasPosition
+              });
+
+              if (signal && (signal.action === 'BUY' || signal.action === 'SELL') && !hasPosition) {
+                  if (bar.index + 1 < this.seriesBySymbol[symbol].length) {
+                      this.logger.info(`[Backtest] Strategy triggered ${signal.action} for ${symbol} at kline ${bar.index + 1}: ${signal.reason || ''}. Simulating entry at next open.`);
+                      pendingEntries[symbol] = { symbol, signal, side: signal.action === 'SELL' ? 'SHORT' : 'LONG' };
+                  } else {
+                      this.logger.debug(`[Backtest] Ignoring signal on last kline of ${symbol}: ${signal.reason || ''}`);
+                  }
+              }
+          }
+      }
 
-      // TODO: Aktualisiere simuliertes Kapital basierend auf P/L geschlossener Trades (passiert implizit durch closePosition -> results.trades)
+      this.results.equityCurve.push({
+          time: timestamp,
+          equity: this.getPortfolioEquity(paperExchange, symbols),
+          openPositions: this.simulatedBot.getActivePositions().length,
+          benchmark: this.getBenchmarkEquity(paperExchange, benchmarkUnits)
+      });
     }
     // --- Ende Simulations-Loop ---
 
 
     // Berechne finale Statistiken
-    // Final balance = initial balance + sum of profits/losses from trades
-    const totalProfit = this.results.trades.reduce((sum, trade) => sum + (trade.profit || 0), 0);
-    this.results.finalBalance = this.results.initialBalance + totalProfit;
+    // Final balance = initial balance + sum of profits/losses from trades (laufend in currentBalance geführt)
+    this.results.finalBalance = this.results.currentBalance;
+    // Final equity = Guthaben inkl. offener Positionen zum letzten Schlusskurs
+    this.results.finalEquity = this.getPortfolioEquity(paperExchange, symbols);
+
+    // Intrabar-Simulation: Anzahl der Kerzen, für die keine feineren Daten vorlagen
+    this.results.intrabar = intrabar.enabled
+        ? { source: intrabar.source || 'klines', interval: intrabar.interval || '1m', fallback: intrabarFallback, heuristicCandles }
+        : null;
+    if (heuristicCandles > 0) {
+        this.logger.warn(`Intrabar simulation: no ${intrabar.source === 'aggTrades' ? 'aggTrades' : (intrabar.interval || '1m') + ' klines'} for ${heuristicCandles} candle(s), used ${intrabarFallback}.`);
+    }
+
+    // Ergebnis pro Symbol
+    this.results.symbols = {};
+    for (const symbol of symbols) {
+        const trades = this.results.trades.filter(trade => trade.symbol === symbol);
+        this.results.symbols[symbol] = {
+            trades: trades.length,
+            profit: trades.reduce((sum, trade) => sum + trade.profit, 0),
+            fees: trades.reduce((sum, trade) => sum + (trade.fees || 0), 0)
+        };
+    }
+
+    // Drawdown, Sharpe/Sortino/Calmar, Exposure, Erwartungswert, MAE/MFE und Buy-and-Hold-Vergleich
+    this.results.metrics = calculatePerformanceMetrics(this.results, { riskFreeRate: this.backtestParams.riskFreeRate });
+    this.results.drawdownCurve = this.results.metrics.drawdownCurve;
+    delete this.results.metrics.drawdownCurve;
 
     const stats = this.simulatedBot.getStatistics(); // Nutze Statistik-Funktion des Bots (basiert auf this.simulatedBot.profitHistory)
 
     this.logger.info("Backtest run finished.");
     this.logger.info("--- Backtest Summary ---");
     this.logger.info(`Period: ${this.backtestParams.startDate} to ${this.backtestParams.endDate}`);
-    this.logger.info(`Symbol: ${this.backtestParams.symbol}, Interval: ${this.backtestParams.interval}`);
+    this.logger.info(`Symbols: ${symbols.join(', ')}, Interval: ${this.backtestParams.interval}`);
     this.logger.info(`Total Trades: ${stats.totalTrades}`);
-    this.logger.info(`Total Profit: ${stats.totalProfit} USDT`); // Annahme USDT
+    this.logger.info(`Total Profit: ${stats.totalProfit} ${quoteAsset} (net of ${stats.totalFees.toFixed(2)} ${quoteAsset} fees)`);
     this.logger.info(`Win Rate: ${stats.winRate}%`);
-    this.logger.info(`Profit Factor: ${stats.profitFactor}`);
+    this.logger.info(`Profit Factor: ${stats.profitFactor !== null ? stats.profitFactor : 'n/a (no losing trades)'}`);
     this.logger.info(`Average Holding Time: ${stats.averageHoldingTimeHours} hours`);
-    this.logger.info(`Initial Balance: ${this.results.initialBalance.toFixed(2)} USDT`);
-    this.logger.info(`Final Balance: ${this.results.finalBalance.toFixed(2)} USDT`);
-
-    // Stelle sicher, dass die Statistiken im Bot auch aktuell sind (sollten sie durch closePosition sein)
-    if (JSON.stringify(stats) !== JSON.stringify(this.simulatedBot.getStatistics())) {
-        this.logger.warn("Mismatch between backtester trade results and bot internal statistics. Recalculating bot stats.");
-        // Ggf. hier die Statistikberechnung im Bot erneut anstoßen, falls nötig
+    this.logger.info(`Initial Balance: ${this.results.initialBalance.toFixed(2)} ${quoteAsset}`);
+    this.logger.info(`Final Balance: ${this.results.finalBalance.toFixed(2)} ${quoteAsset}`);
+    this.logger.info(`Final Equity: ${this.results.finalEquity.toFixed(2)} ${quoteAsset}`);
+    this.logger.info(`Max Drawdown: ${this.results.metrics.maxDrawdownPercent.toFixed(2)}%, Sharpe: ${this.results.metrics.sharpeRatio.toFixed(2)}, Sortino: ${this.results.metrics.sortinoRatio.toFixed(2)}`);
+    if (symbols.length > 1) {
+        for (const [symbol, result] of Object.entries(this.results.symbols)) {
+            this.logger.info(`  ${symbol}: ${result.trades} trade(s), profit ${result.profit.toFixed(2)} ${quoteAsset}`);
+        }
     }
 
+    // Z.B. Stops, deren Limit bei einer Kurslücke nicht ausgeführt wurde
+    for (const position of this.simulatedBot.getActivePositions()) {
+        this.logger.warn(`[Backtest] Position ${position.symbol} (${position.side}) is still open at the end of the backtest (stop ${position.currentTrailingStop}, unrealized ${position.profit.toFixed(2)} ${quoteAsset}). It is not included in the final balance, only in the final equity.`);
+    }
 
     return { ...this.results, statistics: stats }; // Gib gesammelte Ergebnisse und Statistiken zurück
   }
-}
\ No newline at end of file
+
+  // Fenster der Walk-Forward-Analyse: In-Sample [inSampleStart, inSampleEnd), direkt danach Out-of-Sample
+  // anchored: In-Sample beginnt immer bei startDate und wächst mit jedem Schritt
+  // Nur vollständige Out-of-Sample-Fenster; ein kürzerer Rest am Ende des Zeitraums wird nicht getestet
+  getWalkForwardWindows({ inSampleDays, outOfSampleDays, stepDays, anchored = false }) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const start = new Date(this.backtestParams.startDate).getTime();
+    const end = new Date(this.backtestParams.endDate).getTime();
+    const step = (stepDays || outOfSampleDays) * dayMs;
+    const windows = [];
+
+    for (let offset = 0; start + offset + (inSampleDays + outOfSampleDays) * dayMs <= end; offset += step) {
+        const inSampleEnd = start + offset + inSampleDays * dayMs;
+        windows.push({
+            inSampleStart: anchored ? start : start + offset,
+            inSampleEnd,
+            outOfSampleStart: inSampleEnd,
+            outOfSampleEnd: inSampleEnd + outOfSampleDays * dayMs
+        });
+    }
+    return windows;
+  }
+
+  // Walk-Forward-Analyse: Parameter auf jedem In-Sample-Fenster optimieren (siehe src/optimizer.js),
+  // auf das folgende Out-of-Sample-Fenster anwenden und die Out-of-Sample-Ergebnisse zu einer Equity-Kurve verketten.
+  // Jedes Out-of-Sample-Fenster startet mit dem Startkapital; die Kurven werden über ihre Renditen verkettet.
+  // Offene Positionen am Fensterende gehen mit ihrem Marktwert ein.
+  // Die Klines des vorangehenden In-Sample-Fensters dienen der Strategie als Aufwärmphase (ohne Handel).
+  async runWalkForward(optimizerOptions = {}) {
+    const walkForward = { inSampleDays: 90, outOfSampleDays: 30, ...this.backtestParams.walkForward };
+    const windows = this.getWalkForwardWindows(walkForward);
+    if (windows.length === 0) {
+        throw new Error(`Backtest period ${this.backtestParams.startDate} - ${this.backtestParams.endDate} is too short for a walk-forward window of ${walkForward.inSampleDays} + ${walkForward.outOfSampleDays} days`);
+    }
+    const objective = optimizerOptions.objective || 'return';
+    const toIso = time => new Date(time).toISOString();
+    this.logger.info(`Walk-forward analysis with ${windows.length} window(s): ${walkForward.inSampleDays} days in-sample, ${walkForward.outOfSampleDays} days out-of-sample${walkForward.anchored ? ' (anchored)' : ''}.`);
+
+    const windowResults = [];
+    const trades = [];
+    const equityCurve = [];
+    const stopHistory = [];
+    this.seriesBySymbol = {};
+    let initialBalance = null;
+
+    for (const [index, window] of windows.entries()) {
+        const inSampleConfig = setPath(setPath(this.config, 'backtestParams.startDate', toIso(window.inSampleStart)), 'backtestParams.endDate', toIso(window.inSampleEnd));
+        const optimizer = new Optimizer(inSampleConfig, optimizerOptions);
+        const optimization = await optimizer.run();
+
+        // Ohne gültiges In-Sample-Ergebnis (z.B. zu wenige Trades) gelten die Parameter der Konfiguration
+        const parameters = optimization.best ? optimization.best.parameters : {};
+        if (!optimization.best) {
+            this.logger.warn(`Walk-forward window ${index + 1}: no valid in-sample result, using the configured parameters.`);
+        }
+
+        let outOfSampleConfig = setPath(setPath(this.config, 'backtestParams.startDate', toIso(window.outOfSampleStart)), 'backtestParams.endDate', toIso(window.outOfSampleEnd));
+        outOfSampleConfig = setPath(outOfSampleConfig, 'backtestParams.warmupStartDate', toIso(window.inSampleStart));
+        for (const [name, value] of Object.entries(parameters)) {
+            outOfSampleConfig = setPath(outOfSampleConfig, name, value);
+        }
+        const backtester = new Backtester(outOfSampleConfig);
+        const results = await backtester.run();
+        if (!results) {
+            throw new Error(`Walk-forward window ${index + 1}: no historical data for the out-of-sample period`);
+        }
+        const summary = summarizeResults(results);
+        const outOfSampleScore = OBJECTIVES[objective](summary);
+
+        // Verkettung: die Kurve des Fensters wird auf das Endkapital des vorherigen Fensters skaliert
+        if (initialBalance === null) initialBalance = results.initialBalance;
+        const previous = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1] : { equity: initialBalance, benchmark: initialBalance };
+        const scale = previous.equity / results.initialBalance;
+        const benchmarkScale = previous.benchmark / results.initialBalance;
+        for (const point of results.equityCurve) {
+            equityCurve.push({ ...point, equity: point.equity * scale, benchmark: point.benchmark * benchmarkScale });
+        }
+        trades.push(...results.trades.map(trade => ({ ...trade, window: index + 1 })));
+        stopHistory.push(...results.stopHistory);
+        for (const [symbol, series] of Object.entries(backtester.seriesBySymbol)) {
+            this.seriesBySymbol[symbol] = (this.seriesBySymbol[symbol] || []).concat(series);
+        }
+
+        windowResults.push({
+            window: index + 1,
+            inSample: { start: toIso(window.inSampleStart), end: toIso(window.inSampleEnd) },
+            outOfSample: { start: toIso(window.outOfSampleStart), end: toIso(window.outOfSampleEnd) },
+            parameters,
+            optimized: optimization.best !== null,
+            inSampleScore: optimization.best ? optimization.best.score : null,
+            inSampleSummary: optimization.best ? optimization.best.summary : null,
+            outOfSampleScore: Number.isFinite(outOfSampleScore) ? outOfSampleScore : null,
+            outOfSampleSummary: summary
+        });
+        const formatScore = score => (Number.isFinite(score) ? score.toFixed(2) : '-');
+        this.logger.info(`Walk-forward window ${index + 1}/${windows.length}: ${JSON.stringify(parameters)}, in-sample ${objective} ${formatScore(optimization.best ? optimization.best.score : null)}, out-of-sample ${objective} ${formatScore(outOfSampleScore)}, return ${summary.totalReturnPercent.toFixed(2)}%`);
+    }
+
+    const finalEquity = equityCurve[equityCurve.length - 1].equity;
+    const walkForwardResults = {
+        windows: windowResults,
+        trades,
+        equityCurve,
+        stopHistory,
+        initialBalance,
+        finalBalance: finalEquity,
+        finalEquity,
+        symbols: {},
+        robustness: this.getWalkForwardRobustness(windowResults),
+        riskLimitHit: null
+    };
+    for (const symbol of this.getSymbols()) {
+        const symbolTrades = trades.filter(trade => trade.symbol === symbol);
+        walkForwardResults.symbols[symbol] = {
+            trades: symbolTrades.length,
+            profit: symbolTrades.reduce((sum, trade) => sum + trade.profit, 0),
+            fees: symbolTrades.reduce((sum, trade) => sum + (trade.fees || 0), 0)
+        };
+    }
+
+    walkForwardResults.metrics = calculatePerformanceMetrics(walkForwardResults, { riskFreeRate: this.backtestParams.riskFreeRate });
+    walkForwardResults.drawdownCurve = walkForwardResults.metrics.drawdownCurve;
+    delete walkForwardResults.metrics.drawdownCurve;
+    return walkForwardResults;
+  }
+
+  // Robustheit der Walk-Forward-Analyse:
+  //   - Anteil der Out-of-Sample-Fenster mit Gewinn
+  //   - Walk-Forward-Effizienz: annualisierte Out-of-Sample-Rendite / annualisierte In-Sample-Rendite (Mittelwerte)
+  //   - Stabilität der gewählten Parameter (Mittelwert, Standardabweichung, Variationskoeffizient)
+  getWalkForwardRobustness(windowResults) {
+    const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+    // Fenster ohne gültigen Wert (z.B. Profit-Faktor ohne Verlusttrade) zählen nicht zum Mittelwert
+    const meanScore = scores => mean(scores.filter(score => score !== null));
+    const optimized = windowResults.filter(window => window.optimized);
+    const inSampleReturn = mean(optimized.map(window => window.inSampleSummary.annualizedReturnPercent));
+    const outOfSampleReturn = mean(optimized.map(window => window.outOfSampleSummary.annualizedReturnPercent));
+
+    const parameterStability = {};
+    const names = [...new Set(optimized.flatMap(window => Object.keys(window.parameters)))];
+    for (const name of names) {
+        const values = optimized.map(window => window.parameters[name]).filter(value => typeof value === 'number');
+        const average = mean(values);
+        const stdDev = Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+        parameterStability[name] = { mean: average, stdDev, coefficientOfVariation: average !== 0 ? stdDev / Math.abs(average) : 0 };
+    }
+
+    return {
+        windows: windowResults.length,
+        optimizedWindows: optimized.length,
+        profitableWindowsPercent: windowResults.length > 0
+            ? windowResults.filter(window => window.outOfSampleSummary.totalReturnPercent > 0).length / windowResults.length * 100
+            : 0,
+        averageInSampleScore: meanScore(optimized.map(window => window.inSampleScore)),
+        averageOutOfSampleScore: meanScore(windowResults.map(window => window.outOfSampleScore)),
+        walkForwardEfficiency: inSampleReturn > 0 ? outOfSampleReturn / inSampleReturn : null,
+        parameterStability
+    };
+  }
+}
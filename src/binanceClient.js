@@ -0,0 +1,414 @@
+import Binance from 'node-binance-api';
+import { Logger } from './logger.js';
+import { PaperExchange } from './paperExchange.js';
+import { SymbolInfo } from './symbolInfo.js';
+import path from 'path';
+
+// Wrapper um node-binance-api mit einheitlicher Promise-Schnittstelle
+// Im 'paper'-Modus werden Orders nicht an Binance gesendet, sondern von der
+// eingebauten PaperExchange ausgeführt. Marktdaten (Preise, Klines) kommen in
+// beiden Modi von der öffentlichen Binance-API.
+//
+// marketType: 'spot', 'margin' (Cross Margin, Leerverkäufe per Auto-Borrow) oder
+// 'futures' (USDⓈ-M Futures). Short-Positionen sind nur mit 'margin' oder 'futures' möglich.
+//
+// Mengen und Preise aller Orders werden auf die Filter aus exchangeInfo gerundet (options.exchangeFilters),
+// Orders unter dem Mindestvolumen werden vor dem Senden mit einer klaren Fehlermeldung abgelehnt.
+export class BinanceClient {
+  constructor(apiKey, secretKey, logLevel = 'info', tradingMode = 'paper', options = {}) {
+    this.logger = new Logger(logLevel);
+    this.tradingMode = tradingMode;
+    this.marketType = options.marketType || 'spot';
+    
+    if (!['spot', 'margin', 'futures'].includes(this.marketType)) {
+      throw new Error(`Unsupported market type: ${this.marketType} (expected 'spot', 'margin' or 'futures')`);
+    }
+
+    // Direkter Zugriff auf die node-binance-api Instanz für Spezialfälle
+    this.binance = new Binance().options({
+      APIKEY: apiKey,
+      APISECRET: secretKey,
+      useServerTime: tradingMode === 'live',
+      recvWindow: 10000,
+      log: (...args) => this.logger.debug('[node-binance-api]', ...args)
+    });
+
+    // Paper-Exchange nur im Papierhandel
+    this.paperExchange = tradingMode === 'paper'
+      ? new PaperExchange({ initialBalances: options.initialBalances, costModel: options.costModel })
+      : null;
+
+    // Im Backtest werden Preise ausschließlich über paperExchange.feedPrice eingespeist
+    this.externalPriceFeed = this.isPaper() && options.externalPriceFeed === true;
+
+    // Tick-Größe, Lot-Größe und Mindestvolumen pro Symbol (Margin verwendet die Spot-Regeln)
+    const exchangeFilters = options.exchangeFilters || {};
+    const infoMarket = this.marketType === 'futures' ? 'futures' : 'spot';
+    this.symbolInfo = exchangeFilters.enabled === false ? null : new SymbolInfo(() => this.fetchExchangeInfo(), {
+      cacheFile: exchangeFilters.cacheDirectory ? path.join(exchangeFilters.cacheDirectory, `exchangeInfo-${infoMarket}.json`) : null,
+      maxAgeMs: exchangeFilters.maxAgeMs,
+      overrides: exchangeFilters.symbols,
+      offline: exchangeFilters.offline === true,
+      futures: this.marketType === 'futures',
+      logger: this.logger
+    });
+  }
+
+  isPaper() {
+    return this.paperExchange !== null;
+  }
+
+  // Leerverkäufe sind an der Spot-Börse nicht möglich
+  supportsShort() {
+    return this.marketType !== 'spot';
+  }
+
+  // node-binance-api bietet die Margin-Endpunkte nur mit Callbacks an
+  callMargin(method, ...args) {
+    return new Promise((resolve, reject) => {
+      this.binance[method](...args, (error, data) => (error ? reject(error) : resolve(data)));
+    });
+  }
+
+  // Futures-Antworten verwenden cumQuote statt cummulativeQuoteQty
+  normalizeFuturesOrder(order) {
+    return { ...order, cummulativeQuoteQty: order.cumQuote !== undefined ? order.cumQuote : order.cummulativeQuoteQty };
+  }
+
+  async fetchExchangeInfo() {
+    if (this.marketType === 'futures') {
+      return await this.binance.futuresExchangeInfo();
+    }
+    return await this.binance.exchangeInfo();
+  }
+
+  // Filter eines Symbols (null, wenn deaktiviert oder nicht verfügbar)
+  // Im Papierhandel erzwingt die Paper-Exchange dieselben Filter wie Binance
+  async getSymbolFilters(symbol) {
+    if (!this.symbolInfo) return null;
+
+    const filters = await this.symbolInfo.getFilters(symbol);
+    if (filters && this.isPaper()) {
+      this.paperExchange.setSymbolFilters(symbol, filters);
+    }
+    return filters;
+  }
+
+  // Rundet Menge und Preise einer Order auf die Filter des Symbols und prüft sie vor dem Senden
+  // Menge wird abgerundet, Limit-Preise nach außen (SELL ab-, BUY aufgerundet), Stop-Preise kaufmännisch
+  // Ergebnis: { quantity, price, stopPrice } als Strings bzw. unverändert, wenn keine Filter verfügbar sind
+  async prepareOrder(symbol, { side, type, quantity, price = null, stopPrice = null, reduceOnly = false }) {
+    const filters = await this.getSymbolFilters(symbol);
+    if (!filters) return { quantity, price, stopPrice };
+
+    const context = `${type} ${side} order for ${symbol}`;
+    const roundedQuantity = filters.roundQuantity(quantity, type);
+    if (!(roundedQuantity > 0)) {
+      const error = new Error(`${context} rejected: quantity ${quantity} rounds to 0 (step size ${filters.getLotSize(type).stepSize})`);
+      error.code = -1013;
+      throw error;
+    }
+    const roundedPrice = price !== null ? filters.roundPrice(price, side === 'SELL' ? 'floor' : 'ceil') : null;
+    const roundedStopPrice = stopPrice !== null ? filters.roundPrice(stopPrice) : null;
+
+    // Market-Orders werden gegen den aktuellen Preis geprüft (nur nötig, wenn ein Volumenfilter existiert)
+    let referencePrice = null;
+    if (type === 'MARKET' && (filters.minNotional > 0 || filters.maxNotional > 0)) {
+      referencePrice = this.isPaper() && this.paperExchange.getPrice(symbol) !== undefined
+        ? this.paperExchange.getPrice(symbol)
+        : parseFloat((await this.getPrice(symbol)).price);
+    }
+
+    const failure = filters.checkOrder({
+      type,
+      quantity: roundedQuantity,
+      price: roundedPrice,
+      stopPrice: roundedStopPrice,
+      referencePrice,
+      reduceOnly
+    });
+    if (failure) {
+      const error = new Error(`${context} rejected: ${failure.message} (${failure.filter})`);
+      error.code = -1013;
+      throw error;
+    }
+
+    return {
+      quantity: filters.formatQuantity(roundedQuantity, type),
+      price: roundedPrice !== null ? filters.formatPrice(roundedPrice) : null,
+      stopPrice: roundedStopPrice !== null ? filters.formatPrice(roundedStopPrice) : null
+    };
+  }
+
+  async testConnection() {
+    try {
+      const serverTime = await this.binance.time();
+      this.logger.debug(`Binance server time: ${serverTime.serverTime}`);
+
+      // Im Live-Modus zusätzlich prüfen, ob die API-Keys gültig sind
+      if (!this.isPaper()) {
+        if (this.marketType === 'futures') {
+          await this.binance.futuresAccount();
+        } else {
+          await this.binance.balance();
+        }
+      }
+
+      return true;
+    } catch (error) {
+      throw this.normalizeError(error, 'testConnection');
+    }
+  }
+
+  async getPrice(symbol) {
+    if (this.externalPriceFeed) {
+      const price = this.paperExchange.getPrice(symbol);
+      if (price === undefined) {
+        throw new Error(`getPrice(${symbol}): no simulated price has been fed yet`);
+      }
+      return { symbol, price: price.toString() };
+    }
+
+    try {
+      let price;
+      if (this.marketType === 'futures') {
+        const ticker = await this.binance.futuresPrices({ symbol });
+        price = ticker.price;
+      } else {
+        const prices = await this.binance.prices(symbol);
+        price = prices[symbol];
+      }
+
+      if (price === undefined) {
+        throw new Error(`No price returned for ${symbol}`);
+      }
+
+      // Im Papierhandel wird jeder abgefragte Preis in die Paper-Exchange eingespeist,
+      // damit ruhende Stop-Orders ausgelöst werden können
+      if (this.isPaper()) {
+        this.paperExchange.feedPrice(symbol, price);
+      }
+
+      return { symbol, price };
+    } catch (error) {
+      throw this.normalizeError(error, `getPrice(${symbol})`);
+    }
+  }
+
+  async getBalances() {
+    if (this.isPaper()) {
+      return this.paperExchange.getBalances();
+    }
+
+    try {
+      if (this.marketType === 'futures') {
+        return await this.binance.futuresBalance();
+      }
+      return await this.binance.balance();
+    } catch (error) {
+      throw this.normalizeError(error, 'getBalances');
+    }
+  }
+
+  // Guthaben eines Assets als Zahlen { asset, free, locked } im jeweiligen Markt (Spot-, Margin- oder Futures-Konto)
+  async getAssetBalance(asset) {
+    if (this.isPaper()) {
+      const balance = this.paperExchange.getBalance(asset);
+      return { asset, free: balance.free, locked: balance.locked };
+    }
+
+    try {
+      if (this.marketType === 'futures') {
+        const entry = (await this.binance.futuresBalance()).find(item => item.asset === asset) || {};
+        const total = parseFloat(entry.balance) || 0;
+        const free = parseFloat(entry.availableBalance) || 0;
+        return { asset, free, locked: Math.max(total - free, 0) };
+      }
+      if (this.marketType === 'margin') {
+        const account = await this.callMargin('mgAccount');
+        const entry = (account.userAssets || []).find(item => item.asset === asset) || {};
+        return { asset, free: parseFloat(entry.free) || 0, locked: parseFloat(entry.locked) || 0 };
+      }
+      const balances = await this.binance.balance();
+      const entry = balances[asset] || {};
+      return { asset, free: parseFloat(entry.available) || 0, locked: parseFloat(entry.onOrder) || 0 };
+    } catch (error) {
+      throw this.normalizeError(error, `getAssetBalance(${asset})`);
+    }
+  }
+
+  // options.reduceOnly: Order schließt eine bestehende Position (Margin: Kredit tilgen, Futures: reduceOnly)
+  async createMarketOrder(symbol, side, quantity, options = {}) {
+    const reduceOnly = options.reduceOnly === true;
+
+    // Papierhandel mit Live-Daten: zum aktuellen Marktpreis ausführen, nicht zum zuletzt abgefragten
+    if (this.isPaper() && !this.externalPriceFeed) {
+      await this.getPrice(symbol);
+    }
+
+    ({ quantity } = await this.prepareOrder(symbol, { side, type: 'MARKET', quantity, reduceOnly }));
+    this.logger.debug(`Creating ${side} market order for ${quantity} ${symbol} (${this.tradingMode}, ${this.marketType})`);
+
+    if (this.isPaper()) {
+      // Margin und Futures werden in der Paper-Exchange als geliehenes Basis-Asset simuliert
+      const sideEffectType = this.supportsShort() && side === 'SELL' && !reduceOnly ? 'MARGIN_BUY' : null;
+      return this.withAveragePrice(this.paperExchange.placeOrder({ symbol, side, type: 'MARKET', quantity, sideEffectType, reduceOnly }));
+    }
+
+    try {
+      let order;
+      if (this.marketType === 'futures') {
+        const params = reduceOnly ? { reduceOnly: 'true', newOrderRespType: 'RESULT' } : { newOrderRespType: 'RESULT' };
+        order = this.normalizeFuturesOrder(side === 'BUY'
+          ? await this.binance.futuresMarketBuy(symbol, quantity, params)
+          : await this.binance.futuresMarketSell(symbol, quantity, params));
+      } else if (this.marketType === 'margin') {
+        // Eröffnende Verkäufe leihen das Basis-Asset, schließende Orders tilgen den Kredit automatisch
+        const sideEffectType = reduceOnly ? 'AUTO_REPAY' : (side === 'SELL' ? 'MARGIN_BUY' : 'NO_SIDE_EFFECT');
+        order = await this.callMargin('mgOrder', side, symbol, quantity, 0, { type: 'MARKET', newOrderRespType: 'FULL', sideEffectType });
+      } else {
+        const flags = { type: 'MARKET', newOrderRespType: 'FULL' };
+        order = side === 'BUY'
+          ? await this.binance.marketBuy(symbol, quantity, flags)
+          : await this.binance.marketSell(symbol, quantity, flags);
+      }
+      return this.withAveragePrice(order);
+    } catch (error) {
+      throw this.normalizeError(error, `createMarketOrder(${symbol}, ${side})`);
+    }
+  }
+
+  async createStopLossOrder(symbol, side, quantity, stopPrice, limitPrice) {
+    const prepared = await this.prepareOrder(symbol, { side, type: 'STOP_LOSS_LIMIT', quantity, price: limitPrice, stopPrice, reduceOnly: true });
+    ({ quantity, stopPrice } = prepared);
+    limitPrice = prepared.price;
+    this.logger.debug(`Creating ${side} stop-limit order for ${quantity} ${symbol}: stop ${stopPrice}, limit ${limitPrice} (${this.tradingMode})`);
+
+    if (this.isPaper()) {
+      return this.paperExchange.placeOrder({
+        symbol,
+        side,
+        type: 'STOP_LOSS_LIMIT',
+        quantity,
+        price: limitPrice,
+        stopPrice,
+        timeInForce: 'GTC',
+        reduceOnly: true
+      });
+    }
+
+    try {
+      // Stop-Orders schließen immer eine Position
+      if (this.marketType === 'futures') {
+        return this.normalizeFuturesOrder(await this.binance.futuresOrder(side, symbol, quantity, limitPrice, {
+          type: 'STOP',
+          stopPrice,
+          timeInForce: 'GTC',
+          reduceOnly: 'true'
+        }));
+      }
+
+      const flags = {
+        type: 'STOP_LOSS_LIMIT',
+        stopPrice,
+        timeInForce: 'GTC',
+        newOrderRespType: 'FULL'
+      };
+      if (this.marketType === 'margin') {
+        return await this.callMargin('mgOrder', side, symbol, quantity, limitPrice, { ...flags, sideEffectType: 'AUTO_REPAY' });
+      }
+      return await this.binance.order(side, symbol, quantity, limitPrice, flags);
+    } catch (error) {
+      throw this.normalizeError(error, `createStopLossOrder(${symbol}, ${side})`);
+    }
+  }
+
+  async cancelOrder(symbol, orderId) {
+    if (this.isPaper()) {
+      return this.paperExchange.cancelOrder(symbol, orderId);
+    }
+
+    try {
+      if (this.marketType === 'futures') {
+        return this.normalizeFuturesOrder(await this.binance.futuresCancel(symbol, { orderId }));
+      }
+      if (this.marketType === 'margin') {
+        return await this.callMargin('mgCancel', symbol, orderId);
+      }
+      return await this.binance.cancel(symbol, orderId);
+    } catch (error) {
+      throw this.normalizeError(error, `cancelOrder(${symbol}, ${orderId})`);
+    }
+  }
+
+  // Status einer Order im Binance-Format (status: NEW, PARTIALLY_FILLED, FILLED, CANCELED, EXPIRED, REJECTED)
+  async getOrderStatus(symbol, orderId) {
+    if (this.isPaper()) {
+      return this.paperExchange.getOrder(symbol, orderId);
+    }
+
+    try {
+      if (this.marketType === 'futures') {
+        return this.normalizeFuturesOrder(await this.binance.futuresOrderStatus(symbol, { orderId }));
+      }
+      if (this.marketType === 'margin') {
+        return await this.callMargin('mgOrderStatus', symbol, orderId);
+      }
+      return await this.binance.orderStatus(symbol, orderId);
+    } catch (error) {
+      throw this.normalizeError(error, `getOrderStatus(${symbol}, ${orderId})`);
+    }
+  }
+
+  // Liefert Klines im Rohformat der Binance-API:
+  // [openTime, open, high, low, close, volume, closeTime, quoteVolume, trades, buyVolume, buyQuoteVolume, ignored]
+  async getHistoricalKlines(symbol, interval, limit = 500, options = {}) {
+    try {
+      const klines = this.marketType === 'futures'
+        ? await this.binance.futuresCandles(symbol, interval, { limit, ...options })
+        : await this.binance.candlesticks(symbol, interval, false, { limit, ...options });
+      if (!Array.isArray(klines)) {
+        throw new Error(`Unexpected kline response for ${symbol}: ${JSON.stringify(klines)}`);
+      }
+      return klines;
+    } catch (error) {
+      throw this.normalizeError(error, `getHistoricalKlines(${symbol}, ${interval})`);
+    }
+  }
+
+  // Market-Orders liefern bei Binance price = 0; der Bot benötigt den durchschnittlichen Ausführungspreis
+  withAveragePrice(order) {
+    if (parseFloat(order.price) > 0) return order;
+
+    const executedQty = parseFloat(order.executedQty);
+    const quoteQty = parseFloat(order.cummulativeQuoteQty);
+    if (executedQty > 0 && quoteQty > 0) {
+      return { ...order, price: (quoteQty / executedQty).toFixed(8) };
+    }
+
+    return order;
+  }
+
+  // node-binance-api wirft je nach Endpunkt Strings, HTTP-Antworten oder { code, msg } Bodies
+  normalizeError(error, context) {
+    if (error instanceof Error) {
+      error.message = `${context}: ${error.message}`;
+      return error;
+    }
+
+    let details = error;
+    if (error && typeof error.body === 'string') {
+      try {
+        details = JSON.parse(error.body);
+      } catch (parseError) {
+        details = { msg: error.body };
+      }
+    }
+
+    const normalized = new Error(`${context}: ${details && details.msg ? details.msg : JSON.stringify(details)}`);
+    if (details && details.code !== undefined) {
+      normalized.code = details.code;
+    }
+    return normalized;
+  }
+}
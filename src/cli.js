@@ -0,0 +1,313 @@
+import { parseArgs } from 'util';
+import { setPath } from './configLoader.js';
+
+// Kommandozeile des Bots: Befehle mit eigenen Optionen und generierter Hilfe
+//
+//   trailing-bot <befehl> [unterbefehl] [argumente] [optionen]
+//
+// Optionen werden pro Befehl deklariert. Optionen mit `path` setzen Konfigurationswerte
+// (bei Schaltern ohne Wert den Wert `value`) und haben Vorrang vor Datei, Profil und Umgebungsvariablen.
+
+function parseSymbolList(value) {
+  return value.split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean);
+}
+
+// Konfiguration: für alle Befehle, die eine Konfiguration laden
+const CONFIG_OPTIONS = [
+  { name: 'config', valueName: 'file', description: 'Config file (JSON or YAML), default TBB_CONFIG' },
+  { name: 'profile', valueName: 'name', description: 'Config profile, e.g. conservative or aggressive (default TBB_PROFILE)' },
+  { name: 'paper', path: 'tradingMode', value: 'paper', description: 'Paper trading (simulated orders)' },
+  { name: 'live', path: 'tradingMode', value: 'live', description: 'Live trading with real orders' },
+  { name: 'debug', path: 'logLevel', value: 'debug', description: 'Log level debug' },
+  { name: 'quiet', path: 'logLevel', value: 'error', description: 'Log errors only' }
+];
+
+// Handelsparameter (Bot und Backtest)
+const TRADING_OPTIONS = [
+  { name: 'symbol', valueName: 'symbol', path: ['symbol', 'backtestParams.symbol'], parse: value => value.trim().toUpperCase(), description: 'Trading pair, e.g. BTCUSDT' },
+  { name: 'symbols', valueName: 'list', path: ['symbols', 'backtestParams.symbols'], parse: parseSymbolList, description: 'Watchlist for portfolio mode, e.g. BTCUSDT,ETHUSDT' },
+  { name: 'position-size', valueName: 'amount', path: 'positionSize', parse: parseFloat, description: 'Position size in the quote asset' },
+  { name: 'sizing', valueName: 'method', path: 'sizing.method', description: 'Position sizing: fixed, risk or volatility' },
+  { name: 'risk-percent', valueName: 'percent', path: 'sizing.riskPercent', parse: parseFloat, description: 'Risk per trade for --sizing risk' },
+  { name: 'market-type', valueName: 'type', path: 'marketType', description: 'spot, margin or futures (shorts need margin or futures)' },
+  { name: 'strategy', valueName: 'name', path: 'strategy.name', description: 'Entry strategy, e.g. sma-crossover' }
+];
+
+// Historische Daten und Simulation (backtest, optimize, walk-forward)
+const BACKTEST_OPTIONS = [
+  { name: 'start-date', valueName: 'date', path: 'backtestParams.startDate', description: 'Start of the backtest period' },
+  { name: 'end-date', valueName: 'date', path: 'backtestParams.endDate', description: 'End of the backtest period' },
+  { name: 'interval', valueName: 'interval', path: 'backtestParams.interval', description: 'Kline interval, e.g. 1h' },
+  { name: 'data-file', valueName: 'file', path: 'backtestParams.dataFile', description: 'Read klines from a CSV/JSON file instead of cache/API' },
+  { name: 'import-data', valueName: 'file', description: 'Import a CSV/JSON kline file into the cache first' },
+  { name: 'offline', path: 'backtestParams.offline', value: true, description: 'Never download, use cached data only' },
+  { name: 'no-cache', path: 'backtestParams.useCache', value: false, description: 'Always download from Binance' },
+  { name: 'intrabar', path: 'backtestParams.intrabar.enabled', value: true, description: 'Simulate the price path inside each candle' },
+  { name: 'intrabar-interval', valueName: 'interval', path: 'backtestParams.intrabar.interval', description: 'Interval of the intrabar klines (default 1m)' },
+  { name: 'intrabar-file', valueName: 'file', description: 'Intrabar klines or aggTrades file for the main symbol' },
+  { name: 'intrabar-fallback', valueName: 'order', path: 'backtestParams.intrabar.fallback', description: 'Candle order without finer data: open-low-high-close, open-high-low-close or nearest' }
+];
+
+const OPTIMIZER_OPTIONS = [
+  { name: 'param', valueName: 'path=range', multiple: true, description: 'Parameter to optimize: <path>=<min>:<max>:<step> or <path>=<a>,<b> (repeatable)' },
+  { name: 'search', valueName: 'type', description: 'grid or random' },
+  { name: 'samples', valueName: 'count', description: 'Combinations for random search' },
+  { name: 'seed', valueName: 'number', description: 'Seed for random search' },
+  { name: 'objective', valueName: 'name', description: 'return, sharpe, sortino, calmar or profitFactor' },
+  { name: 'workers', valueName: 'count', description: 'Worker threads (default: CPU cores - 1)' }
+];
+
+// Stop-Einstellungen nur für die neue Position (position open); `setting` ist der Schlüssel wie in trailingStop
+const POSITION_SETTING_OPTIONS = [
+  { name: 'stop-distance', valueName: 'percent', setting: 'initialStopDistancePercent', description: 'Initial stop distance for this position (default: trailingStop)' },
+  { name: 'activation', valueName: 'percent', setting: 'activationThresholdPercent', description: 'Profit that activates the trailing stop for this position' },
+  { name: 'trailing-distance', valueName: 'percent', setting: 'trailingDistancePercent', description: 'Trailing distance for this position' }
+];
+
+const JSON_OPTION = { name: 'json', description: 'Print JSON instead of a table' };
+
+// Befehle; `subcommands` für Befehle wie `positions list`, `args` für Positionsargumente,
+// `needsApiKeys` für Befehle, die im Live-Modus auf das Konto zugreifen
+export const COMMANDS = {
+  run: {
+    description: 'Start the bot (manages open positions and evaluates the entry strategy)',
+    options: [
+      ...CONFIG_OPTIONS,
+      ...TRADING_OPTIONS,
+      { name: 'reset-risk-guard', description: 'Lift a triggered kill switch before starting' },
+      { name: 'close-on-exit', description: 'Close all positions on Ctrl+C' },
+      { name: 'api', path: 'controlApi.enabled', value: true, description: 'Start the HTTP control API and dashboard' },
+      { name: 'api-port', valueName: 'port', path: 'controlApi.port', parse: value => parseInt(value, 10), description: 'Port of the control API (default 8787)' },
+      { name: 'telegram', path: 'telegramControl.enabled', value: true, description: 'Start the Telegram remote control (telegramControl in the config)' }
+    ],
+    needsApiKeys: true
+  },
+  backtest: {
+    description: 'Run a backtest on historical data (no API keys needed with cached or file data)',
+    options: [...CONFIG_OPTIONS, ...TRADING_OPTIONS, ...BACKTEST_OPTIONS, { name: 'report', valueName: 'dir', description: 'Write report.html, trades.csv and results.json' }]
+  },
+  optimize: {
+    description: 'Optimize parameters with backtests on worker threads',
+    options: [...CONFIG_OPTIONS, ...TRADING_OPTIONS, ...BACKTEST_OPTIONS, ...OPTIMIZER_OPTIONS, { name: 'output', valueName: 'dir', description: 'Write optimization.csv and optimization.json' }]
+  },
+  'walk-forward': {
+    description: 'Walk-forward analysis: optimize in-sample, test out-of-sample',
+    options: [
+      ...CONFIG_OPTIONS, ...TRADING_OPTIONS, ...BACKTEST_OPTIONS, ...OPTIMIZER_OPTIONS,
+      { name: 'in-sample-days', valueName: 'days', description: 'Length of the in-sample windows' },
+      { name: 'out-of-sample-days', valueName: 'days', description: 'Length of the out-of-sample windows' },
+      { name: 'step-days', valueName: 'days', description: 'Distance between windows (default: out-of-sample days)' },
+      { name: 'anchored', description: 'In-sample windows always start at the start date' },
+      { name: 'report', valueName: 'dir', description: 'Write a report of the out-of-sample results' }
+    ]
+  },
+  positions: {
+    description: 'Show positions from the saved bot state',
+    subcommands: {
+      list: {
+        description: 'List open positions (reads the state file, no API keys needed)',
+        options: [...CONFIG_OPTIONS, JSON_OPTION]
+      }
+    }
+  },
+  position: {
+    description: 'Open or close a position (stop the running bot first, it owns the state file)',
+    subcommands: {
+      open: {
+        description: 'Open a position with trailing stop',
+        args: ['symbol'],
+        options: [
+          ...CONFIG_OPTIONS,
+          { name: 'side', valueName: 'side', description: 'long (default) or short' },
+          { name: 'size', valueName: 'amount', description: 'Position size in the quote asset (default: positionSize/sizing)' },
+          ...POSITION_SETTING_OPTIONS
+        ],
+        needsApiKeys: true
+      },
+      close: {
+        description: 'Close all open positions of a symbol at market',
+        args: ['symbol'],
+        options: [...CONFIG_OPTIONS],
+        needsApiKeys: true
+      }
+    }
+  },
+  stats: {
+    description: 'Trade statistics from the saved bot state',
+    options: [...CONFIG_OPTIONS, JSON_OPTION]
+  },
+  notifications: {
+    description: 'Notification channels',
+    subcommands: {
+      test: {
+        description: 'Send a test message to every configured notification channel',
+        options: [...CONFIG_OPTIONS]
+      }
+    }
+  },
+  config: {
+    description: 'Inspect the configuration',
+    subcommands: {
+      show: {
+        description: 'Print the merged configuration (defaults, file, profile, environment, flags)',
+        options: [...CONFIG_OPTIONS, ...TRADING_OPTIONS]
+      },
+      validate: {
+        description: 'Validate the configuration and report all problems',
+        options: [...CONFIG_OPTIONS, ...TRADING_OPTIONS]
+      }
+    }
+  }
+};
+
+// Frühere Aufrufe ohne Befehl (--backtest, --optimize, --walk-forward)
+const LEGACY_MODE_FLAGS = { '--backtest': 'backtest', '--optimize': 'optimize', '--walk-forward': 'walk-forward' };
+
+// Fehler der Kommandozeile (falscher Befehl, unbekannte Option); main gibt dazu die Hilfe aus
+export class UsageError extends Error {
+  constructor(message, commandName = null) {
+    super(message);
+    this.name = 'UsageError';
+    this.commandName = commandName;
+  }
+}
+
+// Zerlegt die Argumente in Befehl, Positionsargumente und Optionen
+// Ergebnis: { name: 'position open', command, args: { symbol }, values, help }
+export function parseCommandLine(argv) {
+  let rest = [...argv];
+  let commandName = 'run';
+
+  const legacyFlag = rest.find(arg => LEGACY_MODE_FLAGS[arg]);
+  if (rest.length > 0 && !rest[0].startsWith('-')) {
+    commandName = rest.shift();
+  } else if (legacyFlag) {
+    commandName = LEGACY_MODE_FLAGS[legacyFlag];
+    rest = rest.filter(arg => arg !== legacyFlag);
+  } else if (rest.includes('--help') || rest.includes('-h')) {
+    return { name: null, command: null, args: {}, values: {}, help: true };
+  }
+
+  if (commandName === 'help') {
+    return { name: rest.filter(arg => !arg.startsWith('-')).join(' ') || null, command: null, args: {}, values: {}, help: true };
+  }
+
+  let command = COMMANDS[commandName];
+  if (!command) {
+    throw new UsageError(`Unknown command '${commandName}'`);
+  }
+  let name = commandName;
+
+  if (command.subcommands) {
+    const subcommandName = rest.length > 0 && !rest[0].startsWith('-') ? rest.shift() : null;
+    if (!subcommandName) {
+      if (rest.includes('--help') || rest.includes('-h')) {
+        return { name, command, args: {}, values: {}, help: true };
+      }
+      throw new UsageError(`Missing subcommand for '${commandName}' (${Object.keys(command.subcommands).join(', ')})`, name);
+    }
+    if (!command.subcommands[subcommandName]) {
+      throw new UsageError(`Unknown subcommand '${commandName} ${subcommandName}' (expected ${Object.keys(command.subcommands).join(', ')})`, name);
+    }
+    command = command.subcommands[subcommandName];
+    name = `${commandName} ${subcommandName}`;
+  }
+
+  const options = { help: { type: 'boolean', short: 'h' } };
+  for (const option of command.options) {
+    options[option.name] = { type: option.valueName ? 'string' : 'boolean', multiple: option.multiple === true };
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options, allowPositionals: true, strict: true });
+  } catch (error) {
+    // Die Meldung von parseArgs für unbekannte Optionen erklärt Positionsargumente mit '-', hier genügt der Name
+    const unknownOption = error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' && error.message.match(/'([^']+)'/);
+    throw new UsageError(unknownOption ? `Unknown option '${unknownOption[1]}' for '${name}'` : error.message, name);
+  }
+
+  const values = { ...parsed.values };
+  if (values.help) {
+    return { name, command, args: {}, values, help: true };
+  }
+
+  const expectedArgs = command.args || [];
+  if (parsed.positionals.length !== expectedArgs.length) {
+    throw new UsageError(expectedArgs.length > 0
+      ? `'${name}' expects ${expectedArgs.map(arg => `<${arg}>`).join(' ')}`
+      : `Unexpected argument '${parsed.positionals[0]}' for '${name}'`, name);
+  }
+  const args = Object.fromEntries(expectedArgs.map((arg, index) => [arg, parsed.positionals[index]]));
+
+  return { name, command, args, values, help: false };
+}
+
+// Konfigurationswerte aus den Optionen eines Befehls
+export function getConfigOverrides(command, values) {
+  let overrides = {};
+  // Rückwärts, damit bei widersprüchlichen Schaltern der zuerst deklarierte gilt (--paper vor --live, --debug vor --quiet)
+  for (const option of [...command.options].reverse()) {
+    if (!option.path || values[option.name] === undefined) continue;
+    const value = option.valueName
+      ? (option.parse ? option.parse(values[option.name]) : values[option.name])
+      : option.value;
+    for (const keyPath of [].concat(option.path)) {
+      overrides = setPath(overrides, keyPath, value);
+    }
+  }
+  return overrides;
+}
+
+// Stop-Einstellungen der Position aus den Optionen von position open (POSITION_SETTING_OPTIONS), null ohne Angaben
+export function getPositionSettings(values) {
+  const settings = {};
+  for (const option of POSITION_SETTING_OPTIONS) {
+    if (values[option.name] === undefined) continue;
+    const value = parseFloat(values[option.name]);
+    if (!(value > 0)) {
+      throw new UsageError(`Invalid --${option.name} ${values[option.name]} (expected a number > 0)`);
+    }
+    settings[option.setting] = value;
+  }
+  return Object.keys(settings).length > 0 ? settings : null;
+}
+
+function formatOptions(options) {
+  const labels = options.map(option => `  --${option.name}${option.valueName ? ` <${option.valueName}>` : ''}`);
+  const width = Math.max(...labels.map(label => label.length)) + 2;
+  return options.map((option, index) => `${labels[index].padEnd(width)}${option.description}`).join('\n');
+}
+
+// Hilfetext: Übersicht aller Befehle oder die Optionen eines Befehls (z.B. 'backtest', 'position open')
+export function formatHelp(name = null) {
+  const [commandName, subcommandName] = (name || '').split(' ');
+  let command = COMMANDS[commandName];
+
+  if (!command) {
+    const lines = ['Usage: npm start -- <command> [options]', '', 'Commands:'];
+    for (const [key, entry] of Object.entries(COMMANDS)) {
+      if (entry.subcommands) {
+        for (const [subKey, subcommand] of Object.entries(entry.subcommands)) {
+          const usage = `${key} ${subKey}${(subcommand.args || []).map(arg => ` <${arg}>`).join('')}`;
+          lines.push(`  ${usage.padEnd(26)}${subcommand.description}`);
+        }
+      } else {
+        lines.push(`  ${key.padEnd(26)}${entry.description}`);
+      }
+    }
+    lines.push('', 'Without a command the bot starts (run). Use <command> --help for the options of a command.');
+    return lines.join('\n');
+  }
+
+  if (command.subcommands) {
+    if (!command.subcommands[subcommandName]) {
+      return [`Usage: npm start -- ${commandName} <${Object.keys(command.subcommands).join('|')}> [options]`, '', command.description, '',
+        ...Object.entries(command.subcommands).map(([key, subcommand]) => `  ${key.padEnd(12)}${subcommand.description}`)].join('\n');
+    }
+    command = command.subcommands[subcommandName];
+  }
+
+  const usage = `${name}${(command.args || []).map(arg => ` <${arg}>`).join('')}`;
+  return [`Usage: npm start -- ${usage} [options]`, '', command.description, '', 'Options:', formatOptions(command.options)].join('\n');
+}
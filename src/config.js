@@ -1,8 +1,14 @@
+import { validateSchema } from './configSchema.js';
+
 // Default-Konfiguration für den TrailingBinanceBot
 export const DEFAULT_CONFIG = {
     // Trading-Modus: 'live' für echten Handel, 'paper' für Papierhandel (Simulation)
     tradingMode: 'paper',
 
+    // Markt: 'spot', 'margin' (Cross Margin) oder 'futures' (USDⓈ-M Futures)
+    // Short-Positionen (Strategie-Signal 'SELL') sind nur mit 'margin' oder 'futures' möglich
+    marketType: 'spot',
+
     // Log-Level: 'error', 'warn', 'info', 'debug'
     logLevel: 'info',
 
@@ -15,9 +21,72 @@ export const DEFAULT_CONFIG = {
     // Symbol (Handelspaar) für den Handel
     symbol: 'BTCUSDT',
 
+    // Watchlist für den Portfolio-Modus: mehrere Symbole mit gemeinsamer Quote-Währung (leer = nur `symbol`)
+    // z.B. ['BTCUSDT', 'ETHUSDT', 'SOLUSDT']
+    symbols: [],
+
     // Größe der Position in der Quote-Währung (z.B. USDT)
     positionSize: 1000, // USDT
 
+    // Portfolio-Regeln für alle Positionen zusammen (siehe src/portfolioManager.js)
+    portfolio: {
+        // Maximale Anzahl gleichzeitig offener Positionen (0 = unbegrenzt)
+        maxOpenPositions: 5,
+        
+        // Maximaler Positionswert pro Symbol in Prozent des Kapitals (0 = unbegrenzt)
+        maxSymbolExposurePercent: 100,
+        
+        // Maximaler Positionswert aller Positionen in Prozent des Kapitals (0 = unbegrenzt)
+        maxTotalExposurePercent: 100,
+        
+        // Kapitalaufteilung: 'fixed' (positionSize pro Position) oder 'equal' (Kapital / maxOpenPositions)
+        allocation: 'fixed',
+        
+        // Anteil des freien Guthabens in Prozent, der nicht für neue Positionen verplant wird
+        // (Puffer für Preisänderungen zwischen Prüfung und Ausführung)
+        balanceReservePercent: 0.5
+    },
+
+    // Positionsgröße neuer Einstiege (siehe src/positionSizer.js)
+    sizing: {
+        // 'fixed' (positionSize bzw. portfolio.allocation), 'risk' (Fixed-Fractional) oder 'volatility' (ATR-Targeting)
+        method: 'fixed',
+        
+        // 'risk': Anteil des Kapitals in Prozent, der bis zum initialen Stop verloren gehen darf
+        riskPercent: 1,
+        
+        // 'volatility': Anteil des Kapitals in Prozent, der einer Preisbewegung um einen ATR entspricht
+        volatilityTargetPercent: 0.5,
+        
+        // Begrenzung des Risikos pro Trade auf multiplier * Kelly-Anteil der letzten lookbackTrades Trades
+        kelly: {
+            enabled: false,
+            multiplier: 0.5, // Half-Kelly
+            minTrades: 20, // erst ab dieser Anzahl Trades anwenden
+            lookbackTrades: 100,
+            floorPercent: 0.25 // Risiko in Prozent des Kapitals, wenn der Kelly-Anteil <= 0 ist
+        }
+    },
+
+    // Circuit Breaker auf Kontoebene (siehe src/riskGuard.js); 0 = Limit deaktiviert
+    // Ein erreichtes Limit stoppt neue Einstiege bis zum manuellen Reset (--reset-risk-guard)
+    riskLimits: {
+        // Maximaler Verlust des Kapitals seit Tagesbeginn (UTC) in Prozent
+        maxDailyLossPercent: 0,
+        
+        // Maximaler Rückgang vom Höchststand des Kapitals in Prozent
+        maxDrawdownPercent: 0,
+        
+        // Maximale Anzahl verlustreicher Trades in Folge
+        maxConsecutiveLosses: 0,
+        
+        // Maximale Anzahl neuer Positionen pro Tag (UTC)
+        maxTradesPerDay: 0,
+        
+        // Bei Auslösung alle offenen Positionen zum Marktpreis schließen
+        closePositionsOnHit: false
+    },
+
     // Trailing-Stop Einstellungen
     trailingStop: {
         // Initiale Stop-Loss-Distanz in Prozent vom Einstiegspreis
@@ -34,7 +103,201 @@ export const DEFAULT_CONFIG = {
         atrMultiplier: 0,
         
         // ATR-Zeitraum in Kerzen
-        atrPeriod: 14
+        atrPeriod: 14,
+        
+        // Kerzen-Intervall für die ATR-Berechnung
+        atrInterval: '1h',
+        
+        // Glättung der ATR: 'simple' (Durchschnitt der TR-Werte) oder 'wilder' (Wilder-Glättung)
+        atrSmoothing: 'simple',
+        
+        // Break-Even: ab diesem Gewinn in Prozent wird der Stop auf den Einstieg gezogen (0 = deaktiviert)
+        breakEvenTriggerPercent: 0,
+        
+        // Abstand des Break-Even-Stops über dem Einstieg in Prozent (deckt z.B. Gebühren ab)
+        breakEvenOffsetPercent: 0.2,
+        
+        // Profit-Locks: ab triggerPercent Gewinn wird mindestens lockPercent Gewinn gesichert
+        // z.B. [{ triggerPercent: 3, lockPercent: 1 }, { triggerPercent: 6, lockPercent: 3 }]
+        profitLocks: [],
+        
+        // Trailing-Stufen: ab profitPercent Gewinn gilt distancePercent als Trailing-Abstand (statt trailingDistancePercent/ATR)
+        // z.B. [{ profitPercent: 5, distancePercent: 1 }, { profitPercent: 10, distancePercent: 0.5 }]
+        trailingSteps: []
+    },
+
+    // Nachziehen der Stop-Order an der Exchange (stornieren und neu anlegen) bei neuen Hochs/Tiefs
+    // Begrenzt die Order-Rate bei schnellen Bewegungen: dazwischen zieht nur der Stop im Bot (currentTrailingStop) mit,
+    // die Order bleibt auf dem alten Stand. Erreicht der Kurs den Stop des Bots, wird sofort geschlossen.
+    stopOrderUpdates: {
+        // Mindestbewegung des Stops gegenüber der Order in Prozent (Stufenwechsel wie Break-Even immer)
+        minMovePercent: 0.05,
+
+        // Mindestabstand zwischen zwei Änderungen der Stop-Order einer Position in Millisekunden
+        minIntervalMs: 1000
+    },
+
+    // Kostenmodell für Papierhandel und Backtests (im Live-Handel nur zur Schätzung fehlender Gebühren)
+    costModel: {
+        // Gebühren in Prozent des Ordervolumens (Binance Spot ohne VIP-Stufe: 0.1%)
+        makerFeePercent: 0.1,
+        takerFeePercent: 0.1,
+        
+        // Gebühren in BNB zahlen (25% Rabatt)
+        bnbDiscount: false,
+        
+        // Geld-Brief-Spanne in Basispunkten; Market-Orders zahlen die Hälfte
+        spreadBps: 1,
+        
+        // Slippage marktfähiger Orders: 'fixed' (bps) oder 'volatility' (atrFraction * ATR, mindestens bps)
+        slippage: {
+            model: 'fixed',
+            bps: 2,
+            atrFraction: 0.05
+        }
+    },
+
+    // Handelsregeln der Exchange (exchangeInfo): Mengen und Preise werden auf stepSize/tickSize gerundet,
+    // Orders unter minNotional vor dem Senden abgelehnt; die Paper-Exchange erzwingt dieselben Filter
+    exchangeFilters: {
+        // Filter laden und anwenden
+        enabled: true,
+        
+        // Verzeichnis des exchangeInfo-Caches (exchangeInfo-spot.json / exchangeInfo-futures.json), null = kein Datei-Cache
+        cacheDirectory: 'data',
+        
+        // Nach dieser Zeit wird exchangeInfo neu geladen (24 Stunden)
+        maxAgeMs: 86400000,
+        
+        // Eigene Filter pro Symbol statt exchangeInfo, z.B. für Offline-Backtests ohne Cache:
+        // { BTCUSDT: { tickSize: 0.01, stepSize: 0.00001, minQty: 0.00001, minNotional: 5 } }
+        symbols: {}
+    },
+
+    // Take-Profit-Stufen mit Teilverkäufen (leer = nur Trailing-Stop)
+    takeProfit: {
+        // z.B. [{ profitPercent: 2, quantityPercent: 30 }, { profitPercent: 4, quantityPercent: 30 }]
+        // quantityPercent bezieht sich auf die Anfangsmenge, der Rest wird vom Trailing-Stop geschlossen
+        levels: []
+    },
+
+    // Einstiegsstrategie (siehe src/strategies.js)
+    strategy: {
+        // Name der Strategie: 'sma-crossover', 'rsi-oversold', 'breakout' oder null (keine automatischen Einstiege)
+        name: null,
+
+        // Strategie-spezifische Parameter, z.B. { fastPeriod: 10, slowPeriod: 30 } für 'sma-crossover'
+        params: {},
+
+        // Kerzen-Intervall, auf dem die Strategie im Live-Bot ausgewertet wird (im Backtest gilt backtestParams.interval)
+        interval: '1h'
+    },
+
+    // Echtzeit-Preise über die Binance WebSocket-API (Polling per refreshInterval bleibt als Fallback aktiv)
+    priceStream: {
+        // Stream verwenden
+        enabled: true,
+
+        // WebSocket-Endpunkt
+        url: 'wss://stream.binance.com:9443/ws',
+
+        // 'trade' (letzter Handelspreis) oder 'bookTicker' (Mittelkurs aus Bid/Ask)
+        streamType: 'trade',
+
+        // Ohne Nachricht innerhalb dieser Zeit gilt die Verbindung als tot und wird neu aufgebaut
+        heartbeatTimeoutMs: 30000,
+
+        // Wartezeit vor dem ersten Reconnect, verdoppelt sich bis maxReconnectDelayMs
+        reconnectDelayMs: 1000,
+        maxReconnectDelayMs: 30000
+    },
+
+    // Persistenz von offenen Positionen und Trade-Historie über Neustarts hinweg
+    persistence: {
+        // Zustand speichern und beim Start wiederherstellen
+        enabled: true,
+
+        // Verzeichnis der State-Dateien (state-live.json / state-paper.json)
+        directory: 'data'
+    },
+
+    // HTTP-Steuerung und Dashboard des laufenden Bots (siehe src/controlServer.js)
+    controlApi: {
+        // Server mit dem Bot starten (run)
+        enabled: false,
+
+        // Nur lokal erreichbar; für Zugriff von außen z.B. '0.0.0.0' (dann unbedingt mit eigenem Token)
+        host: '127.0.0.1',
+        port: 8787,
+
+        // Zugriffstoken für API, Event-Feed und Dashboard (null = beim Start zufällig erzeugt und geloggt)
+        token: null
+    },
+
+    // Fernsteuerung per Telegram-Bot: /status, /positions, /close, /open, /stop, /pause (siehe src/telegramControl.js)
+    telegramControl: {
+        // Mit dem Bot starten (run)
+        enabled: false,
+
+        // Token von @BotFather; kann derselbe Bot wie für die Benachrichtigungen sein
+        botToken: null,
+
+        // Chats, die den Bot steuern dürfen (Chat-IDs); Nachrichten aus anderen Chats werden ignoriert
+        allowedChatIds: [],
+
+        apiUrl: 'https://api.telegram.org',
+
+        // Long-Polling von getUpdates (Sekunden pro Anfrage)
+        pollTimeoutSeconds: 30,
+
+        // Im Live-Modus müssen /close, /open und /stop per Button bestätigt werden; danach verfällt die Anfrage
+        confirmTimeoutMs: 60000
+    },
+
+    // Benachrichtigungen über Trades, Stops und Fehler (siehe src/notifier.js)
+    notifications: {
+        enabled: false,
+
+        // Kanäle, z.B.
+        //   { type: 'telegram', botToken: '123:abc', chatId: '42', events: ['positionOpened', 'positionClosed'] }
+        //   { type: 'discord' | 'slack', webhookUrl: 'https://...' }
+        //   { type: 'webhook', url: 'https://...', headers: { Authorization: 'Bearer ...' } }
+        //   { type: 'email', smtp: { host, port, secure, user, password }, from, to } (benötigt nodemailer)
+        // Optional pro Kanal: name, events, symbols, templates ({ positionClosed: '{{symbol}}: {{profit}}' }),
+        // rateLimit ({ maxMessages, intervalMs }), retry ({ attempts, delayMs })
+        channels: []
+    },
+
+    // Einstellungen für den Papierhandel (simulierte Exchange)
+    paperTrading: {
+        // Startguthaben pro Asset
+        initialBalances: {
+            USDT: 10000
+        }
+    },
+
+    // Parameter-Optimierung (--optimize, siehe src/optimizer.js)
+    optimizer: {
+        // Parameter als Pfad in der Konfiguration: { min, max, step } oder Liste von Werten
+        parameters: {
+            'trailingStop.initialStopDistancePercent': { min: 1, max: 4, step: 0.5 },
+            'trailingStop.activationThresholdPercent': { min: 0.5, max: 3, step: 0.5 },
+            'trailingStop.trailingDistancePercent': { min: 0.5, max: 3, step: 0.5 }
+        },
+        
+        // 'grid' (alle Kombinationen) oder 'random' (samples zufällige Kombinationen, wiederholbar über seed)
+        search: 'grid',
+        samples: 50,
+        seed: 1,
+        
+        // Zielfunktion für das Ranking: 'return', 'sharpe', 'sortino', 'calmar' oder 'profitFactor'
+        objective: 'return',
+        
+        // Läufe mit weniger Trades werden nicht gewertet
+        minTrades: 5,
+        
+        // Anzahl Worker-Threads (0 = Anzahl CPU-Kerne - 1)
+        workers: 0
     },
 
     // Parameter für den Backtest-Modus
@@ -42,6 +305,9 @@ export const DEFAULT_CONFIG = {
         // Zu testendes Symbol
         symbol: 'BTCUSDT',
         
+        // Mehrere Symbole auf einer gemeinsamen Zeitachse testen (leer = nur `symbol`)
+        symbols: [],
+        
         // Kerzen-Intervall (1m, 5m, 15m, 1h, 4h, 1d, etc.)
         interval: '1h',
         
@@ -49,23 +315,397 @@ export const DEFAULT_CONFIG = {
         startDate: '2023-01-01T00:00:00Z',
         
         // Enddatum für den Test (ISO-Format)
-        endDate: '2023-06-30T23:59:59Z'
+        endDate: '2023-06-30T23:59:59Z',
+        
+        // Lokaler Kline-Cache: bereits geladene Daten werden wiederverwendet und nur Lücken nachgeladen
+        useCache: true,
+        
+        // Verzeichnis des Kline-Caches
+        dataDir: 'data/klines',
+        
+        // Offline-Modus: nie von Binance laden, fehlende Daten im Cache führen zu einem Fehler
+        offline: false,
+        
+        // Optional: CSV/JSON-Datei mit Klines, die statt Cache und API verwendet wird
+        dataFile: null,
+        
+        // Optional: Kline-Dateien pro Symbol für Multi-Symbol-Backtests, z.B. { ETHUSDT: 'eth.csv' }
+        dataFiles: {},
+        
+        // Risikofreier Zins pro Jahr (Anteil, z.B. 0.03) für Sharpe und Sortino Ratio
+        riskFreeRate: 0,
+        
+        // Walk-Forward-Analyse (--walk-forward): Optimierung auf In-Sample-, Test auf Out-of-Sample-Fenstern
+        walkForward: {
+            inSampleDays: 90,
+            outOfSampleDays: 30,
+            stepDays: null, // Abstand der Fenster (null = outOfSampleDays, lückenlose Out-of-Sample-Perioden)
+            anchored: false // true: In-Sample beginnt immer bei startDate
+        },
+        
+        // Intrabar-Simulation: Reihenfolge von Hoch und Tief innerhalb einer Kerze aus feineren Daten bestimmen
+        intrabar: {
+            // Kursverlauf jeder Kerze aus Daten eines kleineren Intervalls bzw. aus aggTrades nachbilden
+            enabled: false,
+            
+            // 'klines' (Kerzen des Intervalls interval, aus Datei, Cache oder API) oder 'aggTrades' (nur aus Dateien)
+            source: 'klines',
+            
+            // Intervall der feineren Kerzen
+            interval: '1m',
+            
+            // Optional: Dateien mit feineren Daten pro Symbol, z.B. { BTCUSDT: 'BTCUSDT-1m-2023-01.csv' }
+            dataFiles: {},
+            
+            // Reihenfolge innerhalb einer Kerze ohne feinere Daten (und innerhalb jeder feineren Kerze):
+            // 'open-low-high-close', 'open-high-low-close' oder 'nearest' (das näher am Open liegende Extrem zuerst)
+            fallback: 'open-low-high-close'
+        }
     }
 };
 
-// Funktion zur Validierung einer Konfiguration
-export function validateConfig(config) {
-    // Hier könnten Validierungen hinzugefügt werden
-    // z.B. Prüfung auf gültige Werte, erforderliche Felder, etc.
+// Reihenfolgen für den Kursverlauf innerhalb einer Kerze (backtestParams.intrabar.fallback)
+export const INTRABAR_FALLBACKS = ['open-low-high-close', 'open-high-low-close', 'nearest'];
+
+// Ereignisse des Bots, die Benachrichtigungen auslösen können (notifications.channels[].events)
+export const NOTIFICATION_EVENTS = ['positionOpened', 'positionClosed', 'stopUpdated', 'partialExit', 'riskLimitHit', 'error'];
+
+// Pflichtfelder der eingebauten Kanaltypen
+const NOTIFICATION_CHANNEL_FIELDS = {
+    telegram: ['botToken', 'chatId'],
+    discord: ['webhookUrl'],
+    slack: ['webhookUrl'],
+    webhook: ['url'],
+    email: ['smtp', 'from', 'to']
+};
+
+// Symbole, die der Bot handelt: die Watchlist oder, wenn sie leer ist, das einzelne Symbol
+export function getWatchlist(config) {
+    return Array.isArray(config.symbols) && config.symbols.length > 0 ? config.symbols : [config.symbol];
+}
+
+// Benannte Profile: Teil-Konfigurationen, die über die Defaults (und die Konfigurationsdatei) gelegt werden
+// (--profile <name> oder TBB_PROFILE). Konfigurationsdateien können unter `profiles` eigene Profile definieren.
+export const PROFILES = {
+    // Enge Stops, kleines Risiko pro Trade, frühe Circuit Breaker
+    conservative: {
+        trailingStop: {
+            initialStopDistancePercent: 1.5,
+            activationThresholdPercent: 0.8,
+            trailingDistancePercent: 1,
+            breakEvenTriggerPercent: 1
+        },
+        sizing: { method: 'risk', riskPercent: 0.5 },
+        portfolio: { maxOpenPositions: 3, maxTotalExposurePercent: 50 },
+        riskLimits: { maxDailyLossPercent: 3, maxDrawdownPercent: 10, maxConsecutiveLosses: 4 }
+    },
     
-    // Beispiel: Einfache Prüfung auf erforderliche Felder
-    const requiredFields = ['tradingMode', 'symbol', 'positionSize'];
+    // Weite Stops, mehr Risiko pro Trade, mehr gleichzeitige Positionen
+    aggressive: {
+        trailingStop: {
+            initialStopDistancePercent: 3,
+            activationThresholdPercent: 2,
+            trailingDistancePercent: 2.5
+        },
+        sizing: { method: 'risk', riskPercent: 2 },
+        portfolio: { maxOpenPositions: 8 },
+        riskLimits: { maxDailyLossPercent: 8, maxDrawdownPercent: 25 }
+    }
+};
+
+// Bausteine des Schemas (siehe src/configSchema.js)
+const positive = { type: 'number', min: 0, exclusiveMin: true };
+const nonNegative = { type: 'number', min: 0 };
+const nonNegativeInteger = { type: 'number', min: 0, integer: true };
+const positiveInteger = { type: 'number', min: 1, integer: true };
+const boolean = { type: 'boolean' };
+const string = { type: 'string' };
+const oneOf = (...values) => ({ type: 'string', enum: values });
+const interval = { type: 'string', pattern: /^\d+[mhdw]$/, patternDescription: "an interval like '1m', '4h' or '1d'" };
+const url = { type: 'string', pattern: /^https?:\/\//, patternDescription: 'an http:// or https:// URL' };
+const symbol = { type: 'string', pattern: /^[A-Z0-9]+$/, patternDescription: 'a symbol in upper case (e.g. BTCUSDT)' };
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+const map = values => ({ type: 'object', values });
+const list = items => ({ type: 'array', items });
+
+// Stop-Einstellungen (config.trailingStop, auch für Änderungen an einzelnen Positionen)
+export const TRAILING_STOP_SCHEMA = object({
+    initialStopDistancePercent: { type: 'number', min: 0, exclusiveMin: true, max: 100 },
+    activationThresholdPercent: nonNegative,
+    trailingDistancePercent: { type: 'number', min: 0, exclusiveMin: true, max: 100 },
+    atrMultiplier: nonNegative,
+    atrPeriod: positiveInteger,
+    atrInterval: interval,
+    atrSmoothing: oneOf('simple', 'wilder'),
+    breakEvenTriggerPercent: nonNegative,
+    breakEvenOffsetPercent: nonNegative,
+    profitLocks: list(object({ triggerPercent: positive, lockPercent: { type: 'number' } })),
+    trailingSteps: list(object({ profitPercent: nonNegative, distancePercent: positive }))
+});
+
+// Schema der Konfiguration: Typen und Wertebereiche aller Optionen
+export const CONFIG_SCHEMA = object({
+    tradingMode: oneOf('live', 'paper'),
+    marketType: oneOf('spot', 'margin', 'futures'),
+    logLevel: oneOf('silent', 'error', 'warn', 'info', 'debug'),
+    refreshInterval: positive,
+    volatilityUpdateInterval: positive,
+    symbol,
+    symbols: list(symbol),
+    positionSize: positive,
+    skipConnectionTest: boolean,
+    portfolio: object({
+        maxOpenPositions: nonNegativeInteger,
+        maxSymbolExposurePercent: nonNegative,
+        maxTotalExposurePercent: nonNegative,
+        allocation: oneOf('fixed', 'equal'),
+        balanceReservePercent: { type: 'number', min: 0, max: 100 }
+    }),
+    sizing: object({
+        method: oneOf('fixed', 'risk', 'volatility'),
+        riskPercent: { type: 'number', min: 0, exclusiveMin: true, max: 100 },
+        volatilityTargetPercent: { type: 'number', min: 0, exclusiveMin: true, max: 100 },
+        kelly: object({
+            enabled: boolean,
+            multiplier: { type: 'number', min: 0, exclusiveMin: true, max: 1 },
+            minTrades: nonNegativeInteger,
+            lookbackTrades: nonNegativeInteger,
+            floorPercent: nonNegative
+        })
+    }),
+    riskLimits: object({
+        maxDailyLossPercent: { type: 'number', min: 0, max: 100 },
+        maxDrawdownPercent: { type: 'number', min: 0, max: 100 },
+        maxConsecutiveLosses: nonNegativeInteger,
+        maxTradesPerDay: nonNegativeInteger,
+        closePositionsOnHit: boolean
+    }),
+    trailingStop: TRAILING_STOP_SCHEMA,
+    costModel: object({
+        makerFeePercent: nonNegative,
+        takerFeePercent: nonNegative,
+        bnbDiscount: boolean,
+        spreadBps: nonNegative,
+        slippage: object({
+            model: oneOf('fixed', 'volatility'),
+            bps: nonNegative,
+            atrFraction: nonNegative
+        })
+    }),
+    exchangeFilters: object({
+        enabled: boolean,
+        cacheDirectory: { ...string, nullable: true },
+        maxAgeMs: nonNegative,
+        offline: boolean,
+        symbols: map(object({ tickSize: positive, stepSize: positive, minQty: nonNegative, minNotional: nonNegative }))
+    }),
+    takeProfit: object({
+        levels: list(object({ profitPercent: positive, quantityPercent: { type: 'number', min: 0, exclusiveMin: true, max: 100 } }))
+    }),
+    strategy: object({
+        name: { ...string, nullable: true },
+        params: { type: 'object' },
+        interval
+    }),
+    stopOrderUpdates: object({
+        minMovePercent: nonNegative,
+        minIntervalMs: nonNegative
+    }),
+    priceStream: object({
+        enabled: boolean,
+        url: { type: 'string', pattern: /^wss?:\/\//, patternDescription: 'a WebSocket URL (ws:// or wss://)' },
+        streamType: oneOf('trade', 'bookTicker'),
+        heartbeatTimeoutMs: positive,
+        reconnectDelayMs: positive,
+        maxReconnectDelayMs: positive
+    }),
+    persistence: object({
+        enabled: boolean,
+        directory: string
+    }),
+    notifications: object({
+        enabled: boolean,
+        channels: list(object({
+            type: string,
+            name: string,
+            enabled: boolean,
+            events: list(oneOf(...NOTIFICATION_EVENTS)),
+            symbols: list(symbol),
+            templates: object(Object.fromEntries([...NOTIFICATION_EVENTS, 'test'].map(event => [event, string]))),
+            rateLimit: object({ maxMessages: positiveInteger, intervalMs: positive }),
+            retry: object({ attempts: positiveInteger, delayMs: nonNegative }),
+            botToken: string,
+            chatId: { oneOf: [string, { type: 'number', integer: true }] },
+            apiUrl: url,
+            webhookUrl: url,
+            username: string,
+            url,
+            method: oneOf('POST', 'PUT'),
+            headers: map(string),
+            smtp: object({
+                host: string,
+                port: positiveInteger,
+                secure: boolean,
+                user: string,
+                password: string
+            }),
+            from: string,
+            to: { oneOf: [string, list(string)] },
+            subjectPrefix: string
+        }))
+    }),
+    controlApi: object({
+        enabled: boolean,
+        host: string,
+        port: { type: 'number', min: 0, max: 65535, integer: true },
+        token: { ...string, nullable: true }
+    }),
+    telegramControl: object({
+        enabled: boolean,
+        botToken: { ...string, nullable: true },
+        allowedChatIds: list({ oneOf: [string, { type: 'number', integer: true }] }),
+        apiUrl: url,
+        pollTimeoutSeconds: { type: 'number', min: 0, max: 50, integer: true },
+        confirmTimeoutMs: positive
+    }),
+    paperTrading: object({
+        initialBalances: map(nonNegative),
+        externalPriceFeed: boolean
+    }),
+    optimizer: object({
+        parameters: map({ oneOf: [list({ type: 'any' }), object({ min: { type: 'number' }, max: { type: 'number' }, step: positive })] }),
+        search: oneOf('grid', 'random'),
+        samples: positiveInteger,
+        seed: { type: 'number' },
+        objective: oneOf('return', 'sharpe', 'sortino', 'calmar', 'profitFactor'),
+        minTrades: nonNegativeInteger,
+        workers: nonNegativeInteger
+    }),
+    backtestParams: object({
+        symbol,
+        symbols: list(symbol),
+        interval,
+        startDate: { type: 'date' },
+        endDate: { type: 'date' },
+        warmupStartDate: { type: 'date' },
+        useCache: boolean,
+        dataDir: string,
+        offline: boolean,
+        dataFile: { ...string, nullable: true },
+        dataFiles: map(string),
+        riskFreeRate: { type: 'number', min: 0, max: 1 },
+        walkForward: object({
+            inSampleDays: positive,
+            outOfSampleDays: positive,
+            stepDays: { ...positive, nullable: true },
+            anchored: boolean
+        }),
+        intrabar: object({
+            enabled: boolean,
+            source: oneOf('klines', 'aggTrades'),
+            interval,
+            dataFiles: map(string),
+            fallback: oneOf(...INTRABAR_FALLBACKS)
+        })
+    })
+});
+
+// Regeln, die mehrere Felder betreffen; Ergebnis: Liste von { path, message }
+function checkCrossFieldRules(config) {
+    const errors = [];
+    const trailingStop = config.trailingStop || {};
+    (trailingStop.profitLocks || []).forEach((lock, index) => {
+        if (lock.lockPercent >= lock.triggerPercent) {
+            errors.push({ path: `trailingStop.profitLocks[${index}]`, message: `lockPercent (${lock.lockPercent}) must be less than triggerPercent (${lock.triggerPercent})` });
+        }
+    });
+    if (trailingStop.breakEvenTriggerPercent > 0 && trailingStop.breakEvenOffsetPercent >= trailingStop.breakEvenTriggerPercent) {
+        errors.push({ path: 'trailingStop.breakEvenOffsetPercent', message: `must be less than breakEvenTriggerPercent (${trailingStop.breakEvenTriggerPercent}), otherwise the break-even stop is above the price that triggers it` });
+    }
+    
+    const levels = (config.takeProfit && config.takeProfit.levels) || [];
+    const totalQuantityPercent = levels.reduce((sum, level) => sum + (level.quantityPercent || 0), 0);
+    if (totalQuantityPercent > 100) {
+        errors.push({ path: 'takeProfit.levels', message: `take-profit levels sell ${totalQuantityPercent}% of the position (maximum 100%)` });
+    }
+    
+    const portfolio = config.portfolio || {};
+    if (portfolio.allocation === 'equal' && !(portfolio.maxOpenPositions > 0)) {
+        errors.push({ path: 'portfolio.maxOpenPositions', message: "must be > 0 with allocation 'equal' (capital is split by maxOpenPositions)" });
+    }
+    
+    const kelly = (config.sizing && config.sizing.kelly) || {};
+    if (kelly.enabled && kelly.lookbackTrades < kelly.minTrades) {
+        errors.push({ path: 'sizing.kelly.lookbackTrades', message: `must be >= minTrades (${kelly.minTrades})` });
+    }
+    
+    const priceStream = config.priceStream || {};
+    if (priceStream.reconnectDelayMs > priceStream.maxReconnectDelayMs) {
+        errors.push({ path: 'priceStream.reconnectDelayMs', message: `must be <= maxReconnectDelayMs (${priceStream.maxReconnectDelayMs})` });
+    }
     
-    for (const field of requiredFields) {
-        if (config[field] === undefined) {
-            throw new Error(`Missing required configuration field: ${field}`);
+    for (const [name, spec] of Object.entries((config.optimizer && config.optimizer.parameters) || {})) {
+        if (!Array.isArray(spec) && spec && spec.max < spec.min) {
+            errors.push({ path: `optimizer.parameters.${name}`, message: `max (${spec.max}) must be >= min (${spec.min})` });
         }
     }
     
+    const channels = (config.notifications && config.notifications.channels) || [];
+    channels.forEach((channel, index) => {
+        if (!channel.type) {
+            errors.push({ path: `notifications.channels[${index}].type`, message: `missing channel type (${Object.keys(NOTIFICATION_CHANNEL_FIELDS).join(', ')})` });
+        }
+        for (const field of NOTIFICATION_CHANNEL_FIELDS[channel.type] || []) {
+            if (channel[field] === undefined) {
+                errors.push({ path: `notifications.channels[${index}].${field}`, message: `required for ${channel.type} channels` });
+            }
+        }
+    });
+    
+    const telegramControl = config.telegramControl || {};
+    if (telegramControl.enabled) {
+        if (!telegramControl.botToken) {
+            errors.push({ path: 'telegramControl.botToken', message: 'required when telegramControl is enabled' });
+        }
+        if (!telegramControl.allowedChatIds || telegramControl.allowedChatIds.length === 0) {
+            errors.push({ path: 'telegramControl.allowedChatIds', message: 'at least one chat ID is required when telegramControl is enabled' });
+        }
+    }
+    
+    const backtestParams = config.backtestParams || {};
+    if (backtestParams.startDate && backtestParams.endDate && new Date(backtestParams.startDate) >= new Date(backtestParams.endDate)) {
+        errors.push({ path: 'backtestParams.endDate', message: `must be after startDate (${backtestParams.startDate})` });
+    }
+    const intrabar = backtestParams.intrabar || {};
+    if (intrabar.enabled && intrabar.source === 'aggTrades' && Object.keys(intrabar.dataFiles || {}).length === 0) {
+        errors.push({ path: 'backtestParams.intrabar.dataFiles', message: "source 'aggTrades' requires an aggTrades file per symbol" });
+    }
+    return errors;
+}
+
+// Prüft eine Konfiguration gegen CONFIG_SCHEMA und die feldübergreifenden Regeln
+// options.strict: unbekannte Optionen sind Fehler (für Konfigurationsdateien, Profile und Umgebungsvariablen)
+// options.partial: Teil-Konfiguration (z.B. ein Profil), Pflichtfelder dürfen fehlen
+// options.source: Herkunft für die Fehlermeldung (z.B. Dateiname)
+// Wirft einen Fehler mit allen gefundenen Problemen (error.code = 'INVALID_CONFIG', error.errors = [{ path, message }])
+export function validateConfig(config, options = {}) {
+    const errors = [];
+    for (const field of ['tradingMode', 'symbol', 'positionSize']) {
+        if (!options.partial && config[field] === undefined) {
+            errors.push({ path: field, message: 'missing required configuration field' });
+        }
+    }
+    errors.push(...validateSchema(config, CONFIG_SCHEMA, '', options));
+    // Feldübergreifende Regeln erst prüfen, wenn die einzelnen Felder gültig sind
+    if (errors.length === 0) {
+        errors.push(...checkCrossFieldRules(config));
+    }
+    
+    if (errors.length > 0) {
+        const error = new Error(`Invalid configuration${options.source ? ` (${options.source})` : ''}:\n${errors.map(entry => `  - ${entry.path}: ${entry.message}`).join('\n')}`);
+        error.code = 'INVALID_CONFIG';
+        error.errors = errors;
+        throw error;
+    }
     return true;
-}
\ No newline at end of file
+}
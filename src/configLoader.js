@@ -0,0 +1,184 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parse as parseYaml } from 'yaml';
+import { DEFAULT_CONFIG, PROFILES, validateConfig } from './config.js';
+
+// Laden der Konfiguration aus mehreren Quellen (spätere überschreiben frühere):
+//   1. DEFAULT_CONFIG
+//   2. Konfigurationsdatei (JSON oder YAML, --config <datei> oder TBB_CONFIG)
+//   3. Profil (--profile <name> oder TBB_PROFILE) aus `profiles` der Datei oder den eingebauten PROFILES
+//   4. Umgebungsvariablen TBB_<PFAD>, z.B. TBB_TRAILING_STOP__TRAILING_DISTANCE_PERCENT=1.2
+//   5. Kommandozeile (overrides)
+// Objekte werden rekursiv zusammengeführt, Listen ersetzt. Das Ergebnis ist eine eigene Kopie,
+// Änderungen daran wirken sich nicht auf DEFAULT_CONFIG aus.
+
+// Präfix der Umgebungsvariablen (TrailingBinanceBot)
+const ENV_PREFIX = 'TBB_';
+
+// Maps, die als Ganzes ersetzt und nicht mit den Defaults zusammengeführt werden
+const REPLACED_PATHS = ['optimizer.parameters', 'strategy.params', 'paperTrading.initialBalances'];
+
+// Nur einfache Objekte werden zusammengeführt; Instanzen (z.B. eine eigene Strategie-Klasse) und
+// Strategien als Objekt-Literal mit onKline bleiben unverändert
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  if (typeof value.onKline === 'function') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+// Tiefe Kopie von Objekten und Listen (Werte wie Infinity bleiben erhalten, anders als bei JSON)
+export function cloneConfig(value) {
+  if (Array.isArray(value)) return value.map(cloneConfig);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, cloneConfig(child)]));
+  }
+  return value;
+}
+
+function mergeInto(target, source, prefix) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined) continue;
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && isPlainObject(target[key]) && !REPLACED_PATHS.includes(keyPath)) {
+      mergeInto(target[key], value, keyPath);
+    } else {
+      target[key] = cloneConfig(value);
+    }
+  }
+  return target;
+}
+
+// Führt Konfigurationen rekursiv zusammen; Listen, einfache Werte und REPLACED_PATHS späterer Quellen ersetzen frühere
+export function deepMerge(...sources) {
+  const result = {};
+  for (const source of sources) {
+    if (isPlainObject(source)) mergeInto(result, source, '');
+  }
+  return result;
+}
+
+// Setzt einen Wert über einen Pfad wie 'trailingStop.atrMultiplier'; die Objekte entlang des Pfads werden kopiert, das Original bleibt unverändert
+export function setPath(object, keyPath, value) {
+  const [key, ...rest] = keyPath.split('.');
+  if (rest.length === 0) {
+    return { ...object, [key]: value };
+  }
+  return { ...object, [key]: setPath(object[key] || {}, rest.join('.'), value) };
+}
+
+// Parst den Inhalt einer Konfigurationsdatei (.json, .yaml oder .yml)
+export async function parseConfigText(text, filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  let parsed;
+
+  if (extension === '.json') {
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON in config file ${filePath}: ${error.message}`);
+    }
+  } else if (extension === '.yaml' || extension === '.yml') {
+    try {
+      parsed = parseYaml(text);
+    } catch (error) {
+      throw new Error(`Invalid YAML in config file ${filePath}: ${error.message}`);
+    }
+  } else {
+    throw new Error(`Unsupported config file format: ${filePath} (expected .json, .yaml or .yml)`);
+  }
+
+  if (parsed === null || parsed === undefined) return {};
+  if (!isPlainObject(parsed)) {
+    throw new Error(`Config file ${filePath} must contain an object at the top level`);
+  }
+  return parsed;
+}
+
+export async function readConfigFile(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+  }
+  return parseConfigText(text, filePath);
+}
+
+// Normalisierter Name für den Vergleich mit Umgebungsvariablen: 'trailingStop' und 'TRAILING_STOP' -> 'trailingstop'
+function normalizeKey(key) {
+  return key.replace(/_/g, '').toLowerCase();
+}
+
+// Wert einer Umgebungsvariable: JSON (Zahlen, true/false, null, Listen, Objekte), sonst der Text
+function parseEnvValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Konfigurationswerte aus Umgebungsvariablen: TBB_<SCHLÜSSEL>__<SCHLÜSSEL>..., z.B.
+//   TBB_TRADING_MODE=paper, TBB_TRAILING_STOP__TRAILING_DISTANCE_PERCENT=1.2, TBB_SYMBOLS='["BTCUSDT","ETHUSDT"]'
+// Die Schlüssel werden ohne Unterstriche und Groß-/Kleinschreibung mit den Defaults verglichen;
+// unbekannte Schlüssel (z.B. neue Symbole in Maps) werden unverändert übernommen.
+// TBB_CONFIG und TBB_PROFILE wählen Datei und Profil und sind keine Konfigurationswerte.
+export function getEnvOverrides(env = process.env, defaults = DEFAULT_CONFIG) {
+  let overrides = {};
+  for (const [name, value] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX) || name === 'TBB_CONFIG' || name === 'TBB_PROFILE' || value === undefined) continue;
+
+    const keys = [];
+    let node = defaults;
+    for (const segment of name.slice(ENV_PREFIX.length).split('__')) {
+      const key = isPlainObject(node)
+        ? Object.keys(node).find(candidate => normalizeKey(candidate) === normalizeKey(segment))
+        : undefined;
+      keys.push(key || segment);
+      node = key ? node[key] : undefined;
+    }
+    overrides = setPath(overrides, keys.join('.'), parseEnvValue(value));
+  }
+  return overrides;
+}
+
+// Teil-Konfiguration eines Profils; Profile der Datei haben Vorrang vor den eingebauten
+export function resolveProfile(name, fileProfiles = {}) {
+  const profiles = { ...PROFILES, ...fileProfiles };
+  if (!profiles[name]) {
+    throw new Error(`Unknown config profile '${name}' (available: ${Object.keys(profiles).join(', ')})`);
+  }
+  return profiles[name];
+}
+
+// Lädt, kombiniert und validiert die Konfiguration
+// options: { file, profile, env, overrides } - file und profile fallen auf TBB_CONFIG bzw. TBB_PROFILE zurück
+export async function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const file = options.file || env.TBB_CONFIG || null;
+  const profile = options.profile || env.TBB_PROFILE || null;
+
+  let fileConfig = {};
+  let fileProfiles = {};
+  if (file) {
+    const { profiles, ...rest } = await readConfigFile(file);
+    fileConfig = rest;
+    fileProfiles = profiles || {};
+    if (!isPlainObject(fileProfiles)) {
+      throw new Error(`Invalid 'profiles' in config file ${file}: expected an object of named profiles`);
+    }
+    validateConfig(fileConfig, { strict: true, partial: true, source: file });
+    for (const [name, profileConfig] of Object.entries(fileProfiles)) {
+      validateConfig(profileConfig, { strict: true, partial: true, source: `profile '${name}' in ${file}` });
+    }
+  }
+
+  const profileConfig = profile ? resolveProfile(profile, fileProfiles) : {};
+  const envOverrides = getEnvOverrides(env);
+  validateConfig(envOverrides, { strict: true, partial: true, source: 'environment variables TBB_*' });
+
+  const config = deepMerge(DEFAULT_CONFIG, fileConfig, profileConfig, envOverrides, options.overrides || {});
+  validateConfig(config, { strict: true });
+  return config;
+}
@@ -0,0 +1,110 @@
+// Schema-Validierung für Konfigurationsobjekte
+//
+// Ein Schema beschreibt Typ und zulässige Werte eines Konfigurationswerts:
+//   { type: 'number', min: 0, exclusiveMin: true, integer: false, max }
+//   { type: 'string', enum: ['a', 'b'], pattern: /.../, patternDescription: '...' }
+//   { type: 'boolean' } | { type: 'date' } (ISO-Datum als String) | { type: 'any' }
+//   { type: 'array', items: <schema> }
+//   { type: 'object', properties: { name: <schema> }, values: <schema> (für Maps wie { BTCUSDT: ... }) }
+//   { oneOf: [<schema>, ...] }
+// nullable: true erlaubt zusätzlich null. Fehlende Werte (undefined) sind immer erlaubt, da die Konfiguration
+// mit den Defaults zusammengeführt wird.
+
+// Lesbare Beschreibung des erwarteten Werts, z.B. "a number > 0"
+export function describeSchema(schema) {
+  let description;
+  if (schema.oneOf) {
+    description = schema.oneOf.map(describeSchema).join(' or ');
+  } else if (schema.enum) {
+    description = `one of ${schema.enum.map(value => `'${value}'`).join(', ')}`;
+  } else if (schema.type === 'number') {
+    const bounds = [];
+    if (schema.min !== undefined) bounds.push(`${schema.exclusiveMin ? '>' : '>='} ${schema.min}`);
+    if (schema.max !== undefined) bounds.push(`<= ${schema.max}`);
+    description = `${schema.integer ? 'an integer' : 'a number'}${bounds.length > 0 ? ` ${bounds.join(' and ')}` : ''}`;
+  } else if (schema.type === 'string') {
+    description = schema.patternDescription || 'a string';
+  } else if (schema.type === 'date') {
+    description = 'a date (e.g. 2024-01-31 or 2024-01-31T00:00:00Z)';
+  } else if (schema.type === 'array') {
+    description = schema.items ? `a list (each ${describeSchema(schema.items)})` : 'a list';
+  } else if (schema.type === 'object') {
+    description = 'an object';
+  } else if (schema.type === 'boolean') {
+    description = 'true or false';
+  } else {
+    description = 'any value';
+  }
+  return schema.nullable ? `${description} or null` : description;
+}
+
+function formatValue(value) {
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  const text = JSON.stringify(value);
+  return text !== undefined && text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// true, wenn value dem Schema entspricht (ohne Unterelemente)
+function matchesType(value, schema) {
+  switch (schema.type) {
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) return false;
+      if (schema.integer && Number.isFinite(value) && !Number.isInteger(value)) return false;
+      if (schema.min !== undefined && (schema.exclusiveMin ? value <= schema.min : value < schema.min)) return false;
+      if (schema.max !== undefined && value > schema.max) return false;
+      return true;
+    case 'string':
+      if (typeof value !== 'string') return false;
+      if (schema.enum && !schema.enum.includes(value)) return false;
+      if (schema.pattern && !schema.pattern.test(value)) return false;
+      return true;
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isPlainObject(value);
+    default:
+      return true;
+  }
+}
+
+// Prüft value rekursiv gegen schema und gibt alle Fehler als Liste zurück
+// options.strict: unbekannte Schlüssel in Objekten mit properties sind Fehler (z.B. Tippfehler in Konfigurationsdateien)
+export function validateSchema(value, schema, path = '', options = {}) {
+  if (value === undefined || (value === null && schema.nullable)) return [];
+
+  if (schema.oneOf) {
+    const matching = schema.oneOf.find(candidate => validateSchema(value, candidate, path, options).length === 0);
+    return matching ? [] : [{ path, message: `expected ${describeSchema(schema)}, got ${formatValue(value)}` }];
+  }
+
+  if (!matchesType(value, schema)) {
+    return [{ path, message: `expected ${describeSchema(schema)}, got ${formatValue(value)}` }];
+  }
+
+  const errors = [];
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`, options));
+    });
+  }
+  if (schema.type === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      const childSchema = (schema.properties && schema.properties[key]) || schema.values;
+      if (childSchema) {
+        errors.push(...validateSchema(child, childSchema, childPath, options));
+      } else if (options.strict && schema.properties) {
+        errors.push({ path: childPath, message: 'unknown configuration option' });
+      }
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,283 @@
+import http from 'http';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { WebSocketServer } from 'ws';
+import { Logger } from './logger.js';
+import { renderDashboard } from './dashboard.js';
+
+// HTTP-Steuerung des laufenden Bots: REST-API, WebSocket-Event-Feed und Dashboard
+//
+//   GET   /                                         Dashboard (lädt die Daten mit dem Token über die API)
+//   GET   /api/status                               Zustand (Modus, Watchlist, Pause, Kill-Switch)
+//   GET   /api/positions                            aktive Positionen
+//   GET   /api/statistics                           Handelsstatistiken
+//   POST  /api/positions                            Position eröffnen: { symbol, side: 'LONG' | 'SHORT', size, trailingSettings (optional) }
+//   POST  /api/positions/<symbol>/close             alle Positionen des Symbols schließen
+//   PATCH /api/positions/<symbol>/trailing-settings Trailing-Einstellungen ändern, z.B. { trailingDistancePercent: 0.8 }
+//   POST  /api/entries/pause | /api/entries/resume  neue Einstiege der Strategie pausieren/fortsetzen
+//   WS    /api/events                               Events des Bots als JSON: { type, data, time }
+//
+// Alle Pfade unter /api erfordern das Token, als Header "Authorization: Bearer <token>" oder als ?token=<token>
+// (der Browser kann beim WebSocket-Aufbau keine Header setzen).
+
+// Events des Bots, die an die WebSocket-Clients weitergegeben werden
+const FORWARDED_EVENTS = [
+  'positionOpened', 'positionClosed', 'stopUpdated', 'partialExit',
+  'riskLimitHit', 'entriesPaused', 'entriesResumed'
+];
+
+// Maximale Größe eines Request-Bodys
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Abstand der Pings an WebSocket-Clients; wer bis zum nächsten Ping nicht antwortet, wird getrennt
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Fehler mit HTTP-Status (z.B. 400 für ungültige Anfragen)
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Status für Fehler des Bots (error.code)
+const ERROR_STATUS = {
+  POSITION_NOT_FOUND: 404,
+  INVALID_SETTINGS: 400,
+  ENTRY_REJECTED: 409,
+  RISK_LIMIT: 409
+};
+
+function digest(value) {
+  return createHash('sha256').update(String(value)).digest();
+}
+
+async function readJsonBody(request) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+  if (size === 0) return {};
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+  }
+  // Alle Routen erwarten ein Objekt (null, Zahlen oder Listen würden erst beim Zugriff scheitern)
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  response.end(JSON.stringify(body));
+}
+
+export class ControlServer {
+  // options: { host, port, token, logger } - ohne Token wird ein zufälliges erzeugt (siehe generatedToken)
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port !== undefined ? options.port : 8787;
+    this.generatedToken = !options.token;
+    this.token = options.token || randomBytes(24).toString('hex');
+    this.tokenDigest = digest(this.token);
+    this.logger = options.logger || new Logger('info');
+
+    this.server = null;
+    this.webSocketServer = null;
+    this.heartbeatTimer = null;
+    this.eventListeners = [];
+
+    this.routes = [
+      ['GET', /^\/api\/status$/, () => this.getStatus()],
+      ['GET', /^\/api\/positions$/, () => this.bot.getActivePositions()],
+      ['GET', /^\/api\/statistics$/, () => this.bot.getStatistics()],
+      ['POST', /^\/api\/positions$/, (request, body) => this.openPosition(body)],
+      ['POST', /^\/api\/positions\/([A-Za-z0-9]+)\/close$/, (request, body, symbol) => this.closePosition(symbol)],
+      ['PATCH', /^\/api\/positions\/([A-Za-z0-9]+)\/trailing-settings$/, (request, body, symbol) => this.updateTrailingSettings(symbol, body)],
+      ['POST', /^\/api\/entries\/pause$/, () => this.setEntriesPaused(true)],
+      ['POST', /^\/api\/entries\/resume$/, () => this.setEntriesPaused(false)]
+    ];
+  }
+
+  // Startet HTTP-Server und Event-Feed; Ergebnis: URL des Dashboards
+  async start() {
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+    this.webSocketServer = new WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (request, socket, head) => this.handleUpgrade(request, socket, head));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    for (const type of FORWARDED_EVENTS) {
+      const listener = data => this.broadcast(type, data);
+      this.bot.on(type, listener);
+      this.eventListeners.push([type, listener]);
+    }
+
+    this.heartbeatTimer = setInterval(() => this.checkClients(), HEARTBEAT_INTERVAL_MS);
+    this.heartbeatTimer.unref();
+
+    const url = `http://${this.host}:${this.server.address().port}/`;
+    this.logger.info(`Control API listening on ${url}`);
+    if (this.generatedToken) {
+      this.logger.info(`Control API token (generated, set controlApi.token to keep it across restarts): ${this.token}`);
+    }
+    return url;
+  }
+
+  async stop() {
+    for (const [type, listener] of this.eventListeners) {
+      this.bot.off(type, listener);
+    }
+    this.eventListeners = [];
+
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    if (this.webSocketServer) {
+      for (const client of this.webSocketServer.clients) {
+        client.terminate();
+      }
+      this.webSocketServer.close();
+      this.webSocketServer = null;
+    }
+
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+  }
+
+  // true, wenn die Anfrage das richtige Token enthält (Vergleich in konstanter Zeit)
+  isAuthorized(request, url) {
+    const header = request.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+    return token !== null && token !== '' && timingSafeEqual(digest(token), this.tokenDigest);
+  }
+
+  async handleRequest(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+
+    try {
+      if (url.pathname === '/' || url.pathname === '/index.html') {
+        if (request.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+        response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+        response.end(renderDashboard());
+        return;
+      }
+
+      if (!url.pathname.startsWith('/api/')) throw new HttpError(404, 'Not found');
+      if (!this.isAuthorized(request, url)) throw new HttpError(401, 'Missing or invalid token');
+
+      const matching = this.routes.filter(([, pattern]) => pattern.test(url.pathname));
+      if (matching.length === 0) throw new HttpError(404, 'Not found');
+      const route = matching.find(([method]) => method === request.method);
+      if (!route) throw new HttpError(405, 'Method not allowed');
+
+      const body = request.method === 'GET' ? {} : await readJsonBody(request);
+      const params = url.pathname.match(route[1]).slice(1).map(value => value.toUpperCase());
+      const result = await route[2](request, body, ...params);
+      sendJson(response, 200, result);
+    } catch (error) {
+      const status = error.status || ERROR_STATUS[error.code] || 500;
+      if (status === 500) {
+        this.logger.error(`Control API error (${request.method} ${url.pathname}):`, error);
+      }
+      sendJson(response, status, { error: error.message });
+    }
+  }
+
+  handleUpgrade(request, socket, head) {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== '/api/events' || !this.isAuthorized(request, url)) {
+      socket.write(`HTTP/1.1 ${url.pathname === '/api/events' ? '401 Unauthorized' : '404 Not Found'}\r\nConnection: close\r\n\r\n`);
+      socket.destroy();
+      return;
+    }
+
+    this.webSocketServer.handleUpgrade(request, socket, head, client => {
+      client.isAlive = true;
+      client.on('pong', () => {
+        client.isAlive = true;
+      });
+      client.on('error', error => this.logger.debug(`Event feed client error: ${error.message}`));
+      client.send(JSON.stringify({ type: 'status', data: this.getStatus(), time: new Date().toISOString() }));
+    });
+  }
+
+  // Sendet ein Event an alle verbundenen Clients
+  broadcast(type, data) {
+    if (!this.webSocketServer) return;
+    const message = JSON.stringify({ type, data: data === undefined ? null : data, time: new Date().toISOString() });
+    for (const client of this.webSocketServer.clients) {
+      if (client.readyState === client.OPEN) {
+        client.send(message);
+      }
+    }
+  }
+
+  checkClients() {
+    for (const client of this.webSocketServer.clients) {
+      if (!client.isAlive) {
+        client.terminate();
+        continue;
+      }
+      client.isAlive = false;
+      client.ping();
+    }
+  }
+
+  getStatus() {
+    return { ...this.bot.getStatus(), eventClients: this.webSocketServer ? this.webSocketServer.clients.size : 0 };
+  }
+
+  async openPosition(body) {
+    const symbol = typeof body.symbol === 'string' ? body.symbol.trim().toUpperCase() : '';
+    const side = typeof body.side === 'string' ? body.side.toUpperCase() : 'LONG';
+    if (!/^[A-Z0-9]+$/.test(symbol)) throw new HttpError(400, "Missing or invalid 'symbol'");
+    if (side !== 'LONG' && side !== 'SHORT') throw new HttpError(400, "'side' must be LONG or SHORT");
+    // Optionale feste Größe in der Quote-Währung
+    const size = body.size !== undefined ? Number(body.size) : undefined;
+    if (size !== undefined && !(size > 0)) throw new HttpError(400, "'size' must be a number > 0");
+    // Optionale Stop-Einstellungen nur für diese Position, z.B. { initialStopDistancePercent: 3 }
+    const trailingSettings = body.trailingSettings;
+
+    return this.bot.openManualPosition(symbol, side, { value: size, trailingSettings });
+  }
+
+  async closePosition(symbol) {
+    const trades = await this.bot.closeSymbol(symbol, 'Manual close (control API)');
+    return { symbol, trades };
+  }
+
+  async updateTrailingSettings(symbol, settings) {
+    return this.bot.updatePositionSettings(symbol, settings);
+  }
+
+  async setEntriesPaused(paused) {
+    if (paused) {
+      await this.bot.pauseEntries();
+    } else {
+      await this.bot.resumeEntries();
+    }
+    return this.getStatus();
+  }
+}
@@ -0,0 +1,51 @@
+// Kostenmodell für Papierhandel und Backtests: Gebühren, Spread und Slippage
+//
+// Gebühren werden in Prozent des Ordervolumens in der Quote-Währung berechnet (Maker für
+// ruhende Limit-Orders, Taker für Market-Orders und ausgelöste Stops). Spread und Slippage
+// verschlechtern den Ausführungspreis marktfähiger Orders: BUY wird teurer, SELL billiger.
+//
+// Slippage-Modelle:
+//   'fixed'      - konstant slippage.bps Basispunkte
+//   'volatility' - atrFraction * ATR / Preis, mindestens slippage.bps (ohne bekannte ATR wie 'fixed')
+export class CostModel {
+  constructor(options = {}) {
+    this.makerFeePercent = parseFloat(options.makerFeePercent) || 0;
+    this.takerFeePercent = parseFloat(options.takerFeePercent) || 0;
+    this.bnbDiscount = options.bnbDiscount === true;
+    this.spreadBps = parseFloat(options.spreadBps) || 0;
+    this.slippage = { model: 'fixed', bps: 0, atrFraction: 0, ...options.slippage };
+
+    if (this.slippage.model !== 'fixed' && this.slippage.model !== 'volatility') {
+      throw new Error(`Unsupported slippage model: ${this.slippage.model} (expected 'fixed' or 'volatility')`);
+    }
+
+    // Zuletzt bekannte ATR pro Symbol für volatilitätsabhängige Slippage
+    this.volatility = {};
+  }
+
+  // Gebührensatz als Anteil (0.001 = 0.1%); mit BNB-Rabatt 25% günstiger
+  getFeeRate(liquidity = 'TAKER') {
+    const percent = liquidity === 'MAKER' ? this.makerFeePercent : this.takerFeePercent;
+    return (percent / 100) * (this.bnbDiscount ? 0.75 : 1);
+  }
+
+  setVolatility(symbol, atr) {
+    this.volatility[symbol] = atr > 0 ? atr : null;
+  }
+
+  // Slippage als Anteil des Preises
+  getSlippageFraction(symbol, price) {
+    const fixed = (parseFloat(this.slippage.bps) || 0) / 10000;
+    const atr = this.volatility[symbol];
+    if (this.slippage.model === 'volatility' && atr > 0 && price > 0) {
+      return Math.max(fixed, (parseFloat(this.slippage.atrFraction) || 0) * atr / price);
+    }
+    return fixed;
+  }
+
+  // Ausführungspreis einer marktfähigen Order: halber Spread und Slippage zu Lasten des Händlers
+  getExecutionPrice(side, price, symbol) {
+    const adjustment = this.spreadBps / 2 / 10000 + this.getSlippageFraction(symbol, price);
+    return side === 'BUY' ? price * (1 + adjustment) : price * (1 - adjustment);
+  }
+}
@@ -0,0 +1,204 @@
+// Dashboard der Control-API: eine eigenständige HTML-Seite ohne externe Dateien oder Skripte
+// Die Seite selbst enthält keine Daten; sie fragt nach dem Token (oder liest es aus #token=<token>),
+// lädt Zustand, Statistiken und Positionen über die API und aktualisiert sich über den Event-Feed.
+
+const DASHBOARD_SCRIPT = `
+const tokenFromHash = new URLSearchParams(location.hash.slice(1)).get('token');
+if (tokenFromHash) {
+  localStorage.setItem('controlApiToken', tokenFromHash);
+  history.replaceState(null, '', location.pathname);
+}
+let token = localStorage.getItem('controlApiToken') || '';
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function formatNumber(value, decimals = 2) {
+  return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(decimals) : '-';
+}
+
+async function api(method, path, body) {
+  const response = await fetch(path, {
+    method,
+    headers: { 'Authorization': 'Bearer ' + token, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const result = await response.json();
+  if (response.status === 401) {
+    askToken();
+  }
+  if (!response.ok) throw new Error(result.error || response.statusText);
+  return result;
+}
+
+function askToken() {
+  const value = prompt('Control API token');
+  if (value) {
+    token = value.trim();
+    localStorage.setItem('controlApiToken', token);
+    refresh();
+    connectEvents();
+  }
+}
+
+function logEvent(text, className = '') {
+  const item = document.createElement('li');
+  item.className = className;
+  item.textContent = new Date().toLocaleTimeString() + '  ' + text;
+  const list = document.getElementById('events');
+  list.prepend(item);
+  while (list.children.length > 100) list.lastChild.remove();
+}
+
+async function run(action) {
+  try {
+    await action();
+  } catch (error) {
+    logEvent('Error: ' + error.message, 'loss');
+  }
+  refresh();
+}
+
+function renderStatus(status) {
+  const entries = status.entriesPaused ? '<span class="loss">paused</span>' : 'active';
+  const riskGuard = status.riskHalt ? '<span class="loss">halted: ' + escapeHtml(status.riskHalt.reason) + '</span>' : 'ok';
+  document.getElementById('status').innerHTML = [
+    ['Mode', escapeHtml(status.tradingMode + ' (' + status.marketType + ')')],
+    ['Watchlist', escapeHtml(status.symbols.join(', '))],
+    ['Strategy', escapeHtml(status.strategy || 'none')],
+    ['Entries', entries],
+    ['Risk guard', riskGuard],
+    ['Open positions', status.openPositions]
+  ].map(([label, value]) => '<tr><th>' + label + '</th><td>' + value + '</td></tr>').join('');
+  document.getElementById('pause').textContent = status.entriesPaused ? 'Resume entries' : 'Pause entries';
+  document.getElementById('pause').dataset.paused = status.entriesPaused;
+}
+
+function renderStatistics(stats) {
+  document.getElementById('statistics').innerHTML = [
+    ['Trades', stats.totalTrades + ' (' + stats.winningTrades + ' won, ' + stats.losingTrades + ' lost)'],
+    ['Win rate', formatNumber(stats.winRate) + '%'],
+    ['Total profit', formatNumber(stats.totalProfit)],
+    ['Profit factor', formatNumber(stats.profitFactor)],
+    ['Average holding time', formatNumber(stats.averageHoldingTimeHours, 1) + ' h']
+  ].map(([label, value]) => '<tr><th>' + label + '</th><td>' + value + '</td></tr>').join('');
+}
+
+function renderPositions(positions) {
+  const rows = positions.map(position => '<tr>' + [
+    escapeHtml(position.symbol), position.side, position.quantity, position.entryPrice, position.currentPrice,
+    position.currentTrailingStop, position.stopStage,
+    '<span class="' + (position.profit >= 0 ? 'win' : 'loss') + '">' + formatNumber(position.profitPercent) + '%</span>'
+  ].map(value => '<td>' + value + '</td>').join('') +
+    '<td><button data-settings="' + escapeHtml(position.symbol) + '">Stop settings</button> ' +
+    '<button data-close="' + escapeHtml(position.symbol) + '">Close</button></td></tr>');
+  document.getElementById('positions').innerHTML = rows.length > 0 ? rows.join('') : '<tr><td colspan="9">No open positions</td></tr>';
+}
+
+async function refresh() {
+  if (!token) return;
+  try {
+    const [status, stats, positions] = await Promise.all([api('GET', '/api/status'), api('GET', '/api/statistics'), api('GET', '/api/positions')]);
+    renderStatus(status);
+    renderStatistics(stats);
+    renderPositions(positions);
+  } catch (error) {
+    logEvent('Error: ' + error.message, 'loss');
+  }
+}
+
+let socket = null;
+function connectEvents() {
+  if (!token) return;
+  if (socket) socket.close();
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  socket = new WebSocket(protocol + '//' + location.host + '/api/events?token=' + encodeURIComponent(token));
+  socket.onopen = () => logEvent('Connected to event feed');
+  socket.onmessage = message => {
+    const event = JSON.parse(message.data);
+    const data = event.data || {};
+    if (event.type === 'positionOpened') logEvent('Opened ' + data.side + ' ' + data.symbol + ' at ' + data.entryPrice);
+    else if (event.type === 'positionClosed') logEvent('Closed ' + data.symbol + ' at ' + data.exitPrice + ': ' + formatNumber(data.profit) + ' (' + formatNumber(data.profitPercent) + '%)', data.profit >= 0 ? 'win' : 'loss');
+    else if (event.type === 'partialExit') logEvent('Partial exit ' + data.symbol + ' ' + data.quantity + ' at ' + data.exitPrice);
+    else if (event.type === 'stopUpdated') logEvent('Stop ' + data.symbol + ' ' + data.currentTrailingStop + ' (' + data.stopStage + ')');
+    else if (event.type === 'riskLimitHit') logEvent('Risk limit hit: ' + data.reason, 'loss');
+    else if (event.type !== 'status') logEvent(event.type);
+    if (event.type !== 'status') refresh();
+  };
+  socket.onclose = event => {
+    logEvent('Event feed disconnected, reconnecting in 5 s', 'loss');
+    if (event.target === socket) setTimeout(connectEvents, 5000);
+  };
+}
+
+document.addEventListener('click', event => {
+  const target = event.target;
+  if (target.dataset.close && confirm('Close all ' + target.dataset.close + ' positions at market?')) {
+    run(() => api('POST', '/api/positions/' + target.dataset.close + '/close'));
+  } else if (target.dataset.settings) {
+    const value = prompt('Trailing settings for ' + target.dataset.settings + ' (JSON)', '{"trailingDistancePercent": 1}');
+    if (value) run(() => api('PATCH', '/api/positions/' + target.dataset.settings + '/trailing-settings', JSON.parse(value)));
+  } else if (target.id === 'pause') {
+    run(() => api('POST', target.dataset.paused === 'true' ? '/api/entries/resume' : '/api/entries/pause'));
+  } else if (target.id === 'token') {
+    askToken();
+  }
+});
+
+document.getElementById('open').addEventListener('submit', event => {
+  event.preventDefault();
+  const form = event.target;
+  run(() => api('POST', '/api/positions', { symbol: form.symbol.value, side: form.side.value }));
+});
+
+if (!token) askToken();
+refresh();
+connectEvents();
+setInterval(refresh, 15000);
+`;
+
+// HTML des Dashboards
+export function renderDashboard() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>TrailingBinanceBot</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 24px; color: #1f2328; }
+h1 { font-size: 22px; }
+h2 { font-size: 16px; margin-top: 24px; }
+.panels { display: flex; flex-wrap: wrap; gap: 32px; }
+table { border-collapse: collapse; font-size: 13px; }
+th, td { border: 1px solid #d0d7de; padding: 3px 8px; text-align: right; }
+th { background: #f6f8fa; text-align: left; }
+button, input, select { font-size: 13px; }
+#events { font-family: monospace; font-size: 12px; list-style: none; padding: 0; max-height: 320px; overflow-y: auto; }
+.win { color: #1a7f37; }
+.loss { color: #cf222e; }
+</style>
+</head>
+<body>
+<h1>TrailingBinanceBot <button id="token">Token</button></h1>
+<div class="panels">
+<div><h2>Status</h2><table id="status"></table><p><button id="pause">Pause entries</button></p></div>
+<div><h2>Statistics</h2><table id="statistics"></table></div>
+</div>
+<h2>Positions</h2>
+<table>
+<thead><tr><th>Symbol</th><th>Side</th><th>Quantity</th><th>Entry</th><th>Price</th><th>Stop</th><th>Stage</th><th>Profit</th><th></th></tr></thead>
+<tbody id="positions"></tbody>
+</table>
+<form id="open"><p>
+<input name="symbol" placeholder="BTCUSDT" required pattern="[A-Za-z0-9]+">
+<select name="side"><option>LONG</option><option>SHORT</option></select>
+<button type="submit">Open position</button>
+</p></form>
+<h2>Events</h2>
+<ul id="events"></ul>
+<script>${DASHBOARD_SCRIPT}</script>
+</body>
+</html>
+`;
+}
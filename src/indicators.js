@@ -0,0 +1,88 @@
+// Technische Indikatoren für Strategien und Volatilitätsberechnung
+// Alle Funktionen arbeiten auf einfachen Zahlen-Arrays (ältester Wert zuerst)
+
+// Einfacher gleitender Durchschnitt über die letzten `period` Werte
+export function sma(values, period) {
+  if (values.length < period || period <= 0) return null;
+
+  let sum = 0;
+  for (let i = values.length - period; i < values.length; i++) {
+    sum += values[i];
+  }
+  return sum / period;
+}
+
+// Relative Strength Index nach Wilder über die letzten `period` Veränderungen
+export function rsi(values, period = 14) {
+  if (values.length < period + 1) return null;
+
+  // Startwerte: einfacher Durchschnitt der ersten `period` Gewinne/Verluste
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) avgGain += change;
+    else avgLoss -= change;
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  // Wilder-Glättung für alle weiteren Werte
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  if (avgLoss === 0) return 100;
+  const rs = avgGain / avgLoss;
+  return 100 - (100 / (1 + rs));
+}
+
+// Höchster Wert der letzten `period` Einträge
+export function highest(values, period) {
+  if (values.length < period || period <= 0) return null;
+  return Math.max(...values.slice(-period));
+}
+
+// True Range einer Kerze: max(high - low, |high - prevClose|, |low - prevClose|)
+export function trueRange(high, low, prevClose) {
+  return Math.max(
+    high - low,
+    Math.abs(high - prevClose),
+    Math.abs(low - prevClose)
+  );
+}
+
+// ATR-Reihe über Kerzen { high, low, close }; Eintrag i ist die ATR nach Kerze i (null während der Aufwärmphase)
+// smoothing: 'simple' (Durchschnitt der letzten `period` TR-Werte) oder 'wilder' (Wilder-Glättung)
+export function atrSeries(candles, period = 14, smoothing = 'simple') {
+  if (smoothing !== 'simple' && smoothing !== 'wilder') {
+    throw new Error(`Unsupported ATR smoothing: ${smoothing} (expected 'simple' or 'wilder')`);
+  }
+
+  const series = new Array(candles.length).fill(null);
+  const trValues = [];
+  let previousAtr = null;
+
+  for (let i = 1; i < candles.length; i++) {
+    trValues.push(trueRange(candles[i].high, candles[i].low, candles[i - 1].close));
+    if (trValues.length < period) continue;
+
+    if (smoothing === 'wilder' && previousAtr !== null) {
+      previousAtr = (previousAtr * (period - 1) + trValues[trValues.length - 1]) / period;
+    } else {
+      previousAtr = sma(trValues, period);
+    }
+    series[i] = previousAtr;
+  }
+
+  return series;
+}
+
+// ATR nach der letzten Kerze (null, wenn nicht genügend Kerzen vorhanden sind)
+export function atr(candles, period = 14, smoothing = 'simple') {
+  if (candles.length === 0) return null;
+  const series = atrSeries(candles, period, smoothing);
+  return series[series.length - 1];
+}
@@ -0,0 +1,66 @@
+// Intrabar-Simulation für den Backtester
+//
+// Eine Kerze sagt nicht, ob zuerst das Hoch oder das Tief erreicht wurde. Mit feineren Daten
+// (z.B. 1m-Kerzen oder aggTrades) wird der Kursverlauf innerhalb jeder Kerze als zeitlich geordnete
+// Folge von Preisen nachgebildet. Ohne feinere Daten bestimmt eine Heuristik die Reihenfolge.
+
+// Reihenfolge der Extremwerte einer Kerze: [open, erstes Extrem, zweites Extrem, close]
+// fallback: 'open-low-high-close', 'open-high-low-close' oder 'nearest' (das näher am Open liegende Extrem zuerst)
+export function candlePath(open, high, low, close, fallback = 'open-low-high-close') {
+  let highFirst = fallback === 'open-high-low-close';
+  if (fallback === 'nearest') {
+    highFirst = high - open < open - low;
+  }
+  return highFirst ? [open, high, low, close] : [open, low, high, close];
+}
+
+// Zeitpunkte der vier Preise einer Kerze: Open, nach einem bzw. zwei Dritteln der Kerze, Close
+export function candlePathTimes(openTime, closeTime) {
+  const duration = closeTime - openTime;
+  return [openTime, openTime + Math.floor(duration / 3), openTime + Math.floor(duration * 2 / 3), closeTime];
+}
+
+// Kursverlauf aus (feineren) Klines im Binance-Rohformat
+// Ergebnis: { times, prices } als Float64Array, zeitlich sortiert
+export function klinesToPricePath(klines, fallback) {
+  const times = new Float64Array(klines.length * 4);
+  const prices = new Float64Array(klines.length * 4);
+
+  klines.forEach((kline, index) => {
+    const path = candlePath(parseFloat(kline[1]), parseFloat(kline[2]), parseFloat(kline[3]), parseFloat(kline[4]), fallback);
+    const pathTimes = candlePathTimes(kline[0], kline[6]);
+    for (let i = 0; i < 4; i++) {
+      times[index * 4 + i] = pathTimes[i];
+      prices[index * 4 + i] = path[i];
+    }
+  });
+
+  return { times, prices };
+}
+
+// Zeitlich sortierter Kursverlauf eines Symbols, der Kerze für Kerze abgefragt wird
+export class IntrabarPath {
+  constructor({ times, prices }) {
+    this.times = times;
+    this.prices = prices;
+    this.index = 0;
+  }
+
+  get length() {
+    return this.times.length;
+  }
+
+  // Preise im Zeitraum [fromTime, toTime] als [{ time, price }]
+  // Die Abfragen müssen zeitlich aufsteigend erfolgen (der Zeiger läuft nur vorwärts)
+  between(fromTime, toTime) {
+    while (this.index < this.times.length && this.times[this.index] < fromTime) {
+      this.index++;
+    }
+    const points = [];
+    while (this.index < this.times.length && this.times[this.index] <= toTime) {
+      points.push({ time: this.times[this.index], price: this.prices[this.index] });
+      this.index++;
+    }
+    return points;
+  }
+}
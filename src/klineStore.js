@@ -0,0 +1,319 @@
+import { promises as fs, createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+// Lokaler Speicher für historische Klines (Offline-Backtests)
+//
+// Klines werden als Segment-Dateien pro Symbol und Intervall abgelegt:
+//   <baseDir>/<SYMBOL>/<interval>/<SYMBOL>_<interval>_<startTime>_<endTime>.json
+// Jedes Segment deckt den Zeitraum [startTime, endTime] vollständig ab, auch wenn Binance
+// für Teile davon keine Kerzen geliefert hat. Dadurch kann der Backtester fehlende Bereiche
+// erkennen und nur diese nachladen. Angrenzende Segmente werden beim Speichern zusammengeführt.
+
+// Millisekunden pro Kerzen-Intervall (z.B. '1h' -> 3600000)
+export function intervalToMilliseconds(interval) {
+  const unit = interval.slice(-1);
+  const value = parseInt(interval.slice(0, -1));
+  switch (unit) {
+    case 'm': return value * 60 * 1000;
+    case 'h': return value * 60 * 60 * 1000;
+    case 'd': return value * 24 * 60 * 60 * 1000;
+    case 'w': return value * 7 * 24 * 60 * 60 * 1000;
+    // 'M' (Monat) ist ungenau, vermeiden oder speziell behandeln
+    default: throw new Error(`Unsupported interval unit: ${unit}`);
+  }
+}
+
+// Binance Public-Data Dumps verwenden seit 2025 Mikrosekunden-Zeitstempel
+function normalizeTimestamp(value) {
+  const timestamp = Number(value);
+  return timestamp > 1e14 ? Math.floor(timestamp / 1000) : timestamp;
+}
+
+// Parst einen CSV-Dump von data.binance.vision (mit oder ohne Kopfzeile)
+// Spalten: open_time, open, high, low, close, volume, close_time, quote_volume, count,
+//          taker_buy_volume, taker_buy_quote_volume, ignore
+export function parseKlineCsv(text) {
+  const klines = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const columns = line.split(',');
+    // Kopfzeile oder sonstige nicht-numerische Zeilen überspringen
+    if (!/^\d+$/.test(columns[0])) continue;
+
+    if (columns.length < 7) {
+      throw new Error(`Invalid kline CSV line (expected at least 7 columns): ${line}`);
+    }
+
+    klines.push([
+      normalizeTimestamp(columns[0]),
+      columns[1], columns[2], columns[3], columns[4], columns[5],
+      normalizeTimestamp(columns[6]),
+      columns[7] || '0',
+      Number(columns[8] || 0),
+      columns[9] || '0',
+      columns[10] || '0',
+      columns[11] || '0'
+    ]);
+  }
+
+  return klines;
+}
+
+// Akzeptiert sowohl das Binance-Rohformat (Arrays) als auch Objekte mit openTime, open, ...
+export function parseKlineJson(text) {
+  const data = JSON.parse(text);
+  const rows = Array.isArray(data) ? data : data.klines;
+
+  if (!Array.isArray(rows)) {
+    throw new Error("Invalid kline JSON: expected an array of klines or an object with a 'klines' array");
+  }
+
+  return rows.map(row => {
+    if (Array.isArray(row)) {
+      return [normalizeTimestamp(row[0]), ...row.slice(1, 6), normalizeTimestamp(row[6]), ...row.slice(7)];
+    }
+    return [
+      normalizeTimestamp(row.openTime), row.open, row.high, row.low, row.close, row.volume,
+      normalizeTimestamp(row.closeTime), row.quoteVolume || '0', row.trades || 0,
+      row.buyVolume || '0', row.buyQuoteVolume || '0', '0'
+    ];
+  });
+}
+
+// Liest eine Kline-Datei (.csv oder .json) und gibt sie nach Zeit sortiert und ohne Duplikate zurück
+export async function readKlineFile(filePath) {
+  const text = await fs.readFile(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  let klines;
+  if (extension === '.csv') {
+    klines = parseKlineCsv(text);
+  } else if (extension === '.json') {
+    klines = parseKlineJson(text);
+  } else {
+    throw new Error(`Unsupported kline file format: ${filePath} (expected .csv or .json)`);
+  }
+
+  return mergeKlines(klines);
+}
+
+// Liest aggTrades (.csv von data.binance.vision oder .json der API) als Kursverlauf für die Intrabar-Simulation
+// CSV-Spalten: agg_trade_id, price, quantity, first_trade_id, last_trade_id, transact_time, is_buyer_maker, ...
+// Die Datei wird zeilenweise gelesen (Monats-Dumps sind groß); aufeinanderfolgende Trades zum gleichen Preis
+// werden zusammengefasst. Ergebnis: { times, prices } als Float64Array, zeitlich sortiert
+export async function readAggTradeFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const times = [];
+  const prices = [];
+  let sorted = true;
+
+  const addTrade = (time, price) => {
+    if (!Number.isFinite(price) || price <= 0) return;
+    if (times.length > 0 && time < times[times.length - 1]) sorted = false;
+    if (sorted && prices.length > 0 && prices[prices.length - 1] === price) return;
+    times.push(time);
+    prices.push(price);
+  };
+
+  if (extension === '.csv') {
+    const lines = readline.createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+    for await (const rawLine of lines) {
+      const columns = rawLine.trim().split(',');
+      // Kopfzeile oder sonstige nicht-numerische Zeilen überspringen
+      if (!/^\d+$/.test(columns[0])) continue;
+      if (columns.length < 6) {
+        throw new Error(`Invalid aggTrades CSV line (expected at least 6 columns): ${rawLine}`);
+      }
+      addTrade(normalizeTimestamp(columns[5]), parseFloat(columns[1]));
+    }
+  } else if (extension === '.json') {
+    const rows = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (!Array.isArray(rows)) {
+      throw new Error(`Invalid aggTrades JSON in ${filePath}: expected an array`);
+    }
+    for (const row of rows) {
+      addTrade(normalizeTimestamp(row.T !== undefined ? row.T : row.time), parseFloat(row.p !== undefined ? row.p : row.price));
+    }
+  } else {
+    throw new Error(`Unsupported aggTrades file format: ${filePath} (expected .csv or .json)`);
+  }
+
+  if (!sorted) {
+    // Unsortierte Dateien (z.B. zusammengefügte Dumps) nachträglich ordnen
+    const order = times.map((time, index) => index).sort((a, b) => times[a] - times[b]);
+    return { times: Float64Array.from(order, index => times[index]), prices: Float64Array.from(order, index => prices[index]) };
+  }
+  return { times: Float64Array.from(times), prices: Float64Array.from(prices) };
+}
+
+// Führt Kline-Listen zusammen: sortiert nach Open Time, spätere Einträge überschreiben frühere
+export function mergeKlines(...lists) {
+  const byOpenTime = new Map();
+  for (const list of lists) {
+    for (const kline of list) {
+      byOpenTime.set(kline[0], kline);
+    }
+  }
+  return [...byOpenTime.values()].sort((a, b) => a[0] - b[0]);
+}
+
+// Findet Lücken in einer sortierten Kline-Liste (z.B. Wartungsarbeiten bei Binance)
+// Gibt Bereiche [{ from, to, missing }] mit der Open Time der ersten und letzten fehlenden Kerze zurück
+export function findGaps(klines, intervalMs) {
+  const gaps = [];
+  for (let i = 1; i < klines.length; i++) {
+    const expected = klines[i - 1][0] + intervalMs;
+    if (klines[i][0] > expected) {
+      gaps.push({
+        from: expected,
+        to: klines[i][0] - intervalMs,
+        missing: Math.round((klines[i][0] - expected) / intervalMs)
+      });
+    }
+  }
+  return gaps;
+}
+
+export class KlineStore {
+  constructor(baseDir = 'data/klines', logger = null) {
+    this.baseDir = baseDir;
+    this.logger = logger;
+  }
+
+  getDirectory(symbol, interval) {
+    return path.join(this.baseDir, symbol, interval);
+  }
+
+  getSegmentPath(symbol, interval, startTime, endTime) {
+    return path.join(this.getDirectory(symbol, interval), `${symbol}_${interval}_${startTime}_${endTime}.json`);
+  }
+
+  // Liste aller gespeicherten Segmente eines Symbols/Intervalls, sortiert nach Startzeit
+  async listSegments(symbol, interval) {
+    const directory = this.getDirectory(symbol, interval);
+    let files;
+    try {
+      files = await fs.readdir(directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const pattern = new RegExp(`^${symbol}_${interval}_(\\d+)_(\\d+)\\.json$`);
+    const segments = [];
+    for (const file of files) {
+      const match = file.match(pattern);
+      if (match) {
+        segments.push({
+          startTime: Number(match[1]),
+          endTime: Number(match[2]),
+          filePath: path.join(directory, file)
+        });
+      }
+    }
+
+    return segments.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  // Bereiche innerhalb von [startTime, endTime], die noch von keinem Segment abgedeckt sind
+  async getMissingRanges(symbol, interval, startTime, endTime) {
+    const segments = await this.listSegments(symbol, interval);
+    const missing = [];
+    let cursor = startTime;
+
+    for (const segment of segments) {
+      if (segment.endTime < cursor) continue;
+      if (segment.startTime > endTime) break;
+
+      if (segment.startTime > cursor) {
+        missing.push([cursor, segment.startTime - 1]);
+      }
+      cursor = Math.max(cursor, segment.endTime + 1);
+    }
+
+    if (cursor <= endTime) {
+      missing.push([cursor, endTime]);
+    }
+
+    return missing;
+  }
+
+  // Lädt alle gespeicherten Klines, deren Open Time in [startTime, endTime] liegt
+  async load(symbol, interval, startTime, endTime) {
+    const segments = await this.listSegments(symbol, interval);
+    const lists = [];
+
+    for (const segment of segments) {
+      if (segment.endTime < startTime || segment.startTime > endTime) continue;
+      const content = JSON.parse(await fs.readFile(segment.filePath, 'utf8'));
+      lists.push(content.klines.filter(kline => kline[0] >= startTime && kline[0] <= endTime));
+    }
+
+    return mergeKlines(...lists);
+  }
+
+  // Speichert Klines für den vollständig abgefragten Bereich [startTime, endTime]
+  // und führt das Segment mit überlappenden oder direkt angrenzenden Segmenten zusammen
+  async save(symbol, interval, startTime, endTime, klines) {
+    const segments = await this.listSegments(symbol, interval);
+    const neighbours = segments.filter(segment =>
+      segment.startTime <= endTime + 1 && segment.endTime + 1 >= startTime
+    );
+
+    let mergedStart = startTime;
+    let mergedEnd = endTime;
+    const lists = [];
+
+    for (const segment of neighbours) {
+      const content = JSON.parse(await fs.readFile(segment.filePath, 'utf8'));
+      lists.push(content.klines);
+      mergedStart = Math.min(mergedStart, segment.startTime);
+      mergedEnd = Math.max(mergedEnd, segment.endTime);
+    }
+    // Neue Daten zuletzt, damit sie ältere Einträge überschreiben
+    lists.push(klines);
+
+    const merged = mergeKlines(...lists);
+    const filePath = this.getSegmentPath(symbol, interval, mergedStart, mergedEnd);
+
+    await fs.mkdir(this.getDirectory(symbol, interval), { recursive: true });
+    // Erst schreiben, dann alte Segmente entfernen, damit bei einem Abbruch keine Daten verloren gehen
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ symbol, interval, startTime: mergedStart, endTime: mergedEnd, klines: merged }));
+    await fs.rename(tempPath, filePath);
+
+    for (const segment of neighbours) {
+      if (segment.filePath !== filePath) {
+        await fs.unlink(segment.filePath);
+      }
+    }
+
+    if (this.logger) {
+      this.logger.debug(`Stored ${klines.length} klines for ${symbol} ${interval} (segment ${new Date(mergedStart).toISOString()} - ${new Date(mergedEnd).toISOString()}, ${merged.length} klines)`);
+    }
+
+    return { startTime: mergedStart, endTime: mergedEnd, count: merged.length };
+  }
+
+  // Importiert einen CSV/JSON-Dump in den Speicher; der abgedeckte Bereich ergibt sich aus der ersten und letzten Kerze
+  async importFile(filePath, symbol, interval) {
+    const klines = await readKlineFile(filePath);
+    if (klines.length === 0) {
+      throw new Error(`No klines found in ${filePath}`);
+    }
+
+    const startTime = klines[0][0];
+    const endTime = klines[klines.length - 1][6];
+    const result = await this.save(symbol, interval, startTime, endTime, klines);
+
+    if (this.logger) {
+      this.logger.info(`Imported ${klines.length} klines for ${symbol} ${interval} from ${filePath}`);
+    }
+
+    return { ...result, imported: klines.length };
+  }
+}
@@ -2,6 +2,7 @@ export class Logger {
   constructor(level = 'info') {
     this.level = level;
     this.levels = {
+      silent: -1, // z.B. Backtests in Worker-Threads des Optimizers
       error: 0,
       warn: 1,
       info: 2,
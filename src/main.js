@@ -1,7 +1,15 @@
-import { TrailingProfitMaximizer } from './trailingProfitMaximizer.js';
+import { TrailingProfitMaximizer, calculateTradeStatistics } from './trailingProfitMaximizer.js';
 import { Backtester } from './backtester.js';
-import { DEFAULT_CONFIG } from './config.js';
+import { loadConfig } from './configLoader.js';
 import { Logger } from './logger.js';
+import { KlineStore } from './klineStore.js';
+import { StateStore, getStateFilePath } from './stateStore.js';
+import { writeBacktestReport } from './reportWriter.js';
+import { Optimizer, writeOptimizationResults } from './optimizer.js';
+import { ControlServer } from './controlServer.js';
+import { Notifier } from './notifier.js';
+import { TelegramControl } from './telegramControl.js';
+import { parseCommandLine, getConfigOverrides, getPositionSettings, formatHelp, UsageError } from './cli.js';
 
 // Lade Umgebungsvariablen aus .env Datei
 // Hinweis: In einer produktiven Umgebung sollte dotenv verwendet werden
@@ -12,158 +20,558 @@ try {
   console.warn("Could not load dotenv module. Proceeding without loading .env file.");
 }
 
-// Überprüfe, ob API-Keys vorhanden sind
-if (!process.env.BINANCE_API_KEY || !process.env.BINANCE_SECRET_KEY) {
-  console.error("Error: Binance API keys not found in environment variables. Please set BINANCE_API_KEY and BINANCE_SECRET_KEY.");
-  process.exit(1);
+// Optimizer-Optionen aus config.optimizer und Kommandozeile
+// --param <pfad>=<min>:<max>:<step> oder --param <pfad>=<wert1>,<wert2> (mehrfach möglich)
+function getOptimizerOptions(config, values) {
+  const options = { ...config.optimizer };
+  
+  const paramArgs = values.param || [];
+  if (paramArgs.length > 0) {
+    options.parameters = {};
+    for (const paramArg of paramArgs) {
+      const [name, spec] = paramArg.split('=');
+      if (!name || !spec) {
+        throw new Error(`Invalid --param ${paramArg} (expected <path>=<min>:<max>:<step> or <path>=<value>,<value>)`);
+      }
+      if (spec.includes(':')) {
+        const [min, max, step] = spec.split(':').map(parseFloat);
+        options.parameters[name] = { min, max, step };
+      } else {
+        options.parameters[name] = spec.split(',').map(value => (isNaN(parseFloat(value)) ? value : parseFloat(value)));
+      }
+    }
+  }
+  
+  for (const key of ['search', 'samples', 'objective', 'workers', 'seed']) {
+    if (values[key] !== undefined) {
+      options[key] = values[key];
+    }
+  }
+  
+  return options;
 }
 
-// Hauptfunktion
-async function main() {
-  const logger = new Logger('info');
-  logger.info("Starting TrailingBinanceBot...");
+// Parameter-Optimierung (optimize)
+async function runOptimization(config, values) {
+  const optimizer = new Optimizer(config, getOptimizerOptions(config, values));
+  const report = await optimizer.run();
   
-  // Kommandozeilenargumente parsen
-  const args = process.argv.slice(2);
-  const mode = args.includes('--backtest') ? 'backtest' : 'live';
-  
-  // Konfiguration aus Kommandozeilenargumenten
-  const config = { ...DEFAULT_CONFIG };
+  const parameterNames = Object.keys(report.parameters);
+  console.log(`\n===== OPTIMIZATION RESULTS (by ${report.objective}) =====`);
+  console.log(['#', ...parameterNames.map(name => name.split('.').pop()), report.objective, 'return %', 'max DD %', 'sharpe', 'PF', 'trades'].join('\t'));
+  for (const [index, entry] of report.ranking.slice(0, 20).entries()) {
+    const summary = entry.summary;
+    console.log([
+      index + 1,
+      ...parameterNames.map(name => entry.parameters[name]),
+      entry.score === null ? '-' : entry.score.toFixed(2),
+      summary ? summary.totalReturnPercent.toFixed(2) : '-',
+      summary ? summary.maxDrawdownPercent.toFixed(2) : '-',
+      summary ? summary.sharpeRatio.toFixed(2) : '-',
+      summary && summary.profitFactor !== null ? summary.profitFactor.toFixed(2) : '-',
+      summary ? summary.totalTrades : (entry.error || '-')
+    ].join('\t'));
+  }
   
-  // Log-Level
-  if (args.includes('--debug')) {
-    config.logLevel = 'debug';
-  } else if (args.includes('--quiet')) {
-    config.logLevel = 'error';
+  if (values.output) {
+    const files = await writeOptimizationResults(values.output, report);
+    console.log(`\nResults written to ${files.csv} and ${files.json} (heatmap: ${report.heatmap ? `${report.heatmap.x} x ${report.heatmap.y}` : 'none'})`);
+  }
+}
+
+// Walk-Forward-Analyse (walk-forward, z.B. --in-sample-days 60 --out-of-sample-days 20)
+async function runWalkForward(config, values) {
+  const walkForward = { ...config.backtestParams.walkForward };
+  for (const [option, key] of [['in-sample-days', 'inSampleDays'], ['out-of-sample-days', 'outOfSampleDays'], ['step-days', 'stepDays']]) {
+    if (values[option] !== undefined) {
+      walkForward[key] = parseFloat(values[option]);
+    }
   }
+  if (values.anchored) {
+    walkForward.anchored = true;
+  }
+  config.backtestParams = { ...config.backtestParams, walkForward };
+  
+  const backtester = new Backtester(config);
+  const results = await backtester.runWalkForward(getOptimizerOptions(config, values));
+  const { robustness, metrics } = results;
   
-  // Trading-Modus
-  if (args.includes('--paper')) {
-    config.tradingMode = 'paper';
-  } else if (args.includes('--live')) {
-    config.tradingMode = 'live';
+  console.log("\n===== WALK-FORWARD RESULTS =====");
+  console.log(['#', 'out-of-sample', 'parameters', 'in-sample score', 'out-of-sample score', 'return %', 'trades'].join('\t'));
+  for (const window of results.windows) {
+    console.log([
+      window.window,
+      `${window.outOfSample.start.split('T')[0]} - ${window.outOfSample.end.split('T')[0]}`,
+      window.optimized ? Object.entries(window.parameters).map(([name, value]) => `${name.split('.').pop()}=${value}`).join(' ') : '(config)',
+      window.inSampleScore === null ? '-' : window.inSampleScore.toFixed(2),
+      window.outOfSampleScore.toFixed(2),
+      window.outOfSampleSummary.totalReturnPercent.toFixed(2),
+      window.outOfSampleSummary.totalTrades
+    ].join('\t'));
   }
   
-  // Symbol
-  const symbolIndex = args.findIndex(arg => arg === '--symbol');
-  if (symbolIndex !== -1 && args[symbolIndex + 1]) {
-    config.symbol = args[symbolIndex + 1];
+  console.log(`\nOut-of-sample return: ${metrics.totalReturnPercent.toFixed(2)}% (final equity ${results.finalEquity.toFixed(2)} USDT), buy and hold ${metrics.benchmark.totalReturnPercent.toFixed(2)}%`);
+  console.log(`Max drawdown: ${metrics.maxDrawdownPercent.toFixed(2)}%, Sharpe: ${metrics.sharpeRatio.toFixed(2)}`);
+  console.log(`Profitable windows: ${robustness.profitableWindowsPercent.toFixed(2)}%, walk-forward efficiency: ${robustness.walkForwardEfficiency === null ? '-' : robustness.walkForwardEfficiency.toFixed(2)}`);
+  for (const [name, stability] of Object.entries(robustness.parameterStability)) {
+    console.log(`${name}: mean ${stability.mean.toFixed(2)}, std dev ${stability.stdDev.toFixed(2)}`);
   }
   
-  // Position Size
-  const positionSizeIndex = args.findIndex(arg => arg === '--position-size');
-  if (positionSizeIndex !== -1 && args[positionSizeIndex + 1]) {
-    config.positionSize = parseFloat(args[positionSizeIndex + 1]);
+  if (values.report) {
+    const files = await writeBacktestReport(values.report, results, {
+      klinesBySymbol: backtester.seriesBySymbol,
+      config,
+      title: `Walk-forward ${Object.keys(results.symbols).join(', ')} (out-of-sample)`
+    });
+    console.log(`\nReport written to ${files.html} (trades: ${files.csv}, results: ${files.json})`);
+  }
+}
+
+// Gemeinsame Startmeldungen von Bot, Backtest, Optimierung und Walk-Forward-Analyse
+function logRunInfo(logger, config, values, mode) {
+  const configFile = values.config || process.env.TBB_CONFIG;
+  const profile = values.profile || process.env.TBB_PROFILE;
+  if (configFile || profile) {
+    logger.info(`Using configuration${configFile ? ` from ${configFile}` : ''}${profile ? ` with profile '${profile}'` : ''}.`);
   }
   
   logger.info(`Running in ${mode.toUpperCase()} mode with ${config.tradingMode.toUpperCase()} trading.`);
-  logger.info(`Trading ${config.symbol} with position size ${config.positionSize} USDT.`);
+  logger.info(`Trading ${config.symbols.length > 0 ? config.symbols.join(', ') : config.symbol} with position size ${config.positionSize} USDT.`);
+  if (config.sizing.method !== 'fixed') {
+    logger.info(`Position sizing: ${config.sizing.method} (risk ${config.sizing.riskPercent}%, volatility target ${config.sizing.volatilityTargetPercent}%).`);
+  }
+}
+
+// Vorbereitung von backtest, optimize und walk-forward: Intrabar-Datei, Datenimport, Startmeldungen
+async function prepareBacktest(config, values, logger, mode) {
+  logRunInfo(logger, config, values, mode);
   
-  try {
-    if (mode === 'backtest') {
-      // Backtest-Parameter aus Kommandozeilenargumenten
-      const startDateIndex = args.findIndex(arg => arg === '--start-date');
-      if (startDateIndex !== -1 && args[startDateIndex + 1]) {
-        config.backtestParams.startDate = args[startDateIndex + 1];
-      }
-      
-      const endDateIndex = args.findIndex(arg => arg === '--end-date');
-      if (endDateIndex !== -1 && args[endDateIndex + 1]) {
-        config.backtestParams.endDate = args[endDateIndex + 1];
-      }
-      
-      const intervalIndex = args.findIndex(arg => arg === '--interval');
-      if (intervalIndex !== -1 && args[intervalIndex + 1]) {
-        config.backtestParams.interval = args[intervalIndex + 1];
+  // Intrabar-Daten für das Haupt-Symbol (z.B. --intrabar-file BTCUSDT-1m.csv); aggTrades-Dumps werden am Dateinamen erkannt
+  const intrabarFile = values['intrabar-file'];
+  if (intrabarFile) {
+    const intrabar = config.backtestParams.intrabar;
+    intrabar.enabled = true;
+    intrabar.dataFiles = { ...intrabar.dataFiles, [config.backtestParams.symbol]: intrabarFile };
+    if (/aggTrades/i.test(intrabarFile)) intrabar.source = 'aggTrades';
+  }
+  
+  // Binance Public-Data Dump (CSV) oder JSON in den lokalen Kline-Cache importieren
+  const importFile = values['import-data'];
+  if (importFile) {
+    const store = new KlineStore(config.backtestParams.dataDir, logger);
+    await store.importFile(importFile, config.backtestParams.symbol, config.backtestParams.interval);
+  }
+  
+  logger.info(`Backtest period: ${config.backtestParams.startDate} to ${config.backtestParams.endDate}`);
+  logger.info(`Backtest interval: ${config.backtestParams.interval}`);
+  logger.info(`Backtest symbol(s): ${config.backtestParams.symbols.length > 0 ? config.backtestParams.symbols.join(', ') : config.backtestParams.symbol}`);
+}
+
+// Backtest (backtest)
+async function runBacktest(config, values, logger) {
+  await prepareBacktest(config, values, logger, 'backtest');
+  
+  const backtester = new Backtester(config);
+  const results = await backtester.run();
+  
+  logger.info("Backtest completed.");
+  
+  // Zeige detaillierte Ergebnisse
+  console.log("\n===== BACKTEST RESULTS =====");
+  console.log(`Symbol(s): ${Object.keys(results.symbols).join(', ')}`);
+  console.log(`Period: ${config.backtestParams.startDate} to ${config.backtestParams.endDate}`);
+  if (results.intrabar) {
+    const { source, interval, fallback, heuristicCandles } = results.intrabar;
+    console.log(`Intrabar simulation: ${source === 'aggTrades' ? 'aggTrades' : `${interval} klines`} (${heuristicCandles} candle(s) without data used ${fallback})`);
+  }
+  console.log(`Initial balance: ${results.initialBalance.toFixed(2)} USDT`);
+  console.log(`Final balance: ${results.finalBalance.toFixed(2)} USDT`);
+  console.log(`Total profit: ${(results.finalBalance - results.initialBalance).toFixed(2)} USDT`);
+  console.log(`Return: ${((results.finalBalance / results.initialBalance - 1) * 100).toFixed(2)}%`);
+  console.log(`Final equity (incl. open positions): ${results.finalEquity.toFixed(2)} USDT`);
+  console.log(`Total trades: ${results.trades.length}`);
+  
+  const metrics = results.metrics;
+  console.log("\nPerformance:");
+  console.log(`Annualized return: ${metrics.annualizedReturnPercent.toFixed(2)}%`);
+  console.log(`Max drawdown: ${metrics.maxDrawdown.toFixed(2)} USDT (${metrics.maxDrawdownPercent.toFixed(2)}%), longest drawdown ${(metrics.maxDrawdownDurationMs / 3600000).toFixed(1)} hours`);
+  console.log(`Sharpe: ${metrics.sharpeRatio.toFixed(2)}, Sortino: ${metrics.sortinoRatio.toFixed(2)}, Calmar: ${metrics.calmarRatio.toFixed(2)}`);
+  console.log(`Exposure time: ${metrics.exposurePercent.toFixed(2)}%`);
+  console.log(`Expectancy: ${metrics.expectancy.toFixed(2)} USDT per trade${metrics.expectancyR !== null ? ` (${metrics.expectancyR.toFixed(2)} R)` : ''}`);
+  console.log(`Average MAE: ${metrics.averageMaePercent.toFixed(2)}%, average MFE: ${metrics.averageMfePercent.toFixed(2)}%`);
+  if (metrics.benchmark) {
+    console.log(`Buy and hold: ${metrics.benchmark.totalReturnPercent.toFixed(2)}% (max drawdown ${metrics.benchmark.maxDrawdownPercent.toFixed(2)}%), excess return ${metrics.benchmark.excessReturnPercent.toFixed(2)}%`);
+  }
+  
+  if (results.trades.length > 0) {
+    const winningTrades = results.trades.filter(t => t.profit > 0);
+    console.log(`Winning trades: ${winningTrades.length} (${((winningTrades.length / results.trades.length) * 100).toFixed(2)}%)`);
+    
+    if (Object.keys(results.symbols).length > 1) {
+      console.log("\nPer symbol:");
+      for (const [symbol, result] of Object.entries(results.symbols)) {
+        console.log(`${symbol}: ${result.trades} trade(s), profit ${result.profit.toFixed(2)} USDT`);
       }
-      
-      logger.info(`Backtest period: ${config.backtestParams.startDate} to ${config.backtestParams.endDate}`);
-      logger.info(`Backtest interval: ${config.backtestParams.interval}`);
-      logger.info(`Backtest symbol: ${config.backtestParams.symbol}`);
-      
-      // Starte Backtest
-      const backtester = new Backtester(config);
-      const results = await backtester.run();
-      
-      logger.info("Backtest completed.");
-      
-      // Zeige detaillierte Ergebnisse
-      console.log("\n===== BACKTEST RESULTS =====");
-      console.log(`Symbol: ${config.backtestParams.symbol}`);
-      console.log(`Period: ${config.backtestParams.startDate} to ${config.backtestParams.endDate}`);
-      console.log(`Initial balance: ${results.initialBalance.toFixed(2)} USDT`);
-      console.log(`Final balance: ${results.finalBalance.toFixed(2)} USDT`);
-      console.log(`Total profit: ${(results.finalBalance - results.initialBalance).toFixed(2)} USDT`);
-      console.log(`Return: ${((results.finalBalance / results.initialBalance - 1) * 100).toFixed(2)}%`);
-      console.log(`Total trades: ${results.trades.length}`);
-      
-      if (results.trades.length > 0) {
-        const winningTrades = results.trades.filter(t => t.profit > 0);
-        console.log(`Winning trades: ${winningTrades.length} (${((winningTrades.length / results.trades.length) * 100).toFixed(2)}%)`);
-        
-        console.log("\nTrade history:");
-        for (const [index, trade] of results.trades.entries()) {
-          console.log(`${index + 1}. ${trade.symbol}: ${trade.profit.toFixed(2)} USDT (${trade.profitPercent.toFixed(2)}%) - ${new Date(trade.openDate).toISOString().split('T')[0]} to ${new Date(trade.closeDate).toISOString().split('T')[0]}`);
+    }
+    
+    console.log("\nTrade history:");
+    for (const [index, trade] of results.trades.entries()) {
+      console.log(`${index + 1}. ${trade.symbol}: ${trade.profit.toFixed(2)} USDT (${trade.profitPercent.toFixed(2)}%, MAE ${trade.maePercent.toFixed(2)}%, MFE ${trade.mfePercent.toFixed(2)}%) - ${new Date(trade.openDate).toISOString().split('T')[0]} to ${new Date(trade.closeDate).toISOString().split('T')[0]}`);
+    }
+  }
+  
+  // HTML-Bericht, trades.csv und results.json (z.B. --report reports/2024-01-btc)
+  if (values.report) {
+    const files = await writeBacktestReport(values.report, results, {
+      klinesBySymbol: backtester.seriesBySymbol,
+      config
+    });
+    console.log(`\nReport written to ${files.html} (trades: ${files.csv}, results: ${files.json})`);
+  }
+}
+
+// Notifier für config.notifications, null wenn deaktiviert oder ohne Kanäle
+function createNotifier(config, logger) {
+  const notifications = config.notifications;
+  if (!notifications.enabled || notifications.channels.length === 0) return null;
+  
+  const notifier = new Notifier(notifications, { logger, tradingMode: config.tradingMode });
+  logger.info(`Sending notifications to ${notifier.channels.map(channel => channel.name).join(', ')}.`);
+  return notifier;
+}
+
+// Bot starten (run): verwaltet Positionen bis Ctrl+C
+async function runBot(config, values, logger) {
+  logRunInfo(logger, config, values, 'live');
+  logger.info("Starting bot in live mode...");
+  
+  // Initialisiere Bot
+  const bot = new TrailingProfitMaximizer(config);
+  
+  // Event-Listener
+  bot.on('positionOpened', (position) => {
+    logger.info(`Position opened: ${position.symbol} at ${position.entryPrice}`);
+  });
+  
+  bot.on('positionClosed', (trade) => {
+    logger.info(`Position closed: ${trade.symbol} at ${trade.exitPrice}. Profit: ${trade.profit.toFixed(2)} (${trade.profitPercent.toFixed(2)}%)`);
+  });
+  
+  bot.on('stopUpdated', (position) => {
+    logger.info(`Stop updated for ${position.symbol}: New stop at ${position.currentTrailingStop}`);
+  });
+  
+  bot.on('partialExit', (trade) => {
+    logger.info(`Partial exit: ${trade.symbol} ${trade.quantity} at ${trade.exitPrice}. Profit: ${trade.profit.toFixed(2)} (${trade.profitPercent.toFixed(2)}%)`);
+  });
+  
+  bot.on('positionReconciled', (result) => {
+    logger.warn(`Position ${result.symbol} reconciled with exchange: ${result.action} (stop order ${result.orderId} is ${result.orderStatus})`);
+  });
+  
+  bot.on('error', (error) => {
+    logger.error("Bot error:", error);
+  });
+  
+  bot.on('entryRejected', (entry) => {
+    logger.info(`Entry for ${entry.symbol} rejected: ${entry.reason}`);
+  });
+  
+  bot.on('riskLimitHit', (breach) => {
+    logger.error(`Risk limit hit (${breach.limit}): ${breach.reason}. Restart with --reset-risk-guard to resume trading.`);
+  });
+  
+  // Benachrichtigungen (Telegram, Discord, Slack, Webhook, E-Mail)
+  const notifier = createNotifier(config, logger);
+  if (notifier) {
+    notifier.attach(bot);
+  }
+  
+  // Kill-Switch nach einem ausgelösten Risikolimit manuell aufheben (Zustand wird beim Start geladen)
+  if (values['reset-risk-guard']) {
+    await bot.initialized;
+    await bot.resetRiskGuard();
+  }
+  
+  // HTTP-Steuerung und Dashboard (--api oder controlApi.enabled)
+  let controlServer = null;
+  if (config.controlApi.enabled) {
+    await bot.initialized;
+    controlServer = new ControlServer(bot, { ...config.controlApi, logger });
+    await controlServer.start();
+  }
+  
+  // Fernsteuerung per Telegram (--telegram oder telegramControl.enabled)
+  let telegramControl = null;
+  if (config.telegramControl.enabled) {
+    await bot.initialized;
+    telegramControl = new TelegramControl(bot, config.telegramControl, { logger });
+    await telegramControl.start();
+  }
+  
+  // Aufräumen bei Programmende
+  process.on('SIGINT', async () => {
+    logger.info("Shutting down bot...");
+    bot.stopTimers();
+    if (controlServer) {
+      await controlServer.stop();
+    }
+    if (telegramControl) {
+      await telegramControl.stop();
+    }
+    
+    // Optional: Alle offenen Positionen schließen
+    if (values['close-on-exit']) {
+      logger.info("Closing all positions before exit...");
+      for (const position of bot.getActivePositions()) {
+        try {
+          const currentPrice = (await bot.binanceClient.getPrice(position.symbol)).price;
+          await bot.closePosition(position, currentPrice, 'Program shutdown');
+        } catch (error) {
+          logger.error(`Error closing position ${position.symbol}:`, error);
         }
       }
-      
-    } else {
-      // Live-Modus
-      logger.info("Starting bot in live mode...");
-      
-      // Initialisiere Bot
-      const bot = new TrailingProfitMaximizer(config);
-      
-      // Event-Listener
-      bot.on('positionOpened', (position) => {
-        logger.info(`Position opened: ${position.symbol} at ${position.entryPrice}`);
-      });
-      
-      bot.on('positionClosed', (trade) => {
-        logger.info(`Position closed: ${trade.symbol} at ${trade.exitPrice}. Profit: ${trade.profit.toFixed(2)} (${trade.profitPercent.toFixed(2)}%)`);
-      });
-      
-      bot.on('stopUpdated', (position) => {
-        logger.info(`Stop updated for ${position.symbol}: New stop at ${position.currentTrailingStop}`);
-      });
-      
-      bot.on('error', (error) => {
-        logger.error("Bot error:", error);
-      });
-      
-      // Beispiel für manuelles Eröffnen einer Position
-      if (args.includes('--open-position')) {
-        setTimeout(async () => {
-          try {
-            logger.info(`Opening test position for ${config.symbol}...`);
-            await bot.createNewPosition(config.symbol, config.positionSize / (await bot.binanceClient.getPrice(config.symbol)).price);
-          } catch (error) {
-            logger.error("Error opening test position:", error);
-          }
-        }, 5000); // 5 Sekunden warten, damit der Bot vollständig initialisiert ist
-      }
-      
-      // Aufräumen bei Programmende
-      process.on('SIGINT', async () => {
-        logger.info("Shutting down bot...");
-        bot.stopTimers();
-        
-        // Optional: Alle offenen Positionen schließen
-        if (args.includes('--close-on-exit')) {
-          logger.info("Closing all positions before exit...");
-          for (const position of bot.getActivePositions()) {
-            try {
-              const currentPrice = (await bot.binanceClient.getPrice(position.symbol)).price;
-              await bot.closePosition(position, currentPrice, 'Program shutdown');
-            } catch (error) {
-              logger.error(`Error closing position ${position.symbol}:`, error);
-            }
-          }
-        }
-        
-        process.exit(0);
-      });
     }
+    
+    if (notifier) {
+      await notifier.flush();
+    }
+    process.exit(0);
+  });
+}
+
+// Gespeicherter Zustand des Bots (State-Datei des Trading-Modus), ohne API-Zugriff
+async function loadSavedState(config, logger) {
+  if (!config.persistence.enabled) {
+    throw new Error("Persistence is disabled (persistence.enabled = false), there is no saved bot state.");
+  }
+  const store = new StateStore(getStateFilePath(config), logger);
+  const state = await store.load();
+  if (!state) {
+    logger.info(`No saved state found at ${store.filePath}.`);
+  }
+  return state || { positions: [], profitHistory: [] };
+}
+
+function formatPrice(value) {
+  return typeof value === 'number' && value > 0 ? String(value) : '-';
+}
+
+// Offene Positionen aus der State-Datei (positions list)
+async function listPositions(config, values, logger) {
+  const state = await loadSavedState(config, logger);
+  const positions = state.positions.filter(position => position.status !== 'CLOSED');
+  
+  if (values.json) {
+    console.log(JSON.stringify(positions, null, 2));
+    return;
+  }
+  if (positions.length === 0) {
+    console.log(`No open ${config.tradingMode} positions.`);
+    return;
+  }
+  
+  console.log(`Open ${config.tradingMode} positions${state.savedAt ? ` (state of ${state.savedAt})` : ''}:`);
+  console.log(['symbol', 'side', 'quantity', 'entry', 'price', 'stop', 'stage', 'profit %', 'opened'].join('\t'));
+  for (const position of positions) {
+    console.log([
+      position.symbol,
+      position.side || 'LONG',
+      position.quantity,
+      position.entryPrice,
+      formatPrice(position.currentPrice),
+      formatPrice(position.currentTrailingStop),
+      position.stopStage || '-',
+      (position.profitPercent || 0).toFixed(2),
+      new Date(position.openDate).toISOString().replace('T', ' ').slice(0, 16)
+    ].join('\t'));
+  }
+}
+
+// Handelsstatistiken aus der Trade-Historie der State-Datei (stats)
+async function showStatistics(config, values, logger) {
+  const state = await loadSavedState(config, logger);
+  const stats = calculateTradeStatistics(state.profitHistory || []);
+  
+  if (values.json) {
+    console.log(JSON.stringify(stats, null, 2));
+    return;
+  }
+  
+  console.log(`===== ${config.tradingMode.toUpperCase()} TRADING STATISTICS =====`);
+  console.log(`Total trades: ${stats.totalTrades} (${stats.winningTrades} winning, ${stats.losingTrades} losing)`);
+  if (stats.totalTrades === 0) return;
+  console.log(`Win rate: ${stats.winRate.toFixed(2)}%`);
+  console.log(`Total profit: ${stats.totalProfit.toFixed(2)} USDT (fees ${stats.totalFees.toFixed(2)} USDT)`);
+  console.log(`Average profit: ${stats.averageProfit.toFixed(2)} USDT (${stats.averageProfitPercent.toFixed(2)}%)`);
+  console.log(`Biggest win: ${stats.biggestWin.toFixed(2)} USDT, biggest loss: ${stats.biggestLoss.toFixed(2)} USDT`);
+  console.log(`Profit factor: ${stats.profitFactor !== null ? stats.profitFactor.toFixed(2) : 'n/a (no losing trades)'}`);
+  console.log(`Average holding time: ${stats.averageHoldingTimeHours.toFixed(1)} hours`);
+}
+
+// Bot für einen einzelnen Befehl (position open/close): lädt den Zustand, startet aber keine Timer und keinen Preisfeed
+// Ereignisse werden wie im laufenden Bot gemeldet; finishCommandBot wartet auf ausstehende Benachrichtigungen
+async function createCommandBot(config, logger) {
+  const bot = new TrailingProfitMaximizer({ ...config, refreshInterval: Infinity, volatilityUpdateInterval: Infinity });
+  bot.on('error', (error) => {
+    logger.error("Bot error:", error);
+  });
+  const notifier = createNotifier(config, logger);
+  if (notifier) {
+    notifier.attach(bot);
+  }
+  await bot.initialized;
+  return { bot, notifier };
+}
+
+async function finishCommandBot({ notifier }) {
+  if (notifier) {
+    await notifier.flush();
+  }
+}
+
+// Position eröffnen (position open <symbol> [--side short] [--size 500] [--stop-distance 3])
+async function openPositionCommand(config, values, logger, args) {
+  const symbol = args.symbol.toUpperCase();
+  const side = (values.side || 'long').toUpperCase();
+  if (side !== 'LONG' && side !== 'SHORT') {
+    throw new Error(`Invalid --side ${values.side} (expected long or short)`);
+  }
+  
+  // Feste Größe in der Quote-Währung statt Sizing-Methode und Kapitalaufteilung
+  const size = values.size !== undefined ? parseFloat(values.size) : undefined;
+  if (size !== undefined && !(size > 0)) {
+    throw new Error(`Invalid --size ${values.size} (expected a number > 0)`);
+  }
+  
+  // Stop-Einstellungen nur für diese Position (--stop-distance, --activation, --trailing-distance)
+  const trailingSettings = getPositionSettings(values);
+  
+  const commandBot = await createCommandBot(config, logger);
+  const { bot } = commandBot;
+  logger.info(`Opening ${side} position for ${symbol} (${config.tradingMode} trading)...`);
+  const options = { value: size };
+  if (trailingSettings) options.trailingSettings = trailingSettings;
+  const position = await bot.openManualPosition(symbol, side, options);
+  console.log(`Opened ${position.side} ${position.symbol}: ${position.quantity} at ${position.entryPrice}, stop at ${position.currentTrailingStop}`);
+  await finishCommandBot(commandBot);
+}
+
+// Alle Positionen eines Symbols zum Marktpreis schließen (position close <symbol>)
+async function closePositionCommand(config, values, logger, args) {
+  const symbol = args.symbol.toUpperCase();
+  const commandBot = await createCommandBot(config, logger);
+  const { bot } = commandBot;
+  
+  const positions = bot.getActivePositions().filter(position => position.symbol === symbol);
+  if (positions.length === 0) {
+    throw new Error(`No open ${config.tradingMode} position for ${symbol}.`);
+  }
+  
+  const price = parseFloat((await bot.binanceClient.getPrice(symbol)).price);
+  for (const position of positions) {
+    const trade = await bot.closePosition(position, price, 'Manual close (CLI)');
+    if (trade) {
+      console.log(`Closed ${position.side} ${symbol} at ${trade.exitPrice}. Profit: ${trade.profit.toFixed(2)} (${trade.profitPercent.toFixed(2)}%)`);
+    }
+  }
+  await finishCommandBot(commandBot);
+}
+
+// Testnachricht an alle Kanäle (notifications test), auch wenn notifications.enabled aus ist
+async function testNotifications(config, values, logger) {
+  if (config.notifications.channels.length === 0) {
+    throw new Error("No notification channels configured (notifications.channels).");
+  }
+  if (!config.notifications.enabled) {
+    logger.warn("Notifications are disabled (notifications.enabled = false); sending the test anyway.");
+  }
+  
+  const notifier = new Notifier(config.notifications, { logger, tradingMode: config.tradingMode });
+  const results = await notifier.sendTest();
+  for (const result of results) {
+    console.log(`${result.channel}: ${result.sent ? 'sent' : 'failed'}`);
+  }
+  if (results.some(result => !result.sent)) {
+    process.exitCode = 1;
+  }
+}
+
+// Zusammengeführte Konfiguration ausgeben (config show); Infinity als Text, da JSON es nicht darstellen kann
+async function showConfig(config) {
+  console.log(JSON.stringify(config, (key, value) => (typeof value === 'number' && !Number.isFinite(value) ? String(value) : value), 2));
+}
+
+// Konfiguration prüfen (config validate); Fehler meldet bereits loadConfig
+async function validateConfiguration(config, values) {
+  const sources = [values.config || process.env.TBB_CONFIG, values.profile || process.env.TBB_PROFILE ? `profile '${values.profile || process.env.TBB_PROFILE}'` : null].filter(Boolean);
+  console.log(`Configuration is valid${sources.length > 0 ? ` (${sources.join(', ')})` : ''}.`);
+}
+
+// Befehle und ihre Funktionen (config, values, logger, args)
+const COMMAND_HANDLERS = {
+  'run': runBot,
+  'backtest': runBacktest,
+  'optimize': async (config, values, logger) => {
+    await prepareBacktest(config, values, logger, 'optimize');
+    await runOptimization(config, values);
+  },
+  'walk-forward': async (config, values, logger) => {
+    await prepareBacktest(config, values, logger, 'walk-forward');
+    await runWalkForward(config, values);
+  },
+  'positions list': listPositions,
+  'position open': openPositionCommand,
+  'position close': closePositionCommand,
+  'stats': showStatistics,
+  'notifications test': testNotifications,
+  'config show': showConfig,
+  'config validate': validateConfiguration
+};
+
+// Hauptfunktion
+async function main() {
+  const logger = new Logger('info');
+  
+  // Kommandozeile: <befehl> [unterbefehl] [argumente] [optionen]
+  let commandLine;
+  try {
+    commandLine = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`Error: ${error.message}`);
+    console.error(`Run with ${error.commandName ? `${error.commandName} ` : ''}--help for usage.`);
+    process.exit(1);
+  }
+  
+  const { name, command, args, values } = commandLine;
+  if (commandLine.help) {
+    console.log(formatHelp(name));
+    return;
+  }
+  
+  // Konfiguration: Defaults, Konfigurationsdatei (--config), Profil (--profile), Umgebungsvariablen TBB_*, Kommandozeile
+  let config;
+  try {
+    config = await loadConfig({
+      file: values.config,
+      profile: values.profile,
+      overrides: getConfigOverrides(command, values)
+    });
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+  
+  // API-Keys werden nur für Befehle mit Zugriff auf das Konto im Live-Modus benötigt
+  // (Paper-Trading nutzt öffentliche Marktdaten, Backtests laufen mit Cache- oder Dateidaten ohne Keys)
+  if (command.needsApiKeys && config.tradingMode === 'live' && (!process.env.BINANCE_API_KEY || !process.env.BINANCE_SECRET_KEY)) {
+    console.error(`Error: '${name}' in live mode requires Binance API keys. Please set BINANCE_API_KEY and BINANCE_SECRET_KEY.`);
+    process.exit(1);
+  }
+  
+  try {
+    await COMMAND_HANDLERS[name](config, values, logger, args);
   } catch (error) {
     logger.error("Fatal error:", error);
     process.exit(1);
@@ -174,4 +582,4 @@ async function main() {
 main().catch(error => {
   console.error("Unhandled error:", error);
   process.exit(1);
-});
\ No newline at end of file
+});
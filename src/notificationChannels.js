@@ -0,0 +1,185 @@
+// Kanäle für Benachrichtigungen (siehe src/notifier.js)
+//
+// Ein Kanal ist ein Objekt mit send(text, event), das bei einem Fehler wirft. Fehler mit
+// error.retryable = false werden nicht wiederholt (z.B. ungültiges Token), error.retryAfterMs
+// gibt die vom Dienst verlangte Wartezeit vor (HTTP 429).
+//
+// Eingebaute Kanäle: telegram, discord, slack, webhook, email. Alle URLs sind konfigurierbar,
+// damit die Kanäle auch gegen einen lokalen HTTP-Stub getestet werden können.
+
+// Timeout eines einzelnen HTTP-Requests
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Sendet body als JSON per POST (oder options.method) und liefert die Antwort als JSON bzw. Text
+// options: { method, headers, timeoutMs, signal } - signal bricht den Request von außen ab (z.B. beim Beenden)
+// Wirft bei HTTP-Fehlern; 429 und 5xx gelten als wiederholbar
+export async function postJson(url, body, options = {}) {
+  const timeout = AbortSignal.timeout(options.timeoutMs || REQUEST_TIMEOUT_MS);
+  let response;
+  try {
+    response = await fetch(url, {
+      method: options.method || 'POST',
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+      body: JSON.stringify(body),
+      signal: options.signal ? AbortSignal.any([timeout, options.signal]) : timeout
+    });
+  } catch (error) {
+    // Netzwerkfehler und Timeouts sind wiederholbar
+    const networkError = new Error(`Request to ${new URL(url).host} failed: ${error.cause ? error.cause.message : error.message}`);
+    networkError.retryable = true;
+    throw networkError;
+  }
+
+  const text = await response.text();
+  let result = text;
+  try {
+    result = text ? JSON.parse(text) : null;
+  } catch (error) {
+    // Antwort ist kein JSON (z.B. "ok" von Slack)
+  }
+
+  if (!response.ok) {
+    const description = result && typeof result === 'object' ? (result.description || result.message || JSON.stringify(result)) : text;
+    const error = new Error(`HTTP ${response.status} from ${new URL(url).host}: ${description}`);
+    error.status = response.status;
+    error.retryable = response.status === 429 || response.status >= 500;
+    const retryAfter = parseFloat(response.headers.get('retry-after')) ||
+      (result && result.parameters && result.parameters.retry_after) ||
+      (result && result.retry_after);
+    if (retryAfter > 0) {
+      // Discord liefert retry_after in Sekunden (mit Nachkommastellen), ebenso der Header und Telegram
+      error.retryAfterMs = retryAfter * 1000;
+    }
+    throw error;
+  }
+  return result;
+}
+
+// Aufruf einer Methode der Telegram Bot API (z.B. 'sendMessage'); Ergebnis: result der Antwort
+// options: { botToken, apiUrl }; requestOptions: { timeoutMs, signal } wie bei postJson
+export async function callTelegram(options, method, params = {}, requestOptions = {}) {
+  const apiUrl = (options.apiUrl || 'https://api.telegram.org').replace(/\/$/, '');
+  const response = await postJson(`${apiUrl}/bot${options.botToken}/${method}`, params, requestOptions);
+  if (!response || response.ok !== true) {
+    const error = new Error(`Telegram ${method} failed: ${response && response.description ? response.description : 'unexpected response'}`);
+    error.retryable = false;
+    throw error;
+  }
+  return response.result;
+}
+
+// Telegram: Nachricht an chatId über einen Bot (botToken von @BotFather)
+function telegram(options) {
+  return {
+    async send(text) {
+      // Telegram begrenzt Nachrichten auf 4096 Zeichen
+      await callTelegram(options, 'sendMessage', { chat_id: options.chatId, text: text.slice(0, 4096), disable_web_page_preview: true });
+    }
+  };
+}
+
+// Discord: Incoming Webhook eines Kanals
+function discord(options) {
+  return {
+    async send(text) {
+      // Discord begrenzt Nachrichten auf 2000 Zeichen
+      await postJson(options.webhookUrl, { content: text.slice(0, 2000), username: options.username || undefined });
+    }
+  };
+}
+
+// Slack: Incoming Webhook einer App
+function slack(options) {
+  return {
+    async send(text) {
+      await postJson(options.webhookUrl, { text });
+    }
+  };
+}
+
+// Eigener Endpunkt: { event, message, data, time } als JSON, optional mit eigenen Headern (z.B. Authorization)
+function webhook(options) {
+  return {
+    async send(text, event) {
+      await postJson(options.url, { event: event.type, message: text, data: event.data, time: event.time }, {
+        method: options.method,
+        headers: options.headers
+      });
+    }
+  };
+}
+
+// E-Mail über SMTP; benötigt das Paket 'nodemailer', das erst beim ersten Versand geladen wird
+function email(options) {
+  let transport = null;
+
+  return {
+    async send(text, event) {
+      if (!transport) {
+        let nodemailer;
+        try {
+          nodemailer = await import('nodemailer');
+        } catch (error) {
+          const importError = new Error("Email notifications require the 'nodemailer' package (npm install nodemailer).");
+          importError.retryable = false;
+          throw importError;
+        }
+        const smtp = options.smtp;
+        transport = (nodemailer.createTransport || nodemailer.default.createTransport)({
+          host: smtp.host,
+          port: smtp.port,
+          secure: smtp.secure,
+          auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined
+        });
+      }
+
+      try {
+        await transport.sendMail({
+          from: options.from,
+          to: [].concat(options.to).join(', '),
+          subject: `${options.subjectPrefix || '[TrailingBinanceBot]'} ${event.type}${event.data && event.data.symbol ? ` ${event.data.symbol}` : ''}`,
+          text
+        });
+      } catch (error) {
+        // Abgelehnte Empfänger oder Anmeldung (5xx) nicht wiederholen, Verbindungsfehler schon
+        error.retryable = !(error.responseCode >= 500);
+        throw error;
+      }
+    }
+  };
+}
+
+// Registry der Kanaltypen (Typ -> Factory(options))
+const CHANNELS = {
+  telegram,
+  discord,
+  slack,
+  webhook,
+  email
+};
+
+// Registriert einen eigenen Kanaltyp, der danach in notifications.channels verwendet werden kann
+export function registerChannel(type, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Notification channel factory for '${type}' must be a function`);
+  }
+  CHANNELS[type] = factory;
+}
+
+export function getChannelTypes() {
+  return Object.keys(CHANNELS);
+}
+
+// Erstellt einen Kanal aus seiner Konfiguration ({ type, ... })
+export function createChannel(options) {
+  const factory = CHANNELS[options.type];
+  if (!factory) {
+    throw new Error(`Unknown notification channel: ${options.type}. Available channels: ${getChannelTypes().join(', ')}`);
+  }
+
+  const channel = factory(options);
+  if (!channel || typeof channel.send !== 'function') {
+    throw new Error(`Notification channel '${options.type}' does not implement send(text, event)`);
+  }
+  return channel;
+}
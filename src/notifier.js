@@ -0,0 +1,190 @@
+import { Logger } from './logger.js';
+import { NOTIFICATION_EVENTS } from './config.js';
+import { createChannel } from './notificationChannels.js';
+
+// Benachrichtigungen über Ereignisse des Bots (Telegram, Discord, Slack, Webhook, E-Mail)
+//
+// Jeder Kanal in config.notifications.channels hat eigene Filter (events, symbols), Vorlagen (templates),
+// Rate-Limit und Wiederholungen. Nachrichten eines Kanals werden nacheinander gesendet, damit die
+// Reihenfolge erhalten bleibt; ein langsamer oder gestörter Kanal hält die anderen nicht auf.
+
+// Standard-Filter eines Kanals ohne eigene events
+const DEFAULT_EVENTS = ['positionOpened', 'positionClosed', 'stopUpdated', 'error'];
+
+// Vorlagen der Nachrichten; {{name}} wird durch den Wert aus eventValues ersetzt
+export const DEFAULT_TEMPLATES = {
+  positionOpened: '[{{mode}}] Opened {{side}} {{symbol}}: {{quantity}} @ {{entryPrice}}, stop {{stop}}',
+  positionClosed: '[{{mode}}] Closed {{side}} {{symbol}} @ {{exitPrice}}: {{profit}} ({{profitPercent}}%). {{reason}}',
+  stopUpdated: '[{{mode}}] Stop {{symbol}} moved to {{stop}} ({{stage}}), price {{price}}',
+  partialExit: '[{{mode}}] Partial exit {{symbol}}: {{quantity}} @ {{exitPrice}}: {{profit}} ({{profitPercent}}%). {{reason}}',
+  riskLimitHit: '[{{mode}}] Risk limit {{limit}} hit: {{reason}}. No new positions until the risk guard is reset.',
+  error: '[{{mode}}] Error: {{message}}',
+  test: '[{{mode}}] Test notification from TrailingBinanceBot'
+};
+
+function formatNumber(value, decimals = 2) {
+  return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(decimals) : '';
+}
+
+// Werte eines Ereignisses für die Vorlagen (Zahlen bereits formatiert)
+function eventValues(type, data, mode) {
+  const values = { event: type, mode: mode.toUpperCase(), time: new Date().toISOString() };
+  if (data instanceof Error) {
+    return { ...values, message: data.message, code: data.code || '' };
+  }
+  if (!data || typeof data !== 'object') return values;
+
+  return {
+    ...values,
+    symbol: data.symbol || '',
+    side: data.side || '',
+    quantity: data.quantity !== undefined ? String(data.quantity) : '',
+    entryPrice: data.entryPrice !== undefined ? String(data.entryPrice) : '',
+    exitPrice: data.exitPrice !== undefined ? String(data.exitPrice) : '',
+    price: data.currentPrice !== undefined ? String(data.currentPrice) : '',
+    stop: data.currentTrailingStop !== undefined ? String(data.currentTrailingStop) : '',
+    stage: data.stopStage || '',
+    profit: formatNumber(data.profit),
+    profitPercent: formatNumber(data.profitPercent),
+    fees: formatNumber(data.fees),
+    rMultiple: formatNumber(data.rMultiple),
+    reason: data.reason || '',
+    limit: data.limit || '',
+    message: data.message || ''
+  };
+}
+
+// Ersetzt {{name}} in template; unbekannte Namen werden zu ''
+export function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (values[name] !== undefined && values[name] !== null ? String(values[name]) : ''));
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Ein Kanal mit Filter, Vorlagen, Rate-Limit und Wiederholungen
+class NotificationChannel {
+  constructor(options, logger) {
+    this.name = options.name || options.type;
+    this.events = options.events || DEFAULT_EVENTS;
+    this.symbols = options.symbols || [];
+    this.templates = { ...DEFAULT_TEMPLATES, ...options.templates };
+    this.rateLimit = { maxMessages: 20, intervalMs: 60000, ...options.rateLimit };
+    this.retry = { attempts: 3, delayMs: 1000, ...options.retry };
+    this.channel = createChannel(options);
+    this.logger = logger;
+
+    // Sendezeitpunkte im aktuellen Rate-Limit-Fenster und verworfene Nachrichten seit der letzten gesendeten
+    this.sentTimes = [];
+    this.suppressed = 0;
+    this.queue = Promise.resolve();
+  }
+
+  accepts(type, data) {
+    if (type !== 'test' && !this.events.includes(type)) return false;
+    if (this.symbols.length > 0 && data && data.symbol && !this.symbols.includes(data.symbol)) return false;
+    return true;
+  }
+
+  // Reiht eine Nachricht ein; Nachrichten über dem Rate-Limit werden verworfen und mit der nächsten gemeldet
+  enqueue(event, values) {
+    const now = Date.now();
+    this.sentTimes = this.sentTimes.filter(time => now - time < this.rateLimit.intervalMs);
+    if (this.sentTimes.length >= this.rateLimit.maxMessages) {
+      this.suppressed++;
+      this.logger.debug(`Notification ${event.type} for ${this.name} dropped by rate limit (${this.rateLimit.maxMessages} per ${this.rateLimit.intervalMs}ms).`);
+      return this.queue;
+    }
+    this.sentTimes.push(now);
+
+    let text = renderTemplate(this.templates[event.type] || `{{event}}`, values);
+    if (this.suppressed > 0) {
+      text += `\n(${this.suppressed} notification(s) skipped by rate limit)`;
+      this.suppressed = 0;
+    }
+
+    this.queue = this.queue.then(() => this.deliver(text, event));
+    return this.queue;
+  }
+
+  // Sendet mit Wiederholungen (exponentielles Backoff bzw. die vom Dienst verlangte Wartezeit); Fehler werden nur geloggt
+  async deliver(text, event) {
+    for (let attempt = 1; attempt <= this.retry.attempts; attempt++) {
+      try {
+        await this.channel.send(text, event);
+        return true;
+      } catch (error) {
+        if (error.retryable === false || attempt === this.retry.attempts) {
+          this.logger.error(`Could not send ${event.type} notification to ${this.name} (attempt ${attempt}/${this.retry.attempts}): ${error.message}`);
+          return false;
+        }
+        const waitMs = error.retryAfterMs || this.retry.delayMs * Math.pow(2, attempt - 1);
+        this.logger.warn(`Sending ${event.type} notification to ${this.name} failed: ${error.message}. Retrying in ${waitMs}ms.`);
+        await delay(waitMs);
+      }
+    }
+    return false;
+  }
+}
+
+export class Notifier {
+  // options: config.notifications ({ enabled, channels }); context: { logger, tradingMode }
+  constructor(options = {}, context = {}) {
+    this.logger = context.logger || new Logger('info');
+    this.tradingMode = context.tradingMode || 'live';
+    this.channels = (options.channels || [])
+      .filter(channel => channel.enabled !== false)
+      .map(channel => new NotificationChannel(channel, this.logger));
+    this.bot = null;
+    this.listeners = [];
+  }
+
+  // Abonniert die Ereignisse des Bots
+  attach(bot) {
+    this.detach();
+    this.bot = bot;
+    for (const type of NOTIFICATION_EVENTS) {
+      if (!this.channels.some(channel => channel.events.includes(type))) continue;
+      const listener = data => {
+        this.notify(type, data);
+      };
+      bot.on(type, listener);
+      this.listeners.push([type, listener]);
+    }
+  }
+
+  detach() {
+    if (!this.bot) return;
+    for (const [type, listener] of this.listeners) {
+      this.bot.off(type, listener);
+    }
+    this.listeners = [];
+    this.bot = null;
+  }
+
+  // Verteilt ein Ereignis an alle passenden Kanäle; das Promise wird erfüllt, wenn alle gesendet (oder aufgegeben) haben
+  notify(type, data) {
+    const event = { type, data: data instanceof Error ? { message: data.message, code: data.code } : data, time: new Date().toISOString() };
+    const values = eventValues(type, data, this.tradingMode);
+    const deliveries = this.channels
+      .filter(channel => channel.accepts(type, data))
+      .map(channel => channel.enqueue(event, values));
+    return Promise.all(deliveries);
+  }
+
+  // Testnachricht an alle Kanäle; Ergebnis: [{ channel, sent }]
+  async sendTest() {
+    const event = { type: 'test', data: null, time: new Date().toISOString() };
+    const values = eventValues('test', null, this.tradingMode);
+    return Promise.all(this.channels.map(async channel => ({
+      channel: channel.name,
+      sent: await channel.deliver(renderTemplate(channel.templates.test, values), event)
+    })));
+  }
+
+  // Wartet auf alle eingereihten Nachrichten (z.B. vor dem Beenden)
+  async flush() {
+    await Promise.all(this.channels.map(channel => channel.queue));
+  }
+}
@@ -0,0 +1,288 @@
+import { Worker } from 'worker_threads';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { Backtester } from './backtester.js';
+import { Logger } from './logger.js';
+import { setPath } from './configLoader.js';
+
+// Parameter-Optimierung: Grid- oder Zufallssuche über Konfigurationsparameter
+//
+// Parameter werden als Pfad in der Konfiguration angegeben, z.B.
+//   { 'trailingStop.initialStopDistancePercent': { min: 1, max: 4, step: 0.5 },
+//     'trailingStop.trailingDistancePercent': [0.5, 1, 1.5] }
+// Jede Kombination ist ein eigener Backtest. Die Backtests laufen parallel in Worker-Threads
+// (src/optimizerWorker.js) auf den vorab geladenen, lokal gecachten Klines (offline).
+// Eigene, mit registerStrategy registrierte Strategien stehen in den Workern nicht zur Verfügung.
+
+// Zielfunktionen für das Ranking (höher ist besser)
+export const OBJECTIVES = {
+  return: summary => summary.totalReturnPercent,
+  sharpe: summary => summary.sharpeRatio,
+  sortino: summary => summary.sortinoRatio,
+  calmar: summary => summary.calmarRatio,
+  profitFactor: summary => summary.profitFactor
+};
+
+// Werte eines Parameters: Liste oder { min, max, step }
+export function expandParameter(name, spec) {
+  if (Array.isArray(spec)) {
+    if (spec.length === 0) throw new Error(`Optimizer parameter ${name} has no values`);
+    return spec;
+  }
+  const min = parseFloat(spec.min);
+  const max = parseFloat(spec.max);
+  const step = parseFloat(spec.step);
+  if (!Number.isFinite(min) || !Number.isFinite(max) || !(step > 0) || max < min) {
+    throw new Error(`Invalid range for optimizer parameter ${name}: expected { min, max, step } with step > 0 and max >= min`);
+  }
+  const values = [];
+  // Rundung verhindert Werte wie 0.30000000000000004
+  for (let i = 0; min + i * step <= max + step * 1e-9; i++) {
+    values.push(Number((min + i * step).toPrecision(12)));
+  }
+  return values;
+}
+
+// Kartesisches Produkt aller Parameterwerte
+export function gridCombinations(parameters) {
+  let combinations = [{}];
+  for (const [name, spec] of Object.entries(parameters)) {
+    const values = expandParameter(name, spec);
+    combinations = combinations.flatMap(combination => values.map(value => ({ ...combination, [name]: value })));
+  }
+  return combinations;
+}
+
+// Zufällige Kombinationen (ohne Duplikate); random liefert Zahlen in [0, 1)
+export function randomCombinations(parameters, samples, random = Math.random) {
+  const valueLists = Object.entries(parameters).map(([name, spec]) => [name, expandParameter(name, spec)]);
+  const total = valueLists.reduce((product, [, values]) => product * values.length, 1);
+  const count = Math.min(samples, total);
+  const seen = new Set();
+  const combinations = [];
+
+  while (combinations.length < count) {
+    const combination = {};
+    for (const [name, values] of valueLists) {
+      combination[name] = values[Math.floor(random() * values.length)];
+    }
+    const key = JSON.stringify(combination);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    combinations.push(combination);
+  }
+  return combinations;
+}
+
+// Deterministischer Zufallsgenerator (Park-Miller), damit Zufallssuchen wiederholbar sind
+export function seededRandom(seed = 1) {
+  let state = Math.floor(Math.abs(seed)) % 2147483647 || 1;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+// Kompakte Zusammenfassung eines Backtests für das Ranking (ohne Kurven und Trades)
+export function summarizeResults(results) {
+  if (!results) return null;
+  const { metrics, statistics } = results;
+  return {
+    totalReturnPercent: metrics.totalReturnPercent,
+    annualizedReturnPercent: metrics.annualizedReturnPercent,
+    maxDrawdownPercent: metrics.maxDrawdownPercent,
+    sharpeRatio: metrics.sharpeRatio,
+    sortinoRatio: metrics.sortinoRatio,
+    calmarRatio: metrics.calmarRatio,
+    exposurePercent: metrics.exposurePercent,
+    expectancy: metrics.expectancy,
+    profitFactor: statistics.profitFactor,
+    winRate: statistics.winRate,
+    totalTrades: statistics.totalTrades,
+    finalEquity: results.finalEquity
+  };
+}
+
+// Heatmap-Daten für zwei Parameter: bester Zielwert pro Zelle (über alle übrigen Parameter)
+export function buildHeatmap(ranking, xParameter, yParameter) {
+  const valid = ranking.filter(entry => entry.summary);
+  const xValues = [...new Set(valid.map(entry => entry.parameters[xParameter]))].sort((a, b) => a - b);
+  const yValues = [...new Set(valid.map(entry => entry.parameters[yParameter]))].sort((a, b) => a - b);
+  const values = yValues.map(() => xValues.map(() => null));
+
+  for (const entry of valid) {
+    const x = xValues.indexOf(entry.parameters[xParameter]);
+    const y = yValues.indexOf(entry.parameters[yParameter]);
+    if (values[y][x] === null || entry.score > values[y][x]) {
+      values[y][x] = entry.score;
+    }
+  }
+  return { x: xParameter, y: yParameter, xValues, yValues, values };
+}
+
+export class Optimizer {
+  // options: { parameters, search: 'grid'|'random', samples, seed, objective, workers, minTrades, heatmap: [x, y] }
+  constructor(config, options = {}) {
+    this.config = config;
+    this.parameters = options.parameters || {};
+    this.search = options.search || 'grid';
+    this.samples = parseInt(options.samples) || 50;
+    this.seed = options.seed !== undefined ? options.seed : 1;
+    this.objective = options.objective || 'return';
+    this.minTrades = parseInt(options.minTrades) || 0;
+    this.heatmapParameters = options.heatmap || Object.keys(this.parameters).slice(0, 2);
+    this.workerCount = parseInt(options.workers) || Math.max(os.cpus().length - 1, 1);
+    this.logger = new Logger(config.logLevel || 'info');
+
+    if (Object.keys(this.parameters).length === 0) {
+      throw new Error('No optimizer parameters configured (optimizer.parameters or --param)');
+    }
+    if (!OBJECTIVES[this.objective]) {
+      throw new Error(`Unsupported optimizer objective: ${this.objective} (expected ${Object.keys(OBJECTIVES).join(', ')})`);
+    }
+    if (this.search !== 'grid' && this.search !== 'random') {
+      throw new Error(`Unsupported optimizer search: ${this.search} (expected 'grid' or 'random')`);
+    }
+  }
+
+  getCombinations() {
+    return this.search === 'random'
+      ? randomCombinations(this.parameters, this.samples, seededRandom(this.seed))
+      : gridCombinations(this.parameters);
+  }
+
+  // Lädt Klines (sowie ATR- und Intrabar-Klines) einmal in den lokalen Cache, damit die Worker offline laufen können
+  async prepareData() {
+    const backtester = new Backtester({
+      ...this.config,
+      logLevel: 'warn',
+      backtestParams: { ...this.config.backtestParams, useCache: true }
+    });
+    await backtester.loadHistoricalData();
+    for (const symbol of backtester.getSymbols()) {
+      if (!backtester.seriesBySymbol[symbol] || backtester.seriesBySymbol[symbol].length === 0) {
+        throw new Error(`No historical data for ${symbol} in ${this.config.backtestParams.startDate} - ${this.config.backtestParams.endDate}`);
+      }
+      await backtester.loadAtrTimeline(symbol);
+      if (this.config.backtestParams.intrabar && this.config.backtestParams.intrabar.enabled) {
+        await backtester.loadIntrabarPath(symbol);
+      }
+    }
+  }
+
+  // Konfiguration eines einzelnen Backtests
+  buildConfig(parameters) {
+    let config = {
+      ...this.config,
+      logLevel: 'silent', // Fehler einzelner Läufe werden über die Worker-Antwort gemeldet
+      backtestParams: { ...this.config.backtestParams, offline: true, useCache: true }
+    };
+    for (const [name, value] of Object.entries(parameters)) {
+      config = setPath(config, name, value);
+    }
+    return config;
+  }
+
+  // Führt alle Kombinationen in einem Pool von Worker-Threads aus
+  async runAll(combinations) {
+    const queue = combinations.map((parameters, id) => ({ id, parameters }));
+    const results = new Array(combinations.length);
+    const workerCount = Math.min(this.workerCount, queue.length);
+    const workers = [];
+    let completed = 0;
+
+    const runWorker = () => new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./optimizerWorker.js', import.meta.url));
+      workers.push(worker);
+      const next = () => {
+        const job = queue.shift();
+        if (!job) {
+          worker.terminate().then(() => resolve());
+          return;
+        }
+        worker.postMessage({ id: job.id, config: this.buildConfig(job.parameters) });
+      };
+
+      worker.on('message', (message) => {
+        results[message.id] = { parameters: combinations[message.id], summary: message.summary || null, error: message.error || null };
+        completed++;
+        if (message.error) {
+          this.logger.warn(`Optimizer run ${completed}/${combinations.length} failed: ${message.error}`);
+        } else {
+          this.logger.info(`Optimizer run ${completed}/${combinations.length}: ${JSON.stringify(combinations[message.id])}`);
+        }
+        next();
+      });
+      worker.on('error', reject);
+      next();
+    });
+
+    try {
+      await Promise.all(Array.from({ length: workerCount }, runWorker));
+    } catch (error) {
+      // Ein abgestürzter Worker beendet die Optimierung; die übrigen Worker nicht weiterlaufen lassen
+      await Promise.all(workers.map(worker => worker.terminate()));
+      throw error;
+    }
+    return results;
+  }
+
+  // Sortiert nach Zielfunktion; Läufe mit Fehler, weniger als minTrades Trades oder ohne gültigen Wert
+  // (z.B. Profit-Faktor ohne Verlusttrade) stehen am Ende, gleiche Werte behalten ihre Reihenfolge
+  rank(results) {
+    const score = OBJECTIVES[this.objective];
+    return results
+      .map(result => {
+        const value = result.summary && result.summary.totalTrades >= this.minTrades ? score(result.summary) : null;
+        return { ...result, score: Number.isFinite(value) ? value : null };
+      })
+      .sort((a, b) => {
+        if (a.score === null) return b.score === null ? 0 : 1;
+        if (b.score === null) return -1;
+        return b.score - a.score;
+      });
+  }
+
+  async run() {
+    const combinations = this.getCombinations();
+    this.logger.info(`Optimizing ${Object.keys(this.parameters).join(', ')} by ${this.objective}: ${combinations.length} ${this.search} combination(s) on ${Math.min(this.workerCount, combinations.length)} worker(s).`);
+
+    await this.prepareData();
+    const ranking = this.rank(await this.runAll(combinations));
+
+    return {
+      objective: this.objective,
+      search: this.search,
+      parameters: this.parameters,
+      ranking,
+      best: ranking.length > 0 && ranking[0].score !== null ? ranking[0] : null,
+      heatmap: this.heatmapParameters.length === 2
+        ? buildHeatmap(ranking, this.heatmapParameters[0], this.heatmapParameters[1])
+        : null
+    };
+  }
+}
+
+// Schreibt optimization.csv (eine Zeile pro Lauf) und optimization.json (inkl. Heatmap) nach directory
+export async function writeOptimizationResults(directory, report) {
+  await fs.mkdir(directory, { recursive: true });
+
+  const parameterNames = Object.keys(report.parameters);
+  const summaryNames = ['totalReturnPercent', 'maxDrawdownPercent', 'sharpeRatio', 'sortinoRatio', 'calmarRatio', 'profitFactor', 'winRate', 'totalTrades', 'finalEquity'];
+  const rows = report.ranking.map((entry, index) => [
+    index + 1,
+    ...parameterNames.map(name => entry.parameters[name]),
+    entry.score === null ? '' : entry.score,
+    ...summaryNames.map(name => (entry.summary ? entry.summary[name] : '')),
+    entry.error ? `"${entry.error.replace(/"/g, '""')}"` : ''
+  ].join(','));
+
+  const files = {
+    csv: path.join(directory, 'optimization.csv'),
+    json: path.join(directory, 'optimization.json')
+  };
+  await fs.writeFile(files.csv, [['rank', ...parameterNames, report.objective, ...summaryNames, 'error'].join(','), ...rows].join('\n') + '\n');
+  await fs.writeFile(files.json, JSON.stringify(report, null, 2));
+  return files;
+}
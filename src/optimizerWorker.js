@@ -0,0 +1,17 @@
+import { parentPort } from 'worker_threads';
+import { Backtester } from './backtester.js';
+import { summarizeResults } from './optimizer.js';
+
+// Worker-Thread des Optimizers: führt nacheinander Backtests für die empfangenen Konfigurationen aus
+// Nachricht: { id, config } -> Antwort: { id, summary } oder { id, error }
+parentPort.on('message', async ({ id, config }) => {
+  try {
+    const results = await new Backtester(config).run();
+    if (!results) {
+      throw new Error('Backtest returned no results (no historical data)');
+    }
+    parentPort.postMessage({ id, summary: summarizeResults(results) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
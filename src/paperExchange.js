@@ -0,0 +1,392 @@
+import { CostModel } from './costModel.js';
+
+// In-Process Paper-Exchange für Papierhandel und Backtests
+// Verhält sich nach außen wie die Binance Spot-API: Orders werden mit Binance-förmigen
+// Antworten bestätigt, Stop-Limit-Orders ruhen im Orderbuch und werden gegen
+// eingespeiste Preise ausgeführt, Guthaben werden pro Asset geführt.
+// Leerverkäufe werden wie bei Binance Margin über sideEffectType 'MARGIN_BUY' simuliert:
+// fehlendes Basis-Asset wird geliehen, das Guthaben wird dabei negativ (= Schuld).
+// Gebühren, Spread und Slippage kommen aus dem CostModel; Gebühren werden immer in der
+// Quote-Währung abgerechnet, damit die Basis-Mengen von Kauf und Verkauf übereinstimmen.
+// Sind für ein Symbol Filter hinterlegt (setSymbolFilters), werden Orders wie bei Binance mit
+// 'Filter failure: ...' abgelehnt, wenn Preis, Menge oder Volumen nicht passen.
+
+// Bekannte Quote-Assets zum Zerlegen eines Symbols (längste zuerst, damit z.B. FDUSD vor USD greift)
+const QUOTE_ASSETS = ['FDUSD', 'USDT', 'USDC', 'BUSD', 'TUSD', 'BTC', 'ETH', 'BNB', 'EUR', 'TRY'];
+
+// Zerlegt ein Symbol wie 'BTCUSDT' in Basis- und Quote-Asset
+export function splitSymbol(symbol) {
+  for (const quote of QUOTE_ASSETS) {
+    if (symbol.endsWith(quote) && symbol.length > quote.length) {
+      return { baseAsset: symbol.slice(0, -quote.length), quoteAsset: quote };
+    }
+  }
+  throw new Error(`Cannot determine base/quote assets for symbol: ${symbol}`);
+}
+
+// Binance liefert Zahlen als Strings mit 8 Nachkommastellen (Rundungsreste wie -1e-17 ergeben '0.00000000')
+function formatNumber(value) {
+  const number = Number(value);
+  return (Math.abs(number) < 5e-9 ? 0 : number).toFixed(8);
+}
+
+// Fehler im Stil der Binance-API ({ code, msg })
+function exchangeError(code, msg) {
+  const error = new Error(msg);
+  error.code = code;
+  error.msg = msg;
+  return error;
+}
+
+export class PaperExchange {
+  constructor(options = {}) {
+    // Guthaben pro Asset: { free, locked }
+    this.balances = {};
+    for (const [asset, amount] of Object.entries(options.initialBalances || { USDT: 10000 })) {
+      this.balances[asset] = { free: parseFloat(amount), locked: 0 };
+    }
+
+    // Alle jemals angelegten Orders (für Status-Abfragen), offene Orders werden über den Status erkannt
+    this.orders = new Map();
+    this.nextOrderId = 1;
+    this.nextTradeId = 1;
+
+    // Zuletzt eingespeiste Preise und Zeitstempel pro Symbol
+    this.prices = {};
+    this.currentTime = null;
+
+    // Optionaler Callback, der bei jeder Ausführung einer ruhenden Order aufgerufen wird
+    this.onFill = options.onFill || null;
+
+    // Gebühren, Spread und Slippage (ohne Angabe kostenlos und ohne Slippage)
+    this.costModel = options.costModel || new CostModel();
+
+    // Handelsregeln pro Symbol (SymbolFilters aus exchangeInfo), ohne Eintrag wird nicht geprüft
+    this.symbolFilters = {};
+  }
+
+  setSymbolFilters(symbol, filters) {
+    this.symbolFilters[symbol] = filters;
+  }
+
+  // Aktuelle Zeit der Exchange (im Backtest die Zeit der eingespeisten Kerze)
+  now() {
+    return this.currentTime !== null ? this.currentTime : Date.now();
+  }
+
+  getBalance(asset) {
+    if (!this.balances[asset]) {
+      this.balances[asset] = { free: 0, locked: 0 };
+    }
+    return this.balances[asset];
+  }
+
+  // Guthaben im Format von node-binance-api's balance(): { ASSET: { available, onOrder } }
+  getBalances() {
+    const result = {};
+    for (const [asset, balance] of Object.entries(this.balances)) {
+      result[asset] = {
+        available: formatNumber(balance.free),
+        onOrder: formatNumber(balance.locked)
+      };
+    }
+    return result;
+  }
+
+  getPrice(symbol) {
+    return this.prices[symbol];
+  }
+
+  // Speist einen neuen Preis ein und führt ausgelöste Orders aus
+  // continuous: der Kurs hat sich lückenlos vom vorherigen Preis hierher bewegt (z.B. innerhalb einer Kerze),
+  // Stops und Limits werden dann genau auf ihrem Niveau erreicht. Ohne continuous (Kurslücke, z.B. Open
+  // einer neuen Kerze oder einzelne Live-Ticks) wird zum neuen Preis ausgeführt.
+  // Gibt die Liste der in diesem Schritt (teilweise) ausgeführten Orders zurück
+  feedPrice(symbol, price, timestamp = null, continuous = false) {
+    const numericPrice = parseFloat(price);
+    if (!Number.isFinite(numericPrice) || numericPrice <= 0) {
+      throw new Error(`Invalid price for ${symbol}: ${price}`);
+    }
+
+    const previousPrice = this.prices[symbol];
+    this.prices[symbol] = numericPrice;
+    if (timestamp !== null) {
+      this.currentTime = timestamp;
+    }
+
+    const filledOrders = [];
+    for (const order of this.getOpenOrders(symbol)) {
+      if (this.processRestingOrder(order, numericPrice, continuous && previousPrice !== undefined)) {
+        filledOrders.push(this.formatOrder(order));
+        if (this.onFill) {
+          this.onFill(this.formatOrder(order));
+        }
+      }
+    }
+
+    return filledOrders;
+  }
+
+  getOpenOrders(symbol = null) {
+    return [...this.orders.values()].filter(order =>
+      (order.status === 'NEW' || order.status === 'PARTIALLY_FILLED') &&
+      (symbol === null || order.symbol === symbol)
+    );
+  }
+
+  // Prüft eine ruhende Order gegen den aktuellen Preis; true, wenn sie ausgeführt wurde
+  processRestingOrder(order, price, continuous = false) {
+    // Limit-Bedingung: SELL nur zum Limit oder besser, BUY nur zum Limit oder günstiger
+    const withinLimit = (value) => (order.side === 'SELL' ? value >= order.price : value <= order.price);
+
+    // Stop-Limit: Zuerst muss der Stop-Preis erreicht werden, danach verhält sich die Order wie eine Limit-Order
+    if (order.type === 'STOP_LOSS_LIMIT' && !order.triggered) {
+      const stopReached = order.side === 'SELL' ? price <= order.stopPrice : price >= order.stopPrice;
+      if (!stopReached) return false;
+      order.triggered = true;
+      order.updateTime = this.now();
+
+      // Ausgelöster Stop ist marktfähig (Taker): Spread und Slippage, aber nie schlechter als das Limit
+      const triggerPrice = continuous ? order.stopPrice : price;
+      if (!withinLimit(triggerPrice)) {
+        // Kurslücke durch das Limit - Order bleibt als Limit-Order im Buch
+        return false;
+      }
+      const executionPrice = this.costModel.getExecutionPrice(order.side, triggerPrice, order.symbol);
+      this.fillOrder(order, withinLimit(executionPrice) ? executionPrice : order.price, 'TAKER');
+      return true;
+    }
+
+    if (!withinLimit(price)) {
+      return false;
+    }
+
+    // Ruhende Limit-Order (Maker): zum Limit, bei einer Kurslücke zum besseren neuen Preis
+    this.fillOrder(order, continuous ? order.price : price, 'MAKER');
+    return true;
+  }
+
+  placeOrder({ symbol, side, type, quantity, price = null, stopPrice = null, timeInForce = null, sideEffectType = null, reduceOnly = false }) {
+    const { baseAsset, quoteAsset } = splitSymbol(symbol);
+    // Binance akzeptiert maximal 8 Nachkommastellen; abrunden, damit nie mehr als vorhanden verkauft wird
+    // (Rundungsrauschen vorher entfernen, damit z.B. 0.1 * 1e8 = 9999999.999... nicht auf 0.09999999 abgerundet wird)
+    const qty = Math.floor(Number((parseFloat(quantity) * 1e8).toPrecision(15))) / 1e8;
+
+    if (!Number.isFinite(qty) || qty <= 0) {
+      throw exchangeError(-1013, 'Invalid quantity.');
+    }
+    if (side !== 'BUY' && side !== 'SELL') {
+      throw exchangeError(-1117, 'Invalid side.');
+    }
+
+    const filters = this.symbolFilters[symbol];
+    if (filters) {
+      const failure = filters.checkOrder({
+        type,
+        quantity: qty,
+        price: price !== null ? parseFloat(price) : null,
+        stopPrice: stopPrice !== null ? parseFloat(stopPrice) : null,
+        referencePrice: this.prices[symbol] || null,
+        reduceOnly
+      });
+      if (failure) {
+        throw exchangeError(-1013, `Filter failure: ${failure.filter}`);
+      }
+    }
+
+    const order = {
+      symbol,
+      orderId: this.nextOrderId++,
+      clientOrderId: `paper_${Date.now().toString(36)}_${this.nextOrderId}`,
+      side,
+      type,
+      origQty: qty,
+      executedQty: 0,
+      cummulativeQuoteQty: 0,
+      price: price !== null ? parseFloat(price) : 0,
+      stopPrice: stopPrice !== null ? parseFloat(stopPrice) : 0,
+      timeInForce: timeInForce || 'GTC',
+      status: 'NEW',
+      triggered: false,
+      fills: [],
+      time: this.now(),
+      updateTime: this.now(),
+      baseAsset,
+      quoteAsset,
+      sideEffectType
+    };
+
+    if (type === 'MARKET') {
+      const marketPrice = this.prices[symbol];
+      if (!marketPrice) {
+        throw exchangeError(-1013, `No market price available for ${symbol}.`);
+      }
+      const executionPrice = this.costModel.getExecutionPrice(side, marketPrice, symbol);
+      this.reserveFunds(order, executionPrice);
+      this.orders.set(order.orderId, order);
+      this.fillOrder(order, executionPrice, 'TAKER');
+      return this.formatOrder(order, true);
+    }
+
+    if (type === 'STOP_LOSS_LIMIT') {
+      if (!order.price || !order.stopPrice) {
+        throw exchangeError(-1102, 'Mandatory parameter price/stopPrice was not sent, was empty/null, or malformed.');
+      }
+
+      // Binance lehnt Stops ab, die sofort auslösen würden
+      const marketPrice = this.prices[symbol];
+      if (marketPrice) {
+        const wouldTrigger = side === 'SELL' ? marketPrice <= order.stopPrice : marketPrice >= order.stopPrice;
+        if (wouldTrigger) {
+          throw exchangeError(-2010, 'Order would trigger immediately.');
+        }
+      }
+
+      this.reserveFunds(order, order.price);
+      this.orders.set(order.orderId, order);
+      return this.formatOrder(order, true);
+    }
+
+    throw exchangeError(-1116, `Unsupported order type: ${type}`);
+  }
+
+  // Sperrt das für die Order benötigte Guthaben (Basis-Asset bei SELL, Quote-Asset inkl. Taker-Gebühr bei BUY)
+  reserveFunds(order, referencePrice) {
+    const asset = order.side === 'SELL' ? order.baseAsset : order.quoteAsset;
+    const amount = order.side === 'SELL'
+      ? order.origQty
+      : order.origQty * referencePrice * (1 + this.costModel.getFeeRate('TAKER'));
+    const balance = this.getBalance(asset);
+
+    // Leerverkauf: das fehlende Basis-Asset wird geliehen
+    const borrow = order.side === 'SELL' && order.sideEffectType === 'MARGIN_BUY';
+
+    // Kleine Toleranz für Rundungsfehler bei Fließkommazahlen
+    if (!borrow && balance.free + 1e-9 < amount) {
+      throw exchangeError(-2010, 'Account has insufficient balance for requested action.');
+    }
+
+    balance.free -= amount;
+    balance.locked += amount;
+    order.reservedAsset = asset;
+    order.reservedAmount = amount;
+  }
+
+  // Gibt nicht verbrauchtes reserviertes Guthaben wieder frei
+  releaseFunds(order) {
+    if (!order.reservedAmount) return;
+    const balance = this.getBalance(order.reservedAsset);
+    balance.locked -= order.reservedAmount;
+    balance.free += order.reservedAmount;
+    order.reservedAmount = 0;
+  }
+
+  // liquidity: 'MAKER' (ruhende Limit-Order) oder 'TAKER' (Market-Order, ausgelöster Stop)
+  fillOrder(order, price, liquidity = 'TAKER') {
+    const qty = order.origQty - order.executedQty;
+    const quoteQty = qty * price;
+    const commission = quoteQty * this.costModel.getFeeRate(liquidity);
+    const baseBalance = this.getBalance(order.baseAsset);
+    const quoteBalance = this.getBalance(order.quoteAsset);
+
+    // Reserviertes Guthaben verbrauchen, Differenz (z.B. günstigerer Kauf) zurückgeben
+    const consumed = order.side === 'SELL' ? qty : quoteQty + commission;
+    const reservedBalance = this.getBalance(order.reservedAsset);
+    reservedBalance.locked -= order.reservedAmount;
+    reservedBalance.free += order.reservedAmount - consumed;
+    order.reservedAmount = 0;
+
+    if (order.side === 'BUY') {
+      baseBalance.free += qty;
+    } else {
+      quoteBalance.free += quoteQty - commission;
+    }
+
+    order.executedQty += qty;
+    order.cummulativeQuoteQty += quoteQty;
+    order.status = 'FILLED';
+    order.updateTime = this.now();
+    order.fills.push({
+      price: formatNumber(price),
+      qty: formatNumber(qty),
+      commission: formatNumber(commission),
+      commissionAsset: order.quoteAsset,
+      tradeId: this.nextTradeId++
+    });
+  }
+
+  cancelOrder(symbol, orderId) {
+    const order = this.orders.get(Number(orderId));
+    if (!order || order.symbol !== symbol) {
+      throw exchangeError(-2011, 'Unknown order sent.');
+    }
+    if (order.status !== 'NEW' && order.status !== 'PARTIALLY_FILLED') {
+      throw exchangeError(-2011, 'Unknown order sent.');
+    }
+
+    this.releaseFunds(order);
+    order.status = 'CANCELED';
+    order.updateTime = this.now();
+
+    const response = this.formatOrder(order);
+    response.origClientOrderId = order.clientOrderId;
+    return response;
+  }
+
+  // Anders als Binance enthält die Antwort auch die fills, damit Gebühren ausgeführter Stops bekannt sind
+  getOrder(symbol, orderId) {
+    const order = this.orders.get(Number(orderId));
+    if (!order || order.symbol !== symbol) {
+      throw exchangeError(-2013, 'Order does not exist.');
+    }
+    return this.formatOrder(order, true);
+  }
+
+  // Serialisierbarer Zustand für die Persistenz des Papierhandels über Neustarts hinweg
+  toJSON() {
+    return {
+      balances: JSON.parse(JSON.stringify(this.balances)),
+      orders: [...this.orders.values()].map(order => ({ ...order, fills: order.fills.map(fill => ({ ...fill })) })),
+      nextOrderId: this.nextOrderId,
+      nextTradeId: this.nextTradeId
+    };
+  }
+
+  // Stellt einen mit toJSON gespeicherten Zustand wieder her
+  // Preise werden bewusst nicht übernommen, sie wären nach einem Neustart veraltet
+  restore(state) {
+    this.balances = JSON.parse(JSON.stringify(state.balances || {}));
+    this.orders = new Map((state.orders || []).map(order => [order.orderId, { ...order }]));
+    this.nextOrderId = state.nextOrderId || this.orders.size + 1;
+    this.nextTradeId = state.nextTradeId || 1;
+  }
+
+  // Binance-förmige Order-Antwort; withFills entspricht newOrderRespType=FULL
+  formatOrder(order, withFills = false) {
+    const response = {
+      symbol: order.symbol,
+      orderId: order.orderId,
+      orderListId: -1,
+      clientOrderId: order.clientOrderId,
+      transactTime: order.updateTime,
+      price: formatNumber(order.price),
+      origQty: formatNumber(order.origQty),
+      executedQty: formatNumber(order.executedQty),
+      cummulativeQuoteQty: formatNumber(order.cummulativeQuoteQty),
+      status: order.status,
+      timeInForce: order.timeInForce,
+      type: order.type,
+      side: order.side,
+      stopPrice: formatNumber(order.stopPrice),
+      time: order.time,
+      updateTime: order.updateTime,
+      isWorking: order.type !== 'STOP_LOSS_LIMIT' || order.triggered
+    };
+
+    if (withFills) {
+      response.fills = order.fills.map(fill => ({ ...fill }));
+    }
+
+    return response;
+  }
+}
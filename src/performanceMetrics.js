@@ -0,0 +1,140 @@
+// Performance-Kennzahlen für Backtests
+// Grundlage sind die Equity-Kurve ({ time, equity, openPositions, benchmark } pro Zeitschritt)
+// und die Trades des Backtests. Renditen werden pro Zeitschritt berechnet und auf ein Jahr hochgerechnet.
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Drawdown pro Zeitschritt: Abstand des Kapitals zum bisherigen Höchststand
+export function drawdownSeries(equityCurve) {
+  let peak = -Infinity;
+  return equityCurve.map(point => {
+    peak = Math.max(peak, point.equity);
+    const drawdown = peak - point.equity;
+    return { time: point.time, equity: point.equity, peak, drawdown, drawdownPercent: peak > 0 ? drawdown / peak * 100 : 0 };
+  });
+}
+
+// Größter Drawdown und längste Phase unter einem Höchststand (bis zur Erholung oder zum Ende)
+export function maxDrawdown(series) {
+  const result = { maxDrawdown: 0, maxDrawdownPercent: 0, maxDrawdownDurationMs: 0 };
+  let peakTime = series.length > 0 ? series[0].time : 0;
+
+  for (const point of series) {
+    if (point.drawdown <= 0) {
+      peakTime = point.time;
+      continue;
+    }
+    result.maxDrawdown = Math.max(result.maxDrawdown, point.drawdown);
+    result.maxDrawdownPercent = Math.max(result.maxDrawdownPercent, point.drawdownPercent);
+    result.maxDrawdownDurationMs = Math.max(result.maxDrawdownDurationMs, point.time - peakTime);
+  }
+  return result;
+}
+
+// Relative Veränderung zwischen aufeinanderfolgenden Werten
+export function periodReturns(values) {
+  const returns = [];
+  for (let i = 1; i < values.length; i++) {
+    if (values[i - 1] > 0) returns.push(values[i] / values[i - 1] - 1);
+  }
+  return returns;
+}
+
+// Anzahl der Zeitschritte pro Jahr aus dem typischen (Median-)Abstand der Zeitpunkte
+export function periodsPerYear(times) {
+  const steps = [];
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] > times[i - 1]) steps.push(times[i] - times[i - 1]);
+  }
+  if (steps.length === 0) return 0;
+  steps.sort((a, b) => a - b);
+  return YEAR_MS / steps[Math.floor(steps.length / 2)];
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// Annualisierte Sharpe Ratio (risikofreier Zins pro Jahr als Anteil, z.B. 0.02)
+export function sharpeRatio(returns, periods, riskFreeRate = 0) {
+  if (returns.length < 2 || !(periods > 0)) return 0;
+  const excess = returns.map(value => value - riskFreeRate / periods);
+  const average = mean(excess);
+  const variance = excess.reduce((sum, value) => sum + (value - average) ** 2, 0) / (excess.length - 1);
+  return variance > 0 ? average / Math.sqrt(variance) * Math.sqrt(periods) : 0;
+}
+
+// Annualisierte Sortino Ratio: wie Sharpe, aber nur Verluste zählen als Risiko
+export function sortinoRatio(returns, periods, riskFreeRate = 0) {
+  if (returns.length < 2 || !(periods > 0)) return 0;
+  const excess = returns.map(value => value - riskFreeRate / periods);
+  const downsideDeviation = Math.sqrt(excess.reduce((sum, value) => sum + Math.min(value, 0) ** 2, 0) / excess.length);
+  return downsideDeviation > 0 ? mean(excess) / downsideDeviation * Math.sqrt(periods) : 0;
+}
+
+// Kennzahlen der Trades: Erwartungswert (absolut und in R = Vielfachen des initialen Risikos), MAE/MFE
+export function tradeMetrics(trades) {
+  const wins = trades.filter(trade => trade.profit > 0);
+  const losses = trades.filter(trade => trade.profit <= 0);
+  const winRate = trades.length > 0 ? wins.length / trades.length : 0;
+  const averageWin = mean(wins.map(trade => trade.profit));
+  const averageLoss = Math.abs(mean(losses.map(trade => trade.profit)));
+  const rMultiples = trades.filter(trade => typeof trade.rMultiple === 'number').map(trade => trade.rMultiple);
+
+  return {
+    expectancy: winRate * averageWin - (1 - winRate) * averageLoss,
+    expectancyR: rMultiples.length > 0 ? mean(rMultiples) : null,
+    averageWin,
+    averageLoss,
+    payoffRatio: averageLoss > 0 ? averageWin / averageLoss : 0,
+    averageMaePercent: mean(trades.map(trade => trade.maePercent || 0)),
+    averageMfePercent: mean(trades.map(trade => trade.mfePercent || 0))
+  };
+}
+
+// Alle Kennzahlen eines Backtests
+// options.riskFreeRate: risikofreier Zins pro Jahr (Anteil) für Sharpe und Sortino
+export function calculatePerformanceMetrics({ equityCurve, trades = [], initialBalance }, options = {}) {
+  const riskFreeRate = options.riskFreeRate || 0;
+  const series = drawdownSeries(equityCurve);
+  const drawdown = maxDrawdown(series);
+  const periods = periodsPerYear(equityCurve.map(point => point.time));
+  const returns = periodReturns([initialBalance, ...equityCurve.map(point => point.equity)]);
+
+  const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : initialBalance;
+  const durationMs = equityCurve.length > 1 ? equityCurve[equityCurve.length - 1].time - equityCurve[0].time : 0;
+  const totalReturn = initialBalance > 0 ? finalEquity / initialBalance - 1 : 0;
+  const annualizedReturn = durationMs > 0 && totalReturn > -1 ? (1 + totalReturn) ** (YEAR_MS / durationMs) - 1 : 0;
+
+  const metrics = {
+    totalReturnPercent: totalReturn * 100,
+    annualizedReturnPercent: annualizedReturn * 100,
+    ...drawdown,
+    sharpeRatio: sharpeRatio(returns, periods, riskFreeRate),
+    sortinoRatio: sortinoRatio(returns, periods, riskFreeRate),
+    calmarRatio: drawdown.maxDrawdownPercent > 0 ? annualizedReturn * 100 / drawdown.maxDrawdownPercent : 0,
+    // Anteil der Zeitschritte mit mindestens einer offenen Position
+    exposurePercent: equityCurve.length > 0
+      ? equityCurve.filter(point => point.openPositions > 0).length / equityCurve.length * 100
+      : 0,
+    ...tradeMetrics(trades),
+    drawdownCurve: series.map(point => ({ time: point.time, drawdown: point.drawdown, drawdownPercent: point.drawdownPercent })),
+    benchmark: null
+  };
+
+  // Buy-and-Hold-Vergleich, falls die Equity-Kurve eine Benchmark enthält
+  if (equityCurve.length > 0 && typeof equityCurve[0].benchmark === 'number') {
+    const benchmarkCurve = equityCurve.map(point => ({ time: point.time, equity: point.benchmark }));
+    const benchmarkReturns = periodReturns([initialBalance, ...benchmarkCurve.map(point => point.equity)]);
+    const benchmarkReturn = benchmarkCurve[benchmarkCurve.length - 1].equity / initialBalance - 1;
+    metrics.benchmark = {
+      finalEquity: benchmarkCurve[benchmarkCurve.length - 1].equity,
+      totalReturnPercent: benchmarkReturn * 100,
+      maxDrawdownPercent: maxDrawdown(drawdownSeries(benchmarkCurve)).maxDrawdownPercent,
+      sharpeRatio: sharpeRatio(benchmarkReturns, periods, riskFreeRate),
+      excessReturnPercent: (totalReturn - benchmarkReturn) * 100
+    };
+  }
+
+  return metrics;
+}
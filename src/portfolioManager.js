@@ -0,0 +1,90 @@
+// Portfolio-Regeln für den Handel mehrerer Symbole gleichzeitig
+//
+// Vor jedem Einstieg wird geprüft, ob noch eine Position eröffnet werden darf (maxOpenPositions,
+// eine Position pro Symbol) und wie groß sie höchstens sein darf:
+//   - maxSymbolExposurePercent: Positionswert pro Symbol in Prozent des Kapitals (Equity)
+//   - maxTotalExposurePercent:  Positionswert aller Positionen in Prozent des Kapitals
+//   - verfügbares Guthaben der Quote-Währung (inkl. Kosten und balanceReservePercent als Puffer
+//     für Preisänderungen bis zur Ausführung)
+// Eine zu große Order wird auf den verbleibenden Spielraum verkleinert, ohne Spielraum abgelehnt.
+// Der Positionswert ist bei Long- und Short-Positionen Menge * aktueller Preis.
+export class PortfolioManager {
+  constructor(options = {}) {
+    this.maxOpenPositions = parseInt(options.maxOpenPositions) || 0;
+    this.maxSymbolExposurePercent = parseFloat(options.maxSymbolExposurePercent) || 0;
+    this.maxTotalExposurePercent = parseFloat(options.maxTotalExposurePercent) || 0;
+    this.balanceReservePercent = parseFloat(options.balanceReservePercent) || 0;
+    this.allocation = options.allocation || 'fixed';
+
+    if (this.allocation !== 'fixed' && this.allocation !== 'equal') {
+      throw new Error(`Unsupported portfolio allocation: ${this.allocation} (expected 'fixed' or 'equal')`);
+    }
+  }
+
+  // Positionswert einer Position zum aktuellen Preis
+  getExposure(position) {
+    return position.quantity * (position.currentPrice || position.entryPrice);
+  }
+
+  // Positionswerte pro Symbol und gesamt
+  getExposures(positions) {
+    const bySymbol = {};
+    let total = 0;
+    for (const position of positions) {
+      const exposure = this.getExposure(position);
+      bySymbol[position.symbol] = (bySymbol[position.symbol] || 0) + exposure;
+      total += exposure;
+    }
+    return { bySymbol, total };
+  }
+
+  // Zielgröße einer neuen Position in der Quote-Währung
+  // 'fixed': positionSize pro Position, 'equal': Kapital gleichmäßig auf maxOpenPositions verteilt
+  getTargetPositionValue(positionSize, equity) {
+    if (this.allocation === 'equal' && this.maxOpenPositions > 0 && equity > 0) {
+      return equity / this.maxOpenPositions;
+    }
+    return positionSize;
+  }
+
+  // Prüft einen geplanten Einstieg gegen die Portfolio-Regeln
+  // positions: aktive Positionen, equity: Kapital in der Quote-Währung, availableBalance: freies Quote-Guthaben
+  // costRate: Gebühr, Spread und Slippage als Anteil des Ordervolumens
+  // Ergebnis: { allowed, quantity, reason } - quantity ist ggf. verkleinert
+  evaluateEntry({ symbol, quantity, price, positions, equity, availableBalance, costRate = 0 }) {
+    if (positions.some(position => position.symbol === symbol)) {
+      return { allowed: false, quantity: 0, reason: `position for ${symbol} already open` };
+    }
+    if (this.maxOpenPositions > 0 && positions.length >= this.maxOpenPositions) {
+      return { allowed: false, quantity: 0, reason: `maximum of ${this.maxOpenPositions} open positions reached` };
+    }
+
+    const exposures = this.getExposures(positions);
+    const requestedValue = quantity * price;
+
+    // Spielräume in der Quote-Währung; der kleinste begrenzt die Order
+    const usableBalance = availableBalance * (1 - this.balanceReservePercent / 100);
+    const limits = [{ value: usableBalance / (1 + costRate), reason: `available balance ${availableBalance.toFixed(2)}` }];
+    if (this.maxSymbolExposurePercent > 0) {
+      limits.push({
+        value: equity * this.maxSymbolExposurePercent / 100 - (exposures.bySymbol[symbol] || 0),
+        reason: `max exposure per symbol ${this.maxSymbolExposurePercent}%`
+      });
+    }
+    if (this.maxTotalExposurePercent > 0) {
+      limits.push({
+        value: equity * this.maxTotalExposurePercent / 100 - exposures.total,
+        reason: `max total exposure ${this.maxTotalExposurePercent}% (current ${exposures.total.toFixed(2)})`
+      });
+    }
+
+    const tightest = limits.reduce((min, limit) => (limit.value < min.value ? limit : min));
+    if (tightest.value >= requestedValue) {
+      return { allowed: true, quantity, reason: null };
+    }
+    if (tightest.value <= 0) {
+      return { allowed: false, quantity: 0, reason: `no room left: ${tightest.reason}` };
+    }
+    return { allowed: true, quantity: tightest.value / price, reason: `reduced to ${tightest.value.toFixed(2)}: ${tightest.reason}` };
+  }
+}
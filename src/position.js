@@ -1,53 +1,152 @@
 // Klasse zur Repräsentation einer Handelsposition
+// side: 'LONG' (Kauf, Stop unter dem Kurs) oder 'SHORT' (Leerverkauf, Stop über dem Kurs)
 export class Position {
-  constructor(symbol, entryPrice, quantity, openOrderId = null) {
+  constructor(symbol, entryPrice, quantity, openOrderId = null, side = 'LONG') {
+    if (side !== 'LONG' && side !== 'SHORT') {
+      throw new Error(`Invalid position side: ${side} (expected 'LONG' or 'SHORT')`);
+    }
+    
     this.symbol = symbol;
+    this.side = side;
     this.entryPrice = parseFloat(entryPrice);
     this.quantity = parseFloat(quantity);
+    this.initialQuantity = this.quantity; // Menge bei Eröffnung (Basis für Take-Profit-Anteile)
     this.openDate = new Date();
     this.closeDate = null;
     
     // Order-IDs für Tracking und Management
     this.openOrderId = openOrderId;
     this.stopOrderId = null;
+    this.stopOrderPrice = null; // Stop-Preis der Order an der Exchange (kann currentTrailingStop hinterherhinken)
+    this.stopOrderUpdatedAt = null; // Zeitpunkt der letzten Änderung der Stop-Order (ms)
     
     // Preis-Tracking
     this.highestPrice = this.entryPrice; // Höchster erreichter Preis seit Eröffnung
+    this.lowestPrice = this.entryPrice; // Tiefster erreichter Preis seit Eröffnung (Referenz für Short-Stops)
     this.currentPrice = this.entryPrice; // Aktueller Preis für Berechnungen
     
     // Stop-Loss Einstellungen
     this.initialStopPrice = 0; // Wird später gesetzt
     this.currentTrailingStop = 0; // Wird später gesetzt
+    this.stopStage = 'INITIAL'; // Regel, die den aktuellen Stop bestimmt: INITIAL, BREAK_EVEN, PROFIT_LOCK, TRAILING, MANUAL
     
     // Status der Position
     this.status = "OPENING"; // OPENING, ACTIVE, CLOSING, CLOSED
     
-    // Gewinn/Verlust
+    // Gewinn/Verlust (nach Gebühren)
     this.profit = 0; // Realisierter oder unrealisierter Gewinn/Verlust
     this.profitPercent = 0; // Gewinn/Verlust in Prozent
     
+    // Kosten in der Quote-Währung
+    this.entryFees = 0; // Gebühren der Eröffnungsorder (für die Anfangsmenge)
+    this.feeRate = 0;   // Erwarteter Gebührensatz für den Ausstieg (0.001 = 0.1%)
+    
     // Trailing-Stop Einstellungen (können pro Position überschrieben werden)
     this.trailingSettings = {
       initialStopDistancePercent: null, // Initialabstand in Prozent
       activationThresholdPercent: null, // Ab wann Trailing aktivieren
-      trailingDistancePercent: null     // Trailing-Abstand in Prozent
+      trailingDistancePercent: null,    // Trailing-Abstand in Prozent
+      atrMultiplier: null,              // Wenn > 0: Abstände als ATR * atrMultiplier statt in Prozent
+      breakEvenTriggerPercent: null,    // Ab diesem Gewinn Stop auf den Einstieg ziehen
+      breakEvenOffsetPercent: null,     // Abstand des Break-Even-Stops zum Einstieg (z.B. Gebühren)
+      profitLocks: null,                // [{ triggerPercent, lockPercent }]: ab triggerPercent mind. lockPercent sichern
+      trailingSteps: null               // [{ profitPercent, distancePercent }]: Trailing-Abstand je erreichtem Gewinn
     };
     
+    // Nachträglich für diese Position geänderte Einstellungen (z.B. über die Control-API); sind auch in trailingSettings
+    // übernommen und werden nur zur Nachvollziehbarkeit getrennt gespeichert
+    this.trailingOverrides = {};
+    
+    // Zuletzt berechnete ATR (Average True Range) des Symbols, null wenn unbekannt
+    this.atr = null;
+    
+    // Take-Profit-Stufen: [{ profitPercent, quantityPercent, filled }], aufsteigend nach profitPercent
+    this.takeProfitLevels = [];
+    
     // Notizen/Metadaten
     this.notes = "";
     this.tags = [];
   }
   
+  isShort() {
+    return this.side === 'SHORT';
+  }
+  
+  // Order-Seite zum Eröffnen bzw. Schließen der Position
+  getEntrySide() {
+    return this.isShort() ? 'SELL' : 'BUY';
+  }
+  
+  getExitSide() {
+    return this.isShort() ? 'BUY' : 'SELL';
+  }
+  
+  // Übernimmt neue Höchst-/Tiefstkurse (z.B. Hoch und Tief einer Kerze oder einen einzelnen Tick)
+  updatePriceExtremes(high, low = high) {
+    if (high > this.highestPrice) {
+      this.highestPrice = high;
+    }
+    if (low < this.lowestPrice) {
+      this.lowestPrice = low;
+    }
+  }
+  
+  // true, wenn ein Kurs zwischen low und high den aktuellen Stop erreicht hat
+  isStopHit(low, high = low) {
+    if (this.currentTrailingStop <= 0) return false;
+    return this.isShort() ? high >= this.currentTrailingStop : low <= this.currentTrailingStop;
+  }
+  
+  // Setzt die Take-Profit-Stufen, z.B. [{ profitPercent: 2, quantityPercent: 30 }, { profitPercent: 4, quantityPercent: 30 }]
+  setTakeProfitLevels(levels = []) {
+    this.takeProfitLevels = levels
+      .map(level => ({
+        profitPercent: parseFloat(level.profitPercent),
+        quantityPercent: parseFloat(level.quantityPercent),
+        filled: level.filled === true
+      }))
+      .sort((a, b) => a.profitPercent - b.profitPercent);
+    return this.takeProfitLevels;
+  }
+  
+  // Zielpreis einer Take-Profit-Stufe (über dem Einstieg bei Long, darunter bei Short)
+  getTakeProfitPrice(level) {
+    const factor = level.profitPercent / 100;
+    return this.isShort() ? this.entryPrice * (1 - factor) : this.entryPrice * (1 + factor);
+  }
+  
+  // Zu verkaufende Menge einer Stufe (Anteil der Anfangsmenge, höchstens die verbleibende Menge)
+  getTakeProfitQuantity(level) {
+    return Math.min(this.initialQuantity * (level.quantityPercent / 100), this.quantity);
+  }
+  
+  // Offene Take-Profit-Stufen, deren Zielpreis von einem Kurs zwischen low und high erreicht wurde
+  getTriggeredTakeProfits(low, high = low) {
+    return this.takeProfitLevels.filter(level => {
+      if (level.filled) return false;
+      const target = this.getTakeProfitPrice(level);
+      return this.isShort() ? low <= target : high >= target;
+    });
+  }
+  
+  // Anteil der Eröffnungsgebühren, der auf die angegebene Menge entfällt
+  getEntryFeeShare(quantity) {
+    return this.initialQuantity > 0 ? this.entryFees * (quantity / this.initialQuantity) : 0;
+  }
+  
   // Aktualisiert den aktuellen Preis und berechnet den unrealisierten Gewinn/Verlust
+  // Netto: anteilige Eröffnungsgebühren und die erwartete Gebühr für den Ausstieg werden abgezogen
   updateProfit() {
     if (!this.currentPrice) return;
     
-    // Berechnung basierend auf Long-Position (Kauf)
+    // Short-Positionen gewinnen bei fallenden Kursen
+    const direction = this.isShort() ? -1 : 1;
     const currentValue = this.quantity * this.currentPrice;
     const entryValue = this.quantity * this.entryPrice;
+    const fees = this.getEntryFeeShare(this.quantity) + currentValue * this.feeRate;
     
-    this.profit = currentValue - entryValue;
-    this.profitPercent = ((this.currentPrice / this.entryPrice) - 1) * 100;
+    this.profit = direction * (currentValue - entryValue) - fees;
+    this.profitPercent = entryValue > 0 ? (this.profit / entryValue) * 100 : 0;
     
     return {
       profit: this.profit,
@@ -62,52 +161,142 @@ export class Position {
     return this.currentTrailingStop;
   }
   
-  // Aktualisiert den Trailing-Stop basierend auf dem aktuellen Preis und den Einstellungen
-  updateTrailingStop(settings = {}) {
-    // Wenn keine Settings übergeben wurden, verwende die der Position oder Standardwerte
-    const activeSettings = {
-      initialStopDistancePercent: settings.initialStopDistancePercent || this.trailingSettings.initialStopDistancePercent || 2,
-      activationThresholdPercent: settings.activationThresholdPercent || this.trailingSettings.activationThresholdPercent || 1,
-      trailingDistancePercent: settings.trailingDistancePercent || this.trailingSettings.trailingDistancePercent || 1.5
+  // Ermittelt die aktiven Trailing-Einstellungen: Werte der Position (trailingSettings, inkl. nachträglicher
+  // Änderungen) haben Vorrang vor den übergebenen Settings (Konfiguration), danach gelten Standardwerte
+  resolveTrailingSettings(settings = {}) {
+    const pick = (key, defaultValue) => {
+      if (this.trailingSettings[key] !== undefined && this.trailingSettings[key] !== null) return this.trailingSettings[key];
+      if (settings[key] !== undefined && settings[key] !== null) return settings[key];
+      return defaultValue;
     };
     
-    // Aktualisiere die Position-spezifischen Einstellungen
-    Object.assign(this.trailingSettings, activeSettings);
+    return {
+      initialStopDistancePercent: pick('initialStopDistancePercent', 2),
+      activationThresholdPercent: pick('activationThresholdPercent', 1),
+      trailingDistancePercent: pick('trailingDistancePercent', 1.5),
+      atrMultiplier: pick('atrMultiplier', 0),
+      breakEvenTriggerPercent: pick('breakEvenTriggerPercent', 0),
+      breakEvenOffsetPercent: pick('breakEvenOffsetPercent', 0),
+      profitLocks: pick('profitLocks', []),
+      trailingSteps: pick('trailingSteps', [])
+    };
+  }
+  
+  // Ändert Trailing-Einstellungen dieser Position (z.B. { trailingDistancePercent: 0.8 }); die Werte gelten
+  // ab dem nächsten Stop-Update und haben Vorrang vor der Konfiguration
+  overrideTrailingSettings(settings) {
+    Object.assign(this.trailingSettings, settings);
+    Object.assign(this.trailingOverrides, settings);
+  }
+  
+  // Höchster seit Eröffnung erreichter Gewinn in Prozent (bei Short gemessen am tiefsten Preis)
+  getPeakProfitPercent() {
+    return this.isShort()
+      ? (1 - (this.lowestPrice / this.entryPrice)) * 100
+      : ((this.highestPrice / this.entryPrice) - 1) * 100;
+  }
+  
+  // Größter seit Eröffnung erreichter Verlust in Prozent (bei Short gemessen am höchsten Preis), >= 0
+  getPeakLossPercent() {
+    const lossPercent = this.isShort()
+      ? ((this.highestPrice / this.entryPrice) - 1) * 100
+      : (1 - (this.lowestPrice / this.entryPrice)) * 100;
+    return Math.max(lossPercent, 0);
+  }
+  
+  // Preis, bei dem die Position den angegebenen Gewinn in Prozent hat
+  getPriceAtProfit(profitPercent) {
+    const factor = profitPercent / 100;
+    return this.isShort() ? this.entryPrice * (1 - factor) : this.entryPrice * (1 + factor);
+  }
+  
+  // true, wenn stopA enger am Kurs liegt (mehr Gewinn sichert) als stopB
+  isTighterStop(stopA, stopB) {
+    return this.isShort() ? stopA < stopB : stopA > stopB;
+  }
+  
+  // Stop-Abstand: ATR * atrMultiplier, wenn aktiviert und eine ATR bekannt ist, sonst Prozent vom Referenzpreis
+  getStopDistance(referencePrice, distancePercent, activeSettings) {
+    if (activeSettings.atrMultiplier > 0 && this.atr > 0) {
+      return this.atr * activeSettings.atrMultiplier;
+    }
+    return referencePrice * (distancePercent / 100);
+  }
+  
+  // Berechnet den initialen Stop-Preis, ohne ihn zu setzen
+  calculateInitialStop(settings = {}) {
+    const activeSettings = this.resolveTrailingSettings(settings);
+    const distance = this.getStopDistance(this.entryPrice, activeSettings.initialStopDistancePercent, activeSettings);
+    return this.isShort() ? this.entryPrice + distance : this.entryPrice - distance;
+  }
+  
+  // Aktualisiert den Trailing-Stop basierend auf dem aktuellen Preis und den Einstellungen
+  updateTrailingStop(settings = {}) {
+    // Einstellungen der Position, sonst die übergebenen Settings oder Standardwerte
+    const activeSettings = this.resolveTrailingSettings(settings);
     
-    // Wenn der Stop noch nicht gesetzt wurde, setze ihn basierend auf initialStopDistancePercent
+    // Wenn der Stop noch nicht gesetzt wurde, setze ihn basierend auf initialStopDistancePercent (bzw. ATR)
     if (this.currentTrailingStop === 0) {
-      const stopDistance = this.entryPrice * (activeSettings.initialStopDistancePercent / 100);
-      this.setInitialStop(this.entryPrice - stopDistance);
+      this.setInitialStop(this.calculateInitialStop(activeSettings));
       return this.currentTrailingStop;
     }
     
     // Berechne den aktuellen Gewinn in Prozent
     this.updateProfit();
+    const peakProfitPercent = this.getPeakProfitPercent();
     
-    // Wenn der Gewinn unter dem Aktivierungsschwellenwert liegt, behalte den aktuellen Stop bei
-    if (this.profitPercent < activeSettings.activationThresholdPercent) {
-      return this.currentTrailingStop;
+    // Kandidaten der einzelnen Regeln sammeln, der engste gewinnt
+    const candidates = [];
+    
+    // Break-Even: Stop auf den Einstieg (+ Offset für Gebühren), sobald der Gewinn den Trigger erreicht hat
+    if (activeSettings.breakEvenTriggerPercent > 0 && peakProfitPercent >= activeSettings.breakEvenTriggerPercent) {
+      candidates.push({ stage: 'BREAK_EVEN', price: this.getPriceAtProfit(activeSettings.breakEvenOffsetPercent) });
     }
     
-    // Berechne den neuen möglichen Stop basierend auf dem höchsten Preis
-    const trailingDistance = this.highestPrice * (activeSettings.trailingDistancePercent / 100);
-    const newPossibleStop = this.highestPrice - trailingDistance;
+    // Profit-Locks: ab triggerPercent Gewinn mindestens lockPercent Gewinn sichern
+    for (const lock of activeSettings.profitLocks) {
+      if (peakProfitPercent >= lock.triggerPercent) {
+        candidates.push({ stage: 'PROFIT_LOCK', price: this.getPriceAtProfit(lock.lockPercent) });
+      }
+    }
+    
+    // Trailing erst ab dem Aktivierungsschwellenwert
+    if (this.profitPercent >= activeSettings.activationThresholdPercent) {
+      // Short: Stop folgt dem tiefsten Preis, Long: dem höchsten Preis
+      const referencePrice = this.isShort() ? this.lowestPrice : this.highestPrice;
+      
+      // Trailing-Stufen: die höchste erreichte Stufe bestimmt den (engeren) Abstand in Prozent
+      const step = activeSettings.trailingSteps
+        .filter(entry => peakProfitPercent >= entry.profitPercent)
+        .sort((a, b) => b.profitPercent - a.profitPercent)[0];
+      const trailingDistance = step
+        ? referencePrice * (step.distancePercent / 100)
+        : this.getStopDistance(referencePrice, activeSettings.trailingDistancePercent, activeSettings);
+      
+      candidates.push({
+        stage: 'TRAILING',
+        price: this.isShort() ? referencePrice + trailingDistance : referencePrice - trailingDistance
+      });
+    }
     
-    // Ziehe den Stop nur nach oben, nie nach unten
-    if (newPossibleStop > this.currentTrailingStop) {
-      this.currentTrailingStop = newPossibleStop;
+    // Den Stop nur in Gewinnrichtung verschieben (Long nach oben, Short nach unten)
+    for (const candidate of candidates) {
+      if (this.isTighterStop(candidate.price, this.currentTrailingStop)) {
+        this.currentTrailingStop = candidate.price;
+        this.stopStage = candidate.stage;
+      }
     }
     
     return this.currentTrailingStop;
   }
   
   // Schließt die Position
-  close(closePrice, closeReason = '') {
+  close(closePrice, closeReason = '', closeDate = new Date()) {
     if (this.status === 'CLOSED') {
       return false; // Bereits geschlossen
     }
     
-    this.closeDate = new Date();
+    this.closeDate = closeDate;
     this.currentPrice = parseFloat(closePrice);
     this.updateProfit(); // Aktualisiere den finalen Gewinn/Verlust
     this.status = 'CLOSED';
@@ -116,24 +305,66 @@ export class Position {
     return true;
   }
   
+  // Stellt eine Position aus ihrer JSON-Repräsentation (toJSON) wieder her
+  static fromJSON(data) {
+    const position = new Position(data.symbol, data.entryPrice, data.quantity, data.openOrderId, data.side || 'LONG');
+    
+    position.initialQuantity = data.initialQuantity !== undefined ? parseFloat(data.initialQuantity) : position.quantity;
+    position.openDate = new Date(data.openDate);
+    position.closeDate = data.closeDate ? new Date(data.closeDate) : null;
+    position.stopOrderId = data.stopOrderId || null;
+    position.stopOrderPrice = data.stopOrderPrice !== undefined && data.stopOrderPrice !== null ? parseFloat(data.stopOrderPrice) : null;
+    position.stopOrderUpdatedAt = data.stopOrderUpdatedAt || null;
+    position.highestPrice = parseFloat(data.highestPrice);
+    position.lowestPrice = data.lowestPrice !== undefined ? parseFloat(data.lowestPrice) : position.entryPrice;
+    position.currentPrice = parseFloat(data.currentPrice);
+    position.initialStopPrice = parseFloat(data.initialStopPrice) || 0;
+    position.currentTrailingStop = parseFloat(data.currentTrailingStop) || 0;
+    position.stopStage = data.stopStage || 'INITIAL';
+    position.status = data.status;
+    position.profit = parseFloat(data.profit) || 0;
+    position.profitPercent = parseFloat(data.profitPercent) || 0;
+    position.entryFees = parseFloat(data.entryFees) || 0;
+    position.feeRate = parseFloat(data.feeRate) || 0;
+    position.trailingSettings = { ...position.trailingSettings, ...data.trailingSettings };
+    position.trailingOverrides = { ...data.trailingOverrides };
+    position.atr = data.atr !== undefined && data.atr !== null ? parseFloat(data.atr) : null;
+    position.setTakeProfitLevels(data.takeProfitLevels || []);
+    position.notes = data.notes || "";
+    position.tags = Array.isArray(data.tags) ? [...data.tags] : [];
+    
+    return position;
+  }
+  
   // Gibt eine JSON-Repräsentation der Position zurück
   toJSON() {
     return {
       symbol: this.symbol,
+      side: this.side,
       entryPrice: this.entryPrice,
       quantity: this.quantity,
+      initialQuantity: this.initialQuantity,
       openDate: this.openDate,
       closeDate: this.closeDate,
       openOrderId: this.openOrderId,
       stopOrderId: this.stopOrderId,
+      stopOrderPrice: this.stopOrderPrice,
+      stopOrderUpdatedAt: this.stopOrderUpdatedAt,
       highestPrice: this.highestPrice,
+      lowestPrice: this.lowestPrice,
       currentPrice: this.currentPrice,
       initialStopPrice: this.initialStopPrice,
       currentTrailingStop: this.currentTrailingStop,
+      stopStage: this.stopStage,
       status: this.status,
       profit: this.profit,
       profitPercent: this.profitPercent,
+      entryFees: this.entryFees,
+      feeRate: this.feeRate,
       trailingSettings: { ...this.trailingSettings },
+      trailingOverrides: { ...this.trailingOverrides },
+      atr: this.atr,
+      takeProfitLevels: this.takeProfitLevels.map(level => ({ ...level })),
       notes: this.notes,
       tags: [...this.tags]
     };
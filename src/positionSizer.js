@@ -0,0 +1,94 @@
+// Positionsgrößen-Berechnung für neue Einstiege
+//
+// Methoden (sizing.method):
+//   - 'fixed':      feste Größe in der Quote-Währung (positionSize bzw. portfolio.allocation)
+//   - 'risk':       Fixed-Fractional - bis zum initialen Stop gehen höchstens riskPercent des Kapitals
+//                   verloren (inkl. Kosten für Ein- und Ausstieg)
+//   - 'volatility': Volatilitäts-Targeting - eine Bewegung um einen ATR entspricht
+//                   volatilityTargetPercent des Kapitals
+// Optional begrenzt das Kelly-Kriterium das Risiko pro Trade anhand der bisherigen Trades
+// (Trefferquote und Verhältnis von durchschnittlichem Gewinn zu Verlust).
+// Die Portfolio-Regeln (Guthaben, Exposure) werden danach separat angewendet.
+export class PositionSizer {
+  constructor(options = {}) {
+    this.method = options.method || 'fixed';
+    this.riskPercent = parseFloat(options.riskPercent) || 0;
+    this.volatilityTargetPercent = parseFloat(options.volatilityTargetPercent) || 0;
+
+    const kelly = options.kelly || {};
+    this.kelly = {
+      enabled: kelly.enabled === true,
+      multiplier: parseFloat(kelly.multiplier) || 0.5,
+      minTrades: parseInt(kelly.minTrades) || 0,
+      lookbackTrades: parseInt(kelly.lookbackTrades) || 0,
+      floorPercent: parseFloat(kelly.floorPercent) || 0
+    };
+
+    if (!['fixed', 'risk', 'volatility'].includes(this.method)) {
+      throw new Error(`Unsupported sizing method: ${this.method} (expected 'fixed', 'risk' or 'volatility')`);
+    }
+  }
+
+  // Kelly-Anteil f* = W - (1 - W) / R aus den letzten Trades (null bei zu wenigen Trades)
+  // Gewinne und Verluste werden in Prozent gerechnet, damit unterschiedliche Positionsgrößen nicht verzerren
+  getKellyFraction(trades = []) {
+    const recent = this.kelly.lookbackTrades > 0 ? trades.slice(-this.kelly.lookbackTrades) : trades;
+    if (recent.length === 0 || recent.length < this.kelly.minTrades) return null;
+
+    const wins = recent.filter(trade => trade.profitPercent > 0);
+    const losses = recent.filter(trade => trade.profitPercent <= 0);
+    const winRate = wins.length / recent.length;
+    if (losses.length === 0) return winRate;
+    if (wins.length === 0) return 0;
+
+    const averageWin = wins.reduce((sum, trade) => sum + trade.profitPercent, 0) / wins.length;
+    const averageLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.profitPercent, 0) / losses.length);
+    if (averageLoss === 0) return winRate;
+
+    return winRate - (1 - winRate) / (averageWin / averageLoss);
+  }
+
+  // Berechnet die Menge für einen Einstieg
+  // fixedValue: Zielgröße der Methode 'fixed', stopPrice: voraussichtlicher initialer Stop,
+  // atr: aktueller ATR des Symbols, costRate: Kosten einer Seite als Anteil des Ordervolumens,
+  // trades: bisherige Trades für das Kelly-Kriterium
+  // Ergebnis: { quantity, riskAmount, reason } - reason beschreibt Abweichungen (z.B. Kelly-Begrenzung)
+  calculate({ equity, price, stopPrice, atr, costRate = 0, fixedValue, trades = [] }) {
+    // Verlust pro Einheit bei Ausstieg am initialen Stop, inkl. Kosten für Ein- und Ausstieg
+    const stopDistance = stopPrice > 0 ? Math.abs(price - stopPrice) : 0;
+    const riskPerUnit = stopDistance > 0 ? stopDistance + price * costRate * 2 : 0;
+    let quantity = fixedValue / price;
+    let reason = null;
+
+    if (this.method === 'risk') {
+      if (riskPerUnit > 0 && equity > 0) {
+        quantity = equity * this.riskPercent / 100 / riskPerUnit;
+      } else {
+        reason = 'no stop distance for risk sizing, using fixed size';
+      }
+    } else if (this.method === 'volatility') {
+      if (atr > 0 && equity > 0) {
+        quantity = equity * this.volatilityTargetPercent / 100 / atr;
+      } else {
+        reason = 'no ATR for volatility sizing, using fixed size';
+      }
+    }
+
+    if (this.kelly.enabled && riskPerUnit > 0 && equity > 0) {
+      const kellyFraction = this.getKellyFraction(trades);
+      if (kellyFraction !== null) {
+        // Ohne positiven Erwartungswert wird nur mit floorPercent weitergehandelt, damit sich die Statistik erholen kann
+        const maxRiskFraction = kellyFraction > 0
+          ? kellyFraction * this.kelly.multiplier
+          : this.kelly.floorPercent / 100;
+        const maxQuantity = equity * maxRiskFraction / riskPerUnit;
+        if (quantity > maxQuantity) {
+          quantity = maxQuantity;
+          reason = `capped by Kelly fraction ${kellyFraction.toFixed(3)} to risk ${(maxRiskFraction * 100).toFixed(2)}% of equity`;
+        }
+      }
+    }
+
+    return { quantity: Math.max(quantity, 0), riskAmount: quantity * riskPerUnit, reason };
+  }
+}
@@ -0,0 +1,217 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { Logger } from './logger.js';
+
+// Echtzeit-Preisfeed über die Binance WebSocket-API
+//
+// Eine einzige Verbindung zu <url> (Standard: wss://stream.binance.com:9443/ws), Symbole werden per
+// SUBSCRIBE/UNSUBSCRIBE-Nachricht an- und abgemeldet. Unterstützte Streams: 'trade' (letzter
+// Handelspreis) und 'bookTicker' (Mittelkurs aus bestem Bid/Ask).
+//
+// Events:
+//   'price'        { symbol, price, timestamp }
+//   'connected'    nach erfolgreichem Verbindungsaufbau
+//   'disconnected' { code, reason } - es wird automatisch neu verbunden, solange der Stream läuft
+//   'stale'        keine Nachricht innerhalb von heartbeatTimeoutMs, die Verbindung wird neu aufgebaut
+//   'error'        Verbindungs- oder Protokollfehler
+export class PriceStream extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.url = options.url || 'wss://stream.binance.com:9443/ws';
+    this.streamType = options.streamType || 'trade';
+    this.heartbeatTimeoutMs = options.heartbeatTimeoutMs || 30000;
+    this.reconnectDelayMs = options.reconnectDelayMs || 1000;
+    this.maxReconnectDelayMs = options.maxReconnectDelayMs || 30000;
+    this.logger = options.logger || new Logger(options.logLevel || 'info');
+
+    if (this.streamType !== 'trade' && this.streamType !== 'bookTicker') {
+      throw new Error(`Unsupported price stream type: ${this.streamType} (expected 'trade' or 'bookTicker')`);
+    }
+
+    this.socket = null;
+    this.symbols = new Set();
+    this.running = false;
+    this.connected = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.lastMessageAt = 0;
+    this.nextRequestId = 1;
+
+    // Zeitpunkt des letzten Ticks pro Symbol (für die Entscheidung, ob gepollt werden muss)
+    this.lastTickAt = {};
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.connect();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.heartbeatTimer);
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.on('error', () => {}); // Fehler beim Schließen ignorieren
+      this.socket.terminate();
+      this.socket = null;
+    }
+    this.connected = false;
+  }
+
+  // Setzt die Liste der abonnierten Symbole (z.B. alle Symbole mit aktiven Positionen)
+  setSymbols(symbols) {
+    const next = new Set(symbols.map(symbol => symbol.toUpperCase()));
+    const added = [...next].filter(symbol => !this.symbols.has(symbol));
+    const removed = [...this.symbols].filter(symbol => !next.has(symbol));
+
+    this.symbols = next;
+    for (const symbol of removed) {
+      delete this.lastTickAt[symbol];
+    }
+
+    if (this.connected) {
+      if (added.length > 0) this.send('SUBSCRIBE', added);
+      if (removed.length > 0) this.send('UNSUBSCRIBE', removed);
+    }
+  }
+
+  // true, wenn für das Symbol innerhalb von maxAgeMs ein Tick empfangen wurde
+  isLive(symbol, maxAgeMs = this.heartbeatTimeoutMs) {
+    return this.connected && this.lastTickAt[symbol] !== undefined && Date.now() - this.lastTickAt[symbol] <= maxAgeMs;
+  }
+
+  getStreamName(symbol) {
+    return `${symbol.toLowerCase()}@${this.streamType}`;
+  }
+
+  send(method, symbols) {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+    this.socket.send(JSON.stringify({
+      method,
+      params: symbols.map(symbol => this.getStreamName(symbol)),
+      id: this.nextRequestId++
+    }));
+  }
+
+  connect() {
+    this.logger.debug(`Connecting price stream to ${this.url}...`);
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    socket.on('open', () => {
+      this.connected = true;
+      this.reconnectAttempts = 0;
+      this.lastMessageAt = Date.now();
+      this.logger.info(`Price stream connected (${this.streamType}).`);
+
+      if (this.symbols.size > 0) {
+        this.send('SUBSCRIBE', [...this.symbols]);
+      }
+
+      this.startHeartbeat();
+      this.emit('connected');
+    });
+
+    socket.on('message', (data) => {
+      this.lastMessageAt = Date.now();
+      this.handleMessage(data);
+    });
+
+    // Antworten auf eigene Pings sowie Pings des Servers zählen als Lebenszeichen
+    socket.on('pong', () => { this.lastMessageAt = Date.now(); });
+    socket.on('ping', () => { this.lastMessageAt = Date.now(); });
+
+    socket.on('error', (error) => {
+      this.logger.warn(`Price stream error: ${error.message}`);
+      this.emit('error', error);
+    });
+
+    socket.on('close', (code, reason) => {
+      if (this.socket !== socket) return;
+      this.handleDisconnect(code, reason ? reason.toString() : '');
+    });
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.logger.warn(`Ignoring malformed price stream message: ${data}`);
+      return;
+    }
+
+    // Kombinierte Streams verpacken die Daten in { stream, data }
+    const payload = message.data || message;
+
+    // Bestätigung von SUBSCRIBE/UNSUBSCRIBE
+    if (payload.id !== undefined && payload.result !== undefined) return;
+    if (payload.error) {
+      this.logger.warn(`Price stream request failed: ${JSON.stringify(payload.error)}`);
+      return;
+    }
+
+    let tick = null;
+    if (payload.e === 'trade') {
+      tick = { symbol: payload.s, price: parseFloat(payload.p), timestamp: payload.T || payload.E || Date.now() };
+    } else if (payload.b !== undefined && payload.a !== undefined && payload.s) {
+      // bookTicker: Mittelkurs aus bestem Bid und Ask
+      tick = { symbol: payload.s, price: (parseFloat(payload.b) + parseFloat(payload.a)) / 2, timestamp: Date.now() };
+    }
+
+    if (!tick || !this.symbols.has(tick.symbol) || !Number.isFinite(tick.price)) return;
+
+    this.lastTickAt[tick.symbol] = Date.now();
+    this.emit('price', tick);
+  }
+
+  // Prüft regelmäßig, ob die Verbindung noch Daten liefert, und sendet Pings
+  startHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    const checkInterval = Math.max(Math.floor(this.heartbeatTimeoutMs / 3), 100);
+
+    this.heartbeatTimer = setInterval(() => {
+      if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+
+      if (Date.now() - this.lastMessageAt > this.heartbeatTimeoutMs) {
+        this.logger.warn(`Price stream stale: no data for ${this.heartbeatTimeoutMs}ms. Reconnecting...`);
+        this.emit('stale');
+        this.socket.terminate(); // löst 'close' und damit den Reconnect aus
+        return;
+      }
+
+      this.socket.ping();
+    }, checkInterval);
+  }
+
+  handleDisconnect(code, reason) {
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.socket = null;
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    if (wasConnected) {
+      this.logger.warn(`Price stream disconnected (code ${code}${reason ? `, ${reason}` : ''}).`);
+      this.emit('disconnected', { code, reason });
+    }
+
+    if (!this.running) return;
+
+    // Exponentielles Backoff bis maxReconnectDelayMs
+    const delay = Math.min(this.reconnectDelayMs * 2 ** this.reconnectAttempts, this.maxReconnectDelayMs);
+    this.reconnectAttempts++;
+    this.logger.info(`Reconnecting price stream in ${delay}ms (attempt ${this.reconnectAttempts})...`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.running) this.connect();
+    }, delay);
+  }
+}
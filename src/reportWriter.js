@@ -0,0 +1,299 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Export der Backtest-Ergebnisse in ein Verzeichnis:
+//   - report.html:  eigenständiger Bericht (Kennzahlen, Equity, Drawdown, Kurs mit Ein-/Ausstiegen und Stops, Trades)
+//   - trades.csv:   alle Trades (inkl. Teilausstiege)
+//   - results.json: vollständiges Ergebnisobjekt inkl. Equity- und Drawdown-Kurve
+// Die Diagramme sind Inline-SVG, der Bericht benötigt keine externen Dateien oder Skripte.
+
+const TRADE_COLUMNS = [
+  'symbol', 'side', 'partial', 'quantity', 'entryPrice', 'exitPrice', 'initialStopPrice', 'stopPrice',
+  'grossProfit', 'fees', 'profit', 'profitPercent', 'rMultiple', 'maePercent', 'mfePercent',
+  'openDate', 'closeDate', 'holdingTimeMs', 'reason'
+];
+
+// Maximale Anzahl Punkte pro Linie im SVG (längere Reihen werden ausgedünnt)
+const MAX_CHART_POINTS = 2000;
+
+function toIsoString(value) {
+  return value instanceof Date ? value.toISOString() : new Date(value).toISOString();
+}
+
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatNumber(value, decimals = 2) {
+  return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(decimals) : '-';
+}
+
+// Trades als CSV (eine Zeile pro Trade, Spalten siehe TRADE_COLUMNS)
+export function tradesToCsv(trades) {
+  const rows = trades.map(trade => TRADE_COLUMNS.map(column => csvValue(column === 'partial' ? trade.partial === true : trade[column])).join(','));
+  return [TRADE_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+// Dünnt eine Punktreihe gleichmäßig aus, erster und letzter Punkt bleiben erhalten
+function downsample(points, maxPoints = MAX_CHART_POINTS) {
+  if (points.length <= maxPoints) return points;
+  const step = (points.length - 1) / (maxPoints - 1);
+  const result = [];
+  for (let i = 0; i < maxPoints; i++) {
+    result.push(points[Math.round(i * step)]);
+  }
+  return result;
+}
+
+// Liniendiagramm als SVG
+// lines: [{ label, color, points: [{ x, y }], dashed }] - x ist ein Zeitstempel in ms
+// markers: [{ x, y, color, shape: 'up'|'down'|'circle', title }]
+function lineChart({ title, lines, markers = [], width = 960, height = 280, yDecimals = 2 }) {
+  const padding = { top: 28, right: 16, bottom: 28, left: 72 };
+  const allPoints = [...lines.flatMap(line => line.points), ...markers];
+  if (allPoints.length === 0) {
+    return `<p>${escapeHtml(title)}: no data</p>`;
+  }
+
+  const xMin = Math.min(...allPoints.map(point => point.x));
+  const xMax = Math.max(...allPoints.map(point => point.x));
+  let yMin = Math.min(...allPoints.map(point => point.y));
+  let yMax = Math.max(...allPoints.map(point => point.y));
+  if (yMax === yMin) {
+    yMax += 1;
+    yMin -= 1;
+  }
+
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const scaleX = x => padding.left + (xMax > xMin ? (x - xMin) / (xMax - xMin) : 0.5) * plotWidth;
+  const scaleY = y => padding.top + (1 - (y - yMin) / (yMax - yMin)) * plotHeight;
+
+  const parts = [`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="chart">`];
+  parts.push(`<text x="${padding.left}" y="18" class="chart-title">${escapeHtml(title)}</text>`);
+
+  // Y-Achse mit Hilfslinien
+  for (let i = 0; i <= 4; i++) {
+    const value = yMin + (yMax - yMin) * i / 4;
+    const y = scaleY(value).toFixed(1);
+    parts.push(`<line x1="${padding.left}" x2="${width - padding.right}" y1="${y}" y2="${y}" class="grid"/>`);
+    parts.push(`<text x="${padding.left - 6}" y="${y}" class="axis" text-anchor="end" dominant-baseline="middle">${formatNumber(value, yDecimals)}</text>`);
+  }
+
+  // X-Achse: Anfang, Mitte, Ende
+  for (const fraction of [0, 0.5, 1]) {
+    const x = xMin + (xMax - xMin) * fraction;
+    const anchor = fraction === 0 ? 'start' : fraction === 1 ? 'end' : 'middle';
+    parts.push(`<text x="${scaleX(x).toFixed(1)}" y="${height - 8}" class="axis" text-anchor="${anchor}">${toIsoString(x).slice(0, 16).replace('T', ' ')}</text>`);
+  }
+
+  for (const line of lines) {
+    if (line.points.length === 0) continue;
+    const coordinates = downsample(line.points).map(point => `${scaleX(point.x).toFixed(1)},${scaleY(point.y).toFixed(1)}`).join(' ');
+    parts.push(`<polyline points="${coordinates}" fill="none" stroke="${line.color}" stroke-width="1.5"${line.dashed ? ' stroke-dasharray="4 3"' : ''}><title>${escapeHtml(line.label || '')}</title></polyline>`);
+  }
+
+  for (const marker of markers) {
+    const x = scaleX(marker.x);
+    const y = scaleY(marker.y);
+    let shape;
+    if (marker.shape === 'up') {
+      shape = `<path d="M${x.toFixed(1)},${(y - 6).toFixed(1)} l5,9 h-10 z" fill="${marker.color}"/>`;
+    } else if (marker.shape === 'down') {
+      shape = `<path d="M${x.toFixed(1)},${(y + 6).toFixed(1)} l5,-9 h-10 z" fill="${marker.color}"/>`;
+    } else {
+      shape = `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="3.5" fill="none" stroke="${marker.color}" stroke-width="1.5"/>`;
+    }
+    parts.push(`<g>${shape}<title>${escapeHtml(marker.title || '')}</title></g>`);
+  }
+
+  // Legende
+  let legendX = width - padding.right;
+  for (const line of [...lines].reverse()) {
+    if (!line.label) continue;
+    const text = escapeHtml(line.label);
+    legendX -= text.length * 7 + 24;
+    parts.push(`<rect x="${legendX}" y="10" width="12" height="3" fill="${line.color}"/><text x="${legendX + 16}" y="15" class="axis">${text}</text>`);
+  }
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+// Kursdiagramm eines Symbols: Schlusskurse, Stop-Verläufe pro Position, Ein- und Ausstiege
+function priceChart(symbol, klines, trades, stopHistory) {
+  const symbolTrades = trades.filter(trade => trade.symbol === symbol);
+  const stopLines = {};
+  for (const entry of stopHistory.filter(item => item.symbol === symbol)) {
+    const key = entry.positionOpenDate;
+    if (!stopLines[key]) stopLines[key] = [];
+    const points = stopLines[key];
+    // Treppenlinie: der alte Stop gilt bis zum Zeitpunkt der Änderung
+    if (points.length > 0) points.push({ x: entry.time, y: points[points.length - 1].y });
+    points.push({ x: entry.time, y: entry.stopPrice });
+  }
+  // Stop-Linien bis zum Ausstieg verlängern
+  for (const trade of symbolTrades.filter(item => !item.partial)) {
+    const points = stopLines[toIsoString(trade.openDate)];
+    if (points && points.length > 0) points.push({ x: new Date(trade.closeDate).getTime(), y: points[points.length - 1].y });
+  }
+
+  const markers = [];
+  for (const trade of symbolTrades) {
+    const isShort = trade.side === 'SHORT';
+    if (!trade.partial) {
+      markers.push({
+        x: new Date(trade.openDate).getTime(),
+        y: trade.entryPrice,
+        color: '#1a7f37',
+        shape: isShort ? 'down' : 'up',
+        title: `${trade.side} entry ${formatNumber(trade.entryPrice, 4)} (${toIsoString(trade.openDate)})`
+      });
+    }
+    markers.push({
+      x: new Date(trade.closeDate).getTime(),
+      y: trade.exitPrice,
+      color: trade.profit > 0 ? '#0969da' : '#cf222e',
+      shape: 'circle',
+      title: `Exit ${formatNumber(trade.exitPrice, 4)}: ${trade.reason} (${formatNumber(trade.profit)})`
+    });
+  }
+
+  const lines = [{ label: `${symbol} close`, color: '#57606a', points: klines.map(kline => ({ x: kline[0], y: parseFloat(kline[4]) })) }];
+  for (const points of Object.values(stopLines)) {
+    lines.push({ label: null, color: '#cf222e', dashed: true, points });
+  }
+  if (Object.keys(stopLines).length > 0) {
+    lines[1].label = 'Stop';
+  }
+
+  return lineChart({ title: `${symbol} price, entries, exits and stops`, lines, markers, height: 340, yDecimals: 4 });
+}
+
+function metricsTable(results) {
+  const metrics = results.metrics || {};
+  const benchmark = metrics.benchmark;
+  const rows = [
+    ['Initial balance', formatNumber(results.initialBalance)],
+    ['Final balance', formatNumber(results.finalBalance)],
+    ['Final equity', formatNumber(results.finalEquity)],
+    ['Total return', `${formatNumber(metrics.totalReturnPercent)}%`],
+    ['Annualized return', `${formatNumber(metrics.annualizedReturnPercent)}%`],
+    ['Max drawdown', `${formatNumber(metrics.maxDrawdown)} (${formatNumber(metrics.maxDrawdownPercent)}%)`],
+    ['Longest drawdown', `${formatNumber((metrics.maxDrawdownDurationMs || 0) / 3600000, 1)} hours`],
+    ['Sharpe / Sortino / Calmar', `${formatNumber(metrics.sharpeRatio)} / ${formatNumber(metrics.sortinoRatio)} / ${formatNumber(metrics.calmarRatio)}`],
+    ['Exposure time', `${formatNumber(metrics.exposurePercent)}%`],
+    ['Trades', String(results.trades.length)],
+    ['Expectancy', `${formatNumber(metrics.expectancy)}${typeof metrics.expectancyR === 'number' ? ` (${formatNumber(metrics.expectancyR)} R)` : ''}`],
+    ['Average MAE / MFE', `${formatNumber(metrics.averageMaePercent)}% / ${formatNumber(metrics.averageMfePercent)}%`]
+  ];
+  if (benchmark) {
+    rows.push(['Buy and hold return', `${formatNumber(benchmark.totalReturnPercent)}% (max drawdown ${formatNumber(benchmark.maxDrawdownPercent)}%)`]);
+    rows.push(['Excess return', `${formatNumber(benchmark.excessReturnPercent)}%`]);
+  }
+  if (results.riskLimitHit) {
+    rows.push(['Risk limit hit', `${escapeHtml(results.riskLimitHit.reason)} (${escapeHtml(results.riskLimitHit.time)})`]);
+  }
+  return `<table class="metrics">${rows.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}</table>`;
+}
+
+function tradesTable(trades) {
+  const header = ['#', 'Symbol', 'Side', 'Entry date', 'Exit date', 'Quantity', 'Entry', 'Exit', 'Initial stop', 'Profit', 'Profit %', 'R', 'MAE %', 'MFE %', 'Reason'];
+  const rows = trades.map((trade, index) => [
+    index + 1,
+    escapeHtml(trade.symbol),
+    `${trade.side}${trade.partial ? ' (partial)' : ''}`,
+    toIsoString(trade.openDate).slice(0, 16).replace('T', ' '),
+    toIsoString(trade.closeDate).slice(0, 16).replace('T', ' '),
+    formatNumber(trade.quantity, 6),
+    formatNumber(trade.entryPrice, 4),
+    formatNumber(trade.exitPrice, 4),
+    formatNumber(trade.initialStopPrice, 4),
+    `<span class="${trade.profit > 0 ? 'win' : 'loss'}">${formatNumber(trade.profit)}</span>`,
+    formatNumber(trade.profitPercent),
+    formatNumber(trade.rMultiple),
+    formatNumber(trade.maePercent),
+    formatNumber(trade.mfePercent),
+    escapeHtml(trade.reason || '')
+  ]);
+  return `<table class="trades"><thead><tr>${header.map(cell => `<th>${cell}</th>`).join('')}</tr></thead><tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n')}</tbody></table>`;
+}
+
+// Eigenständiger HTML-Bericht
+// options.klinesBySymbol: Kerzen pro Symbol für die Kursdiagramme, options.title: Überschrift
+export function renderHtmlReport(results, options = {}) {
+  const klinesBySymbol = options.klinesBySymbol || {};
+  const title = options.title || `Backtest ${Object.keys(results.symbols || {}).join(', ')}`;
+
+  const equityLines = [{ label: 'Strategy', color: '#0969da', points: results.equityCurve.map(point => ({ x: point.time, y: point.equity })) }];
+  if (results.equityCurve.length > 0 && typeof results.equityCurve[0].benchmark === 'number') {
+    equityLines.push({ label: 'Buy and hold', color: '#9a6700', dashed: true, points: results.equityCurve.map(point => ({ x: point.time, y: point.benchmark })) });
+  }
+  const drawdownLine = { label: 'Drawdown %', color: '#cf222e', points: (results.drawdownCurve || []).map(point => ({ x: point.time, y: -point.drawdownPercent })) };
+
+  const sections = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p class="generated">Generated ${new Date().toISOString()}</p>`,
+    metricsTable(results),
+    lineChart({ title: 'Equity', lines: equityLines }),
+    lineChart({ title: 'Drawdown (%)', lines: [drawdownLine], height: 200 }),
+    ...Object.entries(klinesBySymbol).map(([symbol, klines]) => priceChart(symbol, klines, results.trades, results.stopHistory || [])),
+    '<h2>Trades</h2>',
+    tradesTable(results.trades)
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 24px; color: #1f2328; }
+h1 { font-size: 22px; margin-bottom: 4px; }
+.generated { color: #57606a; margin-top: 0; }
+.chart { width: 100%; max-width: 960px; display: block; margin: 16px 0; }
+.chart-title { font-size: 13px; font-weight: 600; }
+.axis { font-size: 10px; fill: #57606a; }
+.grid { stroke: #d0d7de; stroke-width: 0.5; }
+table { border-collapse: collapse; font-size: 13px; }
+th, td { border: 1px solid #d0d7de; padding: 3px 8px; text-align: right; }
+th { background: #f6f8fa; }
+.metrics th { text-align: left; }
+.trades td:last-child { text-align: left; }
+.win { color: #1a7f37; }
+.loss { color: #cf222e; }
+</style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Schreibt report.html, trades.csv und results.json nach directory; Ergebnis: Pfade der Dateien
+export async function writeBacktestReport(directory, results, options = {}) {
+  await fs.mkdir(directory, { recursive: true });
+
+  const files = {
+    html: path.join(directory, 'report.html'),
+    csv: path.join(directory, 'trades.csv'),
+    json: path.join(directory, 'results.json')
+  };
+
+  await fs.writeFile(files.html, renderHtmlReport(results, options));
+  await fs.writeFile(files.csv, tradesToCsv(results.trades));
+  await fs.writeFile(files.json, JSON.stringify({ ...results, config: options.config || undefined }, null, 2));
+
+  return files;
+}
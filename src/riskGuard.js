@@ -0,0 +1,117 @@
+// Risikolimits auf Kontoebene (Circuit Breaker) mit Kill-Switch
+//
+// Limits (0 = deaktiviert):
+//   - maxDailyLossPercent:   Verlust des Kapitals (inkl. offener Positionen) seit Tagesbeginn (UTC)
+//   - maxDrawdownPercent:    Rückgang des Kapitals vom bisherigen Höchststand
+//   - maxConsecutiveLosses:  Anzahl verlustreicher Trades in Folge (Teilausstiege zählen nicht)
+//   - maxTradesPerDay:       Anzahl neuer Positionen pro Tag
+// Wird ein Limit erreicht, werden keine neuen Positionen mehr eröffnet, bis der Zustand manuell
+// zurückgesetzt wird (reset). Der Zustand ist serialisierbar und wird mit dem Bot-Zustand gespeichert.
+export class RiskGuard {
+  constructor(options = {}) {
+    this.maxDailyLossPercent = parseFloat(options.maxDailyLossPercent) || 0;
+    this.maxDrawdownPercent = parseFloat(options.maxDrawdownPercent) || 0;
+    this.maxConsecutiveLosses = parseInt(options.maxConsecutiveLosses) || 0;
+    this.maxTradesPerDay = parseInt(options.maxTradesPerDay) || 0;
+    this.closePositionsOnHit = options.closePositionsOnHit === true;
+
+    this.state = {
+      day: null, // Tag (UTC, YYYY-MM-DD), auf den sich die Tageswerte beziehen
+      dayStartEquity: null,
+      equityPeak: null,
+      tradesToday: 0,
+      consecutiveLosses: 0,
+      halted: null // { limit, reason, value, threshold, time }, solange der Kill-Switch aktiv ist
+    };
+  }
+
+  isEnabled() {
+    return this.maxDailyLossPercent > 0 || this.maxDrawdownPercent > 0 || this.maxConsecutiveLosses > 0 || this.maxTradesPerDay > 0;
+  }
+
+  // Tagesverlust und Drawdown werden am Kapital gemessen
+  needsEquity() {
+    return this.maxDailyLossPercent > 0 || this.maxDrawdownPercent > 0;
+  }
+
+  isHalted() {
+    return this.state.halted !== null;
+  }
+
+  // Beginnt bei Bedarf einen neuen Tag (Tageswerte zurücksetzen)
+  rollDay(time, equity = null) {
+    const day = new Date(time).toISOString().slice(0, 10);
+    if (this.state.day !== day) {
+      this.state.day = day;
+      this.state.tradesToday = 0;
+      this.state.dayStartEquity = equity;
+    } else if (this.state.dayStartEquity === null) {
+      this.state.dayStartEquity = equity;
+    }
+  }
+
+  // Neue Position eröffnet
+  recordEntry(time) {
+    this.rollDay(time);
+    this.state.tradesToday++;
+  }
+
+  // Geschlossener Trade (Teilausstiege unterbrechen oder verlängern die Verlustserie nicht)
+  recordTrade(trade) {
+    if (trade.partial) return;
+    this.state.consecutiveLosses = trade.profit < 0 ? this.state.consecutiveLosses + 1 : 0;
+  }
+
+  // Prüft alle Limits; equity ist null, wenn keine kapitalbezogenen Limits aktiv sind
+  // entry: true vor einem Einstieg (dann zählt auch maxTradesPerDay)
+  // Ergebnis: das erreichte Limit (löst den Kill-Switch aus) oder null
+  check(equity, time, { entry = false } = {}) {
+    if (this.isHalted()) return this.state.halted;
+
+    this.rollDay(time, equity);
+    if (equity !== null) {
+      this.state.equityPeak = Math.max(this.state.equityPeak || 0, equity);
+    }
+
+    const breaches = [];
+    if (this.maxDailyLossPercent > 0 && equity !== null && this.state.dayStartEquity > 0) {
+      const lossPercent = (this.state.dayStartEquity - equity) / this.state.dayStartEquity * 100;
+      breaches.push({ limit: 'maxDailyLossPercent', value: lossPercent, threshold: this.maxDailyLossPercent, reason: `daily loss ${lossPercent.toFixed(2)}% >= ${this.maxDailyLossPercent}%` });
+    }
+    if (this.maxDrawdownPercent > 0 && equity !== null && this.state.equityPeak > 0) {
+      const drawdownPercent = (this.state.equityPeak - equity) / this.state.equityPeak * 100;
+      breaches.push({ limit: 'maxDrawdownPercent', value: drawdownPercent, threshold: this.maxDrawdownPercent, reason: `drawdown ${drawdownPercent.toFixed(2)}% from equity peak ${this.state.equityPeak.toFixed(2)} >= ${this.maxDrawdownPercent}%` });
+    }
+    if (this.maxConsecutiveLosses > 0) {
+      breaches.push({ limit: 'maxConsecutiveLosses', value: this.state.consecutiveLosses, threshold: this.maxConsecutiveLosses, reason: `${this.state.consecutiveLosses} consecutive losing trades` });
+    }
+    if (this.maxTradesPerDay > 0 && entry) {
+      // Erst der Einstieg über dem Limit löst aus
+      breaches.push({ limit: 'maxTradesPerDay', value: this.state.tradesToday, threshold: this.maxTradesPerDay, reason: `maximum of ${this.maxTradesPerDay} trades per day reached` });
+    }
+
+    const breach = breaches.find(candidate => candidate.value >= candidate.threshold);
+    if (!breach) return null;
+
+    this.state.halted = { ...breach, time: new Date(time).toISOString() };
+    return this.state.halted;
+  }
+
+  // Manuelles Zurücksetzen nach einem Kill-Switch: Verlustserie, Höchststand und Tagesbeginn starten neu
+  reset(equity, time) {
+    this.state.halted = null;
+    this.state.consecutiveLosses = 0;
+    this.state.equityPeak = equity;
+    this.state.day = new Date(time).toISOString().slice(0, 10);
+    this.state.dayStartEquity = equity;
+    this.state.tradesToday = 0;
+  }
+
+  toJSON() {
+    return { ...this.state };
+  }
+
+  restore(state = {}) {
+    Object.assign(this.state, state);
+  }
+}
@@ -0,0 +1,53 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Pfad der State-Datei einer Konfiguration (eine Datei pro Trading-Modus)
+export function getStateFilePath(config) {
+  const persistence = config.persistence || {};
+  return path.join(persistence.directory || 'data', `state-${config.tradingMode}.json`);
+}
+
+// Persistenz des Bot-Zustands (offene Positionen, Trade-Historie) als JSON-Datei
+// Schreibvorgänge werden serialisiert und atomar ausgeführt (temporäre Datei + rename),
+// damit ein Absturz während des Schreibens nie eine halbe Datei hinterlässt.
+export class StateStore {
+  constructor(filePath, logger = null) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Lädt den gespeicherten Zustand; null, wenn noch keine Datei existiert
+  async load() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Could not read state file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  // Reiht einen Schreibvorgang ein; das zurückgegebene Promise wird nach dem Schreiben erfüllt
+  save(state) {
+    // Sofort serialisieren, damit spätere Änderungen am Objekt diesen Stand nicht verfälschen
+    const content = JSON.stringify({ ...state, savedAt: new Date().toISOString() }, null, 2);
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {}) // Ein fehlgeschlagener Schreibvorgang darf die folgenden nicht blockieren
+      .then(() => this.write(content));
+
+    return this.writeQueue;
+  }
+
+  async write(content) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, this.filePath);
+
+    if (this.logger) {
+      this.logger.debug(`State saved to ${this.filePath}`);
+    }
+  }
+}
@@ -0,0 +1,157 @@
+import { sma, rsi, highest } from './indicators.js';
+
+// Einstiegsstrategien für Backtester und Live-Bot
+//
+// Eine Strategie ist ein Objekt mit:
+//   name           - Anzeigename
+//   warmupPeriod   - Anzahl abgeschlossener Kerzen, die die Strategie sieht (optional, Standard 1)
+//   onKline(candle, context) - wird für jede abgeschlossene Kerze aufgerufen und gibt
+//                    entweder null oder ein Signal { action: 'BUY' | 'SELL', reason } zurück
+//                    ('SELL' eröffnet eine Short-Position und erfordert marketType 'margin' oder 'futures')
+//
+// candle:  { openTime, open, high, low, close, volume, closeTime }
+// context: { symbol, history (die letzten warmupPeriod Kerzen inkl. candle), hasPosition }
+//
+// Backtester und Live-Bot übergeben dasselbe Fenster (getHistoryLength), damit Indikatoren mit
+// Glättung (z.B. RSI) in beiden dieselben Werte liefern.
+//
+// Das Signal wird vom Aufrufer ausgeführt: im Backtest zum Open der nächsten Kerze,
+// im Live-Bot sofort als Market-Order.
+
+// Wilder-Glättung des RSI über so viele Perioden, dass der Startwert kaum noch Einfluss hat (< 1 %)
+const RSI_SMOOTHING_PERIODS = 5;
+
+// Anzahl der Kerzen in context.history; vorher wird die Strategie nicht aufgerufen
+export function getHistoryLength(strategy) {
+  return strategy.warmupPeriod || 1;
+}
+
+// Wandelt eine Kline im Binance-Rohformat in ein Candle-Objekt um
+export function klineToCandle(kline) {
+  return {
+    openTime: kline[0],
+    open: parseFloat(kline[1]),
+    high: parseFloat(kline[2]),
+    low: parseFloat(kline[3]),
+    close: parseFloat(kline[4]),
+    volume: parseFloat(kline[5]),
+    closeTime: kline[6]
+  };
+}
+
+// SMA-Crossover: Kauf, wenn der schnelle SMA den langsamen von unten nach oben kreuzt
+function smaCrossover({ fastPeriod = 10, slowPeriod = 30 } = {}) {
+  if (fastPeriod >= slowPeriod) {
+    throw new Error(`sma-crossover: fastPeriod (${fastPeriod}) must be smaller than slowPeriod (${slowPeriod})`);
+  }
+
+  return {
+    name: `SMA crossover (${fastPeriod}/${slowPeriod})`,
+    warmupPeriod: slowPeriod + 1,
+    onKline(candle, context) {
+      if (context.hasPosition) return null;
+
+      const closes = context.history.map(c => c.close);
+      const previousCloses = closes.slice(0, -1);
+
+      const fast = sma(closes, fastPeriod);
+      const slow = sma(closes, slowPeriod);
+      const previousFast = sma(previousCloses, fastPeriod);
+      const previousSlow = sma(previousCloses, slowPeriod);
+
+      if (fast === null || slow === null || previousFast === null || previousSlow === null) return null;
+
+      if (previousFast <= previousSlow && fast > slow) {
+        return { action: 'BUY', reason: `SMA ${fastPeriod} crossed above SMA ${slowPeriod}` };
+      }
+      return null;
+    }
+  };
+}
+
+// RSI-Oversold: Kauf, wenn der RSI aus dem überverkauften Bereich wieder nach oben kreuzt
+function rsiOversold({ period = 14, oversold = 30 } = {}) {
+  return {
+    name: `RSI oversold (${period}, ${oversold})`,
+    warmupPeriod: period * RSI_SMOOTHING_PERIODS + 2,
+    onKline(candle, context) {
+      if (context.hasPosition) return null;
+
+      const closes = context.history.map(c => c.close);
+      const current = rsi(closes, period);
+      const previous = rsi(closes.slice(0, -1), period);
+
+      if (current === null || previous === null) return null;
+
+      if (previous < oversold && current >= oversold) {
+        return { action: 'BUY', reason: `RSI ${period} crossed above ${oversold} (${current.toFixed(2)})` };
+      }
+      return null;
+    }
+  };
+}
+
+// Breakout: Kauf, wenn der Schlusskurs über dem Hoch der vorherigen N Kerzen schließt
+function breakout({ lookback = 20 } = {}) {
+  return {
+    name: `Breakout (${lookback}-bar high)`,
+    warmupPeriod: lookback + 1,
+    onKline(candle, context) {
+      if (context.hasPosition) return null;
+
+      const previousHighs = context.history.slice(0, -1).map(c => c.high);
+      const rangeHigh = highest(previousHighs, lookback);
+
+      if (rangeHigh === null) return null;
+
+      if (candle.close > rangeHigh) {
+        return { action: 'BUY', reason: `Close ${candle.close} broke ${lookback}-bar high ${rangeHigh}` };
+      }
+      return null;
+    }
+  };
+}
+
+// Registry der verfügbaren Strategien (Name -> Factory(params))
+const STRATEGIES = {
+  'sma-crossover': smaCrossover,
+  'rsi-oversold': rsiOversold,
+  'breakout': breakout
+};
+
+// Registriert eine eigene Strategie, die danach per Name aus Config oder CLI gewählt werden kann
+export function registerStrategy(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Strategy factory for '${name}' must be a function`);
+  }
+  STRATEGIES[name] = factory;
+}
+
+export function getStrategyNames() {
+  return Object.keys(STRATEGIES);
+}
+
+// Erstellt eine Strategie aus der Konfiguration
+// strategyConfig: { name, params } oder direkt ein Strategie-Objekt mit onKline
+// Gibt null zurück, wenn keine Strategie konfiguriert ist
+export function createStrategy(strategyConfig) {
+  if (!strategyConfig) return null;
+
+  // Bereits instanziierte Strategie (z.B. eigene Klasse) direkt verwenden
+  if (typeof strategyConfig.onKline === 'function') {
+    return strategyConfig;
+  }
+
+  if (!strategyConfig.name) return null;
+
+  const factory = STRATEGIES[strategyConfig.name];
+  if (!factory) {
+    throw new Error(`Unknown strategy: ${strategyConfig.name}. Available strategies: ${getStrategyNames().join(', ')}`);
+  }
+
+  const strategy = factory(strategyConfig.params || {});
+  if (!strategy || typeof strategy.onKline !== 'function') {
+    throw new Error(`Strategy '${strategyConfig.name}' does not implement onKline(candle, context)`);
+  }
+  return strategy;
+}
@@ -0,0 +1,316 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Handelsregeln der Symbole aus exchangeInfo (Tick-Größe, Lot-Größe, Mindest-Ordervolumen)
+//
+// Binance lehnt Orders ab, deren Preis kein Vielfaches der tickSize (PRICE_FILTER), deren Menge kein
+// Vielfaches der stepSize (LOT_SIZE / MARKET_LOT_SIZE) oder deren Volumen unter minNotional liegt
+// (NOTIONAL bzw. MIN_NOTIONAL). SymbolFilters rundet Preise und Mengen passend und prüft Orders
+// vorab; SymbolInfo lädt und cached die Filter aller Symbole.
+
+// Anzahl Nachkommastellen einer Schrittweite, z.B. 0.001 -> 3
+function stepDecimals(step) {
+  const text = Number(step).toString();
+  if (text.includes('e-')) {
+    const [mantissa, exponent] = text.split('e-');
+    const mantissaDecimals = mantissa.includes('.') ? mantissa.split('.')[1].length : 0;
+    return parseInt(exponent) + mantissaDecimals;
+  }
+  return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+// Rundet auf ein Vielfaches von step; mode: 'floor', 'ceil' oder 'round'
+// (kleine Toleranz, damit z.B. 0.3 / 0.1 = 2.9999999999999996 nicht auf 0.2 abgerundet wird)
+export function roundToStep(value, step, mode = 'round') {
+  if (!(step > 0)) return value;
+  const units = value / step;
+  let rounded;
+  if (mode === 'floor') rounded = Math.floor(units + 1e-9);
+  else if (mode === 'ceil') rounded = Math.ceil(units - 1e-9);
+  else rounded = Math.round(units);
+  return Number((rounded * step).toFixed(stepDecimals(step)));
+}
+
+// true, wenn value (bis auf Rundungsfehler) ein Vielfaches von step ist
+function isMultipleOf(value, step) {
+  if (!(step > 0)) return true;
+  const units = value / step;
+  return Math.abs(units - Math.round(units)) < 1e-6;
+}
+
+// Binance liefert alle Filterwerte als Strings; fehlende oder 0 bedeuten "keine Grenze"
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+export class SymbolFilters {
+  // filters: { tickSize, minPrice, maxPrice, stepSize, minQty, maxQty, marketStepSize, marketMinQty,
+  //            marketMaxQty, minNotional, maxNotional, applyMinToMarket, applyMaxToMarket, reduceOnlyExempt }
+  constructor(symbol, filters = {}) {
+    this.symbol = symbol;
+    this.tickSize = toNumber(filters.tickSize);
+    this.minPrice = toNumber(filters.minPrice);
+    this.maxPrice = toNumber(filters.maxPrice);
+    this.stepSize = toNumber(filters.stepSize);
+    this.minQty = toNumber(filters.minQty);
+    this.maxQty = toNumber(filters.maxQty);
+    this.marketStepSize = toNumber(filters.marketStepSize);
+    this.marketMinQty = toNumber(filters.marketMinQty);
+    this.marketMaxQty = toNumber(filters.marketMaxQty);
+    this.minNotional = toNumber(filters.minNotional);
+    this.maxNotional = toNumber(filters.maxNotional);
+    this.applyMinToMarket = filters.applyMinToMarket !== false;
+    this.applyMaxToMarket = filters.applyMaxToMarket === true;
+    // Futures: reduceOnly-Orders unterliegen nicht dem Mindestvolumen
+    this.reduceOnlyExempt = filters.reduceOnlyExempt === true;
+  }
+
+  // Erstellt die Filter aus einem Eintrag von exchangeInfo.symbols (Spot/Margin oder Futures)
+  static fromExchangeInfo(info, options = {}) {
+    const filters = { reduceOnlyExempt: options.futures === true };
+
+    for (const filter of info.filters || []) {
+      switch (filter.filterType) {
+        case 'PRICE_FILTER':
+          Object.assign(filters, { tickSize: filter.tickSize, minPrice: filter.minPrice, maxPrice: filter.maxPrice });
+          break;
+        case 'LOT_SIZE':
+          Object.assign(filters, { stepSize: filter.stepSize, minQty: filter.minQty, maxQty: filter.maxQty });
+          break;
+        case 'MARKET_LOT_SIZE':
+          Object.assign(filters, { marketStepSize: filter.stepSize, marketMinQty: filter.minQty, marketMaxQty: filter.maxQty });
+          break;
+        case 'NOTIONAL':
+          Object.assign(filters, {
+            minNotional: filter.minNotional,
+            maxNotional: filter.maxNotional,
+            applyMinToMarket: filter.applyMinToMarket,
+            applyMaxToMarket: filter.applyMaxToMarket
+          });
+          break;
+        case 'MIN_NOTIONAL':
+          // Spot (alt): minNotional/applyToMarket, Futures: notional
+          Object.assign(filters, {
+            minNotional: filter.minNotional !== undefined ? filter.minNotional : filter.notional,
+            applyMinToMarket: filter.applyToMarket
+          });
+          break;
+      }
+    }
+
+    return new SymbolFilters(info.symbol, filters);
+  }
+
+  // Mengenregeln für den Ordertyp (MARKET_LOT_SIZE ergänzt LOT_SIZE für Market-Orders)
+  getLotSize(type) {
+    if (type !== 'MARKET') {
+      return { filter: 'LOT_SIZE', stepSize: this.stepSize, minQty: this.minQty, maxQty: this.maxQty };
+    }
+    // Ohne eigene Schrittweite (stepSize 0) gilt für Market-Orders die des LOT_SIZE-Filters
+    return {
+      filter: this.marketStepSize > 0 ? 'MARKET_LOT_SIZE' : 'LOT_SIZE',
+      stepSize: this.marketStepSize || this.stepSize,
+      minQty: Math.max(this.marketMinQty, this.minQty),
+      maxQty: this.marketMaxQty || this.maxQty
+    };
+  }
+
+  // Preis auf die tickSize runden; mode wie roundToStep
+  roundPrice(price, mode = 'round') {
+    return roundToStep(parseFloat(price), this.tickSize, mode);
+  }
+
+  // Menge auf die stepSize abrunden, damit nie mehr als gewünscht (bzw. vorhanden) gehandelt wird
+  roundQuantity(quantity, type = 'LIMIT') {
+    return roundToStep(parseFloat(quantity), this.getLotSize(type).stepSize, 'floor');
+  }
+
+  // Zahlen als Strings mit den Nachkommastellen von tickSize/stepSize (vermeidet z.B. 1e-7 in API-Aufrufen)
+  formatPrice(price) {
+    return this.tickSize > 0 ? Number(price).toFixed(stepDecimals(this.tickSize)) : String(price);
+  }
+
+  formatQuantity(quantity, type = 'LIMIT') {
+    const { stepSize } = this.getLotSize(type);
+    return stepSize > 0 ? Number(quantity).toFixed(stepDecimals(stepSize)) : String(quantity);
+  }
+
+  // Prüft eine Order gegen alle Filter wie die Exchange
+  // referencePrice: aktueller Marktpreis für das Volumen von Market-Orders
+  // Ergebnis: null oder { filter, message } für den ersten verletzten Filter
+  checkOrder({ type, quantity, price = null, stopPrice = null, referencePrice = null, reduceOnly = false }) {
+    for (const [label, value] of [['price', price], ['stop price', stopPrice]]) {
+      if (!value) continue;
+      if (!isMultipleOf(value, this.tickSize)) {
+        return { filter: 'PRICE_FILTER', message: `${label} ${value} is not a multiple of tick size ${this.tickSize}` };
+      }
+      if (this.minPrice > 0 && value < this.minPrice) {
+        return { filter: 'PRICE_FILTER', message: `${label} ${value} is below the minimum price ${this.minPrice}` };
+      }
+      if (this.maxPrice > 0 && value > this.maxPrice) {
+        return { filter: 'PRICE_FILTER', message: `${label} ${value} is above the maximum price ${this.maxPrice}` };
+      }
+    }
+
+    const lot = this.getLotSize(type);
+    if (quantity < lot.minQty) {
+      return { filter: lot.filter, message: `quantity ${quantity} is below the minimum quantity ${lot.minQty}` };
+    }
+    if (lot.maxQty > 0 && quantity > lot.maxQty) {
+      return { filter: lot.filter, message: `quantity ${quantity} is above the maximum quantity ${lot.maxQty}` };
+    }
+    if (!isMultipleOf(quantity, lot.stepSize)) {
+      return { filter: lot.filter, message: `quantity ${quantity} is not a multiple of step size ${lot.stepSize}` };
+    }
+
+    const isMarket = type === 'MARKET';
+    const notionalPrice = isMarket ? referencePrice : price;
+    if (!(notionalPrice > 0) || (reduceOnly && this.reduceOnlyExempt)) return null;
+
+    const notional = quantity * notionalPrice;
+    if (this.minNotional > 0 && (!isMarket || this.applyMinToMarket) && notional < this.minNotional) {
+      return {
+        filter: 'NOTIONAL',
+        message: `order value ${quantity} x ${notionalPrice} = ${notional.toFixed(8)} is below the minimum notional ${this.minNotional}`
+      };
+    }
+    if (this.maxNotional > 0 && (!isMarket || this.applyMaxToMarket) && notional > this.maxNotional) {
+      return {
+        filter: 'NOTIONAL',
+        message: `order value ${quantity} x ${notionalPrice} = ${notional.toFixed(8)} is above the maximum notional ${this.maxNotional}`
+      };
+    }
+
+    return null;
+  }
+
+  toJSON() {
+    const { symbol, ...filters } = this;
+    return filters;
+  }
+}
+
+// Lädt die Filter aller Symbole über loadExchangeInfo() und hält sie maxAgeMs lang im Speicher und
+// optional in cacheFile vor (z.B. für Offline-Backtests). overrides: { SYMBOL: { tickSize, stepSize, ... } }
+// ersetzt die Filter einzelner Symbole. Können die Filter nicht geladen werden, liefert getFilters null.
+export class SymbolInfo {
+  constructor(loadExchangeInfo, options = {}) {
+    this.loadExchangeInfo = loadExchangeInfo;
+    this.cacheFile = options.cacheFile || null;
+    this.maxAgeMs = options.maxAgeMs || 24 * 60 * 60 * 1000;
+    this.retryDelayMs = options.retryDelayMs || 60000;
+    this.offline = options.offline === true;
+    this.futures = options.futures === true;
+    this.logger = options.logger || null;
+
+    this.overrides = {};
+    for (const [symbol, filters] of Object.entries(options.overrides || {})) {
+      this.overrides[symbol] = new SymbolFilters(symbol, filters);
+    }
+
+    this.symbols = null;
+    this.loadedAt = 0;
+    this.failedAt = 0;
+    this.loading = null;
+    this.warnedSymbols = new Set();
+  }
+
+  // Filter eines Symbols oder null, wenn sie nicht verfügbar sind
+  async getFilters(symbol) {
+    if (this.overrides[symbol]) return this.overrides[symbol];
+
+    await this.ensureLoaded();
+    const filters = this.symbols ? this.symbols.get(symbol) : undefined;
+    if (!filters) {
+      this.warnOnce(symbol, `No exchange filters available for ${symbol}. Orders are sent without rounding.`);
+      return null;
+    }
+    return filters;
+  }
+
+  async ensureLoaded() {
+    const now = Date.now();
+    if (this.symbols && now - this.loadedAt < this.maxAgeMs) return;
+    if (now - this.failedAt < this.retryDelayMs) return;
+
+    if (!this.loading) {
+      this.loading = this.load().finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  async load() {
+    // Datei-Cache verwenden, solange er aktuell ist (offline in jedem Alter)
+    const cached = await this.readCache();
+    if (cached && (this.offline || Date.now() - cached.loadedAt < this.maxAgeMs)) {
+      this.setSymbols(cached.symbols, cached.loadedAt);
+      return;
+    }
+
+    if (!this.offline) {
+      try {
+        const exchangeInfo = await this.loadExchangeInfo();
+        const symbols = {};
+        for (const info of exchangeInfo.symbols || []) {
+          symbols[info.symbol] = SymbolFilters.fromExchangeInfo(info, { futures: this.futures }).toJSON();
+        }
+        this.setSymbols(symbols, Date.now());
+        await this.writeCache(symbols);
+        this.log('info', `Loaded exchange filters for ${this.symbols.size} symbols.`);
+        return;
+      } catch (error) {
+        this.log('warn', `Could not load exchange info: ${error.message || error}`);
+      }
+    }
+
+    // Veraltete Filter sind besser als keine
+    if (cached) {
+      this.log('warn', `Using cached exchange filters from ${new Date(cached.loadedAt).toISOString()}.`);
+      this.setSymbols(cached.symbols, cached.loadedAt);
+      return;
+    }
+    if (!this.symbols) {
+      this.failedAt = Date.now();
+    }
+  }
+
+  setSymbols(symbols, loadedAt) {
+    this.symbols = new Map(Object.entries(symbols).map(([symbol, filters]) => [symbol, new SymbolFilters(symbol, filters)]));
+    this.loadedAt = loadedAt;
+    this.failedAt = 0;
+  }
+
+  async readCache() {
+    if (!this.cacheFile) return null;
+    try {
+      const cached = JSON.parse(await fs.readFile(this.cacheFile, 'utf8'));
+      return cached && cached.symbols ? cached : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log('warn', `Ignoring unreadable exchange info cache ${this.cacheFile}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  async writeCache(symbols) {
+    if (!this.cacheFile) return;
+    try {
+      await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+      await fs.writeFile(this.cacheFile, JSON.stringify({ loadedAt: this.loadedAt, symbols }));
+    } catch (error) {
+      this.log('warn', `Could not write exchange info cache ${this.cacheFile}: ${error.message}`);
+    }
+  }
+
+  warnOnce(symbol, message) {
+    if (this.warnedSymbols.has(symbol)) return;
+    this.warnedSymbols.add(symbol);
+    this.log('warn', message);
+  }
+
+  log(level, message) {
+    if (this.logger) this.logger[level](message);
+  }
+}
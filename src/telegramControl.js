@@ -0,0 +1,367 @@
+import { randomBytes } from 'crypto';
+import { setTimeout as delay } from 'timers/promises';
+import { Logger } from './logger.js';
+import { callTelegram } from './notificationChannels.js';
+
+// Fernsteuerung des laufenden Bots über einen Telegram-Bot (Long-Polling mit getUpdates)
+//
+//   /status                         Zustand und Statistiken
+//   /positions                      aktive Positionen
+//   /close SYMBOL                   alle Positionen des Symbols schließen
+//   /open SYMBOL SIZE [long|short] [stop=% activation=% trailing=%]
+//                                   Position mit SIZE in der Quote-Währung eröffnen, optional mit
+//                                   eigenen Stop-Einstellungen nur für diese Position
+//   /stop SYMBOL PRICE              Stop der Positionen des Symbols auf PRICE setzen
+//   /pause, /resume                 neue Einstiege der Strategie pausieren/fortsetzen
+//
+// Nur Chats aus allowedChatIds werden beantwortet. Im Live-Modus werden /close, /open und /stop erst
+// ausgeführt, nachdem sie über die Buttons unter der Rückfrage bestätigt wurden.
+
+const HELP_TEXT = [
+  '/status - bot status and statistics',
+  '/positions - open positions',
+  '/close SYMBOL - close all positions of a symbol at market',
+  '/open SYMBOL SIZE [long|short] [stop=% activation=% trailing=%] - open a position worth SIZE (quote asset), optionally with its own stop settings',
+  '/stop SYMBOL PRICE - move the stop of a symbol to PRICE',
+  '/pause - pause new entries',
+  '/resume - resume new entries'
+].join('\n');
+
+// Stop-Einstellungen für /open (stop=3 activation=1 trailing=1.5), Werte wie in trailingStop
+const POSITION_SETTINGS = {
+  stop: 'initialStopDistancePercent',
+  activation: 'activationThresholdPercent',
+  trailing: 'trailingDistancePercent'
+};
+
+// Wartezeit nach einem fehlgeschlagenen getUpdates (verdoppelt sich bis zum Maximum)
+const RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Fehler durch eine ungültige Eingabe; die Meldung geht unverändert an den Chat
+class CommandError extends Error {}
+
+function formatNumber(value, decimals = 2) {
+  return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(decimals) : '-';
+}
+
+function parseSymbol(value, usage) {
+  if (!value || !/^[A-Za-z0-9]+$/.test(value)) throw new CommandError(`Usage: ${usage}`);
+  return value.toUpperCase();
+}
+
+function parsePositiveNumber(value, name, usage) {
+  const number = Number(value);
+  if (value === undefined) throw new CommandError(`Usage: ${usage}`);
+  if (!(number > 0)) throw new CommandError(`${name} must be a number > 0`);
+  return number;
+}
+
+export class TelegramControl {
+  // options: config.telegramControl ({ botToken, allowedChatIds, apiUrl, pollTimeoutSeconds, confirmTimeoutMs }); context: { logger }
+  constructor(bot, options = {}, context = {}) {
+    this.bot = bot;
+    this.options = options;
+    this.allowedChatIds = (options.allowedChatIds || []).map(String);
+    this.pollTimeoutSeconds = options.pollTimeoutSeconds !== undefined ? options.pollTimeoutSeconds : 30;
+    this.confirmTimeoutMs = options.confirmTimeoutMs || 60000;
+    this.logger = context.logger || new Logger('info');
+
+    this.running = false;
+    this.offset = 0;
+    this.abortController = null;
+    this.pollLoop = null;
+
+    // Auf Bestätigung wartende Aktionen (Live-Modus): id -> { chatId, description, action, expiresAt }
+    this.pendingActions = new Map();
+
+    this.commands = {
+      start: () => HELP_TEXT,
+      help: () => HELP_TEXT,
+      status: () => this.formatStatus(),
+      positions: () => this.formatPositions(),
+      close: (chatId, args) => this.closeCommand(chatId, args),
+      open: (chatId, args) => this.openCommand(chatId, args),
+      stop: (chatId, args) => this.stopCommand(chatId, args),
+      pause: () => this.setEntriesPaused(true),
+      resume: () => this.setEntriesPaused(false)
+    };
+  }
+
+  // Prüft das Token (getMe) und startet das Polling im Hintergrund
+  async start() {
+    const me = await callTelegram(this.options, 'getMe');
+    this.running = true;
+    this.abortController = new AbortController();
+    this.pollLoop = this.poll();
+    this.logger.info(`Telegram remote control started as @${me.username} (${this.allowedChatIds.length} allowed chat(s)).`);
+  }
+
+  // Bricht ein laufendes getUpdates bzw. die Wartezeit danach ab und wartet auf das Ende des Pollings
+  async stop() {
+    this.running = false;
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+    if (this.pollLoop) {
+      await this.pollLoop;
+      this.pollLoop = null;
+    }
+    this.pendingActions.clear();
+  }
+
+  async poll() {
+    const signal = this.abortController.signal;
+    let retryDelayMs = RETRY_DELAY_MS;
+    while (this.running) {
+      let updates;
+      try {
+        updates = await callTelegram(this.options, 'getUpdates', {
+          offset: this.offset,
+          timeout: this.pollTimeoutSeconds,
+          allowed_updates: ['message', 'callback_query']
+        }, {
+          timeoutMs: (this.pollTimeoutSeconds + 10) * 1000,
+          signal
+        });
+        retryDelayMs = RETRY_DELAY_MS;
+      } catch (error) {
+        if (!this.running) break;
+        this.logger.warn(`Telegram getUpdates failed: ${error.message}. Retrying in ${retryDelayMs}ms.`);
+        await delay(retryDelayMs, null, { signal }).catch(() => {});
+        retryDelayMs = Math.min(retryDelayMs * 2, MAX_RETRY_DELAY_MS);
+        continue;
+      }
+
+      for (const update of updates) {
+        this.offset = update.update_id + 1;
+        try {
+          await this.handleUpdate(update);
+        } catch (error) {
+          this.logger.error(`Error handling Telegram update ${update.update_id}:`, error);
+        }
+      }
+    }
+  }
+
+  isAllowed(chatId) {
+    return this.allowedChatIds.includes(String(chatId));
+  }
+
+  async handleUpdate(update) {
+    if (update.callback_query) {
+      await this.handleCallback(update.callback_query);
+      return;
+    }
+
+    const message = update.message;
+    if (!message || typeof message.text !== 'string' || !message.text.startsWith('/')) return;
+
+    const chatId = message.chat.id;
+    if (!this.isAllowed(chatId)) {
+      this.logger.warn(`Ignoring Telegram command from unauthorized chat ${chatId} (${message.from ? message.from.username || message.from.id : 'unknown'}).`);
+      return;
+    }
+
+    // "/close@MeinBot BTCUSDT" -> command 'close', args ['BTCUSDT']
+    const [commandText, ...args] = message.text.trim().split(/\s+/);
+    const command = commandText.slice(1).split('@')[0].toLowerCase();
+    const handler = this.commands[command];
+    if (!handler) {
+      await this.reply(chatId, `Unknown command /${command}\n\n${HELP_TEXT}`);
+      return;
+    }
+
+    this.logger.info(`Telegram command from chat ${chatId}: ${message.text}`);
+    let text;
+    try {
+      text = await handler(chatId, args);
+    } catch (error) {
+      text = this.formatError(error);
+    }
+    if (text) {
+      await this.reply(chatId, text);
+    }
+  }
+
+  // Buttons unter einer Rückfrage: confirm:<id> oder cancel:<id>
+  async handleCallback(query) {
+    const chatId = query.message ? query.message.chat.id : null;
+    if (chatId === null || !this.isAllowed(chatId)) {
+      this.logger.warn(`Ignoring Telegram callback from unauthorized chat ${chatId}.`);
+      await callTelegram(this.options, 'answerCallbackQuery', { callback_query_id: query.id });
+      return;
+    }
+
+    const [choice, id] = String(query.data || '').split(':');
+    this.removeExpiredActions();
+    const pending = this.pendingActions.get(id);
+    if (!pending || pending.chatId !== String(chatId)) {
+      await callTelegram(this.options, 'answerCallbackQuery', { callback_query_id: query.id, text: 'This request has expired.' });
+      await this.editMessage(query.message, `${query.message.text}\n\nExpired.`);
+      return;
+    }
+    this.pendingActions.delete(id);
+
+    if (choice !== 'confirm') {
+      await callTelegram(this.options, 'answerCallbackQuery', { callback_query_id: query.id, text: 'Cancelled' });
+      await this.editMessage(query.message, `${pending.description}\n\nCancelled.`);
+      return;
+    }
+
+    await callTelegram(this.options, 'answerCallbackQuery', { callback_query_id: query.id, text: 'Confirmed' });
+    await this.editMessage(query.message, `${pending.description}\n\nConfirmed.`);
+    this.logger.info(`Telegram action confirmed in chat ${chatId}: ${pending.description}`);
+    let text;
+    try {
+      text = await pending.action();
+    } catch (error) {
+      text = this.formatError(error);
+    }
+    await this.reply(chatId, text);
+  }
+
+  // Führt eine Aktion im Papierhandel sofort aus, im Live-Modus erst nach Bestätigung
+  async execute(chatId, description, action) {
+    if (this.bot.config.tradingMode !== 'live') {
+      return action();
+    }
+
+    this.removeExpiredActions();
+    const id = randomBytes(8).toString('hex');
+    this.pendingActions.set(id, { chatId: String(chatId), description, action, expiresAt: Date.now() + this.confirmTimeoutMs });
+    await this.reply(chatId, `${description}\n\nLIVE trading - please confirm within ${Math.round(this.confirmTimeoutMs / 1000)}s.`, {
+      inline_keyboard: [[
+        { text: 'Confirm', callback_data: `confirm:${id}` },
+        { text: 'Cancel', callback_data: `cancel:${id}` }
+      ]]
+    });
+    return null;
+  }
+
+  removeExpiredActions() {
+    const now = Date.now();
+    for (const [id, pending] of this.pendingActions) {
+      if (pending.expiresAt <= now) {
+        this.pendingActions.delete(id);
+      }
+    }
+  }
+
+  async closeCommand(chatId, args) {
+    const symbol = parseSymbol(args[0], '/close SYMBOL');
+    const count = this.bot.getActivePositions().filter(p => p.symbol === symbol).length;
+    if (count === 0) throw new CommandError(`No open position for ${symbol}`);
+
+    return this.execute(chatId, `Close ${count} ${symbol} position(s) at market?`, async () => {
+      let trades;
+      try {
+        trades = await this.bot.closeSymbol(symbol, 'Manual close (Telegram)');
+      } catch (error) {
+        // Position kann zwischen Rückfrage und Bestätigung bereits geschlossen worden sein
+        if (error.code === 'POSITION_NOT_FOUND') return `No open position for ${symbol}`;
+        throw error;
+      }
+      return trades.map(trade => `Closed ${trade.side} ${symbol} @ ${trade.exitPrice}: ${formatNumber(trade.profit)} (${formatNumber(trade.profitPercent)}%)`).join('\n');
+    });
+  }
+
+  async openCommand(chatId, args) {
+    const usage = '/open SYMBOL SIZE [long|short] [stop=% activation=% trailing=%]';
+    const symbol = parseSymbol(args[0], usage);
+    const size = parsePositiveNumber(args[1], 'SIZE', usage);
+    const rest = args.slice(2);
+    const side = (rest[0] && !rest[0].includes('=') ? rest.shift() : 'long').toUpperCase();
+    if (side !== 'LONG' && side !== 'SHORT') throw new CommandError(`Usage: ${usage}`);
+
+    const trailingSettings = {};
+    for (const arg of rest) {
+      const [name, value] = arg.toLowerCase().split('=');
+      if (!Object.hasOwn(POSITION_SETTINGS, name)) throw new CommandError(`Usage: ${usage}`);
+      trailingSettings[POSITION_SETTINGS[name]] = parsePositiveNumber(value, name, usage);
+    }
+    const options = { value: size };
+    if (rest.length > 0) options.trailingSettings = trailingSettings;
+    const settingsText = rest.length > 0 ? ` (${rest.join(' ')})` : '';
+
+    return this.execute(chatId, `Open ${side} ${symbol} worth ${size}${settingsText}?`, async () => {
+      const position = await this.bot.openManualPosition(symbol, side, options);
+      return `Opened ${position.side} ${symbol}: ${position.quantity} @ ${position.entryPrice}, stop ${position.currentTrailingStop}`;
+    });
+  }
+
+  async stopCommand(chatId, args) {
+    const usage = '/stop SYMBOL PRICE';
+    const symbol = parseSymbol(args[0], usage);
+    const price = parsePositiveNumber(args[1], 'PRICE', usage);
+    if (!this.bot.getActivePositions().some(p => p.symbol === symbol)) throw new CommandError(`No open position for ${symbol}`);
+
+    return this.execute(chatId, `Move the stop of ${symbol} to ${price}?`, async () => {
+      const positions = await this.bot.setStopPrice(symbol, price);
+      return positions.map(p => `Stop ${symbol} (${p.side}) set to ${p.currentTrailingStop}, price ${p.currentPrice}`).join('\n');
+    });
+  }
+
+  async setEntriesPaused(paused) {
+    if (paused) {
+      await this.bot.pauseEntries();
+      return 'Entries paused. Open positions are still managed; /resume to continue.';
+    }
+    await this.bot.resumeEntries();
+    return 'Entries resumed.';
+  }
+
+  formatStatus() {
+    const status = this.bot.getStatus();
+    const stats = this.bot.getStatistics();
+    return [
+      `Mode: ${status.tradingMode.toUpperCase()} (${status.marketType})`,
+      `Watchlist: ${status.symbols.join(', ')}`,
+      `Strategy: ${status.strategy || 'none'}`,
+      `Entries: ${status.entriesPaused ? 'paused' : 'active'}`,
+      `Risk guard: ${status.riskHalt ? `halted (${status.riskHalt.reason})` : 'ok'}`,
+      `Open positions: ${status.openPositions}`,
+      `Trades: ${stats.totalTrades} (win rate ${formatNumber(stats.winRate)}%), profit ${formatNumber(stats.totalProfit)}`
+    ].join('\n');
+  }
+
+  formatPositions() {
+    const positions = this.bot.getActivePositions();
+    if (positions.length === 0) return 'No open positions.';
+    return positions.map(p =>
+      `${p.symbol} ${p.side} ${p.quantity} @ ${p.entryPrice} -> ${p.currentPrice} (${formatNumber(p.profitPercent)}%), stop ${p.currentTrailingStop} (${p.stopStage})`
+    ).join('\n');
+  }
+
+  formatError(error) {
+    // Eingabe- und Geschäftsfehler (error.code) nur melden, unerwartete Fehler zusätzlich loggen
+    if (!(error instanceof CommandError) && !error.code) {
+      this.logger.error('Telegram command failed:', error);
+    }
+    return `Error: ${error.message}`;
+  }
+
+  async reply(chatId, text, replyMarkup) {
+    try {
+      await callTelegram(this.options, 'sendMessage', {
+        chat_id: chatId,
+        text,
+        disable_web_page_preview: true,
+        reply_markup: replyMarkup
+      });
+    } catch (error) {
+      this.logger.error(`Could not send Telegram reply to chat ${chatId}: ${error.message}`);
+    }
+  }
+
+  // Ersetzt den Text einer Rückfrage und entfernt damit die Buttons
+  async editMessage(message, text) {
+    if (!message) return;
+    try {
+      await callTelegram(this.options, 'editMessageText', { chat_id: message.chat.id, message_id: message.message_id, text });
+    } catch (error) {
+      this.logger.debug(`Could not edit Telegram message: ${error.message}`);
+    }
+  }
+}
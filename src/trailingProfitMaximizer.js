@@ -2,13 +2,44 @@ import { EventEmitter } from 'events';
 import { BinanceClient } from './binanceClient.js';
 import { Position } from './position.js';
 import { Logger } from './logger.js';
-import { DEFAULT_CONFIG, validateConfig } from './config.js';
+import { DEFAULT_CONFIG, TRAILING_STOP_SCHEMA, validateConfig, getWatchlist } from './config.js';
+import { validateSchema } from './configSchema.js';
+import { deepMerge } from './configLoader.js';
+import { createStrategy, klineToCandle, getHistoryLength } from './strategies.js';
+import { StateStore, getStateFilePath } from './stateStore.js';
+import { PriceStream } from './priceStream.js';
+import { atr } from './indicators.js';
+import { CostModel } from './costModel.js';
+import { splitSymbol } from './paperExchange.js';
+import { PortfolioManager } from './portfolioManager.js';
+import { PositionSizer } from './positionSizer.js';
+import { RiskGuard } from './riskGuard.js';
+
+// Stop-Einstellungen, die pro Position geändert werden können (Position.trailingSettings)
+const POSITION_SETTINGS_SCHEMA = {
+  ...TRAILING_STOP_SCHEMA,
+  properties: Object.fromEntries(Object.entries(TRAILING_STOP_SCHEMA.properties)
+    .filter(([key]) => !['atrPeriod', 'atrInterval', 'atrSmoothing'].includes(key)))
+};
+
+// Prüft Stop-Einstellungen einer Position; ungültig oder leer: Fehler mit code 'INVALID_SETTINGS'
+function assertValidPositionSettings(settings) {
+  const errors = validateSchema(settings, POSITION_SETTINGS_SCHEMA, '', { strict: true });
+  if (errors.length > 0 || Object.keys(settings || {}).length === 0) {
+    const error = new Error(errors.length > 0
+      ? `Invalid trailing settings: ${errors.map(entry => `${entry.path}: ${entry.message}`).join(', ')}`
+      : 'No trailing settings given');
+    error.code = 'INVALID_SETTINGS';
+    throw error;
+  }
+}
 
 export class TrailingProfitMaximizer extends EventEmitter {
   constructor(config = {}) {
     super();
-    // Merge mit Standardkonfiguration
-    this.config = { ...DEFAULT_CONFIG, ...config };
+    // Rekursiver Merge mit der Standardkonfiguration (wie loadConfig), damit Teil-Objekte wie
+    // { trailingStop: { trailingDistancePercent: 1 } } die übrigen Defaults des Abschnitts behalten
+    this.config = deepMerge(DEFAULT_CONFIG, config);
     
     // Validiere die Konfiguration
     validateConfig(this.config);
@@ -18,17 +49,47 @@ export class TrailingProfitMaximizer extends EventEmitter {
     this.logger.info(`Initializing TrailingProfitMaximizer in ${this.config.tradingMode.toUpperCase()} mode.`);
     this.emit('log', { level: 'info', message: `Initializing TrailingProfitMaximizer in ${this.config.tradingMode.toUpperCase()} mode.` });
     
+    // Gebühren, Spread und Slippage (Papierhandel/Backtest) bzw. Gebührenschätzung (Live)
+    this.costModel = new CostModel(this.config.costModel);
+    
     // Initialisiere Binance Client
     this.binanceClient = new BinanceClient(
       process.env.BINANCE_API_KEY,
       process.env.BINANCE_SECRET_KEY,
       this.config.logLevel,
-      this.config.tradingMode
+      this.config.tradingMode,
+      {
+        initialBalances: this.config.paperTrading && this.config.paperTrading.initialBalances,
+        externalPriceFeed: this.config.paperTrading && this.config.paperTrading.externalPriceFeed,
+        marketType: this.config.marketType,
+        costModel: this.costModel,
+        exchangeFilters: this.config.exchangeFilters
+      }
     );
     
+    // Watchlist: alle Symbole, für die Einstiegssignale ausgewertet werden (gemeinsame Quote-Währung)
+    this.symbols = getWatchlist(this.config);
+    this.quoteAsset = splitSymbol(this.symbols[0]).quoteAsset;
+    const foreignSymbols = this.symbols.filter(symbol => splitSymbol(symbol).quoteAsset !== this.quoteAsset);
+    if (foreignSymbols.length > 0) {
+      throw new Error(`All watchlist symbols must share the quote asset ${this.quoteAsset}: ${foreignSymbols.join(', ')}`);
+    }
+    
+    // Portfolio-Regeln (maximale Positionen, Exposure pro Symbol und gesamt, Kapitalaufteilung)
+    this.portfolio = new PortfolioManager(this.config.portfolio);
+    
+    // Positionsgröße neuer Einstiege (fest, risikobasiert oder nach Volatilität, optional mit Kelly-Begrenzung)
+    this.sizer = new PositionSizer(this.config.sizing);
+    
+    // Circuit Breaker (Tagesverlust, Drawdown, Verlustserie, Trades pro Tag) mit Kill-Switch
+    this.riskGuard = new RiskGuard(this.config.riskLimits);
+    
     // Aktive Positionen
     this.positions = [];
     
+    // Pausierte Einstiege: die Strategie eröffnet keine Positionen, bestehende werden weiter verwaltet
+    this.entriesPaused = false;
+    
     // Profit-Historie für Statistiken
     this.profitHistory = [];
     
@@ -39,37 +100,230 @@ export class TrailingProfitMaximizer extends EventEmitter {
     // ATR (Average True Range) für Volatilitätsberechnung
     this.atrValues = {};
     
-    // Initialisiere den Bot
-    this.init();
+    // Persistenz von Positionen und Trade-Historie (eine Datei pro Trading-Modus)
+    const persistence = this.config.persistence || {};
+    this.stateStore = persistence.enabled
+      ? new StateStore(getStateFilePath(this.config), this.logger)
+      : null;
+    
+    // Einstiegsstrategie (null = keine automatischen Einstiege)
+    this.strategy = createStrategy(this.config.strategy);
+    this.lastStrategyCandleTimes = {};
+    if (this.strategy) {
+      this.logger.info(`Using entry strategy: ${this.strategy.name || this.config.strategy.name}`);
+    }
+    
+    // Echtzeit-Preisfeed (wird in init gestartet, im Backtest nie)
+    this.priceStream = null;
+    this.pendingTicks = new Map();
+    this.tickFlushScheduled = false;
+    
+    // Serialisiert Preis-Updates aus Stream und Timer, damit Stop-Orders nie parallel geändert werden
+    this.updateQueue = Promise.resolve();
+    
+    // Initialisiere den Bot (erfüllt, sobald gespeicherte Positionen geladen sind)
+    this.initialized = this.init();
   }
   
   async init() {
     try {
-      // Teste die Verbindung zur Binance API
-      await this.binanceClient.testConnection();
-      this.logger.info("Binance API connection successful.");
+      // Teste die Verbindung zur Binance API (nicht im Backtest, dort kommen alle Daten aus der Simulation)
+      if (!this.config.skipConnectionTest) {
+        await this.binanceClient.testConnection();
+        this.logger.info("Binance API connection successful.");
+      }
+      
+      // Lade gespeicherte Positionen und setze das Trailing fort
+      await this.loadOpenPositions();
       
       // Starte Timer für regelmäßige Updates, außer wenn im Backtest-Modus
       if (this.config.refreshInterval !== Infinity) {
         this.startRefreshTimer();
+        
+        if (this.config.priceStream && this.config.priceStream.enabled) {
+          this.startPriceStream();
+        }
       }
       
       if (this.config.volatilityUpdateInterval !== Infinity) {
         this.startVolatilityTimer();
       }
       
-      // Lade alle offenen Positionen (in einer realen Implementierung)
-      // await this.loadOpenPositions();
-      
     } catch (error) {
       this.logger.error("Error initializing TrailingProfitMaximizer:", error);
       this.emit('error', error);
     }
   }
   
+  // Lädt den gespeicherten Zustand und übernimmt aktive Positionen wieder in die Verwaltung
+  async loadOpenPositions() {
+    if (!this.stateStore) return;
+    
+    const state = await this.stateStore.load();
+    if (!state) {
+      this.logger.info(`No saved state found at ${this.stateStore.filePath}.`);
+      return;
+    }
+    
+    // Im Papierhandel gehören Guthaben und Stop-Orders der Paper-Exchange zum Zustand
+    if (state.paperExchange && this.binanceClient.isPaper()) {
+      this.binanceClient.paperExchange.restore(state.paperExchange);
+    }
+    
+    this.profitHistory = (state.profitHistory || []).map(trade => ({
+      ...trade,
+      openDate: new Date(trade.openDate),
+      closeDate: new Date(trade.closeDate)
+    }));
+    
+    // Pausierte Einstiege bleiben auch nach einem Neustart pausiert
+    if (state.entriesPaused) {
+      this.entriesPaused = true;
+      this.logger.warn("Entries are paused. The strategy opens no new positions until entries are resumed.");
+    }
+    
+    // Ein ausgelöster Kill-Switch bleibt auch nach einem Neustart aktiv
+    if (state.riskGuard) {
+      this.riskGuard.restore(state.riskGuard);
+      if (this.riskGuard.isHalted()) {
+        this.logger.warn(`Trading is halted by risk limit: ${this.riskGuard.state.halted.reason}. Reset the risk guard to open new positions.`);
+      }
+    }
+    
+    const restored = (state.positions || [])
+      .map(data => Position.fromJSON(data))
+      .filter(position => position.status === 'ACTIVE');
+    
+    for (const position of restored) {
+      this.positions.push(position);
+      this.logger.info(`Restored position ${position.symbol}: ${position.quantity} @ ${position.entryPrice}, stop ${position.currentTrailingStop} (order ${position.stopOrderId || 'none'})`);
+      
+      // Position ohne Stop-Order (z.B. Absturz zwischen Kauf und Stop) sofort absichern
+      if (!position.stopOrderId && position.currentTrailingStop > 0) {
+        try {
+          await this.updateStopOrder(position, position.currentTrailingStop);
+        } catch (error) {
+          this.logger.error(`Could not place stop order for restored position ${position.symbol}:`, error);
+        }
+      }
+    }
+    
+    this.logger.info(`Restored ${restored.length} active position(s) and ${this.profitHistory.length} closed trade(s) from ${this.stateStore.filePath}.`);
+    await this.persistState();
+    
+    // Stops, die während der Downtime ausgeführt oder storniert wurden, sofort abgleichen
+    if (restored.length > 0) {
+      await this.reconcilePositions();
+    }
+  }
+  
+  // Schreibt offene Positionen und Trade-Historie in die State-Datei
+  async persistState() {
+    if (!this.stateStore) return;
+    
+    try {
+      await this.stateStore.save({
+        tradingMode: this.config.tradingMode,
+        positions: this.positions.filter(p => p.status !== 'CLOSED').map(p => p.toJSON()),
+        profitHistory: this.profitHistory,
+        riskGuard: this.riskGuard.toJSON(),
+        entriesPaused: this.entriesPaused,
+        paperExchange: this.binanceClient.isPaper() ? this.binanceClient.paperExchange.toJSON() : null
+      });
+    } catch (error) {
+      // Persistenzfehler dürfen den Handel nicht unterbrechen
+      this.logger.error("Error saving bot state:", error);
+    }
+  }
+  
   startRefreshTimer() {
     this.logger.info(`Starting refresh timer with interval ${this.config.refreshInterval}ms.`);
-    this.refreshTimer = setInterval(() => this.refreshPrices(), this.config.refreshInterval);
+    this.refreshTimer = setInterval(() => this.enqueueUpdate(async () => {
+      await this.reconcilePositions();
+      await this.refreshPrices();
+      await this.checkRiskLimits();
+      await this.evaluateStrategy();
+    }), this.config.refreshInterval);
+  }
+  
+  // Führt fn nach allen bereits eingereihten Updates aus
+  enqueueUpdate(fn) {
+    this.updateQueue = this.updateQueue
+      .then(fn)
+      .catch(error => {
+        this.logger.error("Error in update cycle:", error);
+        this.emit('error', error);
+      });
+    return this.updateQueue;
+  }
+  
+  // Wie enqueueUpdate, gibt aber Ergebnis bzw. Fehler von fn an den Aufrufer weiter (für Steuerbefehle von außen)
+  runExclusive(fn) {
+    const result = this.updateQueue.then(fn);
+    this.updateQueue = result.catch(() => {});
+    return result;
+  }
+  
+  startPriceStream() {
+    const streamConfig = this.config.priceStream;
+    this.priceStream = new PriceStream({ ...streamConfig, logger: this.logger });
+    
+    this.priceStream.on('price', (tick) => this.handlePriceTick(tick));
+    this.priceStream.on('connected', () => this.emit('priceStreamConnected'));
+    this.priceStream.on('disconnected', (info) => {
+      this.logger.warn(`Price stream down, falling back to polling every ${this.config.refreshInterval}ms.`);
+      this.emit('priceStreamDisconnected', info);
+    });
+    // Fehler sind bereits geloggt; ohne Listener würde der EventEmitter werfen
+    this.priceStream.on('error', () => {});
+    
+    this.syncStreamSymbols();
+    this.priceStream.start();
+  }
+  
+  // Abonniert genau die Symbole, für die aktive Positionen existieren
+  syncStreamSymbols() {
+    if (!this.priceStream) return;
+    const symbols = [...new Set(this.getActivePositions().map(p => p.symbol))];
+    this.priceStream.setSymbols(symbols);
+  }
+  
+  // Ticks werden gesammelt und zusammengefasst verarbeitet: pro Symbol zählt nur der neueste Preis
+  handlePriceTick(tick) {
+    this.pendingTicks.set(tick.symbol, tick);
+    if (this.tickFlushScheduled) return;
+    
+    this.tickFlushScheduled = true;
+    this.enqueueUpdate(() => this.flushPriceTicks());
+  }
+  
+  async flushPriceTicks() {
+    this.tickFlushScheduled = false;
+    const ticks = [...this.pendingTicks.values()];
+    this.pendingTicks.clear();
+    
+    for (const tick of ticks) {
+      // Im Papierhandel lösen Stream-Preise die ruhenden Stop-Orders der Paper-Exchange aus
+      if (this.binanceClient.isPaper() && !this.binanceClient.externalPriceFeed) {
+        this.binanceClient.paperExchange.feedPrice(tick.symbol, tick.price);
+      }
+      
+      for (const position of this.getActivePositions()) {
+        if (position.symbol === tick.symbol) {
+          this.applyPrice(position, tick.price);
+        }
+      }
+    }
+    
+    await this.updateTrailingStops();
+  }
+  
+  // Aktuelle Zeit des Bots: im Papierhandel die Zeit der Paper-Exchange (im Backtest die Kerzenzeit)
+  now() {
+    if (this.binanceClient.isPaper()) {
+      return new Date(this.binanceClient.paperExchange.now());
+    }
+    return new Date();
   }
   
   startVolatilityTimer() {
@@ -87,6 +341,11 @@ export class TrailingProfitMaximizer extends EventEmitter {
       clearInterval(this.volatilityTimer);
       this.volatilityTimer = null;
     }
+    
+    if (this.priceStream) {
+      this.priceStream.stop();
+      this.priceStream = null;
+    }
   }
   
   async refreshPrices() {
@@ -94,25 +353,17 @@ export class TrailingProfitMaximizer extends EventEmitter {
       // Hole die aktuellen Preise für alle aktiven Positionen
       for (const position of this.positions) {
         if (position.status === 'ACTIVE') {
-          const priceData = await this.binanceClient.getPrice(position.symbol);
-          const currentPrice = parseFloat(priceData.price);
-          
-          // Aktualisiere den Preis in der Position
-          position.currentPrice = currentPrice;
-          
-          // Aktualisiere den höchsten Preis, wenn der aktuelle Preis höher ist
-          if (currentPrice > position.highestPrice) {
-            position.highestPrice = currentPrice;
+          // Symbole mit laufendem Stream müssen nicht gepollt werden (Polling nur als Fallback)
+          if (this.priceStream && this.priceStream.isLive(position.symbol, this.config.refreshInterval)) {
+            continue;
           }
           
-          // Aktualisiere den Gewinn/Verlust
-          position.updateProfit();
-          
-          this.logger.debug(`Updated ${position.symbol}: Current price ${currentPrice}, Profit: ${position.profit.toFixed(2)} (${position.profitPercent.toFixed(2)}%)`);
+          const priceData = await this.binanceClient.getPrice(position.symbol);
+          this.applyPrice(position, parseFloat(priceData.price));
         }
       }
       
-      // Aktualisiere Trailing-Stops basierend auf den neuen Preisen
+      // Aktualisiere Trailing-Stops basierend auf den neuen Preisen (sichert auch den Zustand)
       await this.updateTrailingStops();
       
     } catch (error) {
@@ -121,32 +372,84 @@ export class TrailingProfitMaximizer extends EventEmitter {
     }
   }
   
+  // Übernimmt einen neuen Marktpreis in die Position (aktueller Preis, Höchst-/Tiefststand, Gewinn)
+  applyPrice(position, currentPrice) {
+    // Aktualisiere den Preis in der Position
+    position.currentPrice = currentPrice;
+    
+    // Aktualisiere höchsten und tiefsten Preis (Referenz für Long- bzw. Short-Stops)
+    position.updatePriceExtremes(currentPrice);
+    
+    // Aktualisiere den Gewinn/Verlust
+    position.updateProfit();
+    
+    this.logger.debug(`Updated ${position.symbol}: Current price ${currentPrice}, Profit: ${position.profit.toFixed(2)} (${position.profitPercent.toFixed(2)}%)`);
+  }
+  
   async updateTrailingStops() {
     try {
       // Aktualisiere Trailing-Stops für alle aktiven Positionen
       for (const position of this.positions) {
         if (position.status !== 'ACTIVE') continue;
         
+        // Erreichte Take-Profit-Stufen vor dem Trailing ausführen (kann die Position vollständig schließen)
+        for (const level of position.getTriggeredTakeProfits(position.currentPrice)) {
+          if (position.status !== 'ACTIVE') break;
+          await this.executeTakeProfit(position, level);
+        }
+        if (position.status !== 'ACTIVE') continue;
+        
         // Berechne den neuen Trailing-Stop basierend auf den Position-Einstellungen
-        const oldStop = position.currentTrailingStop;
+        const previousStage = position.stopStage;
         const newStop = position.updateTrailingStop(this.config.trailingStop);
         
-        // Wenn sich der Stop geändert hat, aktualisiere die Stop-Order
-        if (newStop !== oldStop && position.stopOrderId) {
-          this.logger.info(`Updating trailing stop for ${position.symbol} from ${oldStop} to ${newStop}`);
+        // Stop-Order nachziehen, wenn sie hinter dem Stop liegt und die Schwellen aus stopOrderUpdates erreicht sind
+        if (position.stopOrderId && newStop !== position.stopOrderPrice && this.shouldReplaceStopOrder(position, previousStage)) {
+          this.logger.info(`Updating trailing stop for ${position.symbol} from ${position.stopOrderPrice} to ${newStop} (${position.stopStage})`);
           
           // Storniere die alte Stop-Order und erstelle eine neue
-          await this.updateStopOrder(position, newStop);
+          try {
+            await this.updateStopOrder(position, newStop);
+          } catch (error) {
+            // Der Kurs hat den neuen Stop bereits überschritten - die Exchange lehnt die Order ab
+            if (/would trigger immediately/i.test(error.message)) {
+              this.logger.warn(`Price of ${position.symbol} (${position.currentPrice}) has already crossed the new stop ${newStop}. Closing at market.`);
+              position.stopOrderId = null;
+              await this.closePosition(position, position.currentPrice, 'Stop level crossed before order update');
+              continue;
+            }
+            throw error;
+          }
           
           this.emit('stopUpdated', position);
         }
       }
+      
+      // Preise, Höchststände und Stops sichern
+      await this.persistState();
     } catch (error) {
       this.logger.error("Error updating trailing stops:", error);
       this.emit('error', error);
     }
   }
   
+  // true, wenn die Stop-Order auf position.currentTrailingStop nachgezogen werden soll (siehe config.stopOrderUpdates)
+  shouldReplaceStopOrder(position, previousStage) {
+    const { minMovePercent = 0, minIntervalMs = 0 } = this.config.stopOrderUpdates || {};
+    const orderPrice = position.stopOrderPrice;
+    if (!(orderPrice > 0)) return true;
+    
+    // Kurs hat den Stop des Bots erreicht: sofort handeln (updateStopOrder lehnt ab, die Position wird geschlossen)
+    const stopReached = position.isShort()
+      ? position.currentPrice >= position.currentTrailingStop
+      : position.currentPrice <= position.currentTrailingStop;
+    if (stopReached) return true;
+    
+    if (this.now().getTime() - position.stopOrderUpdatedAt < minIntervalMs) return false;
+    if (position.stopStage !== previousStage) return true;
+    return Math.abs(position.currentTrailingStop - orderPrice) / orderPrice * 100 >= minMovePercent;
+  }
+  
   async updateStopOrder(position, newStopPrice) {
     // Storniere die alte Stop-Order, falls vorhanden
     if (position.stopOrderId) {
@@ -161,19 +464,18 @@ export class TrailingProfitMaximizer extends EventEmitter {
     
     // Erstelle eine neue Stop-Order
     try {
-      // Berechne den Limit-Preis etwas unter dem Stop-Preis (für SELL)
-      const limitPrice = newStopPrice * 0.995; // 0.5% unter dem Stop-Preis
-      
       const stopOrder = await this.binanceClient.createStopLossOrder(
         position.symbol,
-        'SELL',
+        position.getExitSide(),
         position.quantity,
         newStopPrice,
-        limitPrice
+        this.getStopLimitPrice(position, newStopPrice)
       );
       
       // Speichere die neue Stop-Order-ID
       position.stopOrderId = stopOrder.orderId;
+      position.stopOrderPrice = newStopPrice;
+      position.stopOrderUpdatedAt = this.now().getTime();
       this.logger.info(`Created new stop order ${position.stopOrderId} for ${position.symbol} at ${newStopPrice}`);
       
       return stopOrder;
@@ -183,37 +485,88 @@ export class TrailingProfitMaximizer extends EventEmitter {
     }
   }
   
-  async createNewPosition(symbol, quantity) {
+  // Limit-Preis 0.5% jenseits des Stop-Preises: unter dem Stop für SELL (Long), darüber für BUY (Short)
+  getStopLimitPrice(position, stopPrice) {
+    return position.isShort() ? stopPrice * 1.005 : stopPrice * 0.995;
+  }
+  
+  // side: 'LONG' (Kauf) oder 'SHORT' (Leerverkauf, nur mit marketType 'margin' oder 'futures')
+  // options.trailingSettings: Stop-Einstellungen nur für diese Position (z.B. eigene profitLocks)
+  async createNewPosition(symbol, quantity, side = 'LONG', options = {}) {
+    const halted = await this.checkRiskLimits({ entry: true });
+    if (halted) {
+      const error = new Error(`Cannot open position for ${symbol}: trading is halted by risk limit (${halted.reason})`);
+      error.code = 'RISK_LIMIT';
+      throw error;
+    }
+    
     try {
-      this.logger.info(`Creating new position for ${symbol} with quantity ${quantity}`);
+      this.logger.info(`Creating new ${side} position for ${symbol} with quantity ${quantity}`);
+      
+      if (side === 'SHORT' && !this.binanceClient.supportsShort()) {
+        throw new Error(`Cannot open short position for ${symbol}: short selling requires marketType 'margin' or 'futures' (current: ${this.binanceClient.marketType})`);
+      }
+      
+      // ATR für ATR-basierte Stops vor dem Kauf bereitstellen (im Backtest setzt der Backtester atrValues vorab)
+      if (this.config.trailingStop.atrMultiplier > 0 && this.atrValues[symbol] === undefined) {
+        this.atrValues[symbol] = await this.calculateAtr(symbol);
+      }
       
-      // Erstelle eine Market-Buy-Order
-      const buyOrder = await this.binanceClient.createMarketOrder(symbol, 'BUY', quantity);
+      // Erstelle eine Market-Order (BUY für Long, SELL für Short)
+      const entryOrder = await this.binanceClient.createMarketOrder(symbol, side === 'SHORT' ? 'SELL' : 'BUY', quantity);
       
       // Erstelle eine neue Position
       const position = new Position(
         symbol,
-        buyOrder.price, // Ausführungspreis
-        buyOrder.executedQty,
-        buyOrder.orderId
+        entryOrder.price, // Ausführungspreis
+        entryOrder.executedQty,
+        entryOrder.orderId,
+        side
       );
       
       // Setze die Position auf ACTIVE
       position.status = 'ACTIVE';
+      position.openDate = this.now();
+      this.riskGuard.recordEntry(position.openDate);
+      position.entryFees = this.getOrderFees(entryOrder);
+      position.feeRate = this.costModel.getFeeRate('TAKER');
+      
+      if (this.config.trailingStop.atrMultiplier > 0) {
+        position.atr = this.atrValues[symbol];
+        if (!position.atr) {
+          this.logger.warn(`No ATR available for ${symbol}, using percentage based stop distances.`);
+        }
+      }
+      
+      if (options.trailingSettings) {
+        Object.assign(position.trailingSettings, options.trailingSettings);
+      }
+      position.setTakeProfitLevels((this.config.takeProfit && this.config.takeProfit.levels) || []);
       
       // Berechne den initialen Stop-Loss
-      const initialStopDistance = position.entryPrice * (this.config.trailingStop.initialStopDistancePercent / 100);
-      const initialStopPrice = position.entryPrice - initialStopDistance;
+      const initialStopPrice = position.calculateInitialStop(this.config.trailingStop);
       position.setInitialStop(initialStopPrice);
       
       // Erstelle eine Stop-Loss-Order
-      const stopOrder = await this.updateStopOrder(position, initialStopPrice);
+      let stopOrder;
+      try {
+        stopOrder = await this.updateStopOrder(position, initialStopPrice);
+      } catch (error) {
+        // Ohne Stop (z.B. Stop-Volumen unter minNotional) die gekaufte Menge nicht ungeschützt liegen lassen
+        if (error.code === -1013) {
+          this.logger.warn(`Initial stop order for ${symbol} was rejected by the exchange filters. Closing position at market.`);
+          await this.closePosition(position, position.entryPrice, 'Stop order rejected', { sendOrder: true });
+        }
+        throw error;
+      }
       position.stopOrderId = stopOrder.orderId;
       
       // Füge die Position zur Liste hinzu
       this.positions.push(position);
+      await this.persistState();
+      this.syncStreamSymbols();
       
-      this.logger.info(`Position created for ${symbol} at ${position.entryPrice} with stop at ${initialStopPrice}`);
+      this.logger.info(`${side} position created for ${symbol} at ${position.entryPrice} with stop at ${initialStopPrice}`);
       this.emit('positionOpened', position);
       
       return position;
@@ -224,35 +577,43 @@ export class TrailingProfitMaximizer extends EventEmitter {
     }
   }
   
-  async closePosition(position, closePrice, reason = '') {
+  // options.sendOrder: Market-Sell an die Exchange senden (Standard: nur wenn nicht bereits durch einen Stop geschlossen)
+  // options.fee: Gebühr des Ausstiegs in der Quote-Währung, wenn die Order nicht vom Bot gesendet wurde
+  async closePosition(position, closePrice, reason = '', options = {}) {
     try {
       this.logger.info(`Closing position for ${position.symbol} at ${closePrice}. Reason: ${reason}`);
       
-      // Nur im Live-Modus eine Market-Sell-Order erstellen
-      // Im Paper-Modus oder bei bereits ausgelösten Stops nicht nötig
-      if (this.config.tradingMode === 'live' && !reason.includes('StopLoss')) {
-        await this.binanceClient.createMarketOrder(position.symbol, 'SELL', position.quantity);
+      // Bei ausgelösten Stops ist die Position an der Exchange bereits geschlossen
+      // Im Papierhandel schließt die Paper-Exchange, damit Guthaben und Orderbuch stimmen
+      const sendOrder = options.sendOrder !== undefined ? options.sendOrder : !reason.includes('StopLoss');
+      let exitPrice = closePrice;
+      let exitFee = options.fee || 0;
+      if (sendOrder) {
+        // Die Stop-Order reserviert die Menge und muss vor dem Verkauf storniert werden
+        if (position.stopOrderId) {
+          try {
+            await this.binanceClient.cancelOrder(position.symbol, position.stopOrderId);
+          } catch (error) {
+            this.logger.warn(`Error cancelling stop order ${position.stopOrderId} for ${position.symbol} before closing:`, error);
+          }
+        }
+        const exitOrder = await this.binanceClient.createMarketOrder(position.symbol, position.getExitSide(), position.quantity, { reduceOnly: true });
+        
+        // Tatsächlicher Ausführungspreis (inkl. Slippage) statt des Referenzpreises
+        exitPrice = parseFloat(exitOrder.price) || closePrice;
+        exitFee = this.getOrderFees(exitOrder);
       }
       
       // Position als geschlossen markieren
-      position.close(closePrice, reason);
+      position.close(exitPrice, reason, this.now());
       
       // Zur Profit-Historie hinzufügen
-      const trade = {
-        symbol: position.symbol,
-        entryPrice: position.entryPrice,
-        exitPrice: closePrice,
-        quantity: position.quantity,
-        profit: position.profit,
-        profitPercent: position.profitPercent,
-        openDate: position.openDate,
-        closeDate: position.closeDate,
-        holdingTimeMs: position.closeDate - position.openDate,
-        stopPrice: position.currentTrailingStop,
-        reason: reason
-      };
+      const trade = this.createTradeRecord(position, exitPrice, position.quantity, reason, exitFee);
       
       this.profitHistory.push(trade);
+      this.riskGuard.recordTrade(trade);
+      await this.persistState();
+      this.syncStreamSymbols();
       
       this.logger.info(`Position closed for ${position.symbol}. Profit: ${position.profit.toFixed(2)} (${position.profitPercent.toFixed(2)}%)`);
       this.emit('positionClosed', trade);
@@ -265,109 +626,709 @@ export class TrailingProfitMaximizer extends EventEmitter {
     }
   }
   
-  // Helfer-Methode zum Abrufen aller aktiven Positionen
-  getActivePositions() {
-    return this.positions.filter(p => p.status === 'ACTIVE');
+  // Führt eine Take-Profit-Stufe aus: Teilverkauf zum Marktpreis, danach Stop-Order auf die Restmenge verkleinern
+  // price: Referenzpreis, falls die Order keinen Ausführungspreis liefert (im Backtest der Zielpreis)
+  async executeTakeProfit(position, level, price = position.currentPrice) {
+    const reason = `TakeProfit ${position.takeProfitLevels.indexOf(level) + 1} (+${level.profitPercent}%)`;
+    const quantity = position.getTakeProfitQuantity(level);
+    level.filled = true;
+    
+    // Letzte Stufe: die gesamte Restmenge wird verkauft
+    if (position.quantity - quantity <= 1e-8) {
+      this.logger.info(`${reason} reached for ${position.symbol}, closing remaining ${position.quantity}.`);
+      return this.closePosition(position, price, reason);
+    }
+    
+    // Teil- oder Restmenge wäre zu klein für die Exchange (Lot-Größe, Mindestvolumen): alles verkaufen
+    if (!(await this.canSplitPosition(position, quantity, price))) {
+      this.logger.info(`${reason} reached for ${position.symbol}, but splitting ${quantity} of ${position.quantity} would violate the exchange filters. Closing entire position.`);
+      return this.closePosition(position, price, reason);
+    }
+    
+    this.logger.info(`${reason} reached for ${position.symbol}: selling ${quantity} of ${position.quantity}.`);
+    
+    // Die Stop-Order reserviert die gesamte Menge und muss vor dem Teilverkauf storniert werden
+    if (position.stopOrderId) {
+      try {
+        await this.binanceClient.cancelOrder(position.symbol, position.stopOrderId);
+      } catch (error) {
+        this.logger.warn(`Error cancelling stop order ${position.stopOrderId} for ${position.symbol} before take-profit:`, error);
+      }
+      position.stopOrderId = null;
+    }
+    
+    let order;
+    try {
+      order = await this.binanceClient.createMarketOrder(position.symbol, position.getExitSide(), quantity, { reduceOnly: true });
+    } catch (error) {
+      // Stufe beim nächsten Update erneut versuchen, die Restposition aber sofort wieder absichern
+      level.filled = false;
+      this.logger.error(`Error executing ${reason} for ${position.symbol}:`, error);
+      await this.updateStopOrder(position, position.currentTrailingStop);
+      throw error;
+    }
+    
+    const executedQty = parseFloat(order.executedQty) || quantity;
+    const fillPrice = parseFloat(order.price) || parseFloat(price);
+    const trade = await this.recordPartialExit(position, executedQty, fillPrice, reason, this.getOrderFees(order));
+    
+    // Stop-Order für die verbleibende Menge neu anlegen
+    await this.updateStopOrder(position, position.currentTrailingStop);
+    await this.persistState();
+    
+    return trade;
   }
   
-  // Berechnung von Handelsstatistiken
-  getStatistics() {
-    const stats = {
-      totalTrades: this.profitHistory.length,
-      winningTrades: 0,
-      losingTrades: 0,
-      totalProfit: 0,
-      totalProfitPercent: 0,
-      biggestWin: 0,
-      biggestLoss: 0,
-      averageProfit: 0,
-      averageProfitPercent: 0,
-      winRate: 0,
-      profitFactor: 0,
-      averageHoldingTimeMs: 0,
-      averageHoldingTimeHours: 0
+  // true, wenn der Teilverkauf und die Stop-Order für die Restmenge die Filter des Symbols erfüllen
+  async canSplitPosition(position, quantity, price) {
+    const filters = await this.binanceClient.getSymbolFilters(position.symbol);
+    if (!filters) return true;
+    
+    const partQuantity = filters.roundQuantity(quantity, 'MARKET');
+    const restQuantity = filters.roundQuantity(position.quantity - partQuantity);
+    const limitPrice = filters.roundPrice(this.getStopLimitPrice(position, position.currentTrailingStop), position.isShort() ? 'ceil' : 'floor');
+    if (!(partQuantity > 0) || !(restQuantity > 0)) return false;
+    
+    return !filters.checkOrder({ type: 'MARKET', quantity: partQuantity, referencePrice: parseFloat(price), reduceOnly: true }) &&
+      !filters.checkOrder({ type: 'STOP_LOSS_LIMIT', quantity: restQuantity, price: limitPrice, reduceOnly: true });
+  }
+  
+  // Gebühren einer Order in der Quote-Währung: aus den fills (FULL-Antwort), sonst geschätzt über den Taker-Satz
+  getOrderFees(order) {
+    const executedQty = parseFloat(order.executedQty) || 0;
+    const averagePrice = executedQty > 0 ? parseFloat(order.cummulativeQuoteQty) / executedQty : parseFloat(order.price);
+    const estimate = (quantity, price) => quantity * price * this.costModel.getFeeRate('TAKER');
+    
+    if (!Array.isArray(order.fills) || order.fills.length === 0) {
+      return executedQty > 0 ? estimate(executedQty, averagePrice) : 0;
+    }
+    
+    const { baseAsset, quoteAsset } = splitSymbol(order.symbol);
+    return order.fills.reduce((sum, fill) => {
+      const commission = parseFloat(fill.commission) || 0;
+      if (fill.commissionAsset === quoteAsset) return sum + commission;
+      if (fill.commissionAsset === baseAsset) return sum + commission * parseFloat(fill.price);
+      // Gebühren in BNB o.ä. lassen sich ohne weiteren Kurs nicht umrechnen
+      return sum + estimate(parseFloat(fill.qty), parseFloat(fill.price));
+    }, 0);
+  }
+  
+  // Erstellt den Eintrag für die Profit-Historie für eine (Teil-)Schließung
+  // profit und profitPercent sind netto: anteilige Eröffnungsgebühren und die Ausstiegsgebühr werden abgezogen
+  createTradeRecord(position, exitPrice, quantity, reason, exitFee = 0) {
+    const closeDate = position.closeDate || this.now();
+    const price = parseFloat(exitPrice);
+    const direction = position.isShort() ? -1 : 1;
+    const grossProfit = direction * quantity * (price - position.entryPrice);
+    const fees = position.getEntryFeeShare(quantity) + exitFee;
+    const profit = grossProfit - fees;
+    // Initiales Risiko bis zum ersten Stop, Basis für R-Multiples
+    const initialRisk = position.initialStopPrice > 0 ? quantity * Math.abs(position.entryPrice - position.initialStopPrice) : 0;
+    // Exit-Preis einbeziehen, falls er außerhalb der bisher gesehenen Extremwerte liegt (z.B. Kurslücke)
+    const exitProfitPercent = direction * (price / position.entryPrice - 1) * 100;
+    
+    return {
+      symbol: position.symbol,
+      side: position.side,
+      entryPrice: position.entryPrice,
+      exitPrice: price,
+      quantity: quantity,
+      grossProfit: grossProfit,
+      fees: fees,
+      profit: profit,
+      profitPercent: (profit / (quantity * position.entryPrice)) * 100,
+      openDate: position.openDate,
+      closeDate: closeDate,
+      holdingTimeMs: closeDate - position.openDate,
+      stopPrice: position.currentTrailingStop,
+      initialStopPrice: position.initialStopPrice,
+      rMultiple: initialRisk > 0 ? profit / initialRisk : null,
+      // Maximum Adverse/Favorable Excursion: größte Bewegung gegen bzw. für die Position in Prozent
+      maePercent: Math.max(position.getPeakLossPercent(), -exitProfitPercent, 0),
+      mfePercent: Math.max(position.getPeakProfitPercent(), exitProfitPercent, 0),
+      reason: reason
     };
+  }
+  
+  // Verbucht eine Teilausführung (z.B. teilweise gefüllte Stop-Order) als eigenen Trade und reduziert die Position
+  async recordPartialExit(position, quantity, exitPrice, reason, fee = 0) {
+    const trade = { ...this.createTradeRecord(position, exitPrice, quantity, reason, fee), partial: true };
+    
+    position.quantity -= quantity;
+    position.notes += ` Partial exit: ${quantity} @ ${exitPrice} (${reason}).`;
+    position.updateProfit();
     
-    if (stats.totalTrades === 0) return stats;
+    this.profitHistory.push(trade);
+    await this.persistState();
     
-    let totalWinAmount = 0;
-    let totalLossAmount = 0;
-    let totalHoldingTimeMs = 0;
+    this.logger.info(`Partial exit for ${position.symbol}: ${quantity} @ ${exitPrice}. Remaining quantity: ${position.quantity}`);
+    this.emit('partialExit', trade);
     
-    for (const trade of this.profitHistory) {
-      stats.totalProfit += trade.profit;
-      stats.totalProfitPercent += trade.profitPercent;
-      totalHoldingTimeMs += trade.holdingTimeMs;
+    return trade;
+  }
+  
+  // Gleicht lokale Positionen mit dem Order-Status an der Exchange ab
+  // Erkennt ausgeführte, teilweise ausgeführte und extern stornierte Stop-Orders
+  async reconcilePositions() {
+    const results = [];
+    
+    for (const position of this.getActivePositions()) {
+      if (!position.stopOrderId) continue;
       
-      if (trade.profit > 0) {
-        stats.winningTrades++;
-        totalWinAmount += trade.profit;
-        stats.biggestWin = Math.max(stats.biggestWin, trade.profit);
-      } else {
-        stats.losingTrades++;
-        totalLossAmount += Math.abs(trade.profit);
-        stats.biggestLoss = Math.min(stats.biggestLoss, trade.profit);
+      try {
+        const result = await this.reconcilePosition(position);
+        if (result) {
+          results.push(result);
+          this.emit('positionReconciled', result);
+        }
+      } catch (error) {
+        this.logger.error(`Error reconciling position ${position.symbol}:`, error);
+        this.emit('error', error);
       }
     }
     
-    stats.averageProfit = stats.totalProfit / stats.totalTrades;
-    stats.averageProfitPercent = stats.totalProfitPercent / stats.totalTrades;
-    stats.winRate = (stats.winningTrades / stats.totalTrades) * 100;
-    stats.profitFactor = totalLossAmount > 0 ? totalWinAmount / totalLossAmount : totalWinAmount;
-    stats.averageHoldingTimeMs = totalHoldingTimeMs / stats.totalTrades;
-    stats.averageHoldingTimeHours = stats.averageHoldingTimeMs / (1000 * 60 * 60);
-    
-    return stats;
+    return results;
   }
   
-  async updateVolatility() {
+  // Gibt null zurück, wenn lokaler und Exchange-Zustand übereinstimmen, sonst eine Beschreibung der Abweichung
+  async reconcilePosition(position) {
+    let order;
     try {
-      // Für jede aktive Position die ATR berechnen
-      for (const position of this.getActivePositions()) {
-        // Hole historische Kerzen für ATR-Berechnung
-        const klines = await this.binanceClient.getHistoricalKlines(
-          position.symbol,
-          '1h', // Intervall für ATR
-          this.config.trailingStop.atrPeriod + 1 // +1 für Berechnung des ersten TR
-        );
-        
-        if (!klines || klines.length < this.config.trailingStop.atrPeriod) {
-          this.logger.warn(`Not enough data for ATR calculation for ${position.symbol}`);
-          continue;
+      order = await this.binanceClient.getOrderStatus(position.symbol, position.stopOrderId);
+    } catch (error) {
+      // -2013: Order existiert nicht (mehr) - wie eine extern stornierte Order behandeln
+      if (error.code !== -2013) throw error;
+      order = { status: 'NOT_FOUND', executedQty: '0', cummulativeQuoteQty: '0' };
+    }
+    
+    const executedQty = parseFloat(order.executedQty) || 0;
+    const fillPrice = executedQty > 0 ? parseFloat(order.cummulativeQuoteQty) / executedQty : null;
+    const base = { symbol: position.symbol, position, orderId: position.stopOrderId, orderStatus: order.status };
+    
+    switch (order.status) {
+      case 'NEW':
+        // Ausgelöst, aber das Limit wurde nicht erreicht (Kurs ist durch das Limit gefallen)
+        if (order.isWorking && order.type === 'STOP_LOSS_LIMIT') {
+          this.logger.warn(`Stop order ${position.stopOrderId} for ${position.symbol} was triggered but its limit has not been filled.`);
+          return { ...base, action: 'stopTriggeredUnfilled' };
         }
+        return null;
         
-        // Berechne True Range (TR) für jede Kerze
-        const trValues = [];
-        for (let i = 1; i < klines.length; i++) {
-          const high = parseFloat(klines[i][2]);
-          const low = parseFloat(klines[i][3]);
-          const prevClose = parseFloat(klines[i-1][4]);
-          
-          // TR = max(high - low, |high - prevClose|, |low - prevClose|)
-          const tr = Math.max(
-            high - low,
-            Math.abs(high - prevClose),
-            Math.abs(low - prevClose)
-          );
-          
-          trValues.push(tr);
-        }
+      case 'FILLED': {
+        this.logger.info(`Stop order ${position.stopOrderId} for ${position.symbol} was filled on the exchange at ${fillPrice}.`);
+        const trade = await this.closePosition(position, fillPrice, 'StopLoss (filled on exchange)', {
+          sendOrder: false,
+          fee: this.getOrderFees(order) * (position.quantity / executedQty)
+        });
+        return { ...base, action: 'closed', fillPrice, trade };
+      }
+        
+      case 'PARTIALLY_FILLED': {
+        // Bereits verbuchte Teilausführungen ergeben sich aus der Differenz zur lokalen Menge
+        const remaining = parseFloat(order.origQty) - executedQty;
+        const newlyFilled = position.quantity - remaining;
+        if (newlyFilled <= 1e-12) return null;
+        
+        const fee = this.getOrderFees(order) * (newlyFilled / executedQty);
+        const trade = await this.recordPartialExit(position, newlyFilled, fillPrice, 'StopLoss (partially filled on exchange)', fee);
+        return { ...base, action: 'partialFill', fillPrice, filledQuantity: newlyFilled, trade };
+      }
         
-        // Berechne ATR (einfacher Durchschnitt der TR-Werte)
-        const atr = trValues.reduce((sum, tr) => sum + tr, 0) / trValues.length;
+      case 'CANCELED':
+      case 'EXPIRED':
+      case 'REJECTED':
+      case 'NOT_FOUND': {
+        this.logger.warn(`Stop order ${position.stopOrderId} for ${position.symbol} is ${order.status} on the exchange. Re-creating stop at ${position.currentTrailingStop}.`);
         
-        // Speichere ATR für das Symbol
-        this.atrValues[position.symbol] = atr;
+        // Bereits teilweise ausgeführte Menge verbuchen, bevor der Stop für den Rest neu gesetzt wird
+        if (order.origQty !== undefined && executedQty > 0) {
+          const alreadyBooked = parseFloat(order.origQty) - position.quantity;
+          const newlyFilled = executedQty - alreadyBooked;
+          if (newlyFilled > 1e-12) {
+            const fee = this.getOrderFees(order) * (newlyFilled / executedQty);
+            await this.recordPartialExit(position, newlyFilled, fillPrice, 'StopLoss (partially filled before cancel)', fee);
+          }
+        }
+        
+        position.stopOrderId = null;
+        try {
+          await this.updateStopOrder(position, position.currentTrailingStop);
+        } catch (error) {
+          // Kein Guthaben mehr: Die Position wurde außerhalb des Bots geschlossen
+          if (error.code === -2010 && /insufficient balance/i.test(error.message)) {
+            const price = parseFloat((await this.binanceClient.getPrice(position.symbol)).price);
+            this.logger.warn(`Position ${position.symbol} is no longer held on the exchange. Closing it locally at ${price}.`);
+            const trade = await this.closePosition(position, price, 'Closed outside of bot', { sendOrder: false });
+            return { ...base, action: 'closedExternally', trade };
+          }
+          throw error;
+        }
         
-        this.logger.debug(`Updated ATR for ${position.symbol}: ${atr}`);
+        await this.persistState();
+        return { ...base, action: 'stopReplaced', newOrderId: position.stopOrderId };
+      }
         
-        // Wenn ATR-Multiplikator gesetzt ist, aktualisiere den Trailing-Stop
-        if (this.config.trailingStop.atrMultiplier > 0) {
-          // Hier könnte eine spezielle Logik für ATR-basierte Stops implementiert werden
+      default:
+        this.logger.warn(`Unknown order status ${order.status} for stop order ${position.stopOrderId} (${position.symbol}).`);
+        return null;
+    }
+  }
+  
+  // Wertet die Einstiegsstrategie für alle Symbole der Watchlist aus; liefert die ausgelösten Signale
+  async evaluateStrategy() {
+    if (!this.strategy) return [];
+    
+    const signals = [];
+    for (const symbol of this.symbols) {
+      const signal = await this.evaluateSymbol(symbol);
+      if (signal) signals.push({ ...signal, symbol });
+    }
+    return signals;
+  }
+  
+  async evaluateSymbol(symbol) {
+    const interval = this.config.strategy.interval || '1h';
+    
+    try {
+      // Dasselbe Fenster wie im Backtest; +1 Kerze, da die letzte Kline in der Regel noch nicht abgeschlossen ist
+      const historyLength = getHistoryLength(this.strategy);
+      const klines = await this.binanceClient.getHistoricalKlines(symbol, interval, historyLength + 1);
+      const history = klines.map(klineToCandle).filter(candle => candle.closeTime < Date.now()).slice(-historyLength);
+      
+      if (history.length < historyLength) return null;
+      
+      // Jede abgeschlossene Kerze nur einmal auswerten
+      const candle = history[history.length - 1];
+      if (candle.openTime === this.lastStrategyCandleTimes[symbol]) return null;
+      this.lastStrategyCandleTimes[symbol] = candle.openTime;
+      
+      const hasPosition = this.getActivePositions().some(p => p.symbol === symbol);
+      const signal = this.strategy.onKline(candle, { symbol, history, hasPosition });
+      
+      // BUY eröffnet eine Long-, SELL eine Short-Position
+      if (!signal || (signal.action !== 'BUY' && signal.action !== 'SELL')) return null;
+      
+      this.logger.info(`Entry signal for ${symbol}: ${signal.reason || signal.action}`);
+      this.emit('entrySignal', { ...signal, symbol, candle });
+      
+      if (hasPosition) {
+        this.logger.info(`Ignoring entry signal for ${symbol}: position already open.`);
+        return signal;
+      }
+      
+      if (this.entriesPaused) {
+        this.logger.info(`Entry for ${symbol} rejected: entries are paused`);
+        this.emit('entryRejected', { symbol, side: signal.action === 'SELL' ? 'SHORT' : 'LONG', reason: 'entries are paused' });
+        return signal;
+      }
+      
+      try {
+        await this.openPosition(symbol, signal.action === 'SELL' ? 'SHORT' : 'LONG');
+      } catch (error) {
+        // createNewPosition hat den Fehler bereits geloggt und gemeldet
+        return null;
+      }
+      
+      return signal;
+    } catch (error) {
+      this.logger.error(`Error evaluating entry strategy for ${symbol}:`, error);
+      this.emit('error', error);
+      return null;
+    }
+  }
+  
+  // Kapital in der Quote-Währung: Guthaben plus Wert der Long- abzüglich der Short-Positionen
+  // (Futures: Wallet-Guthaben plus unrealisierter Gewinn, da Positionen nur Margin binden)
+  async getEquity() {
+    const balance = await this.binanceClient.getAssetBalance(this.quoteAsset);
+    let equity = balance.free + balance.locked;
+    
+    for (const position of this.getActivePositions()) {
+      const price = position.currentPrice || position.entryPrice;
+      const direction = position.isShort() ? -1 : 1;
+      equity += this.binanceClient.marketType === 'futures'
+        ? direction * position.quantity * (price - position.entryPrice)
+        : direction * position.quantity * price;
+    }
+    
+    return equity;
+  }
+  
+  // Eröffnet eine Position nach den Portfolio-Regeln: Größe aus der Kapitalaufteilung, begrenzt durch
+  // maximale Positionen, Exposure-Limits und verfügbares Guthaben
+  // price: Referenzpreis für die Größenberechnung (Standard: aktueller Marktpreis)
+  // options.value: feste Größe in der Quote-Währung statt Kapitalaufteilung und Sizing-Methode (z.B. manuelle Einstiege)
+  // options.trailingSettings: Stop-Einstellungen nur für diese Position (wie bei createNewPosition),
+  // ungültige Einstellungen: Fehler mit code 'INVALID_SETTINGS'
+  // Gibt die Position zurück oder null, wenn der Einstieg von den Portfolio-Regeln abgelehnt wurde
+  async openPosition(symbol, side = 'LONG', price = null, options = {}) {
+    if (options.trailingSettings !== undefined) {
+      assertValidPositionSettings(options.trailingSettings);
+    }
+    
+    const halted = await this.checkRiskLimits({ entry: true });
+    if (halted) {
+      const reason = `trading halted by risk limit: ${halted.reason}`;
+      this.logger.info(`Entry for ${symbol} rejected: ${reason}`);
+      this.emit('entryRejected', { symbol, side, reason });
+      return null;
+    }
+    
+    const referencePrice = price !== null ? parseFloat(price) : parseFloat((await this.binanceClient.getPrice(symbol)).price);
+    const balance = await this.binanceClient.getAssetBalance(this.quoteAsset);
+    const equity = await this.getEquity();
+    const targetValue = this.portfolio.getTargetPositionValue(this.config.positionSize, equity);
+    
+    // Kosten des Einstiegs: Taker-Gebühr plus Spread und Slippage des Kostenmodells
+    const entrySide = side === 'SHORT' ? 'SELL' : 'BUY';
+    const executionPrice = this.costModel.getExecutionPrice(entrySide, referencePrice, symbol);
+    const costRate = this.costModel.getFeeRate('TAKER') + Math.abs(executionPrice / referencePrice - 1);
+    
+    // ATR für ATR-basierte Stops und Volatilitäts-Sizing (im Backtest setzt der Backtester atrValues vorab)
+    if (this.needsAtr() && this.atrValues[symbol] === undefined) {
+      this.atrValues[symbol] = await this.calculateAtr(symbol);
+    }
+    
+    const sizing = options.value !== undefined
+      ? { quantity: options.value / referencePrice, reason: null }
+      : this.sizer.calculate({
+        equity,
+        price: referencePrice,
+        stopPrice: this.estimateInitialStop(symbol, side, referencePrice, options.trailingSettings),
+        atr: this.atrValues[symbol],
+        costRate,
+        fixedValue: targetValue,
+        trades: this.profitHistory
+      });
+    if (sizing.reason) {
+      this.logger.info(`Position size for ${symbol}: ${sizing.reason}`);
+    }
+    
+    const decision = this.portfolio.evaluateEntry({
+      symbol,
+      quantity: sizing.quantity,
+      price: referencePrice,
+      positions: this.getActivePositions(),
+      equity,
+      availableBalance: balance.free,
+      costRate
+    });
+    
+    if (!decision.allowed) {
+      this.logger.info(`Entry for ${symbol} rejected by portfolio rules: ${decision.reason}`);
+      this.emit('entryRejected', { symbol, side, reason: decision.reason });
+      return null;
+    }
+    if (decision.reason) {
+      this.logger.info(`Position size for ${symbol} ${decision.reason}`);
+    }
+    
+    return this.createNewPosition(symbol, decision.quantity, side, options);
+  }
+  
+  // Prüft die Risikolimits mit dem aktuellen Kapital und löst bei Überschreitung den Kill-Switch aus
+  // Ergebnis: das auslösende Limit, solange der Handel gestoppt ist, sonst null
+  async checkRiskLimits(options = {}) {
+    if (!this.riskGuard.isEnabled()) return null;
+    if (this.riskGuard.isHalted()) return this.riskGuard.state.halted;
+    
+    const equity = this.riskGuard.needsEquity() ? await this.getEquity() : null;
+    const breach = this.riskGuard.check(equity, this.now(), options);
+    if (breach) {
+      await this.haltTrading(breach);
+    }
+    return breach;
+  }
+  
+  // Kill-Switch: keine neuen Positionen bis zum manuellen Reset, optional alle Positionen schließen
+  async haltTrading(breach) {
+    this.logger.error(`Risk limit ${breach.limit} hit: ${breach.reason}. No new positions until the risk guard is reset.`);
+    await this.persistState();
+    this.emit('riskLimitHit', breach);
+    
+    if (!this.riskGuard.closePositionsOnHit) return;
+    
+    for (const position of this.getActivePositions()) {
+      try {
+        const price = position.currentPrice || parseFloat((await this.binanceClient.getPrice(position.symbol)).price);
+        await this.closePosition(position, price, `Risk limit: ${breach.limit}`, { sendOrder: true });
+      } catch (error) {
+        this.logger.error(`Error closing position ${position.symbol} after risk limit hit:`, error);
+      }
+    }
+  }
+  
+  // Hebt den Kill-Switch auf; Höchststand und Tagesbeginn starten beim aktuellen Kapital neu
+  async resetRiskGuard() {
+    const previous = this.riskGuard.state.halted;
+    this.riskGuard.reset(await this.getEquity(), this.now());
+    await this.persistState();
+    this.logger.info(`Risk guard reset${previous ? ` (was halted by ${previous.limit})` : ''}.`);
+  }
+  
+  // Voraussichtlicher initialer Stop eines Einstiegs zum Preis price (gleiche Berechnung wie nach dem Einstieg,
+  // trailingSettings: Stop-Einstellungen der Position)
+  estimateInitialStop(symbol, side, price, trailingSettings = null) {
+    const position = new Position(symbol, price, 0, null, side);
+    if (this.config.trailingStop.atrMultiplier > 0) {
+      position.atr = this.atrValues[symbol];
+    }
+    if (trailingSettings) {
+      Object.assign(position.trailingSettings, trailingSettings);
+    }
+    return position.calculateInitialStop(this.config.trailingStop);
+  }
+  
+  // ATR wird für ATR-basierte Stops und für Volatilitäts-Sizing benötigt
+  needsAtr() {
+    return this.config.trailingStop.atrMultiplier > 0 || this.sizer.method === 'volatility';
+  }
+  
+  // Keine neuen Einstiege der Strategie bis resumeEntries; offene Positionen werden weiter verwaltet
+  // Manuelle Einstiege (openPosition) bleiben möglich
+  async pauseEntries() {
+    if (this.entriesPaused) return;
+    this.entriesPaused = true;
+    await this.persistState();
+    this.logger.info("Entries paused.");
+    this.emit('entriesPaused');
+  }
+  
+  async resumeEntries() {
+    if (!this.entriesPaused) return;
+    this.entriesPaused = false;
+    await this.persistState();
+    this.logger.info("Entries resumed.");
+    this.emit('entriesResumed');
+  }
+  
+  // Manueller Einstieg (CLI, Control-API, Telegram), serialisiert mit den laufenden Updates
+  // options wie bei openPosition; bei Ablehnung Fehler mit code 'ENTRY_REJECTED' und dem Grund
+  async openManualPosition(symbol, side = 'LONG', options = {}) {
+    let rejection = null;
+    const onRejected = entry => {
+      if (entry.symbol === symbol) rejection = entry.reason;
+    };
+    this.on('entryRejected', onRejected);
+    try {
+      const position = await this.runExclusive(() => this.openPosition(symbol, side, null, options));
+      if (!position) {
+        const error = new Error(`Entry for ${symbol} rejected${rejection ? `: ${rejection}` : ''}`);
+        error.code = 'ENTRY_REJECTED';
+        throw error;
+      }
+      return position;
+    } finally {
+      this.off('entryRejected', onRejected);
+    }
+  }
+  
+  // Schließt alle aktiven Positionen eines Symbols zum Marktpreis; liefert die Trades
+  // Ohne offene Position wird ein Fehler mit code 'POSITION_NOT_FOUND' geworfen
+  async closeSymbol(symbol, reason = 'Manual close') {
+    return this.runExclusive(async () => {
+      const positions = this.getActivePositions().filter(p => p.symbol === symbol);
+      if (positions.length === 0) {
+        const error = new Error(`No open position for ${symbol}`);
+        error.code = 'POSITION_NOT_FOUND';
+        throw error;
+      }
+      
+      const price = parseFloat((await this.binanceClient.getPrice(symbol)).price);
+      const trades = [];
+      for (const position of positions) {
+        trades.push(await this.closePosition(position, price, reason));
+      }
+      return trades;
+    });
+  }
+  
+  // Ändert die Trailing-Einstellungen aller aktiven Positionen eines Symbols (z.B. { trailingDistancePercent: 0.8 })
+  // und berechnet die Stops neu; ein Stop wird dabei wie immer nur nachgezogen, nie gelockert
+  // Ungültige Einstellungen: Fehler mit code 'INVALID_SETTINGS'
+  async updatePositionSettings(symbol, settings) {
+    assertValidPositionSettings(settings);
+    
+    return this.runExclusive(async () => {
+      const positions = this.getActivePositions().filter(p => p.symbol === symbol);
+      if (positions.length === 0) {
+        const error = new Error(`No open position for ${symbol}`);
+        error.code = 'POSITION_NOT_FOUND';
+        throw error;
+      }
+      
+      for (const position of positions) {
+        position.overrideTrailingSettings(settings);
+        this.logger.info(`Trailing settings of ${symbol} changed: ${JSON.stringify(settings)}`);
+      }
+      await this.updateTrailingStops();
+      await this.persistState();
+      return positions;
+    });
+  }
+  
+  // Setzt den Stop aller aktiven Positionen eines Symbols manuell (Stufe MANUAL) und ersetzt die Stop-Order
+  // Die Stop-Regeln können ihn danach weiter nachziehen. Der Stop muss auf der Verlustseite des aktuellen Kurses
+  // liegen (Long darunter, Short darüber), sonst Fehler mit code 'INVALID_STOP'
+  async setStopPrice(symbol, stopPrice) {
+    const price = parseFloat(stopPrice);
+    if (!(price > 0)) {
+      const error = new Error(`Invalid stop price: ${stopPrice}`);
+      error.code = 'INVALID_STOP';
+      throw error;
+    }
+    
+    return this.runExclusive(async () => {
+      const positions = this.getActivePositions().filter(p => p.symbol === symbol);
+      if (positions.length === 0) {
+        const error = new Error(`No open position for ${symbol}`);
+        error.code = 'POSITION_NOT_FOUND';
+        throw error;
+      }
+      for (const position of positions) {
+        const currentPrice = position.currentPrice || position.entryPrice;
+        if (position.isShort() ? price <= currentPrice : price >= currentPrice) {
+          const error = new Error(`Stop ${price} for ${position.side} ${symbol} must be ${position.isShort() ? 'above' : 'below'} the current price ${currentPrice}`);
+          error.code = 'INVALID_STOP';
+          throw error;
         }
       }
+      
+      for (const position of positions) {
+        await this.updateStopOrder(position, price);
+        this.logger.info(`Stop for ${symbol} set manually from ${position.currentTrailingStop} to ${price}`);
+        position.currentTrailingStop = price;
+        position.stopStage = 'MANUAL';
+        this.emit('stopUpdated', position);
+      }
+      await this.persistState();
+      return positions;
+    });
+  }
+  
+  // Kurzer Zustand des Bots für Statusanzeigen
+  getStatus() {
+    return {
+      tradingMode: this.config.tradingMode,
+      marketType: this.binanceClient.marketType,
+      symbols: this.symbols,
+      entriesPaused: this.entriesPaused,
+      riskHalt: this.riskGuard.isHalted() ? this.riskGuard.state.halted : null,
+      strategy: this.strategy ? this.config.strategy.name : null,
+      openPositions: this.getActivePositions().length
+    };
+  }
+  
+  // Helfer-Methode zum Abrufen aller aktiven Positionen
+  getActivePositions() {
+    return this.positions.filter(p => p.status === 'ACTIVE');
+  }
+  
+  // Berechnung von Handelsstatistiken
+  getStatistics() {
+    return calculateTradeStatistics(this.profitHistory);
+  }
+  
+  // Berechnet die ATR eines Symbols aus den Klines des konfigurierten ATR-Intervalls
+  async calculateAtr(symbol) {
+    const { atrPeriod, atrInterval = '1h', atrSmoothing = 'simple' } = this.config.trailingStop;
+    
+    // Wilder-Glättung benötigt mehr Historie, damit der Startwert kaum noch Einfluss hat
+    // +1 für Berechnung des ersten TR
+    const limit = atrSmoothing === 'wilder' ? atrPeriod * 10 + 1 : atrPeriod + 1;
+    const klines = await this.binanceClient.getHistoricalKlines(symbol, atrInterval, limit);
+    
+    if (!klines || klines.length < atrPeriod + 1) {
+      this.logger.warn(`Not enough data for ATR calculation for ${symbol}`);
+      return null;
+    }
+    
+    return atr(klines.map(klineToCandle), atrPeriod, atrSmoothing);
+  }
+  
+  // Übernimmt eine neue ATR für ein Symbol in alle aktiven Positionen
+  setAtr(symbol, value) {
+    this.atrValues[symbol] = value;
+    this.costModel.setVolatility(symbol, value);
+    for (const position of this.getActivePositions()) {
+      if (position.symbol === symbol) {
+        position.atr = value;
+      }
+    }
+  }
+  
+  async updateVolatility() {
+    try {
+      // ATR für alle Symbole mit aktiven Positionen sowie die Watchlist (für neue Einstiege)
+      const symbols = new Set([...this.getActivePositions().map(p => p.symbol), ...this.symbols]);
+      
+      for (const symbol of symbols) {
+        const value = await this.calculateAtr(symbol);
+        if (value === null) continue;
+        
+        this.setAtr(symbol, value);
+        this.logger.debug(`Updated ATR for ${symbol}: ${value}`);
+      }
+      
+      // Bei ATR-basierten Stops wirken sich neue ATR-Werte sofort auf die Trailing-Distanz aus
+      if (this.config.trailingStop.atrMultiplier > 0) {
+        await this.enqueueUpdate(() => this.updateTrailingStops());
+      }
     } catch (error) {
       this.logger.error("Error updating volatility metrics:", error);
     }
   }
-}
\ No newline at end of file
+}
+
+// Handelsstatistiken aus abgeschlossenen Trades (auch ohne laufenden Bot, z.B. aus der State-Datei)
+export function calculateTradeStatistics(trades) {
+  const stats = {
+    totalTrades: trades.length,
+    winningTrades: 0,
+    losingTrades: 0,
+    totalProfit: 0,
+    totalProfitPercent: 0,
+    biggestWin: 0,
+    biggestLoss: 0,
+    totalFees: 0,
+    averageProfit: 0,
+    averageProfitPercent: 0,
+    winRate: 0,
+    profitFactor: 0,
+    averageHoldingTimeMs: 0,
+    averageHoldingTimeHours: 0
+  };
+  
+  if (stats.totalTrades === 0) return stats;
+  
+  let totalWinAmount = 0;
+  let totalLossAmount = 0;
+  let totalHoldingTimeMs = 0;
+  
+  for (const trade of trades) {
+    stats.totalProfit += trade.profit;
+    stats.totalFees += trade.fees || 0;
+    stats.totalProfitPercent += trade.profitPercent;
+    totalHoldingTimeMs += trade.holdingTimeMs;
+    
+    if (trade.profit > 0) {
+      stats.winningTrades++;
+      totalWinAmount += trade.profit;
+      stats.biggestWin = Math.max(stats.biggestWin, trade.profit);
+    } else {
+      stats.losingTrades++;
+      totalLossAmount += Math.abs(trade.profit);
+      stats.biggestLoss = Math.min(stats.biggestLoss, trade.profit);
+    }
+  }
+  
+  stats.averageProfit = stats.totalProfit / stats.totalTrades;
+  stats.averageProfitPercent = stats.totalProfitPercent / stats.totalTrades;
+  stats.winRate = (stats.winningTrades / stats.totalTrades) * 100;
+  // Ohne Verlusttrade ist der Profit-Faktor nicht definiert (null statt Infinity, das in JSON ebenfalls zu null würde)
+  stats.profitFactor = totalLossAmount > 0 ? totalWinAmount / totalLossAmount : (totalWinAmount > 0 ? null : 0);
+  stats.averageHoldingTimeMs = totalHoldingTimeMs / stats.totalTrades;
+  stats.averageHoldingTimeHours = stats.averageHoldingTimeMs / (1000 * 60 * 60);
+  
+  return stats;
+}
@@ -0,0 +1,210 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { Backtester } from '../src/backtester.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+const cleanups = [];
+afterEach(async () => {
+  while (cleanups.length > 0) await cleanups.pop()();
+});
+
+function assertClose(actual, expected, epsilon = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${actual} to be close to ${expected}`);
+}
+
+// Ohne Gebühren, Spread und Slippage, damit die erwarteten Preise exakt bleiben
+const NO_COSTS = { makerFeePercent: 0, takerFeePercent: 0, spreadBps: 0, slippage: { model: 'fixed', bps: 0 } };
+
+function kline(i, open, high, low, close) {
+  return [START + i * HOUR, String(open), String(high), String(low), String(close), '1', START + (i + 1) * HOUR - 1];
+}
+
+function flatKlines(from, to, price) {
+  return Array.from({ length: to - from }, (_, i) => kline(from + i, price, price * 1.01, price * 0.99, price));
+}
+
+// Kauft jedes Symbol ohne Position und merkt sich, welche Kerzen die Strategie gesehen hat
+function createRecordingStrategy(warmupPeriod = 1) {
+  const calls = [];
+  return {
+    warmupPeriod,
+    calls,
+    onKline(candle, context) {
+      calls.push({ symbol: context.symbol, index: (candle.openTime - START) / HOUR, length: context.history.length });
+      return context.hasPosition ? null : { action: 'BUY' };
+    }
+  };
+}
+
+function createBacktester(series, { backtestParams, ...options } = {}) {
+  const symbols = Object.keys(series);
+  const backtester = new Backtester({
+    logLevel: 'silent',
+    exchangeFilters: { enabled: false },
+    costModel: NO_COSTS,
+    positionSize: 100,
+    trailingStop: { initialStopDistancePercent: 5, activationThresholdPercent: 50, trailingDistancePercent: 1.5 },
+    backtestParams: { symbols, interval: '1h', startDate: new Date(START).toISOString(), endDate: new Date(START + 6 * HOUR).toISOString(), ...backtestParams },
+    ...options
+  });
+  backtester.loadHistoricalData = async () => {
+    Object.assign(backtester.seriesBySymbol, series);
+    backtester.historicalData = series[symbols[0]];
+  };
+  return backtester;
+}
+
+test('multi-symbol backtests align the symbols on a common timeline', async () => {
+  const strategy = createRecordingStrategy(2);
+  const backtester = createBacktester({
+    BTCUSDT: flatKlines(0, 6, 100),
+    // Später gelistet: erste Kerze zum dritten Zeitschritt
+    ETHUSDT: flatKlines(2, 6, 50)
+  }, { strategy });
+
+  const results = await backtester.run();
+
+  // Ein Eintrag pro Zeitschritt, auch wenn ein Symbol noch keine Kerze hat
+  assert.deepEqual(results.equityCurve.map(point => (point.time - START) / HOUR), [0, 1, 2, 3, 4, 5]);
+
+  // Jedes Symbol hat seine eigene Historie; die Aufwärmphase beginnt mit der ersten eigenen Kerze
+  const ethCalls = strategy.calls.filter(call => call.symbol === 'ETHUSDT');
+  assert.deepEqual(ethCalls[0], { symbol: 'ETHUSDT', index: 3, length: 2 });
+  assert.deepEqual(strategy.calls.find(call => call.symbol === 'BTCUSDT'), { symbol: 'BTCUSDT', index: 1, length: 2 });
+
+  // Einstiege zum Open der nächsten Kerze desselben Symbols
+  const positions = backtester.simulatedBot.positions;
+  assert.deepEqual(positions.map(position => [position.symbol, (position.openDate.getTime() - START) / HOUR]), [['BTCUSDT', 2], ['ETHUSDT', 4]]);
+  assert.equal(positions[1].quantity, 2);
+  assert.deepEqual(Object.keys(results.symbols), ['BTCUSDT', 'ETHUSDT']);
+});
+
+test('backtest results include performance metrics, R-multiples and the benchmark', async () => {
+  // Nur ein Einstieg zum Open der zweiten Kerze
+  const strategy = { onKline: candle => (candle.openTime === START ? { action: 'BUY' } : null) };
+  const backtester = createBacktester({
+    BTCUSDT: [kline(0, 100, 100, 100, 100), kline(1, 100, 101, 99, 100), kline(2, 100, 100, 90, 92), kline(3, 92, 93, 91, 92)]
+  }, { strategy });
+
+  const results = await backtester.run();
+
+  // Stop bei 95 (5% unter dem Einstieg) innerhalb der Kerze ausgeführt: genau das initiale Risiko verloren
+  const [trade] = results.trades;
+  assertClose(trade.exitPrice, 95);
+  assertClose(trade.rMultiple, -1);
+  assertClose(trade.maePercent, 5);
+  assertClose(results.metrics.expectancyR, -1);
+
+  assert.equal(results.drawdownCurve.length, 4);
+  assert.equal(results.metrics.drawdownCurve, undefined);
+  assert.equal(results.equityCurve[1].openPositions, 1);
+  assertClose(results.metrics.benchmark.totalReturnPercent, -8);
+
+  // Initialer Stop für die Kursdiagramme des Berichts
+  assert.deepEqual(results.stopHistory.map(entry => [entry.symbol, entry.stopPrice]), [['BTCUSDT', 95]]);
+});
+
+test('walk-forward windows roll by stepDays or grow from the start when anchored', () => {
+  const DAY = 24 * HOUR;
+  const backtester = createBacktester({ BTCUSDT: [] }, {
+    backtestParams: { endDate: new Date(START + 10 * DAY).toISOString() }
+  });
+  const days = windows => windows.map(window => [window.inSampleStart, window.inSampleEnd, window.outOfSampleEnd].map(time => (time - START) / DAY));
+
+  // Ohne stepDays folgen die Out-of-Sample-Fenster lückenlos aufeinander; der kürzere Rest am Ende wird nicht getestet
+  assert.deepEqual(days(backtester.getWalkForwardWindows({ inSampleDays: 4, outOfSampleDays: 2 })), [[0, 4, 6], [2, 6, 8], [4, 8, 10]]);
+  assert.deepEqual(days(backtester.getWalkForwardWindows({ inSampleDays: 4, outOfSampleDays: 4 })), [[0, 4, 8]]);
+
+  const windows = backtester.getWalkForwardWindows({ inSampleDays: 4, outOfSampleDays: 2, stepDays: 1 });
+  assert.deepEqual(days(windows), [[0, 4, 6], [1, 5, 7], [2, 6, 8], [3, 7, 9], [4, 8, 10]]);
+  assert.ok(windows.every(window => window.outOfSampleStart === window.inSampleEnd));
+
+  const anchored = backtester.getWalkForwardWindows({ inSampleDays: 4, outOfSampleDays: 2, stepDays: 3, anchored: true });
+  assert.deepEqual(days(anchored), [[0, 4, 6], [0, 7, 9]]);
+
+  assert.deepEqual(backtester.getWalkForwardWindows({ inSampleDays: 8, outOfSampleDays: 3 }), []);
+});
+
+test('klines before startDate only warm up the strategy', async () => {
+  const strategy = createRecordingStrategy(2);
+  const series = { BTCUSDT: flatKlines(0, 6, 100) };
+  const backtester = createBacktester(series, {
+    strategy,
+    backtestParams: { startDate: new Date(START + 3 * HOUR).toISOString(), warmupStartDate: new Date(START).toISOString() }
+  });
+  // Echtes loadHistoricalData, die Klines kommen wie aus der Datei nur für den angefragten Zeitraum
+  delete backtester.loadHistoricalData;
+  backtester.loadKlines = async (interval, startTime, endTime, symbol) => series[symbol].filter(kline => kline[0] >= startTime && kline[6] <= endTime);
+
+  const results = await backtester.run();
+
+  assert.equal(backtester.warmupBySymbol.BTCUSDT.length, 3);
+  assert.deepEqual(results.equityCurve.map(point => (point.time - START) / HOUR), [3, 4, 5]);
+  // Schon die erste Kerze ab startDate wird mit voller Historie ausgewertet, die Aufwärmkerzen selbst nicht
+  assert.deepEqual(strategy.calls[0], { symbol: 'BTCUSDT', index: 3, length: 2 });
+  assert.deepEqual(backtester.simulatedBot.positions.map(position => (position.openDate.getTime() - START) / HOUR), [4]);
+});
+
+// Einstieg zum Open der zweiten Kerze bei 100, danach steigt der Kurs auf 110 und fällt auf 90
+const SWING_KLINES = [kline(0, 100, 100, 100, 100), kline(1, 100, 110, 90, 100), kline(2, 100, 101, 99, 100)];
+const SWING_OPTIONS = {
+  strategy: { onKline: candle => (candle.openTime === START ? { action: 'BUY' } : null) },
+  trailingStop: { initialStopDistancePercent: 5, activationThresholdPercent: 2, trailingDistancePercent: 1 },
+  stopOrderUpdates: { minMovePercent: 0, minIntervalMs: 0 }
+};
+
+test('intrabar data decides whether the high or the low of a candle came first', async () => {
+  // Ohne feinere Daten: Open -> Low -> High -> Close, der initiale Stop wird vor dem Hoch ausgelöst
+  const heuristic = await createBacktester({ BTCUSDT: SWING_KLINES }, SWING_OPTIONS).run();
+  assertClose(heuristic.trades[0].exitPrice, 95);
+
+  // 15m-Kerzen: erst das Hoch (Trailing-Stop bei 110 * 0.99), dann der Absturz
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'intrabar-'));
+  cleanups.push(() => fs.rm(directory, { recursive: true, force: true }));
+  const dataFile = path.join(directory, 'BTCUSDT-15m.json');
+  const quarter = HOUR / 4;
+  const quarterKline = (i, open, high, low, close) => [START + HOUR + i * quarter, String(open), String(high), String(low), String(close), '1', START + HOUR + (i + 1) * quarter - 1];
+  await fs.writeFile(dataFile, JSON.stringify([
+    quarterKline(0, 100, 110, 100, 110),
+    quarterKline(1, 110, 110, 90, 90),
+    quarterKline(2, 90, 95, 90, 95),
+    quarterKline(3, 95, 100, 95, 100)
+  ]));
+  const backtester = createBacktester({ BTCUSDT: SWING_KLINES }, {
+    ...SWING_OPTIONS,
+    backtestParams: { intrabar: { enabled: true, interval: '15m', dataFiles: { BTCUSDT: dataFile } } }
+  });
+  const results = await backtester.run();
+
+  assertClose(results.trades[0].exitPrice, 108.9);
+  // Die Kerzen ohne feinere Daten folgen der Heuristik
+  assert.deepEqual(results.intrabar, { source: 'klines', interval: '15m', fallback: 'open-low-high-close', heuristicCandles: 2 });
+});
+
+test('the intrabar fallback orders the extremes of candles without finer data', async () => {
+  // Hoch bei 103 liegt näher am Open als das Tief bei 90: 'nearest' nimmt das Hoch zuerst
+  const klines = [kline(0, 100, 100, 100, 100), kline(1, 100, 103, 90, 100), kline(2, 100, 101, 99, 100)];
+  // Leere Datei: keine feineren Daten, jede Kerze folgt dem Fallback
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'intrabar-'));
+  cleanups.push(() => fs.rm(directory, { recursive: true, force: true }));
+  const dataFile = path.join(directory, 'BTCUSDT-15m.json');
+  await fs.writeFile(dataFile, '[]');
+  const exitPrice = async fallback => {
+    const backtester = createBacktester({ BTCUSDT: klines }, {
+      ...SWING_OPTIONS,
+      backtestParams: { intrabar: { enabled: true, interval: '15m', dataFiles: { BTCUSDT: dataFile }, fallback } }
+    });
+    const results = await backtester.run();
+    assert.equal(results.intrabar.heuristicCandles, 3);
+    return results.trades[0].exitPrice;
+  };
+
+  assertClose(await exitPrice('open-low-high-close'), 95);
+  assertClose(await exitPrice('open-high-low-close'), 101.97);
+  assertClose(await exitPrice('nearest'), 101.97);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BinanceClient } from '../src/binanceClient.js';
+
+const BTC_FILTERS = { tickSize: '0.01', stepSize: '0.001', minQty: '0.001', minNotional: '10' };
+
+// Ohne exchangeFilters.symbols bleiben die Filter aus (kein exchangeInfo-Abruf im Test)
+function createPaperClient(initialBalances = { USDT: 1000 }, symbols = null) {
+  const exchangeFilters = symbols ? { cacheDirectory: null, symbols } : { enabled: false };
+  const client = new BinanceClient(undefined, undefined, 'error', 'paper', { initialBalances, externalPriceFeed: true, exchangeFilters });
+  client.paperExchange.feedPrice('BTCUSDT', 100);
+  return client;
+}
+
+test('paper market orders report the average fill price', async () => {
+  const client = createPaperClient();
+  const order = await client.createMarketOrder('BTCUSDT', 'BUY', 2);
+
+  assert.equal(order.status, 'FILLED');
+  assert.equal(order.price, '100.00000000');
+  assert.deepEqual((await client.getBalances()).BTC, { available: '2.00000000', onOrder: '0.00000000' });
+});
+
+test('paper stop-limit orders rest on the paper exchange until cancelled', async () => {
+  const client = createPaperClient({ BTC: 1 });
+  const order = await client.createStopLossOrder('BTCUSDT', 'SELL', 1, 95, 94);
+
+  assert.equal(order.type, 'STOP_LOSS_LIMIT');
+  assert.equal((await client.getBalances()).BTC.onOrder, '1.00000000');
+
+  await client.cancelOrder('BTCUSDT', order.orderId);
+  assert.equal((await client.getBalances()).BTC.available, '1.00000000');
+});
+
+test('orders are rounded to the symbol filters before they are sent', async () => {
+  const client = createPaperClient({ BTC: 1 }, { BTCUSDT: BTC_FILTERS });
+  const order = await client.createStopLossOrder('BTCUSDT', 'SELL', 0.12345, 95.123, 94.657);
+
+  assert.equal(order.origQty, '0.12300000');
+  assert.equal(order.stopPrice, '95.12000000');
+  assert.equal(order.price, '94.65000000');
+});
+
+test('orders below the minimum notional are refused with code -1013', async () => {
+  const client = createPaperClient({ USDT: 1000 }, { BTCUSDT: BTC_FILTERS });
+
+  await assert.rejects(
+    client.createMarketOrder('BTCUSDT', 'BUY', 0.05),
+    error => error.code === -1013 && /below the minimum notional 10 \(NOTIONAL\)/.test(error.message)
+  );
+  await assert.rejects(client.createMarketOrder('BTCUSDT', 'BUY', 0.0004), /quantity 0.0004 rounds to 0/);
+  assert.equal((await client.createMarketOrder('BTCUSDT', 'BUY', 0.1234)).executedQty, '0.12300000');
+});
+
+test('the live mode has no paper exchange', () => {
+  const client = new BinanceClient('key', 'secret', 'error', 'live');
+  assert.equal(client.isPaper(), false);
+  assert.equal(client.paperExchange, null);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCommandLine, getConfigOverrides, getPositionSettings, UsageError } from '../src/cli.js';
+
+test('starts the bot without a command', () => {
+  const parsed = parseCommandLine([]);
+  assert.equal(parsed.name, 'run');
+  assert.equal(parsed.help, false);
+  assert.deepEqual(parsed.args, {});
+});
+
+test('parses command options into config overrides', () => {
+  const parsed = parseCommandLine(['backtest', '--symbol', ' ethusdt ', '--interval', '4h', '--offline']);
+  assert.equal(parsed.name, 'backtest');
+  assert.deepEqual(getConfigOverrides(parsed.command, parsed.values), {
+    symbol: 'ETHUSDT',
+    backtestParams: { symbol: 'ETHUSDT', interval: '4h', offline: true }
+  });
+});
+
+test('the first declared switch wins over a conflicting one', () => {
+  const parsed = parseCommandLine(['run', '--live', '--paper', '--quiet', '--debug']);
+  assert.deepEqual(getConfigOverrides(parsed.command, parsed.values), { tradingMode: 'paper', logLevel: 'debug' });
+});
+
+test('supports the legacy mode flags', () => {
+  const parsed = parseCommandLine(['--backtest', '--symbols', 'btcusdt, ethusdt']);
+  assert.equal(parsed.name, 'backtest');
+  assert.deepEqual(getConfigOverrides(parsed.command, parsed.values).symbols, ['BTCUSDT', 'ETHUSDT']);
+});
+
+test('parses subcommands with positional arguments and repeatable options', () => {
+  const position = parseCommandLine(['position', 'open', 'BTCUSDT', '--side', 'short']);
+  assert.equal(position.name, 'position open');
+  assert.deepEqual(position.args, { symbol: 'BTCUSDT' });
+  assert.equal(position.values.side, 'short');
+
+  const optimize = parseCommandLine(['optimize', '--param', 'a=1:2:1', '--param', 'b=x,y']);
+  assert.deepEqual(optimize.values.param, ['a=1:2:1', 'b=x,y']);
+});
+
+test('position open takes stop settings for the new position only', () => {
+  const parsed = parseCommandLine(['position', 'open', 'BTCUSDT', '--stop-distance', '3', '--trailing-distance', '0.8']);
+  assert.deepEqual(getConfigOverrides(parsed.command, parsed.values), {});
+  assert.deepEqual(getPositionSettings(parsed.values), { initialStopDistancePercent: 3, trailingDistancePercent: 0.8 });
+
+  assert.equal(getPositionSettings(parseCommandLine(['position', 'open', 'BTCUSDT']).values), null);
+  assert.throws(() => getPositionSettings({ activation: 'abc' }), /Invalid --activation abc \(expected a number > 0\)/);
+  assert.throws(() => parseCommandLine(['position', 'close', 'BTCUSDT', '--stop-distance', '3']), /Unknown option '--stop-distance'/);
+});
+
+test('returns help requests instead of parsing', () => {
+  assert.equal(parseCommandLine(['--help']).help, true);
+  assert.equal(parseCommandLine(['help', 'backtest']).name, 'backtest');
+  assert.equal(parseCommandLine(['backtest', '-h']).help, true);
+  assert.equal(parseCommandLine(['positions', '--help']).name, 'positions');
+});
+
+test('reports usage errors with the command name', () => {
+  assert.throws(() => parseCommandLine(['deploy']), error => error instanceof UsageError && /Unknown command 'deploy'/.test(error.message));
+  assert.throws(() => parseCommandLine(['positions']), /Missing subcommand for 'positions' \(list\)/);
+  assert.throws(() => parseCommandLine(['position', 'open']), /'position open' expects <symbol>/);
+  assert.throws(() => parseCommandLine(['stats', 'extra']), /Unexpected argument 'extra' for 'stats'/);
+  assert.throws(
+    () => parseCommandLine(['backtest', '--foo']),
+    error => error instanceof UsageError && error.message === "Unknown option '--foo' for 'backtest'"
+  );
+});
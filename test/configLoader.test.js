@@ -0,0 +1,147 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { deepMerge, getEnvOverrides, loadConfig, setPath } from '../src/configLoader.js';
+import { DEFAULT_CONFIG } from '../src/config.js';
+
+const cleanups = [];
+afterEach(async () => {
+  while (cleanups.length > 0) await cleanups.pop()();
+});
+
+async function createTempDir() {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'config-'));
+  cleanups.push(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+test('deepMerge merges nested objects and lets later sources win', () => {
+  const merged = deepMerge(
+    { trailingStop: { trailingDistancePercent: 1.5, atrMultiplier: 0 }, logLevel: 'info' },
+    { trailingStop: { trailingDistancePercent: 1 } },
+    { logLevel: 'debug' }
+  );
+  assert.deepEqual(merged, { trailingStop: { trailingDistancePercent: 1, atrMultiplier: 0 }, logLevel: 'debug' });
+});
+
+test('deepMerge replaces lists and the maps in REPLACED_PATHS', () => {
+  const merged = deepMerge(
+    { symbols: ['BTCUSDT', 'ETHUSDT'], strategy: { name: 'sma-crossover', params: { fastPeriod: 10, slowPeriod: 30 } } },
+    { symbols: ['SOLUSDT'], strategy: { params: { period: 14 } } }
+  );
+  assert.deepEqual(merged.symbols, ['SOLUSDT']);
+  assert.deepEqual(merged.strategy, { name: 'sma-crossover', params: { period: 14 } });
+});
+
+test('deepMerge skips undefined values and keeps special numbers', () => {
+  const merged = deepMerge({ refreshInterval: 60000, positionSize: 1000 }, { refreshInterval: Infinity, positionSize: undefined });
+  assert.equal(merged.refreshInterval, Infinity);
+  assert.equal(merged.positionSize, 1000);
+});
+
+test('deepMerge returns a copy without touching its sources', () => {
+  const defaults = { trailingStop: { profitLocks: [{ triggerPercent: 2, lockPercent: 1 }] } };
+  const merged = deepMerge(defaults, { logLevel: 'debug' });
+
+  merged.trailingStop.profitLocks[0].lockPercent = 5;
+  assert.equal(defaults.trailingStop.profitLocks[0].lockPercent, 1);
+  assert.equal(merged.trailingStop === defaults.trailingStop, false);
+});
+
+test('deepMerge keeps class instances as they are', () => {
+  class CustomStrategy {
+    constructor() {
+      this.name = 'custom';
+    }
+  }
+  const instance = new CustomStrategy();
+  const merged = deepMerge({ strategy: { name: null, params: {} } }, { strategy: instance });
+  assert.equal(merged.strategy, instance);
+});
+
+test('deepMerge keeps strategies given as object literals', () => {
+  const strategy = { name: 'custom', calls: [], onKline: () => null };
+  const merged = deepMerge(DEFAULT_CONFIG, { strategy });
+  assert.equal(merged.strategy, strategy);
+});
+
+test('setPath copies the objects along the path', () => {
+  const config = { trailingStop: { trailingDistancePercent: 1, activationThresholdPercent: 1 }, positionSize: 100 };
+  const updated = setPath(config, 'trailingStop.trailingDistancePercent', 2);
+
+  assert.deepEqual(updated.trailingStop, { trailingDistancePercent: 2, activationThresholdPercent: 1 });
+  assert.equal(config.trailingStop.trailingDistancePercent, 1);
+  assert.equal(updated.positionSize, 100);
+});
+
+test('getEnvOverrides maps TBB_ variables to config paths', () => {
+  const overrides = getEnvOverrides({
+    TBB_TRADING_MODE: 'live',
+    TBB_TRAILING_STOP__TRAILING_DISTANCE_PERCENT: '1.2',
+    TBB_SYMBOLS: '["BTCUSDT","ETHUSDT"]',
+    TBB_PRICE_STREAM__ENABLED: 'false',
+    PATH: '/usr/bin'
+  });
+
+  assert.deepEqual(overrides, {
+    tradingMode: 'live',
+    trailingStop: { trailingDistancePercent: 1.2 },
+    symbols: ['BTCUSDT', 'ETHUSDT'],
+    priceStream: { enabled: false }
+  });
+});
+
+test('getEnvOverrides keeps unknown keys and ignores TBB_CONFIG and TBB_PROFILE', () => {
+  const overrides = getEnvOverrides({
+    TBB_CONFIG: 'config.yaml',
+    TBB_PROFILE: 'aggressive',
+    TBB_PAPER_TRADING__INITIAL_BALANCES__BNB: '2'
+  }, DEFAULT_CONFIG);
+
+  assert.deepEqual(overrides, { paperTrading: { initialBalances: { BNB: 2 } } });
+});
+
+test('loadConfig layers the file, the profile, the environment and the overrides', async () => {
+  const directory = await createTempDir();
+  const file = path.join(directory, 'config.yaml');
+  await fs.writeFile(file, [
+    'positionSize: 250',
+    'trailingStop:',
+    '  trailingDistancePercent: 2',
+    'profiles:',
+    '  tight:',
+    '    trailingStop:',
+    '      initialStopDistancePercent: 1',
+    ''
+  ].join('\n'));
+
+  const config = await loadConfig({
+    file,
+    env: { TBB_PROFILE: 'tight', TBB_LOG_LEVEL: 'debug' },
+    overrides: { symbol: 'ETHUSDT' }
+  });
+
+  assert.equal(config.positionSize, 250);
+  assert.deepEqual(
+    [config.trailingStop.trailingDistancePercent, config.trailingStop.initialStopDistancePercent, config.trailingStop.activationThresholdPercent],
+    [2, 1, DEFAULT_CONFIG.trailingStop.activationThresholdPercent]
+  );
+  assert.equal(config.logLevel, 'debug');
+  assert.equal(config.symbol, 'ETHUSDT');
+
+  await assert.rejects(loadConfig({ file, profile: 'unknown', env: {} }), /Unknown config profile 'unknown'/);
+});
+
+test('loadConfig rejects unknown options and invalid values in config files', async () => {
+  const directory = await createTempDir();
+  const file = path.join(directory, 'config.json');
+  await fs.writeFile(file, JSON.stringify({ trailingStop: { trailingDistance: 1 }, positionSize: -5, stopOrderUpdates: { minIntervalMs: 1000 } }));
+
+  await assert.rejects(loadConfig({ file, env: {} }), error => {
+    assert.equal(error.code, 'INVALID_CONFIG');
+    assert.deepEqual(error.errors.map(entry => entry.path).sort(), ['positionSize', 'trailingStop.trailingDistance']);
+    return true;
+  });
+});
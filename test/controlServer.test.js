@@ -0,0 +1,152 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { ControlServer } from '../src/controlServer.js';
+import { TrailingProfitMaximizer } from '../src/trailingProfitMaximizer.js';
+import { Logger } from '../src/logger.js';
+
+const TOKEN = 'test-token';
+
+// Ohne Gebühren, Spread und Slippage, damit die erwarteten Preise exakt bleiben
+const NO_COSTS = { makerFeePercent: 0, takerFeePercent: 0, spreadBps: 0, slippage: { model: 'fixed', bps: 0 } };
+
+function assertClose(actual, expected, epsilon = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${actual} to be close to ${expected}`);
+}
+
+const cleanups = [];
+afterEach(async () => {
+  while (cleanups.length > 0) await cleanups.pop()();
+});
+
+// Paper-Bot mit Kurs 100 für BTCUSDT und ein Control-Server auf einem freien Port
+async function startServer() {
+  const bot = new TrailingProfitMaximizer({
+    tradingMode: 'paper',
+    logLevel: 'silent',
+    exchangeFilters: { enabled: false },
+    skipConnectionTest: true,
+    refreshInterval: Infinity,
+    volatilityUpdateInterval: Infinity,
+    persistence: { enabled: false },
+    priceStream: { enabled: false },
+    paperTrading: { initialBalances: { USDT: 1000 }, externalPriceFeed: true },
+    costModel: NO_COSTS,
+    positionSize: 100,
+    trailingStop: { initialStopDistancePercent: 2, activationThresholdPercent: 1, trailingDistancePercent: 1.5 }
+  });
+  await bot.initialized;
+  bot.binanceClient.paperExchange.feedPrice('BTCUSDT', 100);
+
+  const server = new ControlServer(bot, { port: 0, token: TOKEN, logger: new Logger('silent') });
+  const url = await server.start();
+  cleanups.push(() => server.stop());
+
+  const request = async (method, path, body, token = TOKEN) => {
+    const response = await fetch(new URL(path, url), {
+      method,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { bot, server, url, request };
+}
+
+test('API paths require the token, the dashboard does not', async () => {
+  const { url, request } = await startServer();
+
+  assert.deepEqual(await request('GET', '/api/status', undefined, null), { status: 401, body: { error: 'Missing or invalid token' } });
+  assert.equal((await request('GET', '/api/status', undefined, 'wrong')).status, 401);
+
+  const status = await request('GET', `/api/status?token=${TOKEN}`, undefined, null);
+  assert.equal(status.status, 200);
+  assert.equal(status.body.tradingMode, 'paper');
+  assert.equal(status.body.openPositions, 0);
+
+  const dashboard = await fetch(url);
+  assert.equal(dashboard.status, 200);
+  assert.match(dashboard.headers.get('content-type'), /text\/html/);
+});
+
+test('unknown paths return 404, wrong methods 405', async () => {
+  const { request } = await startServer();
+
+  assert.deepEqual(await request('GET', '/api/unknown'), { status: 404, body: { error: 'Not found' } });
+  assert.equal((await request('GET', '/other')).status, 404);
+  assert.deepEqual(await request('DELETE', '/api/positions'), { status: 405, body: { error: 'Method not allowed' } });
+  assert.equal((await request('GET', '/api/entries/pause')).status, 405);
+});
+
+test('request bodies must be JSON objects', async () => {
+  const { request } = await startServer();
+
+  assert.match((await request('POST', '/api/positions', '{')).body.error, /^Invalid JSON body/);
+  for (const body of ['null', '42', '[]', '"BTCUSDT"']) {
+    assert.deepEqual(await request('POST', '/api/positions', body), { status: 400, body: { error: 'Request body must be a JSON object' } });
+  }
+});
+
+test('positions are opened, changed and closed through the API', async () => {
+  const { bot, request } = await startServer();
+
+  assert.deepEqual(await request('POST', '/api/positions', { symbol: 'btc-usdt' }), { status: 400, body: { error: "Missing or invalid 'symbol'" } });
+  assert.equal((await request('POST', '/api/positions', { symbol: 'BTCUSDT', side: 'up' })).status, 400);
+  assert.match((await request('POST', '/api/positions', { symbol: 'BTCUSDT', trailingSettings: { initialStopDistancePercent: -1 } })).body.error, /^Invalid trailing settings/);
+  assert.equal(bot.getActivePositions().length, 0);
+
+  // Stop-Einstellungen nur für diese Position
+  const opened = await request('POST', '/api/positions', { symbol: 'btcusdt', trailingSettings: { initialStopDistancePercent: 5 } });
+  assert.equal(opened.status, 200);
+  assert.equal(opened.body.symbol, 'BTCUSDT');
+  assertClose(opened.body.currentTrailingStop, 95);
+
+  const positions = await request('GET', '/api/positions');
+  assert.deepEqual(positions.body.map(position => position.symbol), ['BTCUSDT']);
+
+  const changed = await request('PATCH', '/api/positions/btcusdt/trailing-settings', { trailingDistancePercent: 0.8 });
+  assert.equal(changed.status, 200);
+  assert.equal(bot.getActivePositions()[0].trailingSettings.trailingDistancePercent, 0.8);
+  assert.equal((await request('PATCH', '/api/positions/BTCUSDT/trailing-settings', { unknown: 1 })).status, 400);
+  assert.equal((await request('PATCH', '/api/positions/ETHUSDT/trailing-settings', { trailingDistancePercent: 1 })).status, 404);
+
+  const closed = await request('POST', '/api/positions/BTCUSDT/close');
+  assert.equal(closed.status, 200);
+  assert.equal(closed.body.trades.length, 1);
+  assert.equal(bot.getActivePositions().length, 0);
+
+  // Bereits geschlossen
+  assert.deepEqual(await request('POST', '/api/positions/BTCUSDT/close'), { status: 404, body: { error: 'No open position for BTCUSDT' } });
+});
+
+test('the event feed sends the status and forwards bot events', async () => {
+  const { url, request } = await startServer();
+  const eventsUrl = `${url.replace('http', 'ws')}api/events`;
+
+  // Ohne Token wird der Aufbau abgelehnt
+  await assert.rejects(new Promise((resolve, reject) => {
+    const client = new WebSocket(eventsUrl);
+    client.on('open', resolve);
+    client.on('error', reject);
+  }), /401/);
+
+  const client = new WebSocket(`${eventsUrl}?token=${TOKEN}`);
+  cleanups.push(() => client.terminate());
+  const messages = [];
+  const received = type => new Promise(resolve => {
+    const check = () => {
+      const message = messages.find(entry => entry.type === type);
+      if (message) resolve(message);
+      return message;
+    };
+    if (!check()) client.on('message', check);
+  });
+  client.on('message', data => messages.push(JSON.parse(data.toString())));
+
+  const status = await received('status');
+  assert.equal(status.data.eventClients, 1);
+
+  await request('POST', '/api/entries/pause');
+  const paused = await received('entriesPaused');
+  assert.equal(paused.data, null);
+});
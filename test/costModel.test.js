@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CostModel } from '../src/costModel.js';
+
+function assertClose(actual, expected, epsilon = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${actual} to be close to ${expected}`);
+}
+
+test('is free without options', () => {
+  const model = new CostModel();
+  assert.equal(model.getFeeRate('MAKER'), 0);
+  assert.equal(model.getFeeRate('TAKER'), 0);
+  assert.equal(model.getExecutionPrice('BUY', 100, 'BTCUSDT'), 100);
+});
+
+test('uses maker and taker fees with the BNB discount', () => {
+  const model = new CostModel({ makerFeePercent: 0.1, takerFeePercent: 0.2 });
+  assertClose(model.getFeeRate('MAKER'), 0.001);
+  assertClose(model.getFeeRate('TAKER'), 0.002);
+
+  const discounted = new CostModel({ makerFeePercent: 0.1, takerFeePercent: 0.1, bnbDiscount: true });
+  assertClose(discounted.getFeeRate(), 0.00075);
+});
+
+test('half the spread and the slippage worsen the execution price', () => {
+  const model = new CostModel({ spreadBps: 10, slippage: { model: 'fixed', bps: 5 } });
+  assertClose(model.getExecutionPrice('BUY', 100, 'BTCUSDT'), 100.1);
+  assertClose(model.getExecutionPrice('SELL', 100, 'BTCUSDT'), 99.9);
+});
+
+test('volatility slippage scales with the ATR and falls back to the fixed part', () => {
+  const model = new CostModel({ slippage: { model: 'volatility', bps: 5, atrFraction: 0.1 } });
+  assertClose(model.getSlippageFraction('BTCUSDT', 100), 0.0005);
+
+  model.setVolatility('BTCUSDT', 5);
+  assertClose(model.getSlippageFraction('BTCUSDT', 100), 0.005);
+  assertClose(model.getExecutionPrice('SELL', 100, 'BTCUSDT'), 99.5);
+
+  // Geringe Volatilität unterschreitet den festen Anteil nicht
+  model.setVolatility('BTCUSDT', 0.1);
+  assertClose(model.getSlippageFraction('BTCUSDT', 100), 0.0005);
+});
+
+test('rejects unknown slippage models', () => {
+  assert.throws(() => new CostModel({ slippage: { model: 'random' } }), /Unsupported slippage model: random/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sma, rsi, highest, atr, atrSeries, trueRange } from '../src/indicators.js';
+
+function assertClose(actual, expected, epsilon = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${actual} to be close to ${expected}`);
+}
+
+test('sma averages the last values and needs a full period', () => {
+  assert.equal(sma([1, 2, 3, 4], 2), 3.5);
+  assert.equal(sma([1, 2], 3), null);
+  assert.equal(sma([1, 2], 0), null);
+});
+
+test('rsi follows Wilder and returns 100 without losses', () => {
+  assert.equal(rsi([1, 2, 3], 2), 100);
+  assert.equal(rsi([1, 2], 2), null);
+
+  // Gewinne 1, Verluste 1 -> RSI 50; danach ein Verlust von 2 mit Wilder-Glättung
+  assert.equal(rsi([10, 11, 10], 2), 50);
+  assertClose(rsi([10, 11, 10, 8], 2), 100 - 100 / (1 + 0.25 / 1.25));
+});
+
+test('highest returns the maximum of the last values', () => {
+  assert.equal(highest([5, 1, 3, 2], 3), 3);
+  assert.equal(highest([5], 2), null);
+});
+
+test('atrSeries averages true ranges with simple or Wilder smoothing', () => {
+  const candles = [
+    { high: 10, low: 9, close: 9.5 },
+    { high: 11, low: 9.5, close: 10.5 },  // TR 1.5
+    { high: 10.5, low: 8, close: 8.5 },   // TR 2.5
+    { high: 9, low: 8.5, close: 8.8 },    // TR 0.5 (Hoch-Tief)
+    { high: 12, low: 9, close: 11 }       // TR 3.2 (Hoch - vorheriger Schluss)
+  ];
+
+  const simple = atrSeries(candles, 2);
+  assert.deepEqual(simple.slice(0, 2), [null, null]);
+  [2, 1.5, 1.85].forEach((expected, i) => assertClose(simple[i + 2], expected));
+
+  const wilder = atrSeries(candles, 2, 'wilder');
+  [2, 1.25, 2.225].forEach((expected, i) => assertClose(wilder[i + 2], expected));
+
+  assertClose(atr(candles, 2), 1.85);
+  assert.equal(atr([], 2), null);
+  assert.equal(trueRange(10, 9, 12), 3);
+
+  assert.throws(() => atrSeries(candles, 2, 'ema'), /Unsupported ATR smoothing/);
+});
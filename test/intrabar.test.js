@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IntrabarPath, candlePath, candlePathTimes, klinesToPricePath } from '../src/intrabar.js';
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+test('candlePath orders the extremes by the fallback', () => {
+  assert.deepEqual(candlePath(100, 110, 90, 105), [100, 90, 110, 105]);
+  assert.deepEqual(candlePath(100, 110, 90, 105, 'open-high-low-close'), [100, 110, 90, 105]);
+
+  // nearest: das näher am Open liegende Extrem zuerst, bei gleichem Abstand das Tief
+  assert.deepEqual(candlePath(100, 103, 90, 95, 'nearest'), [100, 103, 90, 95]);
+  assert.deepEqual(candlePath(100, 110, 98, 105, 'nearest'), [100, 98, 110, 105]);
+  assert.deepEqual(candlePath(100, 105, 95, 100, 'nearest'), [100, 95, 105, 100]);
+});
+
+test('candlePathTimes spreads the four prices over the candle', () => {
+  assert.deepEqual(candlePathTimes(START, START + 3 * MINUTE - 1), [START, START + MINUTE - 1, START + 2 * MINUTE - 1, START + 3 * MINUTE - 1]);
+});
+
+test('klinesToPricePath turns finer klines into a sorted price path', () => {
+  const klines = [
+    [START, '100', '103', '90', '95', '1', START + MINUTE - 1],
+    [START + MINUTE, '95', '96', '94', '96', '1', START + 2 * MINUTE - 1]
+  ];
+  const { times, prices } = klinesToPricePath(klines, 'nearest');
+
+  assert.deepEqual(Array.from(prices), [100, 103, 90, 95, 95, 94, 96, 96]);
+  assert.equal(times[0], START);
+  assert.equal(times[7], START + 2 * MINUTE - 1);
+  assert.ok(times.every((time, i) => i === 0 || time >= times[i - 1]));
+});
+
+test('IntrabarPath returns the prices of each candle in order', () => {
+  const path = new IntrabarPath({ times: Float64Array.from([1, 5, 10, 11, 20, 30]), prices: Float64Array.from([1, 2, 3, 4, 5, 6]) });
+  assert.equal(path.length, 6);
+
+  assert.deepEqual(path.between(0, 9).map(point => point.price), [1, 2]);
+  // Lücke: keine Preise für diese Kerze
+  assert.deepEqual(path.between(12, 19), []);
+  assert.deepEqual(path.between(20, 40), [{ time: 20, price: 5 }, { time: 30, price: 6 }]);
+  assert.deepEqual(path.between(41, 50), []);
+});
@@ -0,0 +1,196 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { Backtester } from '../src/backtester.js';
+import { KlineStore, findGaps, mergeKlines, parseKlineCsv, parseKlineJson, readAggTradeFile, readKlineFile } from '../src/klineStore.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+const cleanups = [];
+afterEach(async () => {
+  while (cleanups.length > 0) await cleanups.pop()();
+});
+
+async function createTempDir() {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'klines-'));
+  cleanups.push(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+function createKline(index, close = 100 + index) {
+  const openTime = START + index * HOUR;
+  return [openTime, String(close), String(close + 1), String(close - 1), String(close), '10', openTime + HOUR - 1, '0', 0, '0', '0', '0'];
+}
+
+function createKlines(from, to) {
+  const klines = [];
+  for (let i = from; i <= to; i++) klines.push(createKline(i));
+  return klines;
+}
+
+test('parseKlineCsv skips headers and normalizes microsecond timestamps', () => {
+  const csv = [
+    'open_time,open,high,low,close,volume,close_time',
+    `${START * 1000},1,2,0.5,1.5,10,${(START + HOUR - 1) * 1000},15,3,5,7,0`,
+    '',
+    `${START + HOUR},1.5,2,1,1.8,4,${START + 2 * HOUR - 1}`
+  ].join('\r\n');
+
+  const klines = parseKlineCsv(csv);
+  assert.equal(klines.length, 2);
+  assert.deepEqual(klines[0], [START, '1', '2', '0.5', '1.5', '10', START + HOUR - 1, '15', 3, '5', '7', '0']);
+  assert.deepEqual(klines[1].slice(7), ['0', 0, '0', '0', '0']);
+
+  assert.throws(() => parseKlineCsv(`${START},1,2,3`), /expected at least 7 columns/);
+});
+
+test('parseKlineJson accepts raw arrays and kline objects', () => {
+  const raw = parseKlineJson(JSON.stringify([createKline(0)]));
+  assert.deepEqual(raw, [createKline(0)]);
+
+  const objects = parseKlineJson(JSON.stringify({
+    klines: [{ openTime: START, open: '1', high: '2', low: '0.5', close: '1.5', volume: '10', closeTime: START + HOUR - 1, trades: 3 }]
+  }));
+  assert.deepEqual(objects, [[START, '1', '2', '0.5', '1.5', '10', START + HOUR - 1, '0', 3, '0', '0', '0']]);
+
+  assert.throws(() => parseKlineJson('{"data": []}'), /expected an array of klines/);
+});
+
+test('readKlineFile sorts, deduplicates and rejects unknown formats', async () => {
+  const directory = await createTempDir();
+  const filePath = path.join(directory, 'BTCUSDT-1h.json');
+  await fs.writeFile(filePath, JSON.stringify([createKline(2), createKline(0), createKline(2, 500)]));
+
+  const klines = await readKlineFile(filePath);
+  assert.deepEqual(klines.map(k => k[0]), [START, START + 2 * HOUR]);
+  assert.equal(klines[1][4], '500');
+
+  await assert.rejects(readKlineFile(path.join(directory, 'klines.txt')), { code: 'ENOENT' });
+  await fs.writeFile(path.join(directory, 'klines.txt'), '');
+  await assert.rejects(readKlineFile(path.join(directory, 'klines.txt')), /Unsupported kline file format/);
+});
+
+test('readAggTradeFile reads CSV dumps and API JSON as a sorted price path', async () => {
+  const directory = await createTempDir();
+  const csvFile = path.join(directory, 'BTCUSDT-aggTrades-2024-01.csv');
+  await fs.writeFile(csvFile, [
+    'agg_trade_id,price,quantity,first_trade_id,last_trade_id,transact_time,is_buyer_maker',
+    `1,100.5,0.1,1,1,${START * 1000},true`,
+    // Gleicher Preis wie zuvor: wird zusammengefasst
+    `2,100.5,0.2,2,3,${(START + 1000) * 1000},false`,
+    `3,101,0.1,4,4,${(START + 2000) * 1000},true`,
+    ''
+  ].join('\n'));
+
+  const fromCsv = await readAggTradeFile(csvFile);
+  assert.deepEqual(Array.from(fromCsv.times), [START, START + 2000]);
+  assert.deepEqual(Array.from(fromCsv.prices), [100.5, 101]);
+
+  // Unsortierte JSON-Dateien werden nachträglich geordnet
+  const jsonFile = path.join(directory, 'aggTrades.json');
+  await fs.writeFile(jsonFile, JSON.stringify([{ T: START + 2000, p: '99' }, { T: START, p: '100' }, { time: START + 1000, price: '98' }]));
+  const fromJson = await readAggTradeFile(jsonFile);
+  assert.deepEqual(Array.from(fromJson.times), [START, START + 1000, START + 2000]);
+  assert.deepEqual(Array.from(fromJson.prices), [100, 98, 99]);
+
+  const invalid = path.join(directory, 'aggTrades.txt');
+  await fs.writeFile(invalid, '');
+  await assert.rejects(readAggTradeFile(invalid), /Unsupported aggTrades file format/);
+});
+
+test('mergeKlines lets later lists win and findGaps reports missing candles', () => {
+  const merged = mergeKlines([createKline(0), createKline(1)], [createKline(1, 999), createKline(4)]);
+  assert.deepEqual(merged.map(k => k[4]), ['100', '999', '104']);
+
+  assert.deepEqual(findGaps(merged, HOUR), [{ from: START + 2 * HOUR, to: START + 3 * HOUR, missing: 2 }]);
+});
+
+test('KlineStore merges adjacent segments and reports uncovered ranges', async () => {
+  const store = new KlineStore(await createTempDir());
+  const rangeEnd = index => START + index * HOUR - 1;
+
+  await store.save('BTCUSDT', '1h', START, rangeEnd(5), createKlines(0, 4));
+  await store.save('BTCUSDT', '1h', START + 10 * HOUR, rangeEnd(15), createKlines(10, 14));
+  assert.deepEqual(await store.getMissingRanges('BTCUSDT', '1h', START, rangeEnd(20)), [
+    [START + 5 * HOUR, START + 10 * HOUR - 1],
+    [START + 15 * HOUR, rangeEnd(20)]
+  ]);
+
+  // Der Bereich dazwischen verbindet beide Segmente zu einem
+  await store.save('BTCUSDT', '1h', START + 5 * HOUR, rangeEnd(10), createKlines(5, 9));
+  const segments = await store.listSegments('BTCUSDT', '1h');
+  assert.equal(segments.length, 1);
+  assert.deepEqual([segments[0].startTime, segments[0].endTime], [START, rangeEnd(15)]);
+
+  const klines = await store.load('BTCUSDT', '1h', START + 3 * HOUR, START + 11 * HOUR);
+  assert.deepEqual(klines.map(k => k[0]), createKlines(3, 11).map(k => k[0]));
+  assert.deepEqual(await store.listSegments('ETHUSDT', '1h'), []);
+});
+
+test('KlineStore imports CSV dumps', async () => {
+  const directory = await createTempDir();
+  const store = new KlineStore(path.join(directory, 'klines'));
+  const filePath = path.join(directory, 'BTCUSDT-1h-2024-01.csv');
+  await fs.writeFile(filePath, createKlines(0, 23).map(k => k.join(',')).join('\n'));
+
+  const result = await store.importFile(filePath, 'BTCUSDT', '1h');
+  assert.deepEqual(result, { startTime: START, endTime: START + 24 * HOUR - 1, count: 24, imported: 24 });
+  assert.deepEqual(await store.getMissingRanges('BTCUSDT', '1h', START, START + 24 * HOUR - 1), []);
+
+  await fs.writeFile(filePath, 'open_time,open\n');
+  await assert.rejects(store.importFile(filePath, 'BTCUSDT', '1h'), /No klines found/);
+});
+
+test('the backtester only downloads ranges missing from the cache', async () => {
+  const dataDir = await createTempDir();
+  const store = new KlineStore(dataDir);
+  await store.save('BTCUSDT', '1h', START, START + 12 * HOUR - 1, createKlines(0, 11));
+
+  const backtester = new Backtester({
+    logLevel: 'silent',
+    exchangeFilters: { enabled: false },
+    backtestParams: {
+      symbol: 'BTCUSDT',
+      interval: '1h',
+      startDate: new Date(START).toISOString(),
+      endDate: new Date(START + 24 * HOUR - 1).toISOString(),
+      dataDir
+    }
+  });
+  const requests = [];
+  backtester.dataClient.getHistoricalKlines = async (symbol, interval, limit, options) => {
+    requests.push(options);
+    return createKlines(12, 23);
+  };
+
+  await backtester.loadHistoricalData();
+  assert.deepEqual(requests, [{ startTime: START + 12 * HOUR, endTime: START + 24 * HOUR - 1 }]);
+  assert.equal(backtester.historicalData.length, 24);
+
+  // Der zweite Lauf kommt ohne Netzwerk aus
+  backtester.backtestParams.offline = true;
+  await backtester.loadHistoricalData();
+  assert.equal(requests.length, 1);
+  assert.equal(backtester.historicalData.length, 24);
+});
+
+test('offline backtests fail on cache misses instead of downloading', async () => {
+  const backtester = new Backtester({
+    logLevel: 'silent',
+    exchangeFilters: { enabled: false },
+    backtestParams: {
+      symbol: 'BTCUSDT',
+      interval: '1h',
+      startDate: new Date(START).toISOString(),
+      endDate: new Date(START + 24 * HOUR - 1).toISOString(),
+      dataDir: await createTempDir(),
+      offline: true
+    }
+  });
+  backtester.dataClient.getHistoricalKlines = async () => assert.fail('offline backtests must not download klines');
+
+  await assert.rejects(backtester.loadHistoricalData(), /Offline mode: kline cache is missing/);
+});
@@ -0,0 +1,162 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { once } from 'events';
+import { Notifier, renderTemplate, DEFAULT_TEMPLATES } from '../src/notifier.js';
+
+// Logger ohne Ausgabe, der die Meldungen für Prüfungen sammelt
+function createLogger() {
+  const messages = { debug: [], info: [], warn: [], error: [] };
+  const logger = {};
+  for (const level of Object.keys(messages)) {
+    logger[level] = (message) => messages[level].push(message);
+  }
+  return { logger, messages };
+}
+
+// Lokaler HTTP-Stub: zeichnet alle Requests auf und antwortet der Reihe nach mit responses
+// ([{ status, headers, body }]), danach mit 200 und { ok: true }
+async function startStub(responses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, body: JSON.parse(body) });
+      const response = responses.shift() || { status: 200, body: { ok: true, result: {} } };
+      res.writeHead(response.status, { 'Content-Type': 'application/json', ...response.headers });
+      res.end(JSON.stringify(response.body || {}));
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  cleanups.push(() => new Promise(resolve => server.close(() => resolve())));
+  return { requests, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+const cleanups = [];
+afterEach(async () => {
+  for (const cleanup of cleanups.splice(0).reverse()) {
+    await cleanup();
+  }
+});
+
+function createNotifier(channel, logger = createLogger().logger) {
+  return new Notifier({ channels: [channel] }, { logger, tradingMode: 'paper' });
+}
+
+const OPENED = { symbol: 'BTCUSDT', side: 'LONG', quantity: 0.5, entryPrice: 100, currentTrailingStop: 98 };
+
+test('renderTemplate replaces placeholders and blanks unknown names', () => {
+  assert.equal(renderTemplate('{{symbol}} @ {{ price }}{{missing}}', { symbol: 'BTCUSDT', price: 100 }), 'BTCUSDT @ 100');
+  assert.equal(renderTemplate('{{value}}', { value: null }), '');
+});
+
+test('renders the default and custom templates with the event values', async () => {
+  const { requests, url } = await startStub();
+  const notifier = createNotifier({
+    type: 'webhook',
+    url,
+    events: ['positionOpened', 'positionClosed'],
+    templates: { positionOpened: '{{symbol}} {{side}} x{{quantity}}' }
+  });
+
+  await notifier.notify('positionOpened', OPENED);
+  await notifier.notify('positionClosed', { symbol: 'BTCUSDT', side: 'LONG', exitPrice: 105, profit: 4.5, profitPercent: 4.5, reason: 'Trailing stop hit' });
+
+  assert.deepEqual(requests.map(request => request.body.message), [
+    'BTCUSDT LONG x0.5',
+    '[PAPER] Closed LONG BTCUSDT @ 105: 4.50 (4.50%). Trailing stop hit'
+  ]);
+  assert.equal(requests[1].body.event, 'positionClosed');
+  assert.equal(requests[1].body.data.symbol, 'BTCUSDT');
+  assert.ok(DEFAULT_TEMPLATES.positionClosed.includes('{{profitPercent}}'));
+});
+
+test('filters events and symbols per channel', async () => {
+  const { requests, url } = await startStub();
+  const notifier = createNotifier({ type: 'webhook', url, events: ['positionOpened'], symbols: ['ETHUSDT'] });
+
+  await notifier.notify('positionOpened', OPENED);
+  await notifier.notify('stopUpdated', { ...OPENED, symbol: 'ETHUSDT' });
+  await notifier.notify('positionOpened', { ...OPENED, symbol: 'ETHUSDT' });
+
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].body.message, /Opened LONG ETHUSDT/);
+});
+
+test('retries after the Retry-After time of a 429 response', async () => {
+  const { requests, url } = await startStub([{ status: 429, headers: { 'Retry-After': '0.05' }, body: { message: 'slow down' } }]);
+  const { logger, messages } = createLogger();
+  const notifier = createNotifier({ type: 'webhook', url, retry: { attempts: 3, delayMs: 5000 } }, logger);
+
+  const [result] = await notifier.sendTest();
+
+  assert.equal(result.sent, true);
+  assert.equal(requests.length, 2);
+  assert.match(messages.warn[0], /HTTP 429 .*slow down\. Retrying in 50ms\./);
+});
+
+test('retries server errors with exponential backoff and gives up after the last attempt', async () => {
+  const { requests, url } = await startStub([{ status: 500 }, { status: 502 }, { status: 503 }]);
+  const { logger, messages } = createLogger();
+  const notifier = createNotifier({ type: 'webhook', url, retry: { attempts: 3, delayMs: 10 } }, logger);
+
+  const [result] = await notifier.sendTest();
+
+  assert.equal(result.sent, false);
+  assert.equal(requests.length, 3);
+  assert.deepEqual(messages.warn.map(message => message.match(/Retrying in (\d+)ms/)[1]), ['10', '20']);
+  assert.match(messages.error[0], /attempt 3\/3/);
+});
+
+test('does not retry client errors', async () => {
+  const { requests, url } = await startStub([{ status: 400, body: { message: 'bad request' } }]);
+  const { logger, messages } = createLogger();
+  const notifier = createNotifier({ type: 'webhook', url, retry: { attempts: 3, delayMs: 10 } }, logger);
+
+  const [result] = await notifier.sendTest();
+
+  assert.equal(result.sent, false);
+  assert.equal(requests.length, 1);
+  assert.match(messages.error[0], /HTTP 400 .*bad request/);
+});
+
+test('drops messages above the rate limit and reports them with the next one', async () => {
+  const { requests, url } = await startStub();
+  const notifier = createNotifier({ type: 'webhook', url, events: ['positionOpened'], rateLimit: { maxMessages: 1, intervalMs: 200 } });
+
+  // Im selben Tick eingereiht, damit alle drei sicher in dasselbe Fenster fallen
+  await Promise.all([1, 2, 3].map(() => notifier.notify('positionOpened', OPENED)));
+  assert.equal(requests.length, 1);
+
+  await new Promise(resolve => setTimeout(resolve, 250));
+  await notifier.notify('positionOpened', OPENED);
+
+  assert.equal(requests.length, 2);
+  assert.match(requests[1].body.message, /\n\(2 notification\(s\) skipped by rate limit\)$/);
+});
+
+test('sends Telegram messages to the chat and truncates them to 4096 characters', async () => {
+  const { requests, url } = await startStub();
+  const notifier = createNotifier({ type: 'telegram', botToken: '123:abc', chatId: '42', apiUrl: `${url}/`, templates: { test: 'x'.repeat(5000) } });
+
+  const [result] = await notifier.sendTest();
+
+  assert.equal(result.sent, true);
+  assert.equal(requests[0].url, '/bot123:abc/sendMessage');
+  assert.equal(requests[0].body.chat_id, '42');
+  assert.equal(requests[0].body.text.length, 4096);
+});
+
+test('does not retry Telegram responses that are not ok', async () => {
+  const { requests, url } = await startStub([{ status: 200, body: { ok: false, description: 'chat not found' } }]);
+  const { logger, messages } = createLogger();
+  const notifier = createNotifier({ type: 'telegram', botToken: '123:abc', chatId: '42', apiUrl: url, retry: { attempts: 3, delayMs: 10 } }, logger);
+
+  const [result] = await notifier.sendTest();
+
+  assert.equal(result.sent, false);
+  assert.equal(requests.length, 1);
+  assert.match(messages.error[0], /Telegram sendMessage failed: chat not found/);
+});
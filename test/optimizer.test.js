@@ -0,0 +1,152 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  Optimizer,
+  OBJECTIVES,
+  expandParameter,
+  gridCombinations,
+  randomCombinations,
+  seededRandom,
+  writeOptimizationResults
+} from '../src/optimizer.js';
+import { TrailingProfitMaximizer } from '../src/trailingProfitMaximizer.js';
+import { DEFAULT_CONFIG } from '../src/config.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+const PARAMETERS = { 'trailingStop.trailingDistancePercent': [1, 2] };
+
+const cleanups = [];
+afterEach(async () => {
+  while (cleanups.length > 0) await cleanups.pop()();
+});
+
+async function createTempDir() {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'optimizer-'));
+  cleanups.push(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+function summary(values) {
+  return { totalReturnPercent: 0, sharpeRatio: 0, sortinoRatio: 0, calmarRatio: 0, profitFactor: 1, totalTrades: 10, ...values };
+}
+
+test('expandParameter accepts lists and rounded ranges', () => {
+  assert.deepEqual(expandParameter('a', [3, 1]), [3, 1]);
+  assert.deepEqual(expandParameter('a', { min: 0.1, max: 0.5, step: 0.1 }), [0.1, 0.2, 0.3, 0.4, 0.5]);
+  assert.throws(() => expandParameter('a', []), /Optimizer parameter a has no values/);
+  assert.throws(() => expandParameter('a', { min: 2, max: 1, step: 1 }), /Invalid range for optimizer parameter a/);
+});
+
+test('grid and random searches cover the parameter space', () => {
+  const parameters = { a: [1, 2, 3], b: { min: 0, max: 1, step: 0.5 } };
+  assert.equal(gridCombinations(parameters).length, 9);
+  assert.deepEqual(gridCombinations(parameters)[1], { a: 1, b: 0.5 });
+
+  const sample = randomCombinations(parameters, 5, seededRandom(7));
+  assert.equal(sample.length, 5);
+  assert.equal(new Set(sample.map(combination => JSON.stringify(combination))).size, 5);
+  assert.deepEqual(randomCombinations(parameters, 5, seededRandom(7)), sample);
+
+  // Mehr Stichproben als Kombinationen: jede Kombination genau einmal
+  assert.equal(randomCombinations(parameters, 100, seededRandom(1)).length, 9);
+});
+
+test('the objective selects the ranking criterion', () => {
+  const results = [
+    { parameters: { x: 1 }, summary: summary({ totalReturnPercent: 10, sharpeRatio: 0.5 }) },
+    { parameters: { x: 2 }, summary: summary({ totalReturnPercent: 5, sharpeRatio: 2 }) }
+  ];
+
+  const byReturn = new Optimizer({}, { parameters: PARAMETERS, objective: 'return' }).rank(results);
+  assert.deepEqual(byReturn.map(entry => [entry.parameters.x, entry.score]), [[1, 10], [2, 5]]);
+
+  const bySharpe = new Optimizer({}, { parameters: PARAMETERS, objective: 'sharpe' }).rank(results);
+  assert.deepEqual(bySharpe.map(entry => [entry.parameters.x, entry.score]), [[2, 2], [1, 0.5]]);
+
+  assert.deepEqual(Object.keys(OBJECTIVES), ['return', 'sharpe', 'sortino', 'calmar', 'profitFactor']);
+  assert.throws(() => new Optimizer({}, { parameters: PARAMETERS, objective: 'winRate' }), /Unsupported optimizer objective: winRate/);
+  assert.throws(() => new Optimizer({}, { parameters: {} }), /No optimizer parameters configured/);
+});
+
+test('runs without a valid score are ranked last in their original order', () => {
+  const optimizer = new Optimizer({}, { parameters: PARAMETERS, objective: 'profitFactor', minTrades: 5 });
+  const ranking = optimizer.rank([
+    { parameters: { x: 1 }, summary: summary({ profitFactor: null }) },
+    { parameters: { x: 2 }, summary: null, error: 'No historical data' },
+    { parameters: { x: 3 }, summary: summary({ profitFactor: 3, totalTrades: 2 }) },
+    { parameters: { x: 4 }, summary: summary({ profitFactor: 1.5 }) },
+    { parameters: { x: 5 }, summary: summary({ profitFactor: 2.5 }) }
+  ]);
+
+  assert.deepEqual(ranking.map(entry => entry.parameters.x), [5, 4, 1, 2, 3]);
+  assert.deepEqual(ranking.map(entry => entry.score), [2.5, 1.5, null, null, null]);
+});
+
+test('the profit factor is null without losing trades', async () => {
+  const bot = new TrailingProfitMaximizer({
+    tradingMode: 'paper',
+    logLevel: 'silent',
+    exchangeFilters: { enabled: false },
+    skipConnectionTest: true,
+    refreshInterval: Infinity,
+    volatilityUpdateInterval: Infinity,
+    persistence: { enabled: false },
+    priceStream: { enabled: false }
+  });
+  await bot.initialized;
+
+  assert.equal(bot.getStatistics().profitFactor, 0);
+  bot.profitHistory = [{ profit: 10, profitPercent: 1, holdingTimeMs: HOUR }, { profit: 5, profitPercent: 0.5, holdingTimeMs: HOUR }];
+  assert.equal(bot.getStatistics().profitFactor, null);
+  bot.profitHistory.push({ profit: -5, profitPercent: -0.5, holdingTimeMs: HOUR });
+  assert.equal(bot.getStatistics().profitFactor, 3);
+
+  // JSON und CSV bleiben eindeutig
+  const directory = await createTempDir();
+  const files = await writeOptimizationResults(directory, {
+    objective: 'profitFactor',
+    parameters: { x: [1] },
+    ranking: [{ parameters: { x: 1 }, score: null, summary: summary({ profitFactor: null }), error: null }],
+    heatmap: null
+  });
+  assert.equal(JSON.parse(await fs.readFile(files.json, 'utf8')).ranking[0].summary.profitFactor, null);
+  const [header, row] = (await fs.readFile(files.csv, 'utf8')).trimEnd().split('\n');
+  assert.equal(row.split(',')[header.split(',').indexOf('profitFactor')], '');
+});
+
+test('optimizer runs backtests on worker threads and ranks them', async () => {
+  const directory = await createTempDir();
+  const dataFile = path.join(directory, 'btc.json');
+  // Aufwärtstrend mit Rücksetzern
+  const closes = Array.from({ length: 40 }, (_, i) => 100 + i - (i % 3) * 2);
+  await fs.writeFile(dataFile, JSON.stringify(closes.map((close, i) => (
+    [START + i * HOUR, String(close - 0.5), String(close + 1), String(close - 1), String(close), '1', START + (i + 1) * HOUR - 1]
+  ))));
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    logLevel: 'silent',
+    exchangeFilters: { enabled: false },
+    strategy: { name: 'breakout', params: { lookback: 3 }, interval: '1h' },
+    backtestParams: {
+      ...DEFAULT_CONFIG.backtestParams,
+      symbol: 'BTCUSDT',
+      interval: '1h',
+      startDate: new Date(START).toISOString(),
+      endDate: new Date(START + 40 * HOUR).toISOString(),
+      dataFile,
+      dataDir: path.join(directory, 'klines')
+    }
+  };
+  const optimizer = new Optimizer(config, { parameters: { 'trailingStop.trailingDistancePercent': [0.5, 3] }, workers: 1 });
+  const report = await optimizer.run();
+
+  assert.equal(report.ranking.length, 2);
+  assert.ok(report.ranking.every(entry => entry.error === null && entry.summary.totalTrades > 0));
+  assert.ok(report.ranking[0].score >= report.ranking[1].score);
+  assert.deepEqual(report.ranking.map(entry => entry.parameters['trailingStop.trailingDistancePercent']).sort(), [0.5, 3]);
+});
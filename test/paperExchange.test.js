@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaperExchange, splitSymbol } from '../src/paperExchange.js';
+import { CostModel } from '../src/costModel.js';
+import { SymbolFilters } from '../src/symbolInfo.js';
+
+function assertClose(actual, expected, epsilon = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${actual} to be close to ${expected}`);
+}
+
+test('splitSymbol prefers the longest quote asset', () => {
+  assert.deepEqual(splitSymbol('BTCUSDT'), { baseAsset: 'BTC', quoteAsset: 'USDT' });
+  assert.deepEqual(splitSymbol('BTCFDUSD'), { baseAsset: 'BTC', quoteAsset: 'FDUSD' });
+  assert.throws(() => splitSymbol('FOO'), /Cannot determine base\/quote assets/);
+});
+
+test('market orders fill at the current price', () => {
+  const exchange = new PaperExchange({ initialBalances: { USDT: 10000 } });
+  exchange.feedPrice('BTCUSDT', 100, 1000);
+
+  const order = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 2 });
+
+  assert.equal(order.status, 'FILLED');
+  assert.equal(order.executedQty, '2.00000000');
+  assert.equal(order.cummulativeQuoteQty, '200.00000000');
+  assert.equal(order.transactTime, 1000);
+  assert.deepEqual(exchange.getBalance('USDT'), { free: 9800, locked: 0 });
+  assert.deepEqual(exchange.getBalance('BTC'), { free: 2, locked: 0 });
+});
+
+test('rejects market orders without a price or sufficient balance', () => {
+  const exchange = new PaperExchange({ initialBalances: { USDT: 50 } });
+  assert.throws(
+    () => exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1 }),
+    error => error.code === -1013
+  );
+
+  exchange.feedPrice('BTCUSDT', 100);
+  assert.throws(
+    () => exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1 }),
+    error => error.code === -2010 && /insufficient balance/.test(error.message)
+  );
+  assert.deepEqual(exchange.getBalance('USDT'), { free: 50, locked: 0 });
+});
+
+test('stop-limit orders rest until the stop price is reached', () => {
+  const exchange = new PaperExchange({ initialBalances: { BTC: 1 } });
+  exchange.feedPrice('BTCUSDT', 100);
+
+  const stop = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'STOP_LOSS_LIMIT', quantity: 1, stopPrice: 95, price: 90 });
+  assert.equal(stop.status, 'NEW');
+  assert.deepEqual(exchange.getBalance('BTC'), { free: 0, locked: 1 });
+
+  assert.deepEqual(exchange.feedPrice('BTCUSDT', 96), []);
+  const [filled] = exchange.feedPrice('BTCUSDT', 94);
+
+  assert.equal(filled.orderId, stop.orderId);
+  assert.equal(filled.status, 'FILLED');
+  assert.deepEqual(exchange.getBalance('BTC'), { free: 0, locked: 0 });
+  assert.equal(exchange.getBalance('USDT').free, 94);
+  assert.deepEqual(exchange.getOpenOrders(), []);
+});
+
+test('market orders pay half the spread and the taker fee', () => {
+  const exchange = new PaperExchange({
+    initialBalances: { USDT: 10000 },
+    costModel: new CostModel({ takerFeePercent: 0.1, spreadBps: 10 })
+  });
+  exchange.feedPrice('BTCUSDT', 100);
+
+  const order = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1 });
+  assert.equal(order.fills.length, 1);
+  assert.equal(order.fills[0].price, '100.05000000');
+  assert.equal(order.fills[0].commission, '0.10005000');
+  assert.equal(order.fills[0].commissionAsset, 'USDT');
+  assertClose(exchange.getBalance('USDT').free, 10000 - 100.05 - 0.10005);
+  assert.equal(exchange.getBalance('BTC').free, 1);
+});
+
+test('a continuous move fills a stop at the stop price, a gap at the new price', () => {
+  const exchange = new PaperExchange({ initialBalances: { BTC: 2 } });
+  exchange.feedPrice('BTCUSDT', 100);
+  exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'STOP_LOSS_LIMIT', quantity: 1, stopPrice: 95, price: 90 });
+  assert.equal(exchange.feedPrice('BTCUSDT', 93, null, true).length, 1);
+  assert.equal(exchange.getBalance('USDT').free, 95);
+
+  exchange.feedPrice('BTCUSDT', 100);
+  exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'STOP_LOSS_LIMIT', quantity: 1, stopPrice: 95, price: 90 });
+  assert.equal(exchange.feedPrice('BTCUSDT', 93).length, 1);
+  assert.equal(exchange.getBalance('USDT').free, 95 + 93);
+});
+
+test('a gap through the limit leaves the triggered stop as a resting limit order', () => {
+  const exchange = new PaperExchange({ initialBalances: { BTC: 1 } });
+  exchange.feedPrice('BTCUSDT', 100);
+  const stop = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'STOP_LOSS_LIMIT', quantity: 1, stopPrice: 95, price: 94 });
+
+  assert.deepEqual(exchange.feedPrice('BTCUSDT', 90), []);
+  assert.equal(exchange.getOrder('BTCUSDT', stop.orderId).status, 'NEW');
+  assert.equal(exchange.getOrder('BTCUSDT', stop.orderId).isWorking, true);
+
+  // Zurück über dem Limit wird die Order als Maker zum Limit ausgeführt
+  const [filled] = exchange.feedPrice('BTCUSDT', 94.5, null, true);
+  assert.equal(filled.status, 'FILLED');
+  assert.equal(exchange.getBalance('USDT').free, 94);
+});
+
+test('rejects stop orders that would trigger immediately', () => {
+  const exchange = new PaperExchange({ initialBalances: { BTC: 1 } });
+  exchange.feedPrice('BTCUSDT', 100);
+
+  assert.throws(
+    () => exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'STOP_LOSS_LIMIT', quantity: 1, stopPrice: 101, price: 100 }),
+    error => error.code === -2010
+  );
+  assert.deepEqual(exchange.getBalance('BTC'), { free: 1, locked: 0 });
+});
+
+test('cancelling an order releases the reserved balance', () => {
+  const exchange = new PaperExchange({ initialBalances: { BTC: 1 } });
+  exchange.feedPrice('BTCUSDT', 100);
+  const stop = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'STOP_LOSS_LIMIT', quantity: 1, stopPrice: 95, price: 94 });
+
+  const canceled = exchange.cancelOrder('BTCUSDT', stop.orderId);
+
+  assert.equal(canceled.status, 'CANCELED');
+  assert.equal(canceled.origClientOrderId, stop.clientOrderId);
+  assert.deepEqual(exchange.getBalance('BTC'), { free: 1, locked: 0 });
+  assert.throws(() => exchange.cancelOrder('BTCUSDT', stop.orderId), error => error.code === -2011);
+  assert.throws(() => exchange.getOrder('ETHUSDT', stop.orderId), error => error.code === -2013);
+});
+
+test('short sales with MARGIN_BUY borrow the base asset', () => {
+  const exchange = new PaperExchange({ initialBalances: { USDT: 1000 } });
+  exchange.feedPrice('BTCUSDT', 100);
+
+  exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'MARKET', quantity: 2, sideEffectType: 'MARGIN_BUY' });
+  assert.equal(exchange.getBalance('BTC').free, -2);
+  assert.equal(exchange.getBalance('USDT').free, 1200);
+
+  // Ohne MARGIN_BUY kann nur verkauft werden, was vorhanden ist
+  assert.throws(
+    () => exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'MARKET', quantity: 1 }),
+    error => error.code === -2010
+  );
+
+  exchange.feedPrice('BTCUSDT', 90);
+  exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 2 });
+  assert.equal(exchange.getBalance('BTC').free, 0);
+  assert.equal(exchange.getBalance('USDT').free, 1020);
+});
+
+test('applies symbol filters like Binance', () => {
+  const exchange = new PaperExchange({ initialBalances: { USDT: 10000 } });
+  exchange.setSymbolFilters('BTCUSDT', new SymbolFilters('BTCUSDT', { tickSize: '0.01', stepSize: '0.001', minQty: '0.001', minNotional: '10' }));
+  exchange.feedPrice('BTCUSDT', 100);
+
+  assert.throws(
+    () => exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 0.0015 }),
+    /Filter failure: LOT_SIZE/
+  );
+  assert.throws(
+    () => exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 0.05 }),
+    /Filter failure: NOTIONAL/
+  );
+  assert.equal(exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 0.2 }).status, 'FILLED');
+});
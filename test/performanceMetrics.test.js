@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  drawdownSeries,
+  maxDrawdown,
+  periodReturns,
+  periodsPerYear,
+  sharpeRatio,
+  sortinoRatio,
+  tradeMetrics,
+  calculatePerformanceMetrics
+} from '../src/performanceMetrics.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function assertClose(actual, expected, epsilon = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${actual} to be close to ${expected}`);
+}
+
+function curve(values, benchmark = null) {
+  return values.map((equity, i) => ({ time: i * DAY, equity, openPositions: i % 2, ...(benchmark ? { benchmark: benchmark[i] } : {}) }));
+}
+
+test('maxDrawdown finds the deepest and the longest drawdown', () => {
+  const series = drawdownSeries(curve([100, 120, 90, 110, 125, 100, 100]));
+  assert.deepEqual(series.map(point => point.peak), [100, 120, 120, 120, 125, 125, 125]);
+  assertClose(series[2].drawdownPercent, 25);
+
+  // Tiefster Punkt bei 90 (-25%), längste Phase vom Hoch bei 125 bis zum Ende
+  assert.deepEqual(maxDrawdown(series), { maxDrawdown: 30, maxDrawdownPercent: 25, maxDrawdownDurationMs: 2 * DAY });
+});
+
+test('periodReturns skips non-positive bases and periodsPerYear uses the median step', () => {
+  assert.deepEqual(periodReturns([100, 110, 0, 50, 55]).map(value => Math.round(value * 1000) / 1000), [0.1, -1, 0.1]);
+  assert.equal(periodsPerYear([0, DAY, 2 * DAY, 10 * DAY, 11 * DAY]), 365);
+  assert.equal(periodsPerYear([0]), 0);
+});
+
+test('sharpe and sortino ratios are annualized and zero without variation', () => {
+  const returns = [0.01, -0.01, 0.02, 0];
+  const mean = 0.005;
+  const deviation = Math.sqrt(returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / 3);
+  assertClose(sharpeRatio(returns, 365), mean / deviation * Math.sqrt(365));
+
+  // Nur die Verluste bilden die Abwärtsabweichung
+  assertClose(sortinoRatio(returns, 365), mean / Math.sqrt(0.0001 / 4) * Math.sqrt(365));
+
+  assert.equal(sharpeRatio([0.01, 0.01, 0.01], 365), 0);
+  assert.equal(sortinoRatio([0.01, 0.02], 365), 0);
+  assert.equal(sharpeRatio([0.01], 365), 0);
+});
+
+test('tradeMetrics reports expectancy, R-multiples and excursions', () => {
+  const metrics = tradeMetrics([
+    { profit: 30, rMultiple: 3, maePercent: 1, mfePercent: 4 },
+    { profit: -10, rMultiple: -1, maePercent: 2, mfePercent: 0 },
+    { profit: -10, maePercent: 3, mfePercent: 2 }
+  ]);
+
+  assertClose(metrics.expectancy, 10 / 3);
+  assert.equal(metrics.expectancyR, 1);
+  assert.equal(metrics.averageWin, 30);
+  assert.equal(metrics.averageLoss, 10);
+  assert.equal(metrics.payoffRatio, 3);
+  assert.equal(metrics.averageMaePercent, 2);
+  assert.equal(metrics.averageMfePercent, 2);
+
+  assert.equal(tradeMetrics([]).expectancyR, null);
+});
+
+test('calculatePerformanceMetrics combines the curve, the trades and the benchmark', () => {
+  const metrics = calculatePerformanceMetrics({
+    equityCurve: curve([1000, 1100, 990, 1210], [1000, 1050, 1100, 1150]),
+    trades: [{ profit: 210 }],
+    initialBalance: 1000
+  });
+
+  assertClose(metrics.totalReturnPercent, 21);
+  assertClose(metrics.maxDrawdownPercent, 10);
+  assert.equal(metrics.exposurePercent, 50);
+  assert.equal(metrics.drawdownCurve.length, 4);
+  assertClose(metrics.annualizedReturnPercent, (1.21 ** (365 / 3) - 1) * 100, 1e-3);
+  assertClose(metrics.calmarRatio, metrics.annualizedReturnPercent / 10, 1e-9);
+
+  assertClose(metrics.benchmark.totalReturnPercent, 15);
+  assertClose(metrics.benchmark.excessReturnPercent, 6);
+  assert.equal(metrics.benchmark.maxDrawdownPercent, 0);
+});
+
+test('calculatePerformanceMetrics handles an empty curve', () => {
+  const metrics = calculatePerformanceMetrics({ equityCurve: [], initialBalance: 1000 });
+  assert.equal(metrics.totalReturnPercent, 0);
+  assert.equal(metrics.maxDrawdownPercent, 0);
+  assert.equal(metrics.benchmark, null);
+});
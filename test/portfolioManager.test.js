@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PortfolioManager } from '../src/portfolioManager.js';
+
+function assertClose(actual, expected, epsilon = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${actual} to be close to ${expected}`);
+}
+
+const ENTRY = { symbol: 'ETHUSDT', quantity: 5, price: 100, positions: [], equity: 10000, availableBalance: 10000 };
+
+test('allows entries within all limits unchanged', () => {
+  const portfolio = new PortfolioManager({ maxOpenPositions: 3 });
+  assert.deepEqual(portfolio.evaluateEntry(ENTRY), { allowed: true, quantity: 5, reason: null });
+});
+
+test('rejects a second position for the same symbol', () => {
+  const portfolio = new PortfolioManager();
+  const result = portfolio.evaluateEntry({ ...ENTRY, positions: [{ symbol: 'ETHUSDT', quantity: 1, entryPrice: 100 }] });
+  assert.equal(result.allowed, false);
+  assert.match(result.reason, /position for ETHUSDT already open/);
+});
+
+test('rejects entries above maxOpenPositions', () => {
+  const portfolio = new PortfolioManager({ maxOpenPositions: 1 });
+  const result = portfolio.evaluateEntry({ ...ENTRY, positions: [{ symbol: 'BTCUSDT', quantity: 1, entryPrice: 100 }] });
+  assert.equal(result.allowed, false);
+  assert.match(result.reason, /maximum of 1 open positions reached/);
+});
+
+test('reduces the quantity to the available balance after reserve and costs', () => {
+  const portfolio = new PortfolioManager({ balanceReservePercent: 10 });
+  const result = portfolio.evaluateEntry({ ...ENTRY, availableBalance: 400, costRate: 0.001 });
+
+  assert.equal(result.allowed, true);
+  assertClose(result.quantity, 360 / 1.001 / 100);
+  assert.match(result.reason, /available balance 400.00/);
+});
+
+test('limits the exposure per symbol and in total at current prices', () => {
+  const positions = [{ symbol: 'BTCUSDT', quantity: 1, entryPrice: 2000, currentPrice: 2500 }];
+
+  const perSymbol = new PortfolioManager({ maxSymbolExposurePercent: 3 });
+  const symbolResult = perSymbol.evaluateEntry({ ...ENTRY, positions });
+  assertClose(symbolResult.quantity, 3);
+  assert.match(symbolResult.reason, /max exposure per symbol 3%/);
+
+  const total = new PortfolioManager({ maxTotalExposurePercent: 28 });
+  const totalResult = total.evaluateEntry({ ...ENTRY, positions });
+  assertClose(totalResult.quantity, 3);
+  assert.match(totalResult.reason, /max total exposure 28% \(current 2500.00\)/);
+});
+
+test('rejects entries without room left', () => {
+  const portfolio = new PortfolioManager({ maxTotalExposurePercent: 20 });
+  const positions = [{ symbol: 'BTCUSDT', quantity: 1, entryPrice: 2000, currentPrice: 2500 }];
+  const result = portfolio.evaluateEntry({ ...ENTRY, positions });
+
+  assert.equal(result.allowed, false);
+  assert.equal(result.quantity, 0);
+  assert.match(result.reason, /^no room left: max total exposure/);
+});
+
+test('equal allocation splits equity across maxOpenPositions', () => {
+  assert.equal(new PortfolioManager({ allocation: 'equal', maxOpenPositions: 4 }).getTargetPositionValue(1000, 10000), 2500);
+  assert.equal(new PortfolioManager({ maxOpenPositions: 4 }).getTargetPositionValue(1000, 10000), 1000);
+  assert.throws(() => new PortfolioManager({ allocation: 'kelly' }), /Unsupported portfolio allocation/);
+});
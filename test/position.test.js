@@ -0,0 +1,239 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Position } from '../src/position.js';
+import { TrailingProfitMaximizer } from '../src/trailingProfitMaximizer.js';
+
+const SETTINGS = { initialStopDistancePercent: 2, activationThresholdPercent: 1, trailingDistancePercent: 1.5 };
+
+function assertClose(actual, expected, epsilon = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${actual} to be close to ${expected}`);
+}
+
+// Simuliert einen neuen Marktpreis wie applyPrice im Bot
+function movePrice(position, price, settings = SETTINGS) {
+  position.currentPrice = price;
+  position.updatePriceExtremes(price);
+  return position.updateTrailingStop(settings);
+}
+
+test('long positions start with the initial stop below the entry', () => {
+  const position = new Position('BTCUSDT', 100, 1);
+  assertClose(position.updateTrailingStop(SETTINGS), 98);
+});
+
+test('long stops trail the highest price and never move down', () => {
+  const position = new Position('BTCUSDT', 100, 1);
+  position.updateTrailingStop(SETTINGS);
+
+  // Unter der Aktivierungsschwelle bleibt der initiale Stop
+  assertClose(movePrice(position, 100.5), 98);
+
+  assertClose(movePrice(position, 110), 108.35);
+  assertClose(movePrice(position, 105), 108.35);
+  assert.equal(position.isStopHit(108), true);
+  assert.equal(position.isStopHit(109), false);
+});
+
+test('short stops trail the lowest price and never move up', () => {
+  const position = new Position('BTCUSDT', 100, 1, null, 'SHORT');
+  assertClose(position.updateTrailingStop(SETTINGS), 102);
+
+  assertClose(movePrice(position, 90), 91.35);
+  assertClose(movePrice(position, 95), 91.35);
+  assert.equal(position.isStopHit(90, 92), true);
+  assert.equal(position.isStopHit(89, 91), false);
+
+  position.currentPrice = 95;
+  position.updateProfit();
+  assertClose(position.profit, 5);
+  assert.equal(position.getExitSide(), 'BUY');
+});
+
+test('break-even and profit locks raise the stop before trailing is active', () => {
+  const settings = {
+    ...SETTINGS,
+    activationThresholdPercent: 10,
+    breakEvenTriggerPercent: 1,
+    breakEvenOffsetPercent: 0.2,
+    profitLocks: [{ triggerPercent: 4, lockPercent: 2 }]
+  };
+  const position = new Position('BTCUSDT', 100, 1);
+  position.updateTrailingStop(settings);
+  assert.equal(position.stopStage, 'INITIAL');
+
+  assertClose(movePrice(position, 101.5, settings), 100.2);
+  assert.equal(position.stopStage, 'BREAK_EVEN');
+
+  assertClose(movePrice(position, 105, settings), 102);
+  assert.equal(position.stopStage, 'PROFIT_LOCK');
+
+  // Rückgang: der gesicherte Stop bleibt stehen
+  assertClose(movePrice(position, 103, settings), 102);
+  assert.equal(position.stopStage, 'PROFIT_LOCK');
+});
+
+test('short break-even stops sit below the entry', () => {
+  const settings = { ...SETTINGS, activationThresholdPercent: 10, breakEvenTriggerPercent: 1 };
+  const position = new Position('BTCUSDT', 100, 1, null, 'SHORT');
+  position.updateTrailingStop(settings);
+
+  assertClose(movePrice(position, 98, settings), 100);
+  assert.equal(position.stopStage, 'BREAK_EVEN');
+});
+
+test('trailing steps tighten the distance as profit grows', () => {
+  const settings = { ...SETTINGS, trailingSteps: [{ profitPercent: 5, distancePercent: 1 }, { profitPercent: 10, distancePercent: 0.5 }] };
+  const position = new Position('BTCUSDT', 100, 1);
+  position.updateTrailingStop(settings);
+
+  assertClose(movePrice(position, 103, settings), 101.455);
+  assert.equal(position.stopStage, 'TRAILING');
+  assertClose(movePrice(position, 106, settings), 104.94);
+  assertClose(movePrice(position, 120, settings), 119.4);
+});
+
+test('position settings take precedence over the passed settings without being overwritten', () => {
+  const position = new Position('BTCUSDT', 100, 1);
+  position.trailingSettings.trailingDistancePercent = 0.5;
+  position.trailingSettings.profitLocks = [];
+  const settings = { ...SETTINGS, profitLocks: [{ triggerPercent: 2, lockPercent: 1 }] };
+  position.updateTrailingStop(settings);
+
+  assertClose(movePrice(position, 110, settings), 109.45);
+  assert.notEqual(position.stopStage, 'PROFIT_LOCK');
+  assert.equal(position.trailingSettings.trailingDistancePercent, 0.5);
+  assert.equal(position.trailingSettings.initialStopDistancePercent, null);
+});
+
+test('ATR based stops use atr * atrMultiplier as distance', () => {
+  const settings = { ...SETTINGS, atrMultiplier: 2 };
+  const position = new Position('BTCUSDT', 100, 1);
+  position.atr = 1.5;
+
+  assertClose(position.calculateInitialStop(settings), 97);
+  assertClose(position.updateTrailingStop(settings), 97);
+  assertClose(movePrice(position, 110, settings), 107);
+
+  // Eine größere ATR vergrößert den Abstand, der Stop bleibt aber stehen
+  position.atr = 3;
+  assertClose(movePrice(position, 111, settings), 107);
+  assertClose(movePrice(position, 115, settings), 109);
+});
+
+test('ATR based stops fall back to percentages without an ATR', () => {
+  const settings = { ...SETTINGS, atrMultiplier: 2 };
+  const position = new Position('BTCUSDT', 100, 1);
+
+  assertClose(position.updateTrailingStop(settings), 98);
+  assertClose(movePrice(position, 110, settings), 108.35);
+});
+
+// Ohne Gebühren, Spread und Slippage, damit die erwarteten Preise exakt bleiben
+const NO_COSTS = { makerFeePercent: 0, takerFeePercent: 0, spreadBps: 0, slippage: { model: 'fixed', bps: 0 } };
+
+function createBot(options = {}) {
+  return new TrailingProfitMaximizer({
+    tradingMode: 'paper',
+    logLevel: 'silent',
+    exchangeFilters: { enabled: false },
+    skipConnectionTest: true,
+    refreshInterval: Infinity,
+    volatilityUpdateInterval: Infinity,
+    persistence: { enabled: false },
+    priceStream: { enabled: false },
+    paperTrading: { initialBalances: { USDT: 1000 }, externalPriceFeed: true },
+    costModel: NO_COSTS,
+    ...options
+  });
+}
+
+test('new positions use the ATR of the configured interval for the initial stop', async () => {
+  const bot = createBot({ trailingStop: { ...SETTINGS, atrMultiplier: 2, atrPeriod: 2, atrInterval: '4h' } });
+  await bot.initialized;
+  bot.binanceClient.paperExchange.feedPrice('BTCUSDT', 100);
+
+  const requests = [];
+  bot.binanceClient.getHistoricalKlines = async (symbol, interval, limit) => {
+    requests.push([symbol, interval, limit]);
+    // True Ranges 2 und 4 -> ATR 3
+    return [[0, '100', '101', '99', '100'], [1, '100', '101', '99', '100'], [2, '100', '102', '98', '100']];
+  };
+
+  const position = await bot.createNewPosition('BTCUSDT', 1);
+  assert.deepEqual(requests, [['BTCUSDT', '4h', 3]]);
+  assert.equal(position.atr, 3);
+  assertClose(position.currentTrailingStop, 94);
+
+  // Neue ATR-Werte werden in aktive Positionen übernommen
+  bot.setAtr('BTCUSDT', 1);
+  assert.equal(position.atr, 1);
+});
+
+test('short positions need a margin or futures account', async () => {
+  const spotBot = createBot();
+  await spotBot.initialized;
+  spotBot.on('error', () => {});
+  spotBot.binanceClient.paperExchange.feedPrice('BTCUSDT', 100);
+  await assert.rejects(spotBot.createNewPosition('BTCUSDT', 1, 'SHORT'), /short selling requires marketType 'margin' or 'futures'/);
+
+  const bot = createBot({ marketType: 'margin', trailingStop: SETTINGS });
+  await bot.initialized;
+  const exchange = bot.binanceClient.paperExchange;
+  exchange.feedPrice('BTCUSDT', 100);
+
+  const position = await bot.createNewPosition('BTCUSDT', 1, 'SHORT');
+  assert.equal(position.side, 'SHORT');
+  assertClose(position.currentTrailingStop, 102);
+  const stopOrder = exchange.getOrder('BTCUSDT', position.stopOrderId);
+  assert.equal(stopOrder.side, 'BUY');
+  assert.equal(exchange.getBalance('BTC').free, -1);
+
+  // Der Kurs steigt auf den Stop: die Stop-Order kauft zurück und tilgt das geliehene Asset
+  exchange.feedPrice('BTCUSDT', 102);
+  await bot.reconcilePositions();
+  assert.equal(position.status, 'CLOSED');
+  assertClose(bot.profitHistory[0].profit, -2);
+  assertClose(exchange.getBalance('BTC').free, 0);
+});
+
+test('per-position settings win over the global trailingStop config', async () => {
+  const bot = createBot({ trailingStop: SETTINGS, stopOrderUpdates: { minMovePercent: 0, minIntervalMs: 0 } });
+  await bot.initialized;
+  const exchange = bot.binanceClient.paperExchange;
+  exchange.feedPrice('BTCUSDT', 100);
+
+  const position = await bot.createNewPosition('BTCUSDT', 1, 'LONG', {
+    trailingSettings: { initialStopDistancePercent: 5, activationThresholdPercent: 10, breakEvenTriggerPercent: 0.5, breakEvenOffsetPercent: 0 }
+  });
+  assertClose(position.currentTrailingStop, 95);
+
+  // Global wäre Trailing bei +1 % aktiv; die Position zieht nur auf Break-Even
+  exchange.feedPrice('BTCUSDT', 103);
+  bot.applyPrice(position, 103);
+  await bot.updateTrailingStops();
+  assert.equal(position.stopStage, 'BREAK_EVEN');
+  assertClose(position.currentTrailingStop, 100);
+  assertClose(position.stopOrderPrice, 100);
+});
+
+test('openPosition passes per-position settings on to the new position', async () => {
+  const bot = createBot({ trailingStop: SETTINGS, positionSize: 200 });
+  await bot.initialized;
+  bot.binanceClient.paperExchange.feedPrice('BTCUSDT', 100);
+
+  const position = await bot.openPosition('BTCUSDT', 'LONG', null, { trailingSettings: { initialStopDistancePercent: 4 } });
+  assert.equal(position.quantity, 2);
+  assert.equal(position.trailingSettings.initialStopDistancePercent, 4);
+  assertClose(position.currentTrailingStop, 96);
+});
+
+test('risk sizing uses the initial stop from the per-position settings', async () => {
+  const bot = createBot({ trailingStop: SETTINGS, sizing: { method: 'risk', riskPercent: 1 } });
+  await bot.initialized;
+  bot.binanceClient.paperExchange.feedPrice('BTCUSDT', 100);
+
+  // 1% von 1000 USDT Risiko bei 5% Stop-Abstand statt der globalen 2%
+  const position = await bot.openPosition('BTCUSDT', 'LONG', null, { trailingSettings: { initialStopDistancePercent: 5 } });
+  assertClose(position.quantity, 2);
+  assertClose(position.currentTrailingStop, 95);
+});
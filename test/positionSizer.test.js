@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PositionSizer } from '../src/positionSizer.js';
+
+function assertClose(actual, expected, epsilon = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${actual} to be close to ${expected}`);
+}
+
+// Trades mit 60% Trefferquote, durchschnittlicher Gewinn 2%, Verlust 1% -> Kelly 0.4
+const TRADES = [2, -1, 2, -1, 2, -1, 2, -1, 2, 2].map(profitPercent => ({ profitPercent }));
+
+test('fixed sizing buys the fixed value', () => {
+  const sizer = new PositionSizer();
+  const result = sizer.calculate({ equity: 10000, price: 100, stopPrice: 98, fixedValue: 1000 });
+  assert.equal(result.quantity, 10);
+  assert.equal(result.reason, null);
+});
+
+test('risk sizing loses riskPercent of equity at the initial stop including costs', () => {
+  const sizer = new PositionSizer({ method: 'risk', riskPercent: 1 });
+  assertClose(sizer.calculate({ equity: 10000, price: 100, stopPrice: 95, fixedValue: 1000 }).quantity, 20);
+
+  const withCosts = sizer.calculate({ equity: 10000, price: 100, stopPrice: 95, costRate: 0.001, fixedValue: 1000 });
+  assertClose(withCosts.quantity, 100 / 5.2);
+  assertClose(withCosts.riskAmount, 100);
+});
+
+test('risk sizing falls back to the fixed size without a stop', () => {
+  const sizer = new PositionSizer({ method: 'risk', riskPercent: 1 });
+  const result = sizer.calculate({ equity: 10000, price: 100, stopPrice: 0, fixedValue: 1000 });
+  assert.equal(result.quantity, 10);
+  assert.match(result.reason, /no stop distance/);
+});
+
+test('volatility sizing targets a share of equity per ATR', () => {
+  const sizer = new PositionSizer({ method: 'volatility', volatilityTargetPercent: 1 });
+  assertClose(sizer.calculate({ equity: 10000, price: 100, stopPrice: 95, atr: 4, fixedValue: 1000 }).quantity, 25);
+  assert.match(sizer.calculate({ equity: 10000, price: 100, atr: null, fixedValue: 1000 }).reason, /no ATR/);
+});
+
+test('getKellyFraction needs enough trades', () => {
+  const sizer = new PositionSizer({ kelly: { enabled: true, minTrades: 20 } });
+  assert.equal(sizer.getKellyFraction(TRADES), null);
+
+  const lenient = new PositionSizer({ kelly: { enabled: true, minTrades: 5 } });
+  assertClose(lenient.getKellyFraction(TRADES), 0.4);
+  assert.equal(lenient.getKellyFraction([{ profitPercent: 1 }, { profitPercent: 2 }, { profitPercent: 3 }, { profitPercent: 1 }, { profitPercent: 1 }]), 1);
+});
+
+test('the Kelly criterion caps the risk per trade', () => {
+  const sizer = new PositionSizer({ method: 'risk', riskPercent: 50, kelly: { enabled: true, multiplier: 0.5 } });
+  const result = sizer.calculate({ equity: 10000, price: 100, stopPrice: 95, fixedValue: 1000, trades: TRADES });
+
+  // Höchstens Kelly 0.4 * 0.5 = 20% des Kapitals bei 5 Verlust pro Einheit
+  assertClose(result.quantity, 400);
+  assert.match(result.reason, /capped by Kelly fraction 0.400 to risk 20.00% of equity/);
+});
+
+test('without an edge Kelly only allows floorPercent', () => {
+  const losses = Array.from({ length: 5 }, () => ({ profitPercent: -1 }));
+  const sizer = new PositionSizer({ method: 'risk', riskPercent: 1, kelly: { enabled: true, floorPercent: 0.5 } });
+  assertClose(sizer.calculate({ equity: 10000, price: 100, stopPrice: 95, fixedValue: 1000, trades: losses }).quantity, 10);
+});
+
+test('rejects unknown sizing methods', () => {
+  assert.throws(() => new PositionSizer({ method: 'martingale' }), /Unsupported sizing method: martingale/);
+});
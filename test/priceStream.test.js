@@ -0,0 +1,257 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { WebSocketServer } from 'ws';
+import { PriceStream } from '../src/priceStream.js';
+import { Position } from '../src/position.js';
+import { TrailingProfitMaximizer } from '../src/trailingProfitMaximizer.js';
+
+// Logger ohne Ausgabe, der die Meldungen für Prüfungen sammelt
+function createLogger() {
+  const messages = { debug: [], info: [], warn: [], error: [] };
+  const logger = {};
+  for (const level of Object.keys(messages)) {
+    logger[level] = (message) => messages[level].push(message);
+  }
+  return { logger, messages };
+}
+
+// Lokaler WebSocket-Server; options werden an WebSocketServer durchgereicht (z.B. verifyClient, autoPong)
+async function startServer(options = {}) {
+  const server = new WebSocketServer({ host: '127.0.0.1', port: 0, ...options });
+  await once(server, 'listening');
+  const connections = [];
+  server.on('connection', (socket) => {
+    // Nachrichten sofort puffern, sonst gehen die direkt nach dem Verbindungsaufbau gesendeten verloren
+    socket.received = [];
+    socket.on('message', (data) => socket.received.push(JSON.parse(data.toString())));
+    connections.push(socket);
+  });
+  return { server, connections, url: `ws://127.0.0.1:${server.address().port}` };
+}
+
+// Wartet, bis condition() erfüllt ist (Polling, da Reconnects über Timer laufen)
+async function waitFor(condition, timeoutMs = 3000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const cleanups = [];
+afterEach(async () => {
+  for (const cleanup of cleanups.splice(0).reverse()) {
+    await cleanup();
+  }
+});
+
+function track(stream, server) {
+  cleanups.push(() => new Promise(resolve => server.close(() => resolve())));
+  cleanups.push(() => stream.stop());
+  // Ohne Listener würde ein 'error'-Event des EventEmitters den Test abbrechen
+  stream.on('error', () => {});
+  return stream;
+}
+
+test('subscribes to the configured symbols and emits trade prices', async () => {
+  const { server, connections, url } = await startServer();
+  const stream = track(new PriceStream({ url, logger: createLogger().logger }), server);
+
+  stream.setSymbols(['btcusdt']);
+  stream.start();
+  await once(stream, 'connected');
+  await waitFor(() => connections.length === 1 && connections[0].received.length === 1);
+  const [subscribe] = connections[0].received;
+  assert.equal(subscribe.method, 'SUBSCRIBE');
+  assert.deepEqual(subscribe.params, ['btcusdt@trade']);
+
+  const pricePromise = once(stream, 'price');
+  connections[0].send(JSON.stringify({ e: 'trade', s: 'ETHUSDT', p: '2000', T: 1 })); // nicht abonniert
+  connections[0].send(JSON.stringify({ e: 'trade', s: 'BTCUSDT', p: '42000.5', T: 1700000000000 }));
+  const [tick] = await pricePromise;
+
+  assert.deepEqual(tick, { symbol: 'BTCUSDT', price: 42000.5, timestamp: 1700000000000 });
+  assert.equal(stream.isLive('BTCUSDT', 1000), true);
+  assert.equal(stream.isLive('ETHUSDT', 1000), false);
+});
+
+test('sends SUBSCRIBE and UNSUBSCRIBE when the symbols change', async () => {
+  const { server, connections, url } = await startServer();
+  const stream = track(new PriceStream({ url, logger: createLogger().logger }), server);
+
+  stream.setSymbols(['BTCUSDT']);
+  stream.start();
+  await once(stream, 'connected');
+  await waitFor(() => connections.length === 1 && connections[0].received.length === 1);
+
+  stream.setSymbols(['ETHUSDT']);
+  await waitFor(() => connections[0].received.length === 3);
+
+  assert.deepEqual(connections[0].received.slice(1).map(message => [message.method, message.params]), [
+    ['SUBSCRIBE', ['ethusdt@trade']],
+    ['UNSUBSCRIBE', ['btcusdt@trade']]
+  ]);
+});
+
+test('uses the mid price of bookTicker messages', async () => {
+  const { server, connections, url } = await startServer();
+  const stream = track(new PriceStream({ url, streamType: 'bookTicker', logger: createLogger().logger }), server);
+
+  stream.setSymbols(['BTCUSDT']);
+  stream.start();
+  await waitFor(() => connections.length === 1 && connections[0].received.length === 1);
+  assert.deepEqual(connections[0].received[0].params, ['btcusdt@bookTicker']);
+
+  const pricePromise = once(stream, 'price');
+  connections[0].send(JSON.stringify({ u: 1, s: 'BTCUSDT', b: '100', B: '1', a: '102', A: '1' }));
+  const [tick] = await pricePromise;
+  assert.equal(tick.price, 101);
+});
+
+test('reconnects with exponential backoff up to maxReconnectDelayMs', async () => {
+  // Der Server lehnt die ersten Verbindungsversuche ab
+  let attempts = 0;
+  let accept = false;
+  const { server, url } = await startServer({
+    verifyClient: (info, done) => {
+      attempts++;
+      done(accept, 503);
+    }
+  });
+  const { logger, messages } = createLogger();
+  const stream = track(new PriceStream({ url, reconnectDelayMs: 20, maxReconnectDelayMs: 80, logger }), server);
+
+  stream.start();
+  await waitFor(() => attempts >= 5);
+
+  const delays = messages.info
+    .map(message => message.match(/Reconnecting price stream in (\d+)ms/))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+  assert.deepEqual(delays.slice(0, 4), [20, 40, 80, 80]);
+
+  // Nach erfolgreichem Verbindungsaufbau beginnt das Backoff von vorn
+  // (nicht once(), das bei einem 'error' eines noch laufenden abgelehnten Versuchs abbricht)
+  accept = true;
+  await new Promise(resolve => stream.once('connected', resolve));
+  assert.equal(stream.reconnectAttempts, 0);
+});
+
+test('detects a stale connection and reconnects', async () => {
+  // Ohne automatische Pongs bleibt die Verbindung offen, liefert aber keine Lebenszeichen
+  const { server, connections, url } = await startServer({ autoPong: false });
+  const { logger } = createLogger();
+  const stream = track(new PriceStream({ url, heartbeatTimeoutMs: 200, reconnectDelayMs: 20, logger }), server);
+
+  const events = [];
+  for (const event of ['connected', 'stale', 'disconnected']) {
+    stream.on(event, () => events.push(event));
+  }
+
+  stream.start();
+  await waitFor(() => connections.length === 2);
+  await waitFor(() => stream.connected);
+
+  assert.deepEqual(events.slice(0, 4), ['connected', 'stale', 'disconnected', 'connected']);
+});
+
+test('refreshPrices polls only symbols without a live stream', async () => {
+  const { server, connections, url } = await startServer();
+  const stream = track(new PriceStream({ url, logger: createLogger().logger }), server);
+
+  const bot = new TrailingProfitMaximizer({
+    tradingMode: 'paper',
+    logLevel: 'silent',
+    exchangeFilters: { enabled: false },
+    skipConnectionTest: true,
+    volatilityUpdateInterval: Infinity,
+    persistence: { enabled: false },
+    priceStream: { enabled: false }
+  });
+  await bot.initialized;
+  cleanups.push(() => bot.stopTimers());
+
+  const polled = [];
+  bot.binanceClient.getPrice = async (symbol) => {
+    polled.push(symbol);
+    return { symbol, price: '110' };
+  };
+  bot.updateTrailingStops = async () => {};
+
+  for (const symbol of ['BTCUSDT', 'ETHUSDT']) {
+    const position = new Position(symbol, 100, 1);
+    position.status = 'ACTIVE';
+    bot.positions.push(position);
+  }
+
+  bot.priceStream = stream;
+  stream.setSymbols(['BTCUSDT', 'ETHUSDT']);
+  stream.start();
+  await waitFor(() => connections.length === 1);
+  const pricePromise = once(stream, 'price');
+  connections[0].send(JSON.stringify({ e: 'trade', s: 'BTCUSDT', p: '105', T: Date.now() }));
+  await pricePromise;
+
+  // BTCUSDT kommt über den Stream, nur ETHUSDT wird gepollt
+  await bot.refreshPrices();
+  assert.deepEqual(polled, ['ETHUSDT']);
+  assert.equal(bot.positions[1].currentPrice, 110);
+
+  // Ohne Verbindung fällt der Bot für alle Symbole auf Polling zurück
+  stream.stop();
+  polled.length = 0;
+  await bot.refreshPrices();
+  assert.deepEqual(polled, ['BTCUSDT', 'ETHUSDT']);
+  assert.equal(bot.positions[0].currentPrice, 110);
+});
+
+test('stop orders follow the trailing stop only after the minimum move and interval', async () => {
+  const bot = new TrailingProfitMaximizer({
+    tradingMode: 'paper',
+    logLevel: 'silent',
+    exchangeFilters: { enabled: false },
+    skipConnectionTest: true,
+    refreshInterval: Infinity,
+    volatilityUpdateInterval: Infinity,
+    persistence: { enabled: false },
+    priceStream: { enabled: false },
+    paperTrading: { initialBalances: { USDT: 1000 }, externalPriceFeed: true },
+    costModel: { makerFeePercent: 0, takerFeePercent: 0, spreadBps: 0, slippage: { model: 'fixed', bps: 0 } },
+    trailingStop: { initialStopDistancePercent: 2, activationThresholdPercent: 1, trailingDistancePercent: 1 },
+    stopOrderUpdates: { minMovePercent: 0.5, minIntervalMs: 1000 }
+  });
+  await bot.initialized;
+  const exchange = bot.binanceClient.paperExchange;
+
+  // Neuer Preis zur angegebenen Zeit (ms seit Start) wie ein Stream-Tick
+  const tick = async (price, time) => {
+    exchange.feedPrice('BTCUSDT', price, time);
+    bot.handlePriceTick({ symbol: 'BTCUSDT', price, timestamp: time });
+    await bot.updateQueue;
+  };
+
+  exchange.feedPrice('BTCUSDT', 100, 0);
+  const position = await bot.createNewPosition('BTCUSDT', 1);
+  const updates = [];
+  bot.on('stopUpdated', () => updates.push(position.stopOrderPrice));
+
+  // Trailing aktiv (Stop 108.9), aber die letzte Order-Änderung liegt erst 500 ms zurück
+  await tick(110, 500);
+  assert.equal(position.currentTrailingStop, 108.9);
+  assert.equal(position.stopOrderPrice, 98);
+
+  await tick(110, 1000);
+  assert.deepEqual(updates, [108.9]);
+
+  // 0.1 % Bewegung liegt unter minMovePercent: nur der Stop im Bot zieht nach
+  await tick(110.1, 5000);
+  assert.ok(position.currentTrailingStop > 108.9);
+  assert.deepEqual(updates, [108.9]);
+
+  // Erreicht der Kurs den Stop des Bots, wird sofort gehandelt und die Position geschlossen
+  await tick(108.95, 5100);
+  assert.equal(position.status, 'CLOSED');
+  assert.equal(bot.profitHistory[0].reason, 'Stop level crossed before order update');
+  assert.equal(exchange.getBalance('BTC').free, 0);
+});
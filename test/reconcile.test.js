@@ -0,0 +1,144 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { TrailingProfitMaximizer } from '../src/trailingProfitMaximizer.js';
+
+const cleanups = [];
+afterEach(async () => {
+  while (cleanups.length > 0) await cleanups.pop()();
+});
+
+// Ohne Gebühren, Spread und Slippage, damit die erwarteten Preise exakt bleiben
+const NO_COSTS = { makerFeePercent: 0, takerFeePercent: 0, spreadBps: 0, slippage: { model: 'fixed', bps: 0 } };
+
+async function createBot(options = {}) {
+  const bot = new TrailingProfitMaximizer({
+    tradingMode: 'paper',
+    logLevel: 'silent',
+    exchangeFilters: { enabled: false },
+    skipConnectionTest: true,
+    refreshInterval: Infinity,
+    volatilityUpdateInterval: Infinity,
+    persistence: { enabled: false },
+    paperTrading: { initialBalances: { USDT: 1000 }, externalPriceFeed: true },
+    costModel: NO_COSTS,
+    ...options
+  });
+  bot.binanceClient.paperExchange.feedPrice('BTCUSDT', 100);
+  await bot.initialized;
+  return bot;
+}
+
+function assertClose(actual, expected, epsilon = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${actual} to be close to ${expected}`);
+}
+
+test('positions without divergence are left alone', async () => {
+  const bot = await createBot();
+  await bot.createNewPosition('BTCUSDT', 2);
+
+  assert.deepEqual(await bot.reconcilePositions(), []);
+  assert.equal(bot.getActivePositions().length, 1);
+});
+
+test('stops filled on the exchange close the position at the fill price', async () => {
+  const bot = await createBot();
+  const position = await bot.createNewPosition('BTCUSDT', 2);
+  const events = [];
+  bot.on('positionReconciled', result => events.push(result));
+
+  // Der Kurs fällt auf den Stop, die Stop-Limit-Order wird zum aktuellen Kurs gefüllt
+  const stopPrice = position.currentTrailingStop;
+  bot.binanceClient.paperExchange.feedPrice('BTCUSDT', stopPrice);
+
+  const [result] = await bot.reconcilePositions();
+  assert.equal(result.action, 'closed');
+  assertClose(result.fillPrice, stopPrice);
+  assert.equal(position.status, 'CLOSED');
+  assert.equal(bot.profitHistory.length, 1);
+  assertClose(bot.profitHistory[0].profit, 2 * (stopPrice - 100));
+  assert.deepEqual(events, [result]);
+});
+
+test('triggered stops whose limit was skipped are reported but kept', async () => {
+  const bot = await createBot();
+  const position = await bot.createNewPosition('BTCUSDT', 2);
+
+  // Kurslücke durch Stop und Limit
+  bot.binanceClient.paperExchange.feedPrice('BTCUSDT', 90);
+
+  const [result] = await bot.reconcilePositions();
+  assert.equal(result.action, 'stopTriggeredUnfilled');
+  assert.equal(position.status, 'ACTIVE');
+});
+
+test('externally cancelled stops are re-created at the current stop price', async () => {
+  const bot = await createBot();
+  const position = await bot.createNewPosition('BTCUSDT', 2);
+  const oldOrderId = position.stopOrderId;
+  await bot.binanceClient.cancelOrder('BTCUSDT', oldOrderId);
+
+  const [result] = await bot.reconcilePositions();
+  assert.equal(result.action, 'stopReplaced');
+  assert.equal(result.orderStatus, 'CANCELED');
+  assert.notEqual(position.stopOrderId, oldOrderId);
+
+  const order = await bot.binanceClient.getOrderStatus('BTCUSDT', position.stopOrderId);
+  assert.equal(order.status, 'NEW');
+  assert.equal(Number(order.stopPrice), position.currentTrailingStop);
+});
+
+test('positions sold outside of the bot are closed locally', async () => {
+  const bot = await createBot();
+  const position = await bot.createNewPosition('BTCUSDT', 2);
+  await bot.binanceClient.cancelOrder('BTCUSDT', position.stopOrderId);
+  await bot.binanceClient.createMarketOrder('BTCUSDT', 'SELL', 2);
+
+  bot.binanceClient.paperExchange.feedPrice('BTCUSDT', 101);
+  const [result] = await bot.reconcilePositions();
+
+  assert.equal(result.action, 'closedExternally');
+  assert.equal(position.status, 'CLOSED');
+  assert.equal(result.trade.exitPrice, 101);
+});
+
+test('partial fills are booked once as separate trades', async () => {
+  const bot = await createBot();
+  const position = await bot.createNewPosition('BTCUSDT', 2);
+  bot.binanceClient.getOrderStatus = async () => ({
+    status: 'PARTIALLY_FILLED', origQty: '2', executedQty: '0.5', cummulativeQuoteQty: '49'
+  });
+
+  const [result] = await bot.reconcilePositions();
+  assert.equal(result.action, 'partialFill');
+  assert.equal(result.filledQuantity, 0.5);
+  assert.equal(position.quantity, 1.5);
+  assert.deepEqual(bot.profitHistory.map(trade => [trade.quantity, trade.exitPrice, trade.partial]), [[0.5, 98, true]]);
+
+  // Dieselbe Teilausführung wird beim nächsten Abgleich nicht erneut verbucht
+  assert.deepEqual(await bot.reconcilePositions(), []);
+  assert.equal(bot.profitHistory.length, 1);
+});
+
+test('stops filled while the bot was down are reconciled on restart', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'reconcile-'));
+  cleanups.push(() => fs.rm(directory, { recursive: true, force: true }));
+  const persistence = { enabled: true, directory };
+
+  const first = await createBot({ persistence });
+  const position = await first.createNewPosition('BTCUSDT', 2);
+
+  // Während der Downtime löst der Stop an der Exchange aus
+  const state = JSON.parse(await fs.readFile(path.join(directory, 'state-paper.json'), 'utf8'));
+  first.binanceClient.paperExchange.feedPrice('BTCUSDT', position.currentTrailingStop);
+  state.paperExchange = first.binanceClient.paperExchange.toJSON();
+  await fs.writeFile(path.join(directory, 'state-paper.json'), JSON.stringify(state));
+
+  const second = await createBot({ persistence });
+
+  assert.equal(second.getActivePositions().length, 0);
+  assert.equal(second.profitHistory.length, 1);
+  assert.equal(second.profitHistory[0].reason, 'StopLoss (filled on exchange)');
+});
@@ -0,0 +1,89 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { tradesToCsv, renderHtmlReport, writeBacktestReport } from '../src/reportWriter.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+const cleanups = [];
+afterEach(async () => {
+  while (cleanups.length > 0) await cleanups.pop()();
+});
+
+function createResults() {
+  const trade = {
+    symbol: 'BTCUSDT',
+    side: 'LONG',
+    quantity: 2,
+    entryPrice: 100,
+    exitPrice: 95,
+    initialStopPrice: 95,
+    profit: -10,
+    profitPercent: -5,
+    rMultiple: -1,
+    openDate: new Date(START + HOUR),
+    closeDate: new Date(START + 2 * HOUR),
+    reason: 'StopLoss, "gap" <open>'
+  };
+  return {
+    initialBalance: 1000,
+    finalBalance: 990,
+    finalEquity: 990,
+    trades: [trade, { ...trade, partial: true, reason: 'TakeProfit 1 (+2%)', profit: 4 }],
+    symbols: { BTCUSDT: { trades: 2, profit: -6, fees: 0 } },
+    equityCurve: [0, 1, 2].map(i => ({ time: START + i * HOUR, equity: 1000 - i * 5, openPositions: i === 1 ? 1 : 0, benchmark: 1000 })),
+    drawdownCurve: [0, 1, 2].map(i => ({ time: START + i * HOUR, drawdown: i * 5, drawdownPercent: i * 0.5 })),
+    stopHistory: [{ time: START + HOUR, symbol: 'BTCUSDT', positionOpenDate: new Date(START + HOUR).toISOString(), stopPrice: 95 }],
+    metrics: { totalReturnPercent: -1, maxDrawdownPercent: 1, expectancyR: -1, benchmark: { totalReturnPercent: 0, maxDrawdownPercent: 0, excessReturnPercent: -1 } }
+  };
+}
+
+test('tradesToCsv writes one row per trade and quotes special characters', () => {
+  const lines = tradesToCsv(createResults().trades).trimEnd().split('\n');
+  assert.equal(lines.length, 3);
+  assert.ok(lines[0].startsWith('symbol,side,partial,quantity,entryPrice,exitPrice'));
+
+  const columns = lines[0].split(',');
+  assert.equal(lines[1].split(',')[columns.indexOf('partial')], 'false');
+  assert.ok(lines[1].includes(',2024-01-01T01:00:00.000Z,'));
+  assert.ok(lines[1].endsWith('"StopLoss, ""gap"" <open>"'));
+  assert.equal(lines[2].split(',')[columns.indexOf('partial')], 'true');
+});
+
+test('renderHtmlReport escapes text and draws equity, benchmark and price charts', () => {
+  const kline = i => [START + i * HOUR, '100', '101', '94', '96', '1', START + (i + 1) * HOUR - 1];
+  const html = renderHtmlReport(createResults(), { title: 'BTC <test>', klinesBySymbol: { BTCUSDT: [kline(0), kline(1), kline(2)] } });
+
+  assert.ok(html.startsWith('<!DOCTYPE html>'));
+  assert.ok(html.includes('<h1>BTC &lt;test&gt;</h1>'));
+  assert.ok(html.includes('StopLoss, &quot;gap&quot; &lt;open&gt;'));
+  assert.ok(!html.includes('<open>'));
+  assert.ok(html.includes('Buy and hold'));
+  assert.ok(html.includes('BTCUSDT price, entries, exits and stops'));
+  assert.equal((html.match(/<svg/g) || []).length, 3);
+  assert.ok(html.includes('LONG (partial)'));
+});
+
+test('writeBacktestReport writes the report, the trades and the results', async () => {
+  const parent = await fs.mkdtemp(path.join(os.tmpdir(), 'report-'));
+  cleanups.push(() => fs.rm(parent, { recursive: true, force: true }));
+  const directory = path.join(parent, 'nested', 'run');
+
+  const files = await writeBacktestReport(directory, createResults(), { config: { positionSize: 100 } });
+
+  assert.deepEqual(files, {
+    html: path.join(directory, 'report.html'),
+    csv: path.join(directory, 'trades.csv'),
+    json: path.join(directory, 'results.json')
+  });
+  assert.match(await fs.readFile(files.html, 'utf8'), /<title>Backtest BTCUSDT<\/title>/);
+  assert.equal((await fs.readFile(files.csv, 'utf8')).trimEnd().split('\n').length, 3);
+
+  const json = JSON.parse(await fs.readFile(files.json, 'utf8'));
+  assert.equal(json.finalBalance, 990);
+  assert.deepEqual(json.config, { positionSize: 100 });
+  assert.equal(json.trades[0].openDate, '2024-01-01T01:00:00.000Z');
+});
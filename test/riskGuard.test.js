@@ -0,0 +1,141 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { RiskGuard } from '../src/riskGuard.js';
+import { TrailingProfitMaximizer } from '../src/trailingProfitMaximizer.js';
+
+const cleanups = [];
+afterEach(async () => {
+  while (cleanups.length > 0) await cleanups.pop()();
+});
+
+async function createBot(directory) {
+  const bot = new TrailingProfitMaximizer({
+    tradingMode: 'paper',
+    logLevel: 'silent',
+    exchangeFilters: { enabled: false },
+    skipConnectionTest: true,
+    refreshInterval: Infinity,
+    volatilityUpdateInterval: Infinity,
+    persistence: { enabled: true, directory },
+    priceStream: { enabled: false },
+    paperTrading: { initialBalances: { USDT: 1000 }, externalPriceFeed: true },
+    riskLimits: { maxTradesPerDay: 1 }
+  });
+  bot.binanceClient.paperExchange.feedPrice('BTCUSDT', 100);
+  bot.binanceClient.paperExchange.feedPrice('ETHUSDT', 50);
+  await bot.initialized;
+  return bot;
+}
+
+const DAY1 = Date.UTC(2024, 0, 1, 10);
+const DAY2 = Date.UTC(2024, 0, 2, 10);
+
+test('is disabled without limits', () => {
+  const guard = new RiskGuard();
+  assert.equal(guard.isEnabled(), false);
+  assert.equal(guard.check(null, DAY1), null);
+});
+
+test('halts on the daily loss and stays halted until reset', () => {
+  const guard = new RiskGuard({ maxDailyLossPercent: 5 });
+  assert.equal(guard.needsEquity(), true);
+  assert.equal(guard.check(10000, DAY1), null);
+  assert.equal(guard.check(9600, DAY1 + 1000), null);
+
+  const breach = guard.check(9500, DAY1 + 2000);
+  assert.equal(breach.limit, 'maxDailyLossPercent');
+  assert.match(breach.reason, /daily loss 5.00% >= 5%/);
+  assert.equal(guard.isHalted(), true);
+
+  // Auch ein erholtes Kapital hebt den Kill-Switch nicht auf
+  assert.equal(guard.check(10000, DAY2), breach);
+
+  guard.reset(9500, DAY2);
+  assert.equal(guard.isHalted(), false);
+  assert.equal(guard.check(9500, DAY2), null);
+});
+
+test('measures the daily loss from the start of each UTC day', () => {
+  const guard = new RiskGuard({ maxDailyLossPercent: 5 });
+  guard.check(10000, DAY1);
+  guard.check(9600, DAY1 + 1000);
+
+  // Neuer Tag: 9600 ist der neue Tagesbeginn
+  assert.equal(guard.check(9600, DAY2), null);
+  assert.equal(guard.check(9200, DAY2 + 1000), null);
+  assert.equal(guard.check(9100, DAY2 + 2000).limit, 'maxDailyLossPercent');
+});
+
+test('halts on the drawdown from the equity peak', () => {
+  const guard = new RiskGuard({ maxDrawdownPercent: 10 });
+  guard.check(10000, DAY1);
+  guard.check(12000, DAY2);
+  assert.equal(guard.check(10900, DAY2 + 1000), null);
+  assert.equal(guard.check(10800, DAY2 + 2000).limit, 'maxDrawdownPercent');
+});
+
+test('counts consecutive losses but ignores partial exits', () => {
+  const guard = new RiskGuard({ maxConsecutiveLosses: 2 });
+  guard.recordTrade({ profit: -10 });
+  guard.recordTrade({ profit: 5, partial: true });
+  assert.equal(guard.check(null, DAY1), null);
+
+  guard.recordTrade({ profit: -10 });
+  assert.equal(guard.check(null, DAY1).limit, 'maxConsecutiveLosses');
+});
+
+test('a winning trade ends the losing streak', () => {
+  const guard = new RiskGuard({ maxConsecutiveLosses: 2 });
+  guard.recordTrade({ profit: -10 });
+  guard.recordTrade({ profit: 10 });
+  guard.recordTrade({ profit: -10 });
+  assert.equal(guard.check(null, DAY1), null);
+});
+
+test('limits the entries per day', () => {
+  const guard = new RiskGuard({ maxTradesPerDay: 2 });
+  guard.recordEntry(DAY1);
+  guard.recordEntry(DAY1 + 1000);
+
+  // Nur vor einem Einstieg zählt das Limit
+  assert.equal(guard.check(null, DAY1 + 2000), null);
+  assert.equal(guard.check(null, DAY1 + 2000, { entry: true }).limit, 'maxTradesPerDay');
+
+  const nextDay = new RiskGuard({ maxTradesPerDay: 2 });
+  nextDay.recordEntry(DAY1);
+  nextDay.recordEntry(DAY1 + 1000);
+  assert.equal(nextDay.check(null, DAY2, { entry: true }), null);
+});
+
+test('restores its state from toJSON', () => {
+  const guard = new RiskGuard({ maxConsecutiveLosses: 1 });
+  guard.recordTrade({ profit: -1 });
+  guard.check(null, DAY1);
+
+  const restored = new RiskGuard({ maxConsecutiveLosses: 1 });
+  restored.restore(JSON.parse(JSON.stringify(guard.toJSON())));
+  assert.equal(restored.isHalted(), true);
+  assert.equal(restored.state.halted.limit, 'maxConsecutiveLosses');
+});
+
+test('the bot rejects entries while halted and keeps the kill switch across restarts', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'risk-'));
+  cleanups.push(() => fs.rm(directory, { recursive: true, force: true }));
+
+  const bot = await createBot(directory);
+  const rejected = [];
+  bot.on('entryRejected', entry => rejected.push(entry));
+  assert.ok(await bot.openPosition('BTCUSDT'));
+  assert.equal(await bot.openPosition('ETHUSDT'), null);
+  assert.match(rejected[0].reason, /trading halted by risk limit/);
+
+  const restarted = await createBot(directory);
+  assert.equal(restarted.riskGuard.isHalted(), true);
+  assert.equal(await restarted.openPosition('ETHUSDT'), null);
+
+  await restarted.resetRiskGuard();
+  assert.equal(restarted.riskGuard.isHalted(), false);
+});
@@ -0,0 +1,136 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { StateStore } from '../src/stateStore.js';
+import { Position } from '../src/position.js';
+import { PaperExchange } from '../src/paperExchange.js';
+import { TrailingProfitMaximizer } from '../src/trailingProfitMaximizer.js';
+
+const cleanups = [];
+afterEach(async () => {
+  while (cleanups.length > 0) await cleanups.pop()();
+});
+
+async function createTempDir() {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'state-'));
+  cleanups.push(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+async function createBot(directory, price = 100) {
+  const bot = new TrailingProfitMaximizer({
+    tradingMode: 'paper',
+    logLevel: 'silent',
+    exchangeFilters: { enabled: false },
+    skipConnectionTest: true,
+    refreshInterval: Infinity,
+    volatilityUpdateInterval: Infinity,
+    persistence: { enabled: true, directory },
+    paperTrading: { initialBalances: { USDT: 1000 }, externalPriceFeed: true }
+  });
+  bot.binanceClient.paperExchange.feedPrice('BTCUSDT', price);
+  await bot.initialized;
+  return bot;
+}
+
+test('StateStore returns null before the first save and keeps the last write', async () => {
+  const directory = await createTempDir();
+  const store = new StateStore(path.join(directory, 'nested', 'state.json'));
+  assert.equal(await store.load(), null);
+
+  // Schreibvorgänge werden in Aufrufreihenfolge ausgeführt
+  const writes = [store.save({ counter: 1 }), store.save({ counter: 2 }), store.save({ counter: 3 })];
+  await Promise.all(writes);
+
+  const state = await store.load();
+  assert.equal(state.counter, 3);
+  assert.ok(!Number.isNaN(Date.parse(state.savedAt)));
+  assert.deepEqual(await fs.readdir(path.join(directory, 'nested')), ['state.json']);
+});
+
+test('StateStore reports unreadable state files', async () => {
+  const directory = await createTempDir();
+  const filePath = path.join(directory, 'state.json');
+  await fs.writeFile(filePath, '{ broken');
+
+  await assert.rejects(new StateStore(filePath).load(), /Could not read state file/);
+});
+
+test('Position.fromJSON restores a serialized position', () => {
+  const position = new Position('BTCUSDT', 100, 2, 7);
+  position.status = 'ACTIVE';
+  position.stopOrderId = 8;
+  position.highestPrice = 110;
+  position.currentPrice = 105;
+  position.setInitialStop(98);
+  position.currentTrailingStop = 108;
+  position.updateProfit();
+  position.tags = ['manual'];
+
+  const restored = Position.fromJSON(JSON.parse(JSON.stringify(position.toJSON())));
+
+  assert.ok(restored instanceof Position);
+  assert.deepEqual(restored.toJSON(), position.toJSON());
+  assert.ok(restored.openDate instanceof Date);
+});
+
+test('PaperExchange state survives a round trip without prices', () => {
+  const exchange = new PaperExchange({ initialBalances: { USDT: 1000 } });
+  exchange.feedPrice('BTCUSDT', 100);
+  exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 2 });
+  const stop = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'STOP_LOSS_LIMIT', quantity: 2, stopPrice: 95, price: 94 });
+
+  const restored = new PaperExchange();
+  restored.restore(JSON.parse(JSON.stringify(exchange.toJSON())));
+
+  assert.deepEqual(restored.balances, exchange.balances);
+  assert.equal(restored.getOrder('BTCUSDT', stop.orderId).status, 'NEW');
+  assert.equal(restored.getPrice('BTCUSDT'), undefined);
+
+  // Die ruhende Stop-Order löst nach dem Neustart weiter aus
+  restored.feedPrice('BTCUSDT', 94);
+  assert.equal(restored.getOrder('BTCUSDT', stop.orderId).status, 'FILLED');
+  assert.equal(restored.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1 }).orderId, stop.orderId + 1);
+});
+
+test('the bot restores open positions, stop orders and trade history after a restart', async () => {
+  const directory = await createTempDir();
+  const first = await createBot(directory);
+
+  const closed = await first.createNewPosition('BTCUSDT', 1);
+  await first.closePosition(closed, 105, 'Manual');
+  const open = await first.createNewPosition('BTCUSDT', 2);
+
+  const second = await createBot(directory);
+
+  assert.equal(second.positions.length, 1);
+  assert.deepEqual(second.positions[0].toJSON(), open.toJSON());
+  assert.equal(second.profitHistory.length, 1);
+  assert.ok(second.profitHistory[0].closeDate instanceof Date);
+  assert.deepEqual(second.binanceClient.paperExchange.balances, first.binanceClient.paperExchange.balances);
+  assert.equal(second.binanceClient.paperExchange.getOrder('BTCUSDT', open.stopOrderId).status, 'NEW');
+});
+
+test('restored positions without a stop order are protected again', async () => {
+  const directory = await createTempDir();
+  const first = await createBot(directory);
+  const position = await first.createNewPosition('BTCUSDT', 1);
+
+  // Absturz zwischen Kauf und Stop-Order simulieren
+  await first.binanceClient.cancelOrder('BTCUSDT', position.stopOrderId);
+  position.stopOrderId = null;
+  await first.persistState();
+
+  const second = await createBot(directory);
+  const restored = second.positions[0];
+
+  assert.ok(restored.stopOrderId);
+  const stopOrder = second.binanceClient.paperExchange.getOrder('BTCUSDT', restored.stopOrderId);
+  assert.equal(stopOrder.status, 'NEW');
+  assert.equal(Number(stopOrder.stopPrice), position.currentTrailingStop);
+
+  const saved = JSON.parse(await fs.readFile(path.join(directory, 'state-paper.json'), 'utf8'));
+  assert.equal(saved.positions[0].stopOrderId, restored.stopOrderId);
+});
@@ -0,0 +1,153 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { BinanceClient } from '../src/binanceClient.js';
+import { Backtester } from '../src/backtester.js';
+import { TrailingProfitMaximizer } from '../src/trailingProfitMaximizer.js';
+import { createStrategy, getHistoryLength, getStrategyNames, klineToCandle, registerStrategy } from '../src/strategies.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Klines im Binance-Rohformat, die letzte Kerze endet eine Stunde vor jetzt
+function createKlines(closes) {
+  const start = Date.now() - (closes.length + 1) * HOUR;
+  return closes.map((close, i) => {
+    const openTime = start + i * HOUR;
+    return [openTime, String(close), String(close + 1), String(close - 1), String(close), '10', openTime + HOUR - 1];
+  });
+}
+
+function run(strategy, closes) {
+  const history = [];
+  const signals = [];
+  for (const kline of createKlines(closes)) {
+    history.push(klineToCandle(kline));
+    if (history.length < getHistoryLength(strategy)) continue;
+    const signal = strategy.onKline(history[history.length - 1], { symbol: 'BTCUSDT', history, hasPosition: false });
+    if (signal) signals.push({ index: history.length - 1, ...signal });
+  }
+  return signals;
+}
+
+// Strategie, die nur die Länge von context.history und den letzten Schlusskurs aufzeichnet
+function createRecordingStrategy(warmupPeriod) {
+  return {
+    name: 'recorder',
+    warmupPeriod,
+    calls: [],
+    onKline(candle, context) {
+      this.calls.push({ length: context.history.length, first: context.history[0].close, close: candle.close });
+      return null;
+    }
+  };
+}
+
+test('klineToCandle parses the raw kline format', () => {
+  assert.deepEqual(klineToCandle([1000, '1.5', '2', '1', '1.75', '42', 1999]), {
+    openTime: 1000, open: 1.5, high: 2, low: 1, close: 1.75, volume: 42, closeTime: 1999
+  });
+});
+
+test('createStrategy resolves names, instances and missing configs', () => {
+  assert.equal(createStrategy(null), null);
+  assert.equal(createStrategy({ params: {} }), null);
+  assert.match(createStrategy({ name: 'breakout', params: { lookback: 5 } }).name, /Breakout \(5-bar high\)/);
+
+  const custom = { onKline: () => null };
+  assert.equal(createStrategy(custom), custom);
+
+  assert.throws(() => createStrategy({ name: 'unknown' }), /Unknown strategy: unknown/);
+  assert.throws(() => createStrategy({ name: 'sma-crossover', params: { fastPeriod: 30, slowPeriod: 10 } }), /fastPeriod/);
+});
+
+test('registerStrategy adds strategies that can be selected by name', () => {
+  assert.throws(() => registerStrategy('broken', {}), /must be a function/);
+
+  registerStrategy('always-buy', () => ({ onKline: () => ({ action: 'BUY' }) }));
+  assert.ok(getStrategyNames().includes('always-buy'));
+  assert.deepEqual(createStrategy({ name: 'always-buy' }).onKline(), { action: 'BUY' });
+
+  registerStrategy('no-handler', () => ({}));
+  assert.throws(() => createStrategy({ name: 'no-handler' }), /does not implement onKline/);
+});
+
+test('getHistoryLength defaults to a single candle', () => {
+  assert.equal(getHistoryLength({ onKline() {} }), 1);
+  assert.equal(getHistoryLength(createStrategy({ name: 'sma-crossover', params: { fastPeriod: 2, slowPeriod: 4 } })), 5);
+  assert.equal(getHistoryLength(createStrategy({ name: 'rsi-oversold', params: { period: 14 } })), 72);
+});
+
+test('breakout signals a close above the previous highs', () => {
+  const strategy = createStrategy({ name: 'breakout', params: { lookback: 3 } });
+  const signals = run(strategy, [10, 11, 10, 10.5, 13, 12]);
+
+  assert.deepEqual(signals.map(s => s.index), [4]);
+  assert.match(signals[0].reason, /broke 3-bar high 12/);
+});
+
+test('sma-crossover signals when the fast average crosses the slow one', () => {
+  const strategy = createStrategy({ name: 'sma-crossover', params: { fastPeriod: 2, slowPeriod: 4 } });
+  const signals = run(strategy, [10, 9, 8, 7, 6, 6, 9, 10, 11]);
+
+  assert.deepEqual(signals.map(s => s.index), [6]);
+});
+
+test('rsi-oversold signals when the RSI leaves the oversold zone', () => {
+  const strategy = createStrategy({ name: 'rsi-oversold', params: { period: 2, oversold: 30 } });
+  const signals = run(strategy, [10, 11, 10, 11, 10, 11, 10, 11, 10, 11, 10, 9, 8, 12]);
+
+  assert.deepEqual(signals.map(s => s.index), [13]);
+});
+
+test('strategies see the same bounded history in backtests and live', async (t) => {
+  t.mock.method(BinanceClient.prototype, 'testConnection', async () => true);
+  const closes = Array.from({ length: 10 }, (_, i) => 100 + i);
+  const klines = createKlines(closes);
+
+  const backtestStrategy = createRecordingStrategy(4);
+  const backtester = new Backtester({
+    logLevel: 'error',
+    exchangeFilters: { enabled: false },
+    strategy: backtestStrategy,
+    backtestParams: { symbol: 'BTCUSDT', interval: '1h', startDate: '2024-01-01', endDate: '2024-01-02' }
+  });
+  backtester.loadHistoricalData = async () => { backtester.historicalData = backtester.seriesBySymbol.BTCUSDT = klines; };
+  await backtester.run();
+
+  assert.equal(backtestStrategy.calls.length, 7);
+  assert.ok(backtestStrategy.calls.every(call => call.length === 4));
+  assert.deepEqual(backtestStrategy.calls.at(-1), { length: 4, first: 106, close: 109 });
+
+  // Der Live-Bot erhält zusätzlich die noch offene Kerze, die er verwerfen muss
+  const liveStrategy = createRecordingStrategy(4);
+  const bot = new TrailingProfitMaximizer({
+    tradingMode: 'paper',
+    logLevel: 'error',
+    refreshInterval: Infinity,
+    volatilityUpdateInterval: Infinity,
+    strategy: liveStrategy
+  });
+  const openKline = [Date.now() - 1000, '110', '111', '109', '110', '1', Date.now() + HOUR];
+  const getHistoricalKlines = mock.fn(async (symbol, interval, limit) => [...klines, openKline].slice(-limit));
+  bot.binanceClient.getHistoricalKlines = getHistoricalKlines;
+
+  await bot.evaluateStrategy();
+
+  assert.equal(getHistoricalKlines.mock.calls[0].arguments[2], 5);
+  assert.deepEqual(liveStrategy.calls, [backtestStrategy.calls.at(-1)]);
+});
+
+test('the live bot waits until enough closed candles are available', async (t) => {
+  t.mock.method(BinanceClient.prototype, 'testConnection', async () => true);
+  const strategy = createRecordingStrategy(4);
+  const bot = new TrailingProfitMaximizer({
+    tradingMode: 'paper',
+    logLevel: 'error',
+    refreshInterval: Infinity,
+    volatilityUpdateInterval: Infinity,
+    strategy
+  });
+  bot.binanceClient.getHistoricalKlines = async () => createKlines([100, 101, 102]);
+
+  assert.deepEqual(await bot.evaluateStrategy(), []);
+  assert.equal(strategy.calls.length, 0);
+});
@@ -0,0 +1,150 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { SymbolFilters, SymbolInfo, roundToStep } from '../src/symbolInfo.js';
+
+const cleanups = [];
+afterEach(async () => {
+  while (cleanups.length > 0) await cleanups.pop()();
+});
+
+async function createTempDir() {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'symbols-'));
+  cleanups.push(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+const EXCHANGE_INFO = {
+  symbols: [{
+    symbol: 'BTCUSDT',
+    filters: [
+      { filterType: 'PRICE_FILTER', tickSize: '0.01', minPrice: '0.01', maxPrice: '1000000' },
+      { filterType: 'LOT_SIZE', stepSize: '0.00001', minQty: '0.00001', maxQty: '9000' },
+      { filterType: 'NOTIONAL', minNotional: '5', applyMinToMarket: true }
+    ]
+  }]
+};
+
+test('roundToStep rounds to multiples of the step', () => {
+  assert.equal(roundToStep(1.23456, 0.01), 1.23);
+  assert.equal(roundToStep(1.23456, 0.01, 'ceil'), 1.24);
+  assert.equal(roundToStep(1.239, 0.01, 'floor'), 1.23);
+  assert.equal(roundToStep(125, 10, 'round'), 130);
+});
+
+test('roundToStep tolerates floating point noise', () => {
+  assert.equal(roundToStep(0.3, 0.1, 'floor'), 0.3);
+  assert.equal(roundToStep(0.7, 0.1, 'ceil'), 0.7);
+  assert.equal(roundToStep(0.00012345, 1e-7, 'floor'), 0.0001234);
+});
+
+test('roundToStep leaves values unchanged without a step', () => {
+  assert.equal(roundToStep(1.23456, 0), 1.23456);
+  assert.equal(roundToStep(1.23456, undefined), 1.23456);
+});
+
+const FILTERS = {
+  tickSize: '0.01000000',
+  minPrice: '0.01000000',
+  maxPrice: '1000000.00000000',
+  stepSize: '0.00001000',
+  minQty: '0.00001000',
+  maxQty: '9000.00000000',
+  marketStepSize: '0.00000000',
+  marketMinQty: '0.00000000',
+  marketMaxQty: '100.00000000',
+  minNotional: '5.00000000',
+  applyMinToMarket: true
+};
+
+test('checkOrder accepts valid orders', () => {
+  const filters = new SymbolFilters('BTCUSDT', FILTERS);
+  assert.equal(filters.checkOrder({ type: 'LIMIT', quantity: 0.001, price: 30000.01 }), null);
+  assert.equal(filters.checkOrder({ type: 'MARKET', quantity: 0.001, referencePrice: 30000 }), null);
+});
+
+test('checkOrder reports price filter violations', () => {
+  const filters = new SymbolFilters('BTCUSDT', FILTERS);
+  assert.equal(filters.checkOrder({ type: 'LIMIT', quantity: 0.001, price: 30000.005 }).filter, 'PRICE_FILTER');
+  assert.match(
+    filters.checkOrder({ type: 'STOP_LOSS_LIMIT', quantity: 0.001, price: 30000, stopPrice: 2000000 }).message,
+    /stop price .* above the maximum price/
+  );
+});
+
+test('checkOrder reports lot size violations per order type', () => {
+  const filters = new SymbolFilters('BTCUSDT', FILTERS);
+  assert.equal(filters.checkOrder({ type: 'LIMIT', quantity: 0.000001, price: 30000 }).filter, 'LOT_SIZE');
+  assert.equal(filters.checkOrder({ type: 'LIMIT', quantity: 0.000015, price: 30000 }).filter, 'LOT_SIZE');
+
+  // Für Market-Orders gilt zusätzlich die Obergrenze aus MARKET_LOT_SIZE
+  assert.equal(filters.checkOrder({ type: 'LIMIT', quantity: 200, price: 30000 }), null);
+  assert.match(filters.checkOrder({ type: 'MARKET', quantity: 200, referencePrice: 30000 }).message, /above the maximum quantity 100/);
+
+  const withMarketStep = new SymbolFilters('BTCUSDT', { ...FILTERS, marketStepSize: '0.001' });
+  assert.equal(withMarketStep.checkOrder({ type: 'MARKET', quantity: 0.0015, referencePrice: 30000 }).filter, 'MARKET_LOT_SIZE');
+});
+
+test('checkOrder reports a notional below the minimum', () => {
+  const filters = new SymbolFilters('BTCUSDT', FILTERS);
+  const failure = filters.checkOrder({ type: 'LIMIT', quantity: 0.0001, price: 30000 });
+  assert.equal(failure.filter, 'NOTIONAL');
+  assert.match(failure.message, /below the minimum notional 5/);
+
+  // Ohne Referenzpreis lässt sich das Volumen einer Market-Order nicht prüfen
+  assert.equal(filters.checkOrder({ type: 'MARKET', quantity: 0.0001 }), null);
+});
+
+test('checkOrder skips the minimum notional where the exchange does', () => {
+  const spot = new SymbolFilters('BTCUSDT', { ...FILTERS, applyMinToMarket: false });
+  assert.equal(spot.checkOrder({ type: 'MARKET', quantity: 0.0001, referencePrice: 30000 }), null);
+
+  const futures = new SymbolFilters('BTCUSDT', { ...FILTERS, reduceOnlyExempt: true });
+  assert.equal(futures.checkOrder({ type: 'LIMIT', quantity: 0.0001, price: 30000, reduceOnly: true }), null);
+  assert.equal(futures.checkOrder({ type: 'LIMIT', quantity: 0.0001, price: 30000 }).filter, 'NOTIONAL');
+});
+
+test('fromExchangeInfo reads the Binance filters', () => {
+  const filters = SymbolFilters.fromExchangeInfo({
+    symbol: 'ETHUSDT',
+    filters: [
+      { filterType: 'PRICE_FILTER', tickSize: '0.01', minPrice: '0.01', maxPrice: '100000' },
+      { filterType: 'LOT_SIZE', stepSize: '0.0001', minQty: '0.0001', maxQty: '9000' },
+      { filterType: 'MIN_NOTIONAL', minNotional: '10', applyToMarket: true }
+    ]
+  });
+
+  assert.equal(filters.symbol, 'ETHUSDT');
+  assert.equal(filters.tickSize, 0.01);
+  assert.equal(filters.stepSize, 0.0001);
+  assert.equal(filters.minNotional, 10);
+  assert.equal(filters.roundQuantity(1.23456), 1.2345);
+  assert.equal(filters.formatPrice(2000.1), '2000.10');
+});
+
+test('SymbolInfo caches exchangeInfo on disk and reads it offline', async () => {
+  const directory = await createTempDir();
+  const cacheFile = path.join(directory, 'exchangeInfo-spot.json');
+  let loads = 0;
+  const info = new SymbolInfo(async () => { loads++; return EXCHANGE_INFO; }, { cacheFile });
+
+  assert.equal((await info.getFilters('BTCUSDT')).stepSize, 0.00001);
+  assert.equal(await info.getFilters('ETHUSDT'), null);
+  assert.equal(loads, 1);
+
+  const offline = new SymbolInfo(async () => { throw new Error('offline must not load'); }, { cacheFile, offline: true });
+  const filters = await offline.getFilters('BTCUSDT');
+  assert.equal(filters.minNotional, 5);
+  assert.equal(filters.roundQuantity(0.123456), 0.12345);
+});
+
+test('SymbolInfo prefers overrides and returns null when exchangeInfo cannot be loaded', async () => {
+  const info = new SymbolInfo(async () => { throw new Error('network down'); }, {
+    overrides: { ETHUSDT: { tickSize: 0.01, stepSize: 0.0001, minNotional: 10 } }
+  });
+
+  assert.equal((await info.getFilters('ETHUSDT')).minNotional, 10);
+  assert.equal(await info.getFilters('BTCUSDT'), null);
+});
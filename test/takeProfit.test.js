@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Position } from '../src/position.js';
+import { Backtester } from '../src/backtester.js';
+import { TrailingProfitMaximizer } from '../src/trailingProfitMaximizer.js';
+
+const LEVELS = [{ profitPercent: 4, quantityPercent: 30 }, { profitPercent: 2, quantityPercent: 30 }];
+
+function assertClose(actual, expected, epsilon = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${actual} to be close to ${expected}`);
+}
+
+// Ohne Gebühren, Spread und Slippage, damit die erwarteten Preise exakt bleiben
+const NO_COSTS = { makerFeePercent: 0, takerFeePercent: 0, spreadBps: 0, slippage: { model: 'fixed', bps: 0 } };
+
+async function createBot(options = {}) {
+  const bot = new TrailingProfitMaximizer({
+    tradingMode: 'paper',
+    logLevel: 'silent',
+    exchangeFilters: { enabled: false },
+    skipConnectionTest: true,
+    refreshInterval: Infinity,
+    volatilityUpdateInterval: Infinity,
+    persistence: { enabled: false },
+    priceStream: { enabled: false },
+    paperTrading: { initialBalances: { USDT: 1000 }, externalPriceFeed: true },
+    costModel: NO_COSTS,
+    trailingStop: { initialStopDistancePercent: 2, activationThresholdPercent: 10, trailingDistancePercent: 1.5 },
+    takeProfit: { levels: LEVELS },
+    ...options
+  });
+  await bot.initialized;
+  return bot;
+}
+
+// Neuer Marktpreis wie ein Stream-Tick
+async function movePrice(bot, price) {
+  bot.binanceClient.paperExchange.feedPrice('BTCUSDT', price);
+  for (const position of bot.getActivePositions()) {
+    bot.applyPrice(position, price);
+  }
+  await bot.updateTrailingStops();
+}
+
+test('take-profit levels are sorted and priced from the entry', () => {
+  const long = new Position('BTCUSDT', 100, 2);
+  long.setTakeProfitLevels(LEVELS);
+
+  assert.deepEqual(long.takeProfitLevels.map(level => level.profitPercent), [2, 4]);
+  assert.deepEqual(long.takeProfitLevels.map(level => long.getTakeProfitPrice(level)), [102, 104]);
+  assertClose(long.getTakeProfitQuantity(long.takeProfitLevels[0]), 0.6);
+  assert.deepEqual(long.getTriggeredTakeProfits(99, 102.5), [long.takeProfitLevels[0]]);
+
+  const short = new Position('BTCUSDT', 100, 2, null, 'SHORT');
+  short.setTakeProfitLevels(LEVELS);
+  assert.deepEqual(short.takeProfitLevels.map(level => short.getTakeProfitPrice(level)), [98, 96]);
+  assert.equal(short.getTriggeredTakeProfits(95, 101).length, 2);
+
+  // Die Menge einer Stufe ist durch die Restmenge begrenzt
+  long.quantity = 0.5;
+  assert.equal(long.getTakeProfitQuantity(long.takeProfitLevels[0]), 0.5);
+});
+
+test('the bot sells each level once and resizes the stop order', async () => {
+  const bot = await createBot();
+  const exchange = bot.binanceClient.paperExchange;
+  exchange.feedPrice('BTCUSDT', 100);
+  const position = await bot.createNewPosition('BTCUSDT', 2);
+  const partialExits = [];
+  bot.on('partialExit', trade => partialExits.push(trade));
+
+  await movePrice(bot, 102.5);
+  assertClose(position.quantity, 1.4);
+  assert.equal(exchange.getOrder('BTCUSDT', position.stopOrderId).origQty, '1.40000000');
+
+  // Dieselbe Stufe wird kein zweites Mal ausgeführt
+  await movePrice(bot, 102);
+  assert.equal(partialExits.length, 1);
+
+  await movePrice(bot, 104);
+  assertClose(position.quantity, 0.8);
+  assert.deepEqual(partialExits.map(trade => [trade.reason, trade.partial, trade.exitPrice]), [
+    ['TakeProfit 1 (+2%)', true, 102.5],
+    ['TakeProfit 2 (+4%)', true, 104]
+  ]);
+  assertClose(partialExits[1].profit, 0.6 * 4);
+  assertClose(exchange.getBalance('BTC').locked, 0.8);
+  assert.equal(position.status, 'ACTIVE');
+});
+
+test('a level covering the remaining quantity closes the position', async () => {
+  const bot = await createBot({ takeProfit: { levels: [{ profitPercent: 2, quantityPercent: 50 }, { profitPercent: 3, quantityPercent: 50 }] } });
+  bot.binanceClient.paperExchange.feedPrice('BTCUSDT', 100);
+  const position = await bot.createNewPosition('BTCUSDT', 2);
+
+  await movePrice(bot, 103);
+
+  assert.equal(position.status, 'CLOSED');
+  assert.deepEqual(bot.profitHistory.map(trade => trade.reason), ['TakeProfit 1 (+2%)', 'TakeProfit 2 (+3%)']);
+  assert.deepEqual(bot.binanceClient.paperExchange.getBalance('BTC'), { free: 0, locked: 0 });
+});
+
+test('backtests fill take-profit levels at their target price', async () => {
+  const HOUR = 60 * 60 * 1000;
+  const start = Date.UTC(2024, 0, 1);
+  const kline = (i, open, high, low, close) => [start + i * HOUR, String(open), String(high), String(low), String(close), '1', start + (i + 1) * HOUR - 1];
+
+  const backtester = new Backtester({
+    logLevel: 'silent',
+    exchangeFilters: { enabled: false },
+    positionSize: 200,
+    costModel: NO_COSTS,
+    trailingStop: { initialStopDistancePercent: 5, activationThresholdPercent: 50, trailingDistancePercent: 1.5 },
+    takeProfit: { levels: LEVELS },
+    strategy: { onKline: (candle, context) => context.hasPosition ? null : { action: 'BUY' } },
+    backtestParams: { symbol: 'BTCUSDT', interval: '1h', startDate: new Date(start).toISOString(), endDate: new Date(start + 4 * HOUR).toISOString() }
+  });
+  backtester.loadHistoricalData = async () => {
+    backtester.historicalData = backtester.seriesBySymbol.BTCUSDT = [kline(0, 100, 100, 100, 100), kline(1, 100, 103, 99, 101), kline(2, 101, 106, 100, 105), kline(3, 105, 105, 105, 105)];
+  };
+
+  const results = await backtester.run();
+  const partials = results.trades.filter(trade => trade.partial);
+  assert.deepEqual(partials.map(trade => trade.exitPrice), [102, 104]);
+  assertClose(partials[0].quantity, 0.6);
+});
@@ -0,0 +1,196 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TelegramControl } from '../src/telegramControl.js';
+import { Logger } from '../src/logger.js';
+
+const CHAT_ID = 42;
+
+const cleanups = [];
+afterEach(async () => {
+  while (cleanups.length > 0) await cleanups.pop()();
+  mock.restoreAll();
+});
+
+// Ersetzt fetch: zeichnet die Telegram-Aufrufe auf ({ method, params }) und antwortet mit ok;
+// getUpdates liefert der Reihe nach die Einträge aus updates und wartet danach auf den Abbruch
+function stubFetch(updates = []) {
+  const calls = [];
+  const original = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    const method = url.split('/').pop();
+    calls.push({ method, params: JSON.parse(init.body) });
+    if (method === 'getUpdates' && updates.length === 0) {
+      await new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(init.signal.reason)));
+    }
+    const result = method === 'getMe' ? { username: 'test_bot' } : (method === 'getUpdates' ? updates.shift() : true);
+    return new Response(JSON.stringify({ ok: true, result }), { status: 200 });
+  };
+  cleanups.push(() => { globalThis.fetch = original; });
+  return calls;
+}
+
+// Bot-Stub mit einer BTCUSDT-Position; zeichnet die Aufrufe auf ([name, ...args])
+function createBot(tradingMode = 'paper') {
+  const calls = [];
+  const bot = {
+    config: { tradingMode },
+    calls,
+    positions: [{ symbol: 'BTCUSDT', side: 'LONG', quantity: 1, entryPrice: 100, currentPrice: 105, profitPercent: 5, currentTrailingStop: 98, stopStage: 'initial' }],
+    getActivePositions: () => bot.positions,
+    async closeSymbol(symbol, reason) {
+      calls.push(['closeSymbol', symbol, reason]);
+      if (!bot.positions.some(p => p.symbol === symbol)) {
+        const error = new Error(`No open position for ${symbol}`);
+        error.code = 'POSITION_NOT_FOUND';
+        throw error;
+      }
+      bot.positions = bot.positions.filter(p => p.symbol !== symbol);
+      return [{ side: 'LONG', exitPrice: 105, profit: 5, profitPercent: 5 }];
+    },
+    async openManualPosition(symbol, side, options) {
+      calls.push(['openManualPosition', symbol, side, options]);
+      return { symbol, side, quantity: options.value / 100, entryPrice: 100, currentTrailingStop: 97 };
+    },
+    async pauseEntries() {
+      calls.push(['pauseEntries']);
+    }
+  };
+  return bot;
+}
+
+function createControl(bot, options = {}) {
+  return new TelegramControl(bot, { botToken: 'token', allowedChatIds: [CHAT_ID], ...options }, { logger: new Logger('silent') });
+}
+
+function message(text, chatId = CHAT_ID) {
+  return { update_id: 1, message: { message_id: 7, chat: { id: chatId }, from: { username: 'someone' }, text } };
+}
+
+function callback(data, chatId = CHAT_ID) {
+  return { update_id: 2, callback_query: { id: 'query', data, message: { message_id: 8, chat: { id: chatId }, text: 'question' } } };
+}
+
+const replies = calls => calls.filter(call => call.method === 'sendMessage').map(call => call.params.text);
+
+test('only chats on the allow-list are answered', async () => {
+  const calls = stubFetch();
+  const bot = createBot();
+  const control = createControl(bot);
+
+  await control.handleUpdate(message('/close BTCUSDT', 1234));
+  await control.handleUpdate(callback('confirm:abc', 1234));
+  assert.deepEqual(calls.map(call => call.method), ['answerCallbackQuery']);
+  assert.deepEqual(bot.calls, []);
+
+  await control.handleUpdate(message('/positions'));
+  assert.equal(calls.at(-1).params.chat_id, CHAT_ID);
+  assert.deepEqual(replies(calls), ['BTCUSDT LONG 1 @ 100 -> 105 (5.00%), stop 98 (initial)']);
+});
+
+test('commands are parsed with their arguments', async () => {
+  const calls = stubFetch();
+  const bot = createBot();
+  const control = createControl(bot);
+
+  // Text ohne Befehl wird ignoriert, der Bot-Name nach @ abgeschnitten
+  await control.handleUpdate(message('hello'));
+  await control.handleUpdate(message('/close@test_bot btcusdt'));
+  await control.handleUpdate(message('/open ethusdt 200 short stop=3 TRAILING=1.5'));
+  await control.handleUpdate(message('/PAUSE'));
+  assert.deepEqual(bot.calls, [
+    ['closeSymbol', 'BTCUSDT', 'Manual close (Telegram)'],
+    ['openManualPosition', 'ETHUSDT', 'SHORT', { value: 200, trailingSettings: { initialStopDistancePercent: 3, trailingDistancePercent: 1.5 } }],
+    ['pauseEntries']
+  ]);
+  assert.equal(replies(calls)[0], 'Closed LONG BTCUSDT @ 105: 5.00 (5.00%)');
+
+  // Ohne Seite und Einstellungen: long mit den globalen Einstellungen
+  await control.handleUpdate(message('/open ETHUSDT 100'));
+  assert.deepEqual(bot.calls.at(-1), ['openManualPosition', 'ETHUSDT', 'LONG', { value: 100 }]);
+  await control.handleUpdate(message('/open ETHUSDT 100 activation=2'));
+  assert.deepEqual(bot.calls.at(-1), ['openManualPosition', 'ETHUSDT', 'LONG', { value: 100, trailingSettings: { activationThresholdPercent: 2 } }]);
+
+  const errors = [];
+  for (const text of ['/open ETHUSDT', '/open ETHUSDT abc', '/open ETHUSDT 100 sideways', '/open ETHUSDT 100 long stop=0', '/open ETHUSDT 100 constructor=1', '/close', '/close ETHUSDT', '/unknown']) {
+    await control.handleUpdate(message(text));
+    errors.push(replies(calls).at(-1).split('\n')[0]);
+  }
+  assert.deepEqual(errors, [
+    'Error: Usage: /open SYMBOL SIZE [long|short] [stop=% activation=% trailing=%]',
+    'Error: SIZE must be a number > 0',
+    'Error: Usage: /open SYMBOL SIZE [long|short] [stop=% activation=% trailing=%]',
+    'Error: stop must be a number > 0',
+    'Error: Usage: /open SYMBOL SIZE [long|short] [stop=% activation=% trailing=%]',
+    'Error: Usage: /close SYMBOL',
+    'Error: No open position for ETHUSDT',
+    'Unknown command /unknown'
+  ]);
+  assert.equal(bot.calls.length, 5);
+});
+
+test('live actions run only after a confirmation within the timeout', async () => {
+  const calls = stubFetch();
+  const bot = createBot('live');
+  const control = createControl(bot, { confirmTimeoutMs: 60000 });
+  let now = Date.now();
+  mock.method(Date, 'now', () => now);
+  const confirmation = () => calls.filter(call => call.method === 'sendMessage').at(-1).params.reply_markup.inline_keyboard[0][0].callback_data;
+
+  await control.handleUpdate(message('/close BTCUSDT'));
+  assert.deepEqual(bot.calls, []);
+  assert.match(replies(calls)[0], /^Close 1 BTCUSDT position\(s\) at market\?\n\nLIVE trading - please confirm within 60s\.$/);
+
+  // Nach Ablauf der Frist wird die Bestätigung nicht mehr ausgeführt
+  const expired = confirmation();
+  now += 60000;
+  await control.handleUpdate(callback(expired));
+  assert.deepEqual(bot.calls, []);
+  assert.deepEqual(calls.at(-2), { method: 'answerCallbackQuery', params: { callback_query_id: 'query', text: 'This request has expired.' } });
+  assert.equal(calls.at(-1).params.text, 'question\n\nExpired.');
+
+  // Bestätigung aus einem anderen erlaubten Chat gilt nicht
+  control.allowedChatIds.push('7');
+  await control.handleUpdate(message('/close BTCUSDT'));
+  const id = confirmation();
+  await control.handleUpdate(callback(id, 7));
+  assert.deepEqual(bot.calls, []);
+
+  await control.handleUpdate(message('/close BTCUSDT'));
+  now += 59999;
+  await control.handleUpdate(callback(confirmation()));
+  assert.deepEqual(bot.calls, [['closeSymbol', 'BTCUSDT', 'Manual close (Telegram)']]);
+  assert.equal(replies(calls).at(-1), 'Closed LONG BTCUSDT @ 105: 5.00 (5.00%)');
+});
+
+test('a confirmed close reports a position that is already gone', async () => {
+  const calls = stubFetch();
+  const bot = createBot('live');
+  const control = createControl(bot);
+
+  await control.handleUpdate(message('/close BTCUSDT'));
+  const id = calls.at(-1).params.reply_markup.inline_keyboard[0][0].callback_data;
+  // Zwischen Rückfrage und Bestätigung vom Stop geschlossen
+  bot.positions = [];
+  await control.handleUpdate(callback(id));
+
+  assert.deepEqual(bot.calls, [['closeSymbol', 'BTCUSDT', 'Manual close (Telegram)']]);
+  assert.equal(replies(calls).at(-1), 'No open position for BTCUSDT');
+});
+
+test('stop ends a running long poll', async () => {
+  const calls = stubFetch([[message('/pause')]]);
+  const bot = createBot();
+  const control = createControl(bot, { pollTimeoutSeconds: 30 });
+
+  await control.start();
+  // Erst die Antwort auf /pause, dann wartet das zweite getUpdates
+  while (calls.filter(call => call.method === 'getUpdates').length < 2) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  await control.stop();
+
+  assert.deepEqual(bot.calls, [['pauseEntries']]);
+  assert.deepEqual(calls.map(call => call.method), ['getMe', 'getUpdates', 'sendMessage', 'getUpdates']);
+  assert.equal(calls[3].params.offset, 2);
+  assert.equal(calls[1].params.timeout, 30);
+});